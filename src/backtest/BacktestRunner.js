@@ -0,0 +1,271 @@
+// Backtesting engine for Bark Trader 🐶
+// Replays historical candles through the real EnhancedTradingBot strategy code
+// and SmartLossManager exit logic on a simulated clock with simulated fills.
+import { BacktestExchange } from '../exchange/BacktestExchange.js';
+import { EnhancedTradingBot } from '../trading/EnhancedTradingBot.js';
+import { LevelService } from '../trading/LevelService.js';
+import { MultiTimeframeAnalyzer, TIMEFRAMES } from '../trading/MultiTimeframeAnalyzer.js';
+import { buildTradeStats, SizingStatistics } from '../trading/SizingStatistics.js';
+import { SmartLossManager } from '../trading/SmartLossManager.js';
+import { SimulatedClock } from '../utils/clock.js';
+import { INTERVAL_MS } from '../utils/intervals.js';
+import { logger } from '../utils/logger.js';
+import { calculateTechnicalIndicators } from '../utils/technicalAnalysis.js';
+import { InMemoryHistoricalDataManager } from './InMemoryHistoricalDataManager.js';
+
+export const MARKET_SYMBOLS = ['BTCUSDT', 'ETHUSDT']; // Used by assessMarketConditions
+
+export class BacktestRunner {
+  constructor(config, options = {}) {
+    this.config = config; // EnhancedTradingConfig document (never saved)
+    this.interval = options.interval || '15m';
+    this.warmupCandles = options.warmupCandles || 100;
+    this.startingBalance = options.startingBalance || config.portfolioSettings.totalCapital;
+    this.slippagePercent = options.slippagePercent ?? 0.05;
+    this.feePercent = options.feePercent ?? 0.1;
+    this.quoteAsset = options.quoteAsset || 'USDT';
+    this.exitRules = options.exitRules || []; // createExitRule() results; entry rules run from the registry
+  }
+
+  // candlesBySymbol: Map of symbol -> kline arrays, including warmup candles
+  async run(symbol, candlesBySymbol) {
+    const candles = candlesBySymbol.get(symbol);
+    if (!candles || candles.length <= this.warmupCandles) {
+      throw new Error(`Not enough ${this.interval} candles for ${symbol}: need more than ${this.warmupCandles}`);
+    }
+
+    const clock = new SimulatedClock(candles[0][0]);
+    const exchange = new BacktestExchange(candlesBySymbol, this.interval, clock, {
+      startingBalance: this.startingBalance,
+      slippagePercent: this.slippagePercent,
+      feePercent: this.feePercent,
+      quoteAsset: this.quoteAsset
+    });
+
+    // The bot is only used for its decision methods, it is never initialized
+    const bot = new EnhancedTradingBot(null, exchange);
+    bot.config = this.config;
+
+    // Only timeframes that can be built from the backtest interval
+    const multiTimeframe = new MultiTimeframeAnalyzer(exchange, this.config, {
+      clock,
+      timeframes: TIMEFRAMES.filter(timeframe => INTERVAL_MS[timeframe] % INTERVAL_MS[this.interval] === 0)
+    });
+
+    const smartLossManager = new SmartLossManager(this.config, exchange, exchange.priceCache, {
+      clock,
+      multiTimeframe,
+      historicalDataManager: new InMemoryHistoricalDataManager()
+    });
+    smartLossManager.setExitRules(this.exitRules);
+
+    const sizingStatistics = new SizingStatistics(exchange, { clock });
+    bot.levelService = new LevelService(exchange, this.config, { clock });
+
+    const hasMarketData = MARKET_SYMBOLS.every(s => candlesBySymbol.has(s));
+    const state = { positions: [], trades: [], equityCurve: [] };
+
+    logger.info(`🧪 Backtest started for ${symbol}`, {
+      candles: candles.length - this.warmupCandles,
+      interval: this.interval,
+      startingBalance: this.startingBalance
+    });
+
+    for (let i = this.warmupCandles; i < candles.length; i++) {
+      clock.set(candles[i][6]);
+      exchange.advance();
+
+      const currentPrice = exchange.priceCache.get(symbol);
+      const timeframes = await multiTimeframe.getContext(symbol);
+
+      // Same priority as the live cycle: manage open positions first
+      await this.evaluateExits(symbol, currentPrice, state, exchange, smartLossManager, clock, timeframes);
+
+      const marketCondition = hasMarketData ? await bot.assessMarketConditions() : 'neutral';
+      await this.evaluateEntries(symbol, state, exchange, bot, sizingStatistics, clock, marketCondition, timeframes);
+
+      state.equityCurve.push({
+        timestamp: clock.now(),
+        equity: await this.calculateEquity(exchange),
+        openPositions: state.positions.length
+      });
+    }
+
+    // Close whatever is still open at the last price so every trade is counted
+    for (const position of [...state.positions]) {
+      await this.closePosition(symbol, position, 'END_OF_BACKTEST', state, exchange, clock);
+    }
+
+    const report = this.buildReport(symbol, candles, state, await this.calculateEquity(exchange));
+
+    logger.info(`🧪 Backtest finished for ${symbol}`, report.summary);
+
+    return report;
+  }
+
+  async evaluateExits(symbol, currentPrice, state, exchange, smartLossManager, clock, timeframes = null) {
+    for (const position of [...state.positions]) {
+      const decision = await smartLossManager.shouldSellPosition(symbol, position, currentPrice, timeframes);
+
+      if (decision.shouldSell) {
+        await this.closePosition(symbol, position, decision.reason, state, exchange, clock, decision.details, decision.signals);
+      }
+    }
+  }
+
+  async evaluateEntries(symbol, state, exchange, bot, sizingStatistics, clock, marketCondition, timeframes = null) {
+    const klines = await exchange.getCandles(symbol, this.interval, { limit: 100 });
+    const indicators = calculateTechnicalIndicators(klines, this.config.indicatorSettings);
+    const strategies = bot.determineStrategies(indicators, marketCondition, state.positions.length, timeframes, symbol, klines);
+
+    for (const strategy of strategies) {
+      if (!bot.isEntrySignal(strategy)) continue;
+      if (state.positions.length >= this.config.orderManagement.maxOrdersPerSymbol) break;
+
+      // Trade statistics come from the trades simulated so far, never from the live Order history
+      const positionSizing = this.config.calculateOptimalPositionSize(symbol, {
+        ...buildTradeStats(
+          state.trades.map(t => ({ strategy: t.strategy, return: t.pnlPercentage / 100 })),
+          strategy.type,
+          this.config.positionSizing.minTradesForStats
+        ),
+        volatility: await sizingStatistics.getRealizedVolatility(symbol),
+        averageVolatility: await sizingStatistics.getAverageVolatility(Array.from(exchange.candles.keys()))
+      });
+      const currentPrice = exchange.priceCache.get(symbol);
+
+      try {
+        const order = await exchange.marketBuy(symbol, positionSizing.positionSize / currentPrice);
+        const nearby = await bot.getNearestLevels(symbol, order.price);
+        const { stopLossPrice, takeProfitPrice } = bot.calculateExitLevels(order.price, strategy, nearby);
+
+        state.positions.push({
+          orderId: order.orderId,
+          entryPrice: order.price,
+          quantity: order.executedQuantity,
+          entryTime: clock.now(),
+          entryCost: order.cummulativeQuoteQuantity + order.fills[0].commission,
+          strategy: strategy.type,
+          stopLoss: stopLossPrice,
+          takeProfit: takeProfitPrice,
+          signals: strategy.signals,
+          confidence: strategy.confidence,
+          sizing: bot.sizingAudit(positionSizing)
+        });
+      } catch (error) {
+        // Usually insufficient simulated balance, same as the exchange rejecting it
+        logger.debug(`Backtest entry skipped for ${symbol}: ${error.message}`);
+      }
+    }
+  }
+
+  async closePosition(symbol, position, reason, state, exchange, clock, details = [], exitSignals = []) {
+    const order = await exchange.marketSell(symbol, position.quantity);
+    const proceeds = order.cummulativeQuoteQuantity - order.fills[0].commission;
+    const pnl = proceeds - position.entryCost;
+
+    state.trades.push({
+      symbol,
+      strategy: position.strategy,
+      signals: position.signals,
+      entryTime: new Date(position.entryTime).toISOString(),
+      exitTime: new Date(clock.now()).toISOString(),
+      entryPrice: position.entryPrice,
+      exitPrice: order.price,
+      quantity: position.quantity,
+      pnl,
+      pnlPercentage: (pnl / position.entryCost) * 100,
+      holdingPeriodMs: clock.now() - position.entryTime,
+      sizing: position.sizing,
+      reason,
+      details,
+      exitSignals
+    });
+
+    state.positions = state.positions.filter(p => p.orderId !== position.orderId);
+  }
+
+  async calculateEquity(exchange) {
+    const balances = await exchange.getBalances();
+    let equity = 0;
+
+    for (const [asset, balance] of Object.entries(balances)) {
+      const amount = balance.available + balance.onOrder;
+      if (asset === this.quoteAsset) {
+        equity += amount;
+      } else if (amount > 0) {
+        equity += amount * (exchange.priceCache.get(`${asset}${this.quoteAsset}`) || 0);
+      }
+    }
+
+    return equity;
+  }
+
+  // How trades closed by each named exit condition (patterns, divergences) turned out
+  summarizeExitSignals(trades) {
+    const bySignal = {};
+
+    for (const trade of trades) {
+      for (const signal of trade.exitSignals || []) {
+        bySignal[signal] = bySignal[signal] || { trades: 0, winningTrades: 0, totalPnl: 0 };
+        bySignal[signal].trades++;
+        bySignal[signal].totalPnl += trade.pnl;
+        if (trade.pnl > 0) bySignal[signal].winningTrades++;
+      }
+    }
+
+    for (const stats of Object.values(bySignal)) {
+      stats.winRate = (stats.winningTrades / stats.trades) * 100;
+      stats.averagePnl = stats.totalPnl / stats.trades;
+    }
+
+    return bySignal;
+  }
+
+  buildReport(symbol, candles, state, finalEquity) {
+    const { trades, equityCurve } = state;
+    const winningTrades = trades.filter(t => t.pnl > 0);
+    const losingTrades = trades.filter(t => t.pnl <= 0);
+    const grossProfit = winningTrades.reduce((sum, t) => sum + t.pnl, 0);
+    const grossLoss = Math.abs(losingTrades.reduce((sum, t) => sum + t.pnl, 0));
+
+    // Max drawdown from the running equity peak
+    let peak = this.startingBalance;
+    let maxDrawdown = 0;
+    let maxDrawdownPercentage = 0;
+    for (const point of equityCurve) {
+      peak = Math.max(peak, point.equity);
+      const drawdown = peak - point.equity;
+      if (drawdown > maxDrawdown) {
+        maxDrawdown = drawdown;
+        maxDrawdownPercentage = (drawdown / peak) * 100;
+      }
+    }
+
+    return {
+      symbol,
+      interval: this.interval,
+      startTime: new Date(candles[this.warmupCandles][0]).toISOString(),
+      endTime: new Date(candles[candles.length - 1][6]).toISOString(),
+      startingBalance: this.startingBalance,
+      finalEquity,
+      summary: {
+        totalTrades: trades.length,
+        winningTrades: winningTrades.length,
+        losingTrades: losingTrades.length,
+        winRate: trades.length > 0 ? (winningTrades.length / trades.length) * 100 : 0,
+        totalReturn: finalEquity - this.startingBalance,
+        totalReturnPercentage: ((finalEquity - this.startingBalance) / this.startingBalance) * 100,
+        grossProfit,
+        grossLoss,
+        profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null, // null = no losing trades
+        maxDrawdown,
+        maxDrawdownPercentage,
+        averagePnl: trades.length > 0 ? (grossProfit - grossLoss) / trades.length : 0
+      },
+      exitSignals: this.summarizeExitSignals(trades),
+      trades,
+      equityCurve
+    };
+  }
+}
@@ -0,0 +1,57 @@
+// In-memory HistoricalDataManager for backtests
+// Keeps the same newest-first lists as the Redis version so SmartLossManager's
+// RSI and volatility history checks behave identically during a replay.
+import { HistoricalDataManager } from '../trading/HistoricalDataManager.js';
+
+export class InMemoryHistoricalDataManager extends HistoricalDataManager {
+  constructor() {
+    super();
+    this.lists = new Map(); // key -> newest-first data points
+  }
+
+  push(key, dataPoint) {
+    if (!this.lists.has(key)) {
+      this.lists.set(key, []);
+    }
+
+    const list = this.lists.get(key);
+    list.unshift(dataPoint);
+    if (list.length > this.maxHistoryPoints) {
+      list.length = this.maxHistoryPoints;
+    }
+  }
+
+  range(key, count) {
+    return (this.lists.get(key) || []).slice(0, count).reverse();
+  }
+
+  async storeRSI(symbol, rsi, timestamp = Date.now()) {
+    this.push(`rsi_history:${symbol}`, { value: rsi, timestamp });
+  }
+
+  async getRSIHistory(symbol, count = 10) {
+    return this.range(`rsi_history:${symbol}`, count);
+  }
+
+  async storeVolatility(symbol, volatility, timestamp = Date.now()) {
+    this.push(`volatility_history:${symbol}`, { value: volatility, timestamp });
+  }
+
+  async getVolatilityHistory(symbol, count = 50) {
+    return this.range(`volatility_history:${symbol}`, count);
+  }
+
+  async storePriceUpdate(symbol, price, timestamp = Date.now()) {
+    this.push(`price_history:${symbol}`, { price: parseFloat(price), timestamp });
+  }
+
+  async getRecentPrices(symbol, count = 50) {
+    return this.range(`price_history:${symbol}`, count).map(point => point.price);
+  }
+
+  async cleanupOldData(symbol) {
+    this.lists.delete(`rsi_history:${symbol}`);
+    this.lists.delete(`volatility_history:${symbol}`);
+    this.lists.delete(`price_history:${symbol}`);
+  }
+}
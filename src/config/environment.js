@@ -131,6 +131,15 @@ class EnvironmentConfig {
       defaultRiskPerTrade: parseFloat(process.env.DEFAULT_RISK_PER_TRADE) || 50,
       emergencyStopLoss: parseFloat(process.env.EMERGENCY_STOP_LOSS) || 1000,
       priceUpdateInterval: parseInt(process.env.PRICE_UPDATE_INTERVAL) || 1000,
+      paperTrading: {
+        quoteAsset: process.env.PAPER_QUOTE_ASSET || 'USDT',
+        startingBalance: parseFloat(process.env.PAPER_STARTING_BALANCE) || 1000,
+        slippagePercent: this.parseNumber(process.env.PAPER_SLIPPAGE_PERCENT, 0.05),
+        feePercent: this.parseNumber(process.env.PAPER_FEE_PERCENT, 0.1),
+      },
+      candleStore: {
+        refreshSeconds: parseInt(process.env.CANDLE_REFRESH_SECONDS) || 60,
+      },
     };
   }
 
@@ -203,6 +212,12 @@ class EnvironmentConfig {
     logger.info('🔧 Environment Configuration:', safeConfig);
   }
 
+  // Unlike `parseFloat(value) || fallback`, keeps an explicit 0
+  parseNumber(value, fallback) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+  }
+
   maskSecret(secret) {
     if (!secret || secret.length < 8) return '[NOT_SET]';
     return secret.substring(0, 4) + '****' + secret.substring(secret.length - 4);
@@ -59,10 +59,13 @@ export async function disconnectRedis() {
 // Redis utility functions
 export const RedisKeys = {
   ACTIVE_ORDERS: 'active_orders',
+  ACTIVE_POSITIONS: 'active_positions',
   DAILY_STATS: 'daily_stats',
   PRICE_CACHE: 'price_cache',
   USER_SESSIONS: 'user_sessions',
   ORDER_UPDATES: 'order_updates',
+  PAPER_BALANCES: 'paper_balances',
+  PAPER_OPEN_ORDERS: 'paper_open_orders',
   
   // Generate dynamic keys
   dailyStatsKey: (date) => `daily_stats:${date}`,
@@ -0,0 +1,131 @@
+// Backtest Exchange for Bark Trader 🐶
+// Serves historical candles up to the simulated clock (never the future) and
+// fills orders with the paper trading engine, entirely in memory.
+import { INTERVAL_MS } from '../utils/intervals.js';
+import { PaperExchange } from './PaperExchange.js';
+
+export class BacktestExchange extends PaperExchange {
+  constructor(candlesBySymbol, baseInterval, clock, options = {}) {
+    super(null, new Map(), { ...options, clock, logFills: false });
+    this.name = 'Backtest';
+
+    this.candles = candlesBySymbol; // symbol -> kline arrays sorted by open time
+    this.baseInterval = baseInterval;
+    this.baseIntervalMs = INTERVAL_MS[baseInterval];
+
+    this.balances.set(this.quoteAsset, { available: this.startingBalance, onOrder: 0 });
+  }
+
+  async initialize() {
+    // Nothing to load, state lives only for the duration of the backtest
+  }
+
+  async testConnection() {
+    return { accountType: 'BACKTEST' };
+  }
+
+  // Move the market to the close of the latest candle at the current simulated time
+  advance() {
+    for (const symbol of this.candles.keys()) {
+      const closed = this.getClosedCandles(symbol, 1);
+      if (closed.length > 0) {
+        this.priceCache.set(symbol, parseFloat(closed[0][4]));
+      }
+    }
+  }
+
+  async getCandles(symbol, interval, options = {}) {
+    const limit = options.limit || 100;
+    const intervalMs = INTERVAL_MS[interval];
+
+    if (!intervalMs || intervalMs % this.baseIntervalMs !== 0) {
+      throw new Error(`Backtest cannot build ${interval} candles from ${this.baseInterval} data`);
+    }
+
+    const ratio = intervalMs / this.baseIntervalMs;
+    const baseCandles = this.getClosedCandles(symbol, limit * ratio + ratio);
+
+    return ratio === 1 ? baseCandles : this.aggregateCandles(baseCandles, intervalMs).slice(-limit);
+  }
+
+  async getTicker(symbol) {
+    const dayCandles = this.getClosedCandles(symbol, INTERVAL_MS['1d'] / this.baseIntervalMs);
+    if (dayCandles.length === 0) {
+      throw new Error(`No backtest data for ${symbol}`);
+    }
+
+    const open = parseFloat(dayCandles[0][1]);
+    const last = parseFloat(dayCandles[dayCandles.length - 1][4]);
+
+    return {
+      symbol,
+      lastPrice: last,
+      priceChangePercent: ((last - open) / open) * 100,
+      volume: dayCandles.reduce((sum, k) => sum + parseFloat(k[5]), 0),
+      quoteVolume: dayCandles.reduce((sum, k) => sum + parseFloat(k[7] || 0), 0)
+    };
+  }
+
+  subscribeTrades(symbols, callback) {
+    // Prices are driven by advance() during a backtest
+  }
+
+  subscribeDepth(symbols, callback) {
+    // No order book in backtests
+  }
+
+  // Last `count` candles whose close time has passed on the simulated clock
+  getClosedCandles(symbol, count) {
+    const candles = this.candles.get(symbol);
+    if (!candles) {
+      throw new Error(`No backtest data for ${symbol}`);
+    }
+
+    const now = this.clock.now();
+    let low = 0;
+    let high = candles.length;
+
+    // Binary search for the first candle still open at `now`
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (candles[mid][6] <= now) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    return candles.slice(Math.max(0, low - count), low);
+  }
+
+  aggregateCandles(candles, intervalMs) {
+    const aggregated = [];
+
+    for (const k of candles) {
+      const bucketOpen = Math.floor(k[0] / intervalMs) * intervalMs;
+      const last = aggregated[aggregated.length - 1];
+
+      if (!last || last[0] !== bucketOpen) {
+        aggregated.push([
+          bucketOpen, k[1], k[2], k[3], k[4], k[5], bucketOpen + intervalMs - 1, k[7] || '0'
+        ]);
+        continue;
+      }
+
+      last[2] = String(Math.max(parseFloat(last[2]), parseFloat(k[2])));
+      last[3] = String(Math.min(parseFloat(last[3]), parseFloat(k[3])));
+      last[4] = k[4];
+      last[5] = String(parseFloat(last[5]) + parseFloat(k[5]));
+      last[7] = String(parseFloat(last[7]) + parseFloat(k[7] || 0));
+    }
+
+    return aggregated;
+  }
+
+  // Backtests never touch Redis or MongoDB
+  async loadState() {}
+
+  async saveBalances() {}
+
+  async saveOpenOrders() {}
+}
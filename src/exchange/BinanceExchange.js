@@ -0,0 +1,270 @@
+import Binance from 'node-binance-api';
+import { ExchangeAdapter } from './ExchangeAdapter.js';
+
+// Binance implementation of the ExchangeAdapter contract
+export class BinanceExchange extends ExchangeAdapter {
+  constructor(options = {}) {
+    super('Binance');
+
+    const clientOptions = {
+      APIKEY: options.apiKey,
+      APISECRET: options.secretKey,
+      test: options.testnet,
+      verbose: options.verbose,
+      timeout: options.timeout
+    };
+
+    if (options.recvWindow) {
+      clientOptions.recvWindow = options.recvWindow;
+    }
+
+    this.client = new Binance().options(clientOptions);
+    this.apiUrl = options.testnet ? 'https://testnet.binance.vision/api/' : 'https://api.binance.com/api/';
+  }
+
+  // Connection
+  async testConnection() {
+    const accountInfo = await this.getAccount();
+    return { accountType: accountInfo.accountType };
+  }
+
+  async getAccount() {
+    return await this.client.account();
+  }
+
+  // Orders
+  async marketBuy(symbol, quantity) {
+    const order = await this.client.marketBuy(symbol, quantity);
+    return this.normalizeOrder(order);
+  }
+
+  async marketSell(symbol, quantity) {
+    const order = await this.client.marketSell(symbol, quantity);
+    return this.normalizeOrder(order);
+  }
+
+  async limitBuy(symbol, quantity, price) {
+    const order = await this.client.buy(symbol, quantity, price);
+    return this.normalizeOrder(order);
+  }
+
+  async limitSell(symbol, quantity, price) {
+    const order = await this.client.sell(symbol, quantity, price);
+    return this.normalizeOrder(order);
+  }
+
+  async stopSell(symbol, quantity, stopPrice, limitPrice = null) {
+    const order = await this.client.sell(symbol, quantity, limitPrice || 0, {
+      type: limitPrice ? 'STOP_LOSS_LIMIT' : 'STOP_LOSS',
+      stopPrice,
+      newOrderRespType: 'RESULT'
+    });
+    return this.normalizeOrder(order);
+  }
+
+  // node-binance-api only knows the retired OCO parameters, so the order list endpoint is called directly
+  async ocoSell(symbol, quantity, takeProfitPrice, stopPrice, stopLimitPrice = null) {
+    const params = {
+      symbol,
+      side: 'SELL',
+      quantity,
+      aboveType: 'LIMIT_MAKER',
+      abovePrice: takeProfitPrice,
+      belowType: stopLimitPrice ? 'STOP_LOSS_LIMIT' : 'STOP_LOSS',
+      belowStopPrice: stopPrice,
+      newOrderRespType: 'RESULT'
+    };
+
+    if (stopLimitPrice) {
+      params.belowPrice = stopLimitPrice;
+      params.belowTimeInForce = 'GTC';
+    }
+
+    const orderList = await this.client.signedRequest(`${this.apiUrl}v3/orderList/oco`, params, false, 'POST');
+    return this.normalizeOrderList(orderList);
+  }
+
+  async cancelOrderList(symbol, orderListId) {
+    const orderList = await this.client.signedRequest(`${this.apiUrl}v3/orderList`, { symbol, orderListId }, false, 'DELETE');
+    return this.normalizeOrderList(orderList);
+  }
+
+  async getOrder(symbol, orderId) {
+    const order = await this.client.orderStatus(symbol, orderId);
+    return this.normalizeOrder(order);
+  }
+
+  async cancelOrder(symbol, orderId) {
+    const order = await this.client.cancel(symbol, orderId);
+    return this.normalizeOrder(order);
+  }
+
+  async getOpenOrders(symbol = null) {
+    const orders = await this.client.openOrders(symbol || false);
+    return orders.map(order => this.normalizeOrder(order));
+  }
+
+  // Market data
+  async getCandles(symbol, interval, options = {}) {
+    return await this.client.candlesticks(symbol, interval, false, { limit: 100, ...options });
+  }
+
+  async getTicker(symbol) {
+    const ticker = await this.client.prevDay(symbol);
+    return {
+      symbol: ticker.symbol,
+      lastPrice: parseFloat(ticker.lastPrice),
+      priceChangePercent: parseFloat(ticker.priceChangePercent),
+      volume: parseFloat(ticker.volume),
+      quoteVolume: parseFloat(ticker.quoteVolume)
+    };
+  }
+
+  async getSymbolFilters() {
+    const info = await this.client.exchangeInfo();
+    const filters = {};
+
+    for (const symbolInfo of info.symbols || []) {
+      const byType = Object.fromEntries(symbolInfo.filters.map(filter => [filter.filterType, filter]));
+      const notional = byType.NOTIONAL || byType.MIN_NOTIONAL || {};
+
+      filters[symbolInfo.symbol] = {
+        stepSize: parseFloat(byType.LOT_SIZE?.stepSize || 0),
+        minQty: parseFloat(byType.LOT_SIZE?.minQty || 0),
+        maxQty: parseFloat(byType.LOT_SIZE?.maxQty || 0),
+        tickSize: parseFloat(byType.PRICE_FILTER?.tickSize || 0),
+        minPrice: parseFloat(byType.PRICE_FILTER?.minPrice || 0),
+        maxPrice: parseFloat(byType.PRICE_FILTER?.maxPrice || 0),
+        minNotional: parseFloat(notional.minNotional || 0)
+      };
+    }
+
+    return filters;
+  }
+
+  // Account
+  async getBalances() {
+    const balances = await this.client.balance();
+    const normalized = {};
+
+    for (const [asset, balance] of Object.entries(balances)) {
+      normalized[asset] = {
+        available: parseFloat(balance.available),
+        onOrder: parseFloat(balance.onOrder)
+      };
+    }
+
+    return normalized;
+  }
+
+  // Streams
+  subscribeTrades(symbols, callback) {
+    return this.client.websockets.trades(symbols, (trade) => {
+      callback({
+        symbol: trade.s,
+        price: parseFloat(trade.p),
+        quantity: parseFloat(trade.q),
+        timestamp: trade.T
+      });
+    });
+  }
+
+  subscribeDepth(symbols, callback) {
+    return this.client.websockets.depthCache(symbols, callback);
+  }
+
+  // executionReport events from the user data stream
+  subscribeOrderUpdates(callback) {
+    return this.client.websockets.userData(
+      () => {}, // Balance updates are not used yet
+      (report) => callback(this.normalizeExecutionReport(report))
+    );
+  }
+
+  normalizeExecutionReport(report) {
+    const executedQuantity = parseFloat(report.z);
+    const cummulativeQuoteQuantity = parseFloat(report.Z);
+    const lastFillQuantity = parseFloat(report.l);
+
+    return {
+      orderId: String(report.i),
+      symbol: report.s,
+      side: report.S,
+      type: this.normalizeOrderType(report.o),
+      status: report.X,
+      price: executedQuantity > 0 ? cummulativeQuoteQuantity / executedQuantity : parseFloat(report.p),
+      originalQuantity: parseFloat(report.q),
+      executedQuantity,
+      cummulativeQuoteQuantity,
+      fills: lastFillQuantity > 0 ? [{
+        price: parseFloat(report.L),
+        quantity: lastFillQuantity,
+        commission: parseFloat(report.n),
+        commissionAsset: report.N
+      }] : [],
+      stopPrice: parseFloat(report.P) || null,
+      orderListId: report.g >= 0 ? String(report.g) : null,
+      executionType: report.x,
+      rejectReason: report.r,
+      timestamp: report.T || report.E
+    };
+  }
+
+  // Convert a Binance REST order response into the adapter order shape
+  normalizeOrder(order) {
+    const executedQuantity = parseFloat(order.executedQty || 0);
+    const cummulativeQuoteQuantity = parseFloat(order.cummulativeQuoteQty || 0);
+    const fills = (order.fills || []).map(fill => ({
+      price: parseFloat(fill.price),
+      quantity: parseFloat(fill.qty),
+      commission: parseFloat(fill.commission),
+      commissionAsset: fill.commissionAsset
+    }));
+
+    const averagePrice = executedQuantity > 0 && cummulativeQuoteQuantity > 0
+      ? cummulativeQuoteQuantity / executedQuantity
+      : parseFloat(fills[0]?.price || order.price || 0);
+
+    return {
+      orderId: String(order.orderId),
+      symbol: order.symbol,
+      side: order.side,
+      type: this.normalizeOrderType(order.type),
+      status: order.status,
+      price: averagePrice,
+      originalQuantity: parseFloat(order.origQty || 0),
+      executedQuantity,
+      cummulativeQuoteQuantity,
+      fills,
+      stopPrice: parseFloat(order.stopPrice) || null,
+      orderListId: order.orderListId >= 0 ? String(order.orderListId) : null,
+      timestamp: order.transactTime || order.updateTime || order.time || Date.now()
+    };
+  }
+
+  // OCO responses list each leg in orderReports, in the order [above (take profit), below (stop)]
+  normalizeOrderList(orderList) {
+    const orders = (orderList.orderReports || []).map(report => this.normalizeOrder(report));
+    const stopIndex = orders.findIndex(order => order.type !== 'LIMIT');
+
+    return {
+      orderListId: String(orderList.orderListId),
+      symbol: orderList.symbol,
+      orders: stopIndex === 0 ? orders.reverse() : orders
+    };
+  }
+
+  // Binance's stop and maker types under the names the Order model uses
+  normalizeOrderType(type) {
+    switch (type) {
+      case 'LIMIT_MAKER':
+        return 'LIMIT';
+      case 'STOP_LOSS':
+        return 'STOP_MARKET';
+      case 'STOP_LOSS_LIMIT':
+        return 'STOP_LIMIT';
+      default:
+        return type;
+    }
+  }
+}
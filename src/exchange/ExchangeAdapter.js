@@ -0,0 +1,119 @@
+// Exchange Adapter contract for Bark Trader 🐶
+//
+// The trading bots only talk to an exchange through this interface, so a
+// simulator, a second exchange or a test double can be swapped in without
+// touching the trading logic.
+//
+// Shapes shared by every implementation:
+//   order   -> { orderId, symbol, side, type, status, price, originalQuantity,
+//                executedQuantity, cummulativeQuoteQuantity, fills, timestamp }
+//              `price` is the average fill price (or the limit price while unfilled)
+//              plus { stopPrice, orderListId } for stop orders and OCO legs (null otherwise)
+//   orderList -> { orderListId, symbol, orders } where orders holds every leg of an OCO
+//   candle  -> Binance kline array [openTime, open, high, low, close, volume, closeTime, ...]
+//              (the format technicalAnalysis.js consumes)
+//   ticker  -> { symbol, lastPrice, priceChangePercent, volume, quoteVolume }
+//   balance -> { [asset]: { available, onOrder } }
+//   trade   -> { symbol, price, quantity, timestamp }
+//   filters -> { [symbol]: { stepSize, minQty, maxQty, tickSize, minPrice, maxPrice, minNotional } }
+//   orderUpdate -> order shape where `fills` holds only this event's execution, plus
+//                  { executionType, rejectReason } (NEW, TRADE, CANCELED, EXPIRED, ...)
+export class ExchangeAdapter {
+  constructor(name) {
+    this.name = name;
+    this.isPaperTrading = false;
+  }
+
+  // Connection
+  async initialize() {
+    // Optional hook for adapters that need to load state before trading
+  }
+
+  async testConnection() {
+    throw this.notImplemented('testConnection');
+  }
+
+  async getAccount() {
+    throw this.notImplemented('getAccount');
+  }
+
+  // Orders
+  async marketBuy(symbol, quantity) {
+    throw this.notImplemented('marketBuy');
+  }
+
+  async marketSell(symbol, quantity) {
+    throw this.notImplemented('marketSell');
+  }
+
+  async limitBuy(symbol, quantity, price) {
+    throw this.notImplemented('limitBuy');
+  }
+
+  async limitSell(symbol, quantity, price) {
+    throw this.notImplemented('limitSell');
+  }
+
+  // Protective orders: sell once price falls to stopPrice, as a limit at limitPrice (STOP_LIMIT) or at
+  // market (STOP_MARKET) when no limit is given
+  async stopSell(symbol, quantity, stopPrice, limitPrice = null) {
+    throw this.notImplemented('stopSell');
+  }
+
+  // One-cancels-the-other sell: a take profit limit above the price and a stop below it, resolves
+  // with an orderList whose orders are [takeProfitOrder, stopOrder]
+  async ocoSell(symbol, quantity, takeProfitPrice, stopPrice, stopLimitPrice = null) {
+    throw this.notImplemented('ocoSell');
+  }
+
+  async cancelOrderList(symbol, orderListId) {
+    throw this.notImplemented('cancelOrderList');
+  }
+
+  async getOrder(symbol, orderId) {
+    throw this.notImplemented('getOrder');
+  }
+
+  async cancelOrder(symbol, orderId) {
+    throw this.notImplemented('cancelOrder');
+  }
+
+  async getOpenOrders(symbol = null) {
+    throw this.notImplemented('getOpenOrders');
+  }
+
+  // Market data
+  async getCandles(symbol, interval, options = {}) {
+    throw this.notImplemented('getCandles');
+  }
+
+  async getTicker(symbol) {
+    throw this.notImplemented('getTicker');
+  }
+
+  async getSymbolFilters() {
+    throw this.notImplemented('getSymbolFilters');
+  }
+
+  // Account
+  async getBalances() {
+    throw this.notImplemented('getBalances');
+  }
+
+  // Streams
+  subscribeTrades(symbols, callback) {
+    throw this.notImplemented('subscribeTrades');
+  }
+
+  subscribeDepth(symbols, callback) {
+    throw this.notImplemented('subscribeDepth');
+  }
+
+  subscribeOrderUpdates(callback) {
+    throw this.notImplemented('subscribeOrderUpdates');
+  }
+
+  notImplemented(method) {
+    return new Error(`${this.name} exchange does not implement ${method}()`);
+  }
+}
@@ -0,0 +1,491 @@
+// Paper Trading Exchange for Bark Trader 🐶
+// Simulates fills against the live price stream so new configs can run for
+// weeks without risking capital. Market data (candles, tickers, trade streams)
+// comes from the wrapped live exchange; orders never leave this process.
+import { redis, RedisKeys } from '../database/redis.js';
+import { systemClock } from '../utils/clock.js';
+import { logger } from '../utils/logger.js';
+import { splitSymbol } from '../utils/symbols.js';
+import { ExchangeAdapter } from './ExchangeAdapter.js';
+
+export class PaperExchange extends ExchangeAdapter {
+  constructor(marketData, priceCache, options = {}) {
+    super('Paper');
+    this.isPaperTrading = true;
+
+    this.marketData = marketData; // Live adapter used for prices and candles
+    this.priceCache = priceCache; // Shared with the bot, updated by the trade stream
+    this.quoteAsset = options.quoteAsset || 'USDT';
+    this.startingBalance = options.startingBalance ?? 1000;
+    this.slippagePercent = options.slippagePercent ?? 0.05;
+    this.feePercent = options.feePercent ?? 0.1;
+    this.clock = options.clock || systemClock;
+    this.logFills = options.logFills ?? true;
+
+    this.balances = new Map();   // asset -> { available, onOrder }
+    this.openOrders = new Map(); // orderId -> resting limit, stop or OCO leg order
+    this.orders = new Map();     // orderId -> every order seen this session
+    this.orderSequence = 0;
+    this.orderListSequence = 0;
+    this.orderUpdateListeners = [];
+  }
+
+  async initialize() {
+    await this.loadState();
+
+    if (this.balances.size === 0) {
+      this.balances.set(this.quoteAsset, { available: this.startingBalance, onOrder: 0 });
+      await this.saveBalances();
+    }
+
+    logger.info(`📝 Paper trading enabled with ${this.getBalance(this.quoteAsset).available.toFixed(2)} ${this.quoteAsset}`, {
+      openOrders: this.openOrders.size,
+      slippagePercent: this.slippagePercent,
+      feePercent: this.feePercent
+    });
+  }
+
+  // Connection
+  async testConnection() {
+    return { accountType: 'PAPER' };
+  }
+
+  async getAccount() {
+    return {
+      accountType: 'PAPER',
+      balances: Array.from(this.balances.entries()).map(([asset, balance]) => ({
+        asset,
+        free: balance.available,
+        locked: balance.onOrder
+      }))
+    };
+  }
+
+  // Orders
+  async marketBuy(symbol, quantity) {
+    const price = this.getMarketPrice(symbol) * (1 + this.slippagePercent / 100);
+    return await this.fillImmediately(symbol, 'BUY', 'MARKET', parseFloat(quantity), price);
+  }
+
+  async marketSell(symbol, quantity) {
+    const price = this.getMarketPrice(symbol) * (1 - this.slippagePercent / 100);
+    return await this.fillImmediately(symbol, 'SELL', 'MARKET', parseFloat(quantity), price);
+  }
+
+  async limitBuy(symbol, quantity, price) {
+    return await this.placeLimitOrder(symbol, 'BUY', parseFloat(quantity), parseFloat(price));
+  }
+
+  async limitSell(symbol, quantity, price) {
+    return await this.placeLimitOrder(symbol, 'SELL', parseFloat(quantity), parseFloat(price));
+  }
+
+  async stopSell(symbol, quantity, stopPrice, limitPrice = null) {
+    stopPrice = parseFloat(stopPrice);
+    this.checkStopPrice(symbol, stopPrice);
+
+    const order = this.createStopOrder(symbol, parseFloat(quantity), stopPrice, limitPrice && parseFloat(limitPrice));
+    this.reserve(order);
+    await this.restOrders([order]);
+
+    return { ...order };
+  }
+
+  // Both legs rest on the same base, only the take profit leg holds the reservation; whichever
+  // leg fills takes it over and the other one expires, like the exchange does
+  async ocoSell(symbol, quantity, takeProfitPrice, stopPrice, stopLimitPrice = null) {
+    quantity = parseFloat(quantity);
+    takeProfitPrice = parseFloat(takeProfitPrice);
+    stopPrice = parseFloat(stopPrice);
+    this.checkStopPrice(symbol, stopPrice);
+
+    const marketPrice = this.getMarketPrice(symbol);
+    if (takeProfitPrice <= marketPrice) {
+      throw new Error(`Take profit ${takeProfitPrice} for ${symbol} must be above the market price ${marketPrice}`);
+    }
+
+    this.orderListSequence++;
+    const orderListId = `PAPER-LIST-${this.clock.now()}-${this.orderListSequence}`;
+    const takeProfitOrder = this.createOrder(symbol, 'SELL', 'LIMIT', quantity, takeProfitPrice);
+    const stopOrder = this.createStopOrder(symbol, quantity, stopPrice, stopLimitPrice && parseFloat(stopLimitPrice));
+    takeProfitOrder.orderListId = orderListId;
+    stopOrder.orderListId = orderListId;
+
+    this.reserve(takeProfitOrder);
+    await this.restOrders([takeProfitOrder, stopOrder]);
+
+    return { orderListId, symbol, orders: [{ ...takeProfitOrder }, { ...stopOrder }] };
+  }
+
+  async cancelOrderList(symbol, orderListId) {
+    const legs = Array.from(this.openOrders.values())
+      .filter(order => order.orderListId === orderListId && order.symbol === symbol);
+    if (legs.length === 0) {
+      throw new Error(`Unknown order list ${orderListId}`);
+    }
+
+    for (const order of legs) {
+      this.closeOrder(order, 'CANCELED');
+    }
+    await this.saveOpenOrders();
+    await this.saveBalances();
+
+    return { orderListId, symbol, orders: legs.map(order => ({ ...order })) };
+  }
+
+  async getOrder(symbol, orderId) {
+    const order = this.orders.get(String(orderId));
+    if (!order || order.symbol !== symbol) {
+      throw new Error(`Order ${orderId} does not exist`);
+    }
+    return { ...order };
+  }
+
+  async cancelOrder(symbol, orderId) {
+    const order = this.openOrders.get(String(orderId));
+    if (!order || order.symbol !== symbol) {
+      throw new Error(`Unknown order ${orderId}`);
+    }
+
+    // Canceling one leg of an OCO cancels the whole list
+    if (order.orderListId) {
+      await this.cancelOrderList(symbol, order.orderListId);
+      return { ...order };
+    }
+
+    this.closeOrder(order, 'CANCELED');
+    await this.saveOpenOrders();
+    await this.saveBalances();
+
+    return { ...order };
+  }
+
+  async getOpenOrders(symbol = null) {
+    return Array.from(this.openOrders.values())
+      .filter(order => !symbol || order.symbol === symbol)
+      .map(order => ({ ...order }));
+  }
+
+  // Market data is read from the live exchange
+  async getCandles(symbol, interval, options = {}) {
+    return await this.marketData.getCandles(symbol, interval, options);
+  }
+
+  async getTicker(symbol) {
+    return await this.marketData.getTicker(symbol);
+  }
+
+  async getSymbolFilters() {
+    return await this.marketData.getSymbolFilters();
+  }
+
+  // Account
+  async getBalances() {
+    const balances = {};
+    for (const [asset, balance] of this.balances.entries()) {
+      balances[asset] = { ...balance };
+    }
+    return balances;
+  }
+
+  // Streams
+  subscribeTrades(symbols, callback) {
+    return this.marketData.subscribeTrades(symbols, (trade) => {
+      callback(trade);
+
+      this.matchRestingOrders(trade).catch(error => {
+        logger.error(`Paper order matching failed for ${trade.symbol}:`, error.message);
+      });
+    });
+  }
+
+  subscribeDepth(symbols, callback) {
+    return this.marketData.subscribeDepth(symbols, callback);
+  }
+
+  // Simulated executionReports, so order tracking works the same as live
+  subscribeOrderUpdates(callback) {
+    this.orderUpdateListeners.push(callback);
+  }
+
+  // Simulation internals
+  getMarketPrice(symbol) {
+    const price = this.priceCache?.get(symbol);
+    if (!price) {
+      throw new Error(`No live price available for ${symbol}`);
+    }
+    return price;
+  }
+
+  async fillImmediately(symbol, side, type, quantity, price) {
+    const order = this.createOrder(symbol, side, type, quantity, price);
+    this.reserve(order);
+    this.settleFill(order, price);
+
+    this.orders.set(order.orderId, order);
+    await this.saveBalances();
+    this.emitOrderUpdate(order, 'TRADE');
+
+    if (this.logFills) {
+      logger.info(`📝 Paper ${side} ${quantity} ${symbol} filled at ${price}`, { orderId: order.orderId, type });
+    }
+    return { ...order };
+  }
+
+  async placeLimitOrder(symbol, side, quantity, price) {
+    const marketPrice = this.priceCache?.get(symbol);
+    const crossesMarket = marketPrice && (side === 'BUY' ? marketPrice <= price : marketPrice >= price);
+
+    // Marketable limit orders fill straight away at the better of the two prices
+    if (crossesMarket) {
+      const fillPrice = side === 'BUY' ? Math.min(price, marketPrice) : Math.max(price, marketPrice);
+      return await this.fillImmediately(symbol, side, 'LIMIT', quantity, fillPrice);
+    }
+
+    const order = this.createOrder(symbol, side, 'LIMIT', quantity, price);
+    this.reserve(order);
+
+    this.orders.set(order.orderId, order);
+    this.openOrders.set(order.orderId, order);
+    await this.saveOpenOrders();
+    await this.saveBalances();
+    this.emitOrderUpdate(order, 'NEW');
+
+    if (this.logFills) {
+      logger.info(`📝 Paper LIMIT ${side} ${quantity} ${symbol} resting at ${price}`, { orderId: order.orderId });
+    }
+    return { ...order };
+  }
+
+  async matchRestingOrders(trade) {
+    for (const order of this.openOrders.values()) {
+      if (order.symbol !== trade.symbol) continue;
+
+      let fillPrice = null;
+      if (order.stopPrice && !order.triggered) {
+        // Stop sells wake up once price trades at or below the stop; a stop limit then works as a limit sell
+        if (trade.price > order.stopPrice) continue;
+        order.triggered = true;
+        await this.saveOpenOrders();
+        if (order.type === 'STOP_MARKET') fillPrice = trade.price * (1 - this.slippagePercent / 100);
+      }
+
+      if (fillPrice === null) {
+        const crossed = order.side === 'BUY' ? trade.price <= order.price : trade.price >= order.price;
+        if (!crossed) continue;
+        fillPrice = order.price;
+      }
+
+      if (order.orderListId) this.expireSiblings(order);
+      this.settleFill(order, fillPrice);
+      this.openOrders.delete(order.orderId);
+
+      await this.saveOpenOrders();
+      await this.saveBalances();
+      this.emitOrderUpdate(order, 'TRADE');
+
+      if (this.logFills) {
+        logger.info(`📝 Paper ${order.type} ${order.side} ${order.symbol} filled at ${fillPrice}`, { orderId: order.orderId });
+      }
+    }
+  }
+
+  // The other legs of a filling OCO expire, handing their share of the reservation to the filled leg
+  expireSiblings(order) {
+    for (const sibling of this.openOrders.values()) {
+      if (sibling.orderListId !== order.orderListId || sibling === order) continue;
+
+      if (sibling.reserved) {
+        order.reserved = sibling.reserved;
+        sibling.reserved = null;
+      }
+      this.closeOrder(sibling, 'EXPIRED');
+    }
+  }
+
+  // Take an open order off the book with a final status, returning what it had reserved
+  closeOrder(order, status) {
+    this.releaseReservation(order);
+    order.status = status;
+    order.timestamp = this.clock.now();
+
+    this.openOrders.delete(order.orderId);
+    this.emitOrderUpdate(order, status);
+  }
+
+  // The exchange rejects stop sells that would trigger straight away
+  checkStopPrice(symbol, stopPrice) {
+    const marketPrice = this.getMarketPrice(symbol);
+    if (stopPrice >= marketPrice) {
+      throw new Error(`Stop price ${stopPrice} for ${symbol} would trigger immediately at ${marketPrice}`);
+    }
+  }
+
+  // A stop market order has no price until it fills, its stop stands in while it rests
+  createStopOrder(symbol, quantity, stopPrice, limitPrice) {
+    const order = this.createOrder(symbol, 'SELL', limitPrice ? 'STOP_LIMIT' : 'STOP_MARKET', quantity, limitPrice || stopPrice);
+    order.stopPrice = stopPrice;
+    return order;
+  }
+
+  async restOrders(orders) {
+    for (const order of orders) {
+      this.orders.set(order.orderId, order);
+      this.openOrders.set(order.orderId, order);
+      this.emitOrderUpdate(order, 'NEW');
+    }
+    await this.saveOpenOrders();
+    await this.saveBalances();
+
+    if (this.logFills) {
+      for (const order of orders) {
+        logger.info(`📝 Paper ${order.type} ${order.side} ${order.originalQuantity} ${order.symbol} resting at ${order.stopPrice || order.price}`, {
+          orderId: order.orderId,
+          orderListId: order.orderListId
+        });
+      }
+    }
+  }
+
+  createOrder(symbol, side, type, quantity, price) {
+    if (!quantity || quantity <= 0) {
+      throw new Error(`Invalid quantity ${quantity} for ${symbol}`);
+    }
+
+    this.orderSequence++;
+    return {
+      orderId: `PAPER-${this.clock.now()}-${this.orderSequence}`,
+      symbol,
+      side,
+      type,
+      status: 'NEW',
+      price,
+      originalQuantity: quantity,
+      executedQuantity: 0,
+      cummulativeQuoteQuantity: 0,
+      fills: [],
+      stopPrice: null,
+      orderListId: null,
+      timestamp: this.clock.now()
+    };
+  }
+
+  // Lock the funds an order needs, rejecting it like the exchange would
+  reserve(order) {
+    const { base, quote } = splitSymbol(order.symbol);
+
+    if (order.side === 'BUY') {
+      const cost = order.originalQuantity * order.price * (1 + this.feePercent / 100);
+      this.moveToOnOrder(quote, cost, order.symbol);
+      order.reserved = { asset: quote, amount: cost };
+    } else {
+      this.moveToOnOrder(base, order.originalQuantity, order.symbol);
+      order.reserved = { asset: base, amount: order.originalQuantity };
+    }
+  }
+
+  releaseReservation(order) {
+    if (!order.reserved) return;
+
+    const balance = this.getBalance(order.reserved.asset);
+    balance.onOrder = Math.max(0, balance.onOrder - order.reserved.amount);
+    balance.available += order.reserved.amount;
+    order.reserved = null;
+  }
+
+  settleFill(order, price) {
+    const { base, quote } = splitSymbol(order.symbol);
+    const quantity = order.originalQuantity;
+    const notional = quantity * price;
+    const fee = notional * this.feePercent / 100;
+
+    // Drop the reservation, then apply the actual fill
+    const reservedAsset = this.getBalance(order.reserved.asset);
+    reservedAsset.onOrder = Math.max(0, reservedAsset.onOrder - order.reserved.amount);
+
+    if (order.side === 'BUY') {
+      const quoteBalance = this.getBalance(quote);
+      quoteBalance.available += order.reserved.amount - (notional + fee);
+      this.getBalance(base).available += quantity;
+    } else {
+      this.getBalance(quote).available += notional - fee;
+    }
+
+    order.reserved = null;
+    order.status = 'FILLED';
+    order.price = price;
+    order.executedQuantity = quantity;
+    order.cummulativeQuoteQuantity = notional;
+    order.fills = [{ price, quantity, commission: fee, commissionAsset: quote }];
+    order.timestamp = this.clock.now();
+  }
+
+  moveToOnOrder(asset, amount, symbol) {
+    const balance = this.getBalance(asset);
+    if (balance.available + 1e-12 < amount) {
+      throw new Error(`Insufficient ${asset} balance for ${symbol}: need ${amount}, have ${balance.available}`);
+    }
+    balance.available -= amount;
+    balance.onOrder += amount;
+  }
+
+  getBalance(asset) {
+    if (!this.balances.has(asset)) {
+      this.balances.set(asset, { available: 0, onOrder: 0 });
+    }
+    return this.balances.get(asset);
+  }
+
+
+  emitOrderUpdate(order, executionType) {
+    const { reserved, ...update } = order;
+
+    for (const listener of this.orderUpdateListeners) {
+      try {
+        listener({ ...update, fills: [...update.fills], executionType, rejectReason: 'NONE' });
+      } catch (error) {
+        logger.error(`Paper order update listener failed for ${order.orderId}:`, error.message);
+      }
+    }
+  }
+
+  // State persistence so virtual balances survive restarts
+  async loadState() {
+    try {
+      const balances = await redis.hGetAll(RedisKeys.PAPER_BALANCES);
+      for (const [asset, data] of Object.entries(balances)) {
+        this.balances.set(asset, JSON.parse(data));
+      }
+
+      const openOrders = await redis.hGetAll(RedisKeys.PAPER_OPEN_ORDERS);
+      for (const [orderId, data] of Object.entries(openOrders)) {
+        const order = JSON.parse(data);
+        this.openOrders.set(orderId, order);
+        this.orders.set(orderId, order);
+      }
+    } catch (error) {
+      logger.error('Failed to load paper trading state:', error);
+    }
+  }
+
+  async saveBalances() {
+    try {
+      for (const [asset, balance] of this.balances.entries()) {
+        await redis.hSet(RedisKeys.PAPER_BALANCES, asset, JSON.stringify(balance));
+      }
+    } catch (error) {
+      logger.error('Failed to save paper balances:', error);
+    }
+  }
+
+  async saveOpenOrders() {
+    try {
+      await redis.del(RedisKeys.PAPER_OPEN_ORDERS);
+      for (const [orderId, order] of this.openOrders.entries()) {
+        await redis.hSet(RedisKeys.PAPER_OPEN_ORDERS, orderId, JSON.stringify(order));
+      }
+    } catch (error) {
+      logger.error('Failed to save paper open orders:', error);
+    }
+  }
+}
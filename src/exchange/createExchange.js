@@ -0,0 +1,15 @@
+import { tradingConfig } from '../config/environment.js';
+import { BinanceExchange } from './BinanceExchange.js';
+import { PaperExchange } from './PaperExchange.js';
+
+// Build the exchange adapter a bot should trade through.
+// Paper trading still reads market data from Binance but simulates every fill.
+export function createExchange(binanceOptions, { paperTrading = false, priceCache = null } = {}) {
+  const liveExchange = new BinanceExchange(binanceOptions);
+
+  if (!paperTrading) {
+    return liveExchange;
+  }
+
+  return new PaperExchange(liveExchange, priceCache, tradingConfig.paperTrading);
+}
@@ -9,9 +9,12 @@ import env from './config/environment.js';
 
 import { connectMongoDB } from './database/mongodb.js';
 import { connectRedis } from './database/redis.js';
+import backtestRoutes from './routes/backtest.js';
 import configRoutes from './routes/config.js';
 import enhancedConfigRoutes from './routes/enhancedConfig.js';
+import gridRoutes from './routes/grid.js';
 import smartLossRoutes from './routes/smartLoss.js';
+import strategyRoutes from './routes/strategies.js';
 import tradingRoutes from './routes/trading.js';
 import { EnhancedTradingBot } from './trading/EnhancedTradingBot.js';
 import { TradingBot } from './trading/TradingBot.js';
@@ -30,6 +33,9 @@ app.use('/api/trading', tradingRoutes);
 app.use('/api/config', configRoutes);
 app.use('/api/enhanced-config', enhancedConfigRoutes);
 app.use('/api/smart-loss', smartLossRoutes);
+app.use('/api/backtest', backtestRoutes);
+app.use('/api/strategies', strategyRoutes);
+app.use('/api/grid', gridRoutes);
 
 app.get('/health', async (req, res) => {
   const features = {
@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+
+// Closed klines only: the forming candle is never stored
+const candleSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  interval: {
+    type: String,
+    required: true
+  },
+  openTime: {
+    type: Date,
+    required: true
+  },
+  closeTime: {
+    type: Date,
+    required: true
+  },
+  open: {
+    type: Number,
+    required: true
+  },
+  high: {
+    type: Number,
+    required: true
+  },
+  low: {
+    type: Number,
+    required: true
+  },
+  close: {
+    type: Number,
+    required: true
+  },
+  volume: {
+    type: Number,
+    default: 0
+  },
+  quoteVolume: {
+    type: Number,
+    default: 0
+  },
+  trades: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+candleSchema.index({ symbol: 1, interval: 1, openTime: 1 }, { unique: true });
+
+// Binance kline array -> candle fields
+candleSchema.statics.fromKline = function(symbol, interval, kline) {
+  return {
+    symbol,
+    interval,
+    openTime: new Date(kline[0]),
+    closeTime: new Date(kline[6]),
+    open: parseFloat(kline[1]),
+    high: parseFloat(kline[2]),
+    low: parseFloat(kline[3]),
+    close: parseFloat(kline[4]),
+    volume: parseFloat(kline[5]),
+    quoteVolume: parseFloat(kline[7] || 0),
+    trades: parseInt(kline[8] || 0)
+  };
+};
+
+// Candle (document or lean object) -> Binance kline array, the shape every caller expects
+candleSchema.statics.toKline = function(candle) {
+  return [
+    candle.openTime.getTime(),
+    String(candle.open),
+    String(candle.high),
+    String(candle.low),
+    String(candle.close),
+    String(candle.volume),
+    candle.closeTime.getTime(),
+    String(candle.quoteVolume),
+    candle.trades
+  ];
+};
+
+// Upsert klines, ignoring ones that are already stored
+candleSchema.statics.storeKlines = async function(symbol, interval, klines) {
+  if (klines.length === 0) return 0;
+
+  const result = await this.bulkWrite(klines.map(kline => {
+    const candle = this.fromKline(symbol, interval, kline);
+    return {
+      updateOne: {
+        filter: { symbol, interval, openTime: candle.openTime },
+        update: { $set: candle },
+        upsert: true
+      }
+    };
+  }), { ordered: false });
+
+  return result.upsertedCount;
+};
+
+// Stored candles as klines, oldest first: the range from startTime forwards,
+// otherwise the latest `limit` (optionally only those opening before `before`)
+candleSchema.statics.getKlines = async function(symbol, interval, { limit = 100, before = null, startTime = null, endTime = null } = {}) {
+  const filter = { symbol, interval };
+
+  if (startTime || endTime || before) {
+    filter.openTime = {};
+    if (startTime) filter.openTime.$gte = new Date(startTime);
+    if (endTime) filter.openTime.$lte = new Date(endTime);
+    if (before) filter.openTime.$lt = new Date(before);
+  }
+
+  const candles = startTime
+    ? await this.find(filter).sort({ openTime: 1 }).limit(limit).lean()
+    : (await this.find(filter).sort({ openTime: -1 }).limit(limit).lean()).reverse();
+
+  return candles.map(candle => this.toKline(candle));
+};
+
+export const Candle = mongoose.model('Candle', candleSchema);
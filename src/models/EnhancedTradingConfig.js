@@ -1,4 +1,37 @@
 import mongoose from 'mongoose';
+import { RULE_OPERATORS, TIMEFRAMES } from '../trading/MultiTimeframeAnalyzer.js';
+import { DEFAULT_MIN_PATTERN_STRENGTH } from '../utils/candlestickPatterns.js';
+import { STOP_MODELS } from '../utils/stopModels.js';
+import { SMOOTHING_METHODS } from '../utils/streamingIndicators.js';
+import { DEFAULT_ENABLED_INDICATORS, EXTENDED_INDICATORS, VWAP_ANCHORS } from '../utils/technicalAnalysis.js';
+
+// Sizing assumptions until a symbol has enough closed trades to measure its own
+const DEFAULT_WIN_RATE = 0.5;
+const DEFAULT_AVG_WIN = 0.1;
+const DEFAULT_AVG_LOSS = 0.08;
+const MIN_VOLATILITY = 0.005; // Floor so near-flat symbols don't get unbounded weight
+
+// One condition of a strategy's multi-timeframe entry filter
+const timeframeRuleSchema = new mongoose.Schema({
+  timeframe: {
+    type: String,
+    enum: TIMEFRAMES,
+    required: true
+  },
+  indicator: {
+    type: String, // Snapshot path: 'rsi', 'macd.histogram', 'trend', 'supertrend.direction'
+    required: true
+  },
+  operator: {
+    type: String,
+    enum: RULE_OPERATORS,
+    required: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, { _id: false });
 
 const enhancedTradingConfigSchema = new mongoose.Schema({
   // Portfolio Management 🐶
@@ -113,6 +146,33 @@ const enhancedTradingConfigSchema = new mongoose.Schema({
     dynamicSizing: {
       type: Boolean,
       default: true
+    },
+    // Share of the full Kelly bet actually placed (full Kelly is far too aggressive)
+    kellyFraction: {
+      type: Number,
+      default: 0.25,
+      min: 0.05,
+      max: 1
+    },
+    // Cap so a one-day move of the position risks at most this % of capital (0 disables)
+    volatilityTargetPercentage: {
+      type: Number,
+      default: 1,
+      min: 0,
+      max: 10
+    },
+    // Trade history used for win rate, average win and average loss
+    statsLookbackDays: {
+      type: Number,
+      default: 90,
+      min: 7,
+      max: 365
+    },
+    minTradesForStats: {
+      type: Number,
+      default: 10,
+      min: 3,
+      max: 200
     }
   },
 
@@ -149,6 +209,98 @@ const enhancedTradingConfigSchema = new mongoose.Schema({
       default: 0.7, // Don't hold highly correlated assets
       min: 0,
       max: 1
+    },
+    // How each new position's stop is set and moved, recalculated on every evaluation and never
+    // loosened (see src/utils/stopModels.js). Positions keep the model they were opened with.
+    stops: {
+      model: {
+        type: String,
+        enum: STOP_MODELS,
+        default: 'fixed'
+      },
+      atrMultiplier: {
+        type: Number,
+        default: 2.5,
+        min: 0.5,
+        max: 10
+      },
+      chandelierPeriod: {
+        type: Number,
+        default: 22,
+        min: 5,
+        max: 200
+      },
+      chandelierMultiplier: {
+        type: Number,
+        default: 3,
+        min: 0.5,
+        max: 10
+      },
+      supertrendPeriod: {
+        type: Number,
+        default: 10,
+        min: 2,
+        max: 100
+      },
+      supertrendMultiplier: {
+        type: Number,
+        default: 3,
+        min: 0.5,
+        max: 10
+      },
+      swingLookback: {
+        type: Number,
+        default: 3,
+        min: 1,
+        max: 10
+      },
+      swingBufferPercent: {
+        type: Number,
+        default: 0.2, // Below the swing low, so a retest doesn't stop out
+        min: 0,
+        max: 5
+      }
+    },
+    // Partial take profits: each tier sells a share of the entry quantity once its profit is
+    // reached, what is left after the last tier trails instead of taking the full profit target
+    scaleOut: {
+      enabled: {
+        type: Boolean,
+        default: false // Opt in, a scaled-out position no longer exits at its own take profit
+      },
+      tiers: {
+        type: [{
+          profitPercent: {
+            type: Number,
+            required: true,
+            min: 0.1,
+            max: 100
+          },
+          sellPercent: {
+            type: Number, // Of the entry quantity
+            required: true,
+            min: 1,
+            max: 100
+          }
+        }],
+        default: () => [{ profitPercent: 5, sellPercent: 33 }, { profitPercent: 10, sellPercent: 33 }],
+        validate: {
+          validator: tiers => tiers.every((tier, i) => i === 0 || tier.profitPercent > tiers[i - 1].profitPercent) &&
+            tiers.reduce((sum, tier) => sum + tier.sellPercent, 0) <= 100,
+          message: 'Scale-out tiers need rising profit levels and may sell at most 100% in total'
+        }
+      },
+      // Stop moves to the entry price (plus the offset, covering fees) once the first tier sells
+      breakEvenAfterFirstTier: {
+        type: Boolean,
+        default: true
+      },
+      breakEvenOffsetPercent: {
+        type: Number,
+        default: 0.1,
+        min: 0,
+        max: 5
+      }
     }
   },
 
@@ -170,7 +322,9 @@ const enhancedTradingConfigSchema = new mongoose.Schema({
         default: 3, // 3% quick profit for day trades
         min: 0.5,
         max: 10
-      }
+      },
+      // Multi-timeframe entry filter, e.g. 1h trend not DOWNTREND and 15m rsi below 35
+      timeframeRules: [timeframeRuleSchema]
     },
     swingTrading: {
       enabled: {
@@ -192,10 +346,71 @@ const enhancedTradingConfigSchema = new mongoose.Schema({
           type: Number,
           default: 25 // 25% maximum target
         }
+      },
+      // Multi-timeframe entry filter, e.g. 1h trend not DOWNTREND and 15m rsi below 35
+      timeframeRules: [timeframeRuleSchema]
+    },
+    // Limit order ladders per symbol, see GridManager. Grids are created through /api/grid;
+    // while disabled, fills are still recorded but filled levels are not re-armed
+    gridTrading: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      maxCapitalPercentage: {
+        type: Number,
+        default: 50, // Share of available capital (after the reserve) all grids may commit
+        min: 5,
+        max: 100
+      },
+      minStepPercent: {
+        type: Number,
+        default: 0.3, // Narrowest level spacing, each round trip has to cover two fees
+        min: 0.05,
+        max: 10
       }
     }
   },
 
+  // Entry strategy plugins (see StrategyRegistry): registered strategies missing here run
+  // enabled with weight 1 and their default settings
+  strategies: [{
+    name: {
+      type: String,
+      required: true
+    },
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Multiplies the strategy's confidence; 0 turns it off
+    weight: {
+      type: Number,
+      default: 1,
+      min: 0,
+      max: 5
+    },
+    // Validated against the strategy's settingsSchema
+    settings: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    // Per-symbol overrides, unset fields inherit from the strategy
+    symbols: [{
+      symbol: {
+        type: String,
+        uppercase: true,
+        required: true
+      },
+      enabled: Boolean,
+      weight: {
+        type: Number,
+        min: 0,
+        max: 5
+      }
+    }]
+  }],
+
   // Market Conditions & Filters
   marketConditions: {
     bullMarketThreshold: {
@@ -250,6 +465,38 @@ const enhancedTradingConfigSchema = new mongoose.Schema({
       default: 15, // 15 minutes cooldown
       min: 1,
       max: 1440
+    },
+    // Exchange-side stop (and take profit) orders placed after every entry fill, so positions stay
+    // protected while the bot is down. Stops follow the trailing stop; smart sells cancel them first.
+    protectiveOrders: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      stopType: {
+        type: String,
+        enum: ['STOP_LIMIT', 'STOP_MARKET'],
+        default: 'STOP_LIMIT'
+      },
+      // Limit price of a stop limit under its stop, room for the order to fill in a fast drop
+      stopLimitOffsetPercent: {
+        type: Number,
+        default: 0.5,
+        min: 0.05,
+        max: 10
+      },
+      // Pair the stop with a take profit limit in an OCO; scaled-out positions only ever get the stop
+      takeProfit: {
+        type: Boolean,
+        default: true
+      },
+      // Replacing the orders costs a cancel and a new order, so the stop is only moved up in steps
+      minAmendPercent: {
+        type: Number,
+        default: 0.5,
+        min: 0,
+        max: 10
+      }
     }
   },
 
@@ -320,6 +567,207 @@ const enhancedTradingConfigSchema = new mongoose.Schema({
     }
   },
 
+  // Exchange vs bot state reconciliation
+  reconciliation: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // What to do when positions and the exchange disagree
+    policy: {
+      type: String,
+      enum: ['report_only', 'auto_repair', 'pause_trading'],
+      default: 'report_only'
+    },
+    intervalMinutes: {
+      type: Number,
+      default: 30,
+      min: 5,
+      max: 1440
+    },
+    // Base-asset fees make balances drift slightly below the filled quantity
+    quantityTolerancePercent: {
+      type: Number,
+      default: 1,
+      min: 0,
+      max: 10
+    },
+    staleOrderMinutes: {
+      type: Number,
+      default: 60,
+      min: 5,
+      max: 10080
+    },
+    // Auto-repair can take over untracked balances as positions (off: they may be long-term holdings)
+    adoptOrphanedBalances: {
+      type: Boolean,
+      default: false
+    }
+  },
+
+  // Rolling return correlations between active symbols (feeds riskManagement.maxCorrelation)
+  correlation: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    interval: {
+      type: String,
+      enum: ['15m', '30m', '1h', '4h', '1d'],
+      default: '1h'
+    },
+    // Lookbacks in candles; the strongest correlation across windows is enforced
+    windows: {
+      type: [Number],
+      default: [24, 168],
+      validate: {
+        validator: windows => windows.length > 0 && windows.every(w => Number.isInteger(w) && w >= 10 && w <= 1000),
+        message: 'Correlation windows must be 1+ integers between 10 and 1000 candles'
+      }
+    },
+    refreshMinutes: {
+      type: Number,
+      default: 60,
+      min: 5,
+      max: 1440
+    }
+  },
+
+  // Support/resistance levels that new entries' stop loss and take profit snap to
+  levels: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Candles for swing levels and the volume profile; pivots always use the last daily candle
+    interval: {
+      type: String,
+      enum: ['15m', '30m', '1h', '4h'],
+      default: '1h'
+    },
+    candles: {
+      type: Number,
+      default: 200,
+      min: 50,
+      max: 1000
+    },
+    swingLookback: {
+      type: Number,
+      default: 3,
+      min: 1,
+      max: 10
+    },
+    clusterTolerancePercent: {
+      type: Number,
+      default: 0.5, // Swings within 0.5% count as one level
+      min: 0.05,
+      max: 5
+    },
+    volumeProfileBins: {
+      type: Number,
+      default: 24,
+      min: 10,
+      max: 200
+    },
+    valueAreaPercent: {
+      type: Number,
+      default: 70,
+      min: 50,
+      max: 95
+    },
+    snapStopLoss: {
+      type: Boolean,
+      default: true
+    },
+    snapTakeProfit: {
+      type: Boolean,
+      default: true
+    },
+    minStrength: {
+      type: Number,
+      default: 0.5, // Weaker levels are ignored for snapping
+      min: 0,
+      max: 1
+    },
+    bufferPercent: {
+      type: Number,
+      default: 0.2, // Stop below support / target below resistance by this much
+      min: 0,
+      max: 2
+    },
+    minStopDistancePercent: {
+      type: Number,
+      default: 1, // Supports closer to the entry would get the stop hit by noise
+      min: 0.1,
+      max: 10
+    }
+  },
+
+  // Indicator periods and smoothing ('wilder' matches TradingView and exchange charts)
+  indicatorSettings: {
+    rsi: {
+      period: {
+        type: Number,
+        default: 14,
+        min: 2,
+        max: 100
+      },
+      smoothing: {
+        type: String,
+        enum: SMOOTHING_METHODS,
+        default: 'wilder'
+      }
+    },
+    atr: {
+      period: {
+        type: Number,
+        default: 14,
+        min: 2,
+        max: 100
+      },
+      smoothing: {
+        type: String,
+        enum: SMOOTHING_METHODS,
+        default: 'wilder'
+      }
+    },
+    // Extended indicators added to every snapshot (ADX, Ichimoku, VWAP, ...)
+    enabled: {
+      type: [{ type: String, enum: EXTENDED_INDICATORS }],
+      default: DEFAULT_ENABLED_INDICATORS
+    },
+    anchoredVwapAnchor: {
+      type: String,
+      enum: VWAP_ANCHORS,
+      default: 'lowest_low'
+    },
+    // Candlestick patterns weaker than this are left out of snapshots and signals
+    minPatternStrength: {
+      type: Number,
+      default: DEFAULT_MIN_PATTERN_STRENGTH,
+      min: 0,
+      max: 1
+    }
+  },
+
+  // Closed-candle indicator snapshots on several timeframes for strategies and smart loss
+  multiTimeframe: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    timeframes: {
+      type: [{ type: String, enum: TIMEFRAMES }],
+      default: TIMEFRAMES
+    },
+    candles: {
+      type: Number,
+      default: 100, // Per timeframe, enough for SMA50 and MACD
+      min: 50,
+      max: 500
+    }
+  },
+
   // Base configuration (keeping compatibility)
   activeSymbols: [{
     type: String,
@@ -403,41 +851,67 @@ enhancedTradingConfigSchema.methods.shouldAcceptLoss = function (position, curre
   return isExpired && (!isInGracePeriod || lossExceedsThreshold);
 };
 
-enhancedTradingConfigSchema.methods.calculateOptimalPositionSize = function (symbol, volatility, winRate) {
+// inputs: measured by SizingStatistics ({ winRate, avgWin, avgLoss, payoffRatio, volatility, averageVolatility, ... }).
+// Returns the size together with everything that produced it, so each buy can be audited.
+enhancedTradingConfigSchema.methods.calculateOptimalPositionSize = function (symbol, inputs = {}) {
   const availableCapital = this.availableCapital;
-  const strategy = this.positionSizing.strategy;
+  const { strategy, minPositionSize, maxPositionSize, kellyFraction, volatilityTargetPercentage } = this.positionSizing;
+  const equalShare = availableCapital / this.portfolioSettings.maxActiveSymbols;
+  const sizing = { method: strategy, inputs };
+  let positionSize;
 
   switch (strategy) {
     case 'equal_weight':
-      return availableCapital / this.portfolioSettings.maxActiveSymbols;
-
-    case 'risk_parity':
-      // Inverse volatility weighting
-      const avgVolatility = 0.15; // Assume 15% average crypto volatility
-      const volAdjustment = avgVolatility / Math.max(volatility, 0.05);
-      return Math.min(
-        (availableCapital / this.portfolioSettings.maxActiveSymbols) * volAdjustment,
-        this.positionSizing.maxPositionSize
-      );
-
-    case 'kelly_criterion':
-      // Kelly formula: f = (bp - q) / b
-      // where b = odds, p = win probability, q = lose probability
-      if (!winRate || winRate <= 0.5) return this.positionSizing.minPositionSize;
-
-      const avgWin = 0.1; // Assume 10% average win
-      const avgLoss = 0.08; // Assume 8% average loss
-      const kellyFraction = ((avgWin * winRate) - (1 - winRate)) / avgWin;
-
-      return Math.min(
-        Math.max(availableCapital * kellyFraction, this.positionSizing.minPositionSize),
-        this.positionSizing.maxPositionSize
-      );
+      positionSize = equalShare;
+      break;
+
+    case 'risk_parity': {
+      // Inverse volatility weighting against the average of the active symbols
+      if (!inputs.volatility || !inputs.averageVolatility) {
+        sizing.note = 'No realized volatility yet, using equal weight';
+        positionSize = equalShare;
+        break;
+      }
+      sizing.volatilityAdjustment = inputs.averageVolatility / Math.max(inputs.volatility, MIN_VOLATILITY);
+      positionSize = equalShare * sizing.volatilityAdjustment;
+      break;
+    }
+
+    case 'kelly_criterion': {
+      // Kelly formula: f* = p - q / b
+      // where p = win probability, q = 1 - p, b = payoff ratio (average win / average loss)
+      const winRate = inputs.winRate ?? DEFAULT_WIN_RATE;
+      const avgWin = inputs.avgWin ?? DEFAULT_AVG_WIN;
+      const avgLoss = inputs.avgLoss ?? DEFAULT_AVG_LOSS;
+      const payoffRatio = avgLoss > 0 ? avgWin / avgLoss : Infinity; // No losses yet: edge is the win rate
+
+      sizing.fullKelly = payoffRatio > 0 ? winRate - (1 - winRate) / payoffRatio : 0; // Never won: no edge
+      sizing.kellyFraction = kellyFraction;
+      sizing.assumedStats = inputs.winRate == null;
+
+      positionSize = sizing.fullKelly > 0
+        ? availableCapital * sizing.fullKelly * kellyFraction
+        : minPositionSize; // No edge measured, stay at the smallest size
+      break;
+    }
 
     case 'fixed_amount':
     default:
-      return this.positionSizing.minPositionSize;
+      sizing.positionSize = minPositionSize;
+      return sizing;
+  }
+
+  // Volatility target: a one-day move of the position should not exceed the target share of capital
+  if (volatilityTargetPercentage > 0 && inputs.volatility) {
+    sizing.volatilityCap = (this.portfolioSettings.totalCapital * volatilityTargetPercentage / 100) / inputs.volatility;
+    if (positionSize > sizing.volatilityCap) {
+      positionSize = sizing.volatilityCap;
+      sizing.volatilityCapped = true;
+    }
   }
+
+  sizing.positionSize = Math.min(Math.max(positionSize, minPositionSize), maxPositionSize);
+  return sizing;
 };
 
 // Static methods
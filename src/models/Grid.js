@@ -0,0 +1,149 @@
+import mongoose from 'mongoose';
+
+export const GRID_STATUSES = ['ACTIVE', 'PAUSED', 'STOPPED'];
+export const GRID_SPACINGS = ['arithmetic', 'geometric'];
+
+// One rung of the ladder: buys at buyPrice, sells what it bought one step up at sellPrice.
+//   BUY_OPEN   limit buy resting at buyPrice
+//   SELL_OPEN  holding quantity, limit sell resting at sellPrice
+//   IDLE       no order (grid paused, or the order was canceled outside the bot)
+const gridLevelSchema = new mongoose.Schema({
+  index: {
+    type: Number,
+    required: true
+  },
+  buyPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  sellPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['BUY_OPEN', 'SELL_OPEN', 'IDLE'],
+    default: 'IDLE'
+  },
+  orderId: String, // Resting order, null when IDLE
+  // Bought and not sold yet, with its average cost
+  holdingQuantity: {
+    type: Number,
+    default: 0
+  },
+  entryPrice: {
+    type: Number,
+    default: 0
+  },
+  buyOrderId: String, // Buy behind the holding, linked as the sell's buyOrderId
+  buyFills: {
+    type: Number,
+    default: 0
+  },
+  sellFills: {
+    type: Number,
+    default: 0
+  },
+  profit: {
+    type: Number,
+    default: 0
+  },
+  lastFilledAt: Date,
+  lastError: String
+}, { _id: false });
+
+const gridSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  status: {
+    type: String,
+    enum: GRID_STATUSES,
+    default: 'ACTIVE'
+  },
+  lowerPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  upperPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  gridCount: {
+    type: Number,
+    required: true,
+    min: 2,
+    max: 100
+  },
+  spacing: {
+    type: String,
+    enum: GRID_SPACINGS,
+    default: 'arithmetic'
+  },
+  // Quote asset committed to the grid, split evenly between the levels
+  capital: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  levels: [gridLevelSchema],
+  // Market buy covering the levels above the price when the grid started
+  initialOrderId: String,
+  totalProfit: {
+    type: Number,
+    default: 0
+  },
+  completedCycles: {
+    type: Number,
+    default: 0
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  stoppedAt: Date,
+  stopReason: String,
+  isTestOrder: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Only one running (active or paused) grid per symbol, stopped grids stay as history
+gridSchema.index({ symbol: 1 }, { unique: true, partialFilterExpression: { status: { $in: ['ACTIVE', 'PAUSED'] } } });
+gridSchema.index({ status: 1 });
+
+gridSchema.statics.findRunning = function(symbol = null) {
+  const filter = { status: { $in: ['ACTIVE', 'PAUSED'] } };
+  if (symbol) filter.symbol = symbol;
+  return this.find(filter);
+};
+
+gridSchema.methods.findLevelByOrder = function(orderId) {
+  return this.levels.find(level => level.orderId === String(orderId)) || null;
+};
+
+// Base asset the grid holds across all levels
+gridSchema.methods.inventoryQuantity = function() {
+  return this.levels.reduce((sum, level) => sum + level.holdingQuantity, 0);
+};
+
+gridSchema.methods.inventoryCost = function() {
+  return this.levels.reduce((sum, level) => sum + level.holdingQuantity * level.entryPrice, 0);
+};
+
+export const Grid = mongoose.model('Grid', gridSchema);
@@ -37,6 +37,9 @@ const orderSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Stop orders trigger at stopPrice; OCO legs share the exchange's orderListId
+  stopPrice: Number,
+  orderListId: String,
   executedQuantity: {
     type: Number,
     default: 0
@@ -73,6 +76,14 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Individual executions reported by the exchange
+  fills: [{
+    price: Number,
+    quantity: Number,
+    commission: Number,
+    commissionAsset: String,
+    timestamp: Date
+  }],
   buyOrderId: {
     type: String,
     index: true
@@ -81,6 +92,12 @@ const orderSchema = new mongoose.Schema({
     type: String,
     index: true
   },
+  // Position the order opened, added to or sold from; tranche is the scale-out tier a partial sell filled
+  positionId: {
+    type: String,
+    index: true
+  },
+  tranche: Number,
   // Technical analysis data
   indicators: {
     rsi: Number,
@@ -93,6 +110,8 @@ const orderSchema = new mongoose.Schema({
       lower: Number
     }
   },
+  // Named signals behind the decision (indicator conditions, candlestick patterns)
+  signals: [String],
   // Risk management
   stopLoss: {
     type: Number,
@@ -106,6 +125,22 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Inputs behind the position size of a buy, kept for auditing
+  sizing: {
+    method: String,
+    positionSize: Number,
+    source: String,
+    trades: Number,
+    winRate: Number,
+    avgWin: Number,
+    avgLoss: Number,
+    payoffRatio: Number,
+    fullKelly: Number,
+    kellyFraction: Number,
+    volatility: Number,
+    averageVolatility: Number,
+    volatilityCap: Number
+  },
   // Metadata
   strategy: {
     type: String,
@@ -211,6 +246,19 @@ orderSchema.statics.calculateDailyPnL = function(date = new Date()) {
   ]);
 };
 
+// Execution fields of an exchange adapter order, for new Order documents
+orderSchema.statics.executionFields = function(order) {
+  const fills = (order.fills || []).map(fill => ({ ...fill, timestamp: new Date(order.timestamp || Date.now()) }));
+
+  return {
+    originalQuantity: order.originalQuantity,
+    executedQuantity: order.executedQuantity,
+    cummulativeQuoteQuantity: order.cummulativeQuoteQuantity,
+    fees: fills.reduce((sum, fill) => sum + (fill.commission || 0), 0),
+    fills
+  };
+};
+
 // Pre-save middleware
 orderSchema.pre('save', function(next) {
   this.updateTime = new Date();
@@ -0,0 +1,186 @@
+import mongoose from 'mongoose';
+
+const positionOrderSchema = new mongoose.Schema({
+  orderId: {
+    type: String,
+    required: true
+  },
+  price: Number,
+  quantity: Number,
+  reason: String,
+  pnl: Number, // Exits only, realized on this order
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Safety order of a DCA campaign, triggered when price falls to triggerPrice
+const safetyOrderSchema = new mongoose.Schema({
+  index: Number,
+  deviationPercent: Number, // Below the base order price
+  triggerPrice: Number,
+  size: Number, // Quote asset
+  status: {
+    type: String,
+    enum: ['PENDING', 'FILLED', 'SKIPPED'],
+    default: 'PENDING'
+  },
+  orderId: String,
+  price: Number,
+  quantity: Number,
+  cost: Number,
+  filledAt: Date
+}, { _id: false });
+
+// Partial take profit: sells quantity once price reaches targetPrice
+const scaleOutTierSchema = new mongoose.Schema({
+  index: Number,
+  profitPercent: Number,
+  sellPercent: Number, // Of the entry quantity
+  targetPrice: Number,
+  quantity: Number,
+  status: {
+    type: String,
+    enum: ['PENDING', 'FILLED', 'SKIPPED'],
+    default: 'PENDING'
+  },
+  orderId: String,
+  price: Number,
+  filledQuantity: Number,
+  pnl: Number,
+  filledAt: Date
+}, { _id: false });
+
+const positionSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  // Entry order that opened the position, used as its key by the bots
+  orderId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['OPEN', 'CLOSED'],
+    default: 'OPEN'
+  },
+  entryPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  entryTime: {
+    type: Date,
+    default: Date.now
+  },
+  entryOrders: [positionOrderSchema],
+  exitOrders: [positionOrderSchema],
+  // Risk management
+  stopLoss: {
+    type: Number,
+    min: 0
+  },
+  takeProfit: {
+    type: Number,
+    min: 0
+  },
+  trailingHigh: {
+    type: Number,
+    min: 0
+  },
+  // Strategy metadata
+  strategy: {
+    type: String,
+    default: 'default'
+  },
+  signals: [String],
+  confidence: Number,
+  stopModel: String, // riskManagement.stops.model when the position opened, fixed when missing
+  // DCA campaign plan and progress; entryPrice is the weighted average of every fill
+  dca: {
+    basePrice: Number,
+    baseOrderSize: Number,
+    maxCapital: Number,
+    invested: Number, // Quote asset spent on the base and filled safety orders
+    takeProfitPercent: Number,
+    safetyOrders: [safetyOrderSchema]
+  },
+  // Scale-out plan; quantity is what is still held, pnl of sold tranches accrues in realizedPnl
+  scaleOut: {
+    initialQuantity: Number,
+    realizedPnl: Number,
+    breakEvenApplied: Boolean,
+    tiers: [scaleOutTierSchema]
+  },
+  // Exchange-side protective orders resting for this position: a stop, alone or in an OCO with a
+  // take profit limit; orderListId is set for OCOs
+  protection: {
+    orderListId: String,
+    stopOrderId: String,
+    takeProfitOrderId: String,
+    stopPrice: Number,
+    stopLimitPrice: Number,
+    takeProfitPrice: Number,
+    quantity: Number,
+    placedAt: Date
+  },
+  // Outcome
+  exitPrice: Number,
+  exitTime: Date,
+  exitReason: String,
+  pnl: {
+    type: Number,
+    default: 0
+  },
+  pnlPercentage: {
+    type: Number,
+    default: 0
+  },
+  isPaperTrading: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+positionSchema.index({ status: 1, symbol: 1 });
+positionSchema.index({ symbol: 1, exitTime: -1 });
+
+positionSchema.statics.findOpen = function() {
+  return this.find({ status: 'OPEN' }).sort({ entryTime: 1 });
+};
+
+// The plain object shape the bots and SmartLossManager work with
+positionSchema.methods.toActivePosition = function() {
+  return {
+    positionId: this._id.toString(),
+    orderId: this.orderId,
+    entryPrice: this.entryPrice,
+    quantity: this.quantity,
+    entryTime: this.entryTime.getTime(),
+    strategy: this.strategy,
+    stopLoss: this.stopLoss,
+    takeProfit: this.takeProfit,
+    trailingHigh: this.trailingHigh,
+    signals: this.signals,
+    confidence: this.confidence,
+    stopModel: this.stopModel,
+    dca: this.dca?.basePrice ? this.toObject().dca : undefined,
+    scaleOut: this.scaleOut?.initialQuantity ? this.toObject().scaleOut : undefined,
+    protection: this.protection?.stopOrderId ? this.toObject().protection : undefined
+  };
+};
+
+export const Position = mongoose.model('Position', positionSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { STRATEGY_NAMES } from '../trading/TradingStrategies.js';
 
 const tradingConfigSchema = new mongoose.Schema({
   // Active trading symbols
@@ -138,7 +139,7 @@ const tradingConfigSchema = new mongoose.Schema({
   strategySettings: {
     strategy: {
       type: String,
-      enum: ['rsi_sma', 'macd', 'bollinger', 'momentum', 'mean_reversion'],
+      enum: STRATEGY_NAMES,
       default: 'rsi_sma'
     },
     enableStopLoss: {
@@ -304,6 +305,14 @@ tradingConfigSchema.methods.validateSettings = function () {
     errors.push('Short SMA period must be less than long SMA period');
   }
 
+  if (this.technicalSettings.macdFastPeriod >= this.technicalSettings.macdSlowPeriod) {
+    errors.push('MACD fast period must be less than MACD slow period');
+  }
+
+  if (this.technicalSettings.rsiBuyThreshold >= this.technicalSettings.rsiSellThreshold) {
+    errors.push('RSI buy threshold must be less than RSI sell threshold');
+  }
+
   if (this.activeSymbols.length > this.maxConcurrentTrades) {
     errors.push('Number of active symbols exceeds max concurrent trades');
   }
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+import { validateRule } from '../utils/ruleDsl.js';
+
+export const RULE_TYPES = ['entry', 'exit'];
+
+// Entry or exit condition written in the rule DSL (src/utils/ruleDsl.js)
+const tradingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    match: /^[A-Za-z0-9_-]+$/
+  },
+  description: String,
+  expression: {
+    type: String,
+    required: true,
+    validate: {
+      validator: expression => validateRule(expression).valid,
+      message: props => {
+        const [error] = validateRule(props.value).errors;
+        return `Invalid rule: ${error.message} at position ${error.position}`;
+      }
+    }
+  },
+  type: {
+    type: String,
+    enum: RULE_TYPES,
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Symbols the rule applies to, all active symbols when empty
+  symbols: [{
+    type: String,
+    uppercase: true
+  }],
+
+  // Entry rules: signal confidence when the rule matches, take profit and holding period
+  confidence: {
+    type: Number,
+    default: 0.7,
+    min: 0,
+    max: 1
+  },
+  profitTarget: {
+    type: Number,
+    default: 3,
+    min: 0.5,
+    max: 50
+  },
+  maxHoldingHours: {
+    type: Number,
+    default: 24,
+    min: 1,
+    max: 720
+  },
+
+  // Exit rules: only positions opened by these strategies, all when empty
+  strategies: [String]
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+tradingRuleSchema.index({ type: 1, enabled: 1 });
+
+tradingRuleSchema.methods.appliesTo = function(symbol) {
+  return this.symbols.length === 0 || this.symbols.includes(symbol);
+};
+
+export const TradingRule = mongoose.model('TradingRule', tradingRuleSchema);
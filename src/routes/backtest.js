@@ -0,0 +1,94 @@
+import express from 'express';
+import Joi from 'joi';
+import { BacktestRunner, MARKET_SYMBOLS } from '../backtest/BacktestRunner.js';
+import { tradingBot } from '../index.js';
+import { EnhancedTradingConfig } from '../models/EnhancedTradingConfig.js';
+import { INTERVAL_MS } from '../utils/intervals.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const SETTING_SECTIONS = [
+  'portfolioSettings', 'tradingPeriods', 'positionSizing', 'riskManagement',
+  'orderManagement', 'symbolSelection', 'tradingStyle', 'performanceTracking'
+];
+
+// Validation schema for backtest runs 🧪
+const backtestSchema = Joi.object({
+  symbol: Joi.string().uppercase().pattern(/^[A-Z]+$/).required(),
+  startTime: Joi.date().required(),
+  endTime: Joi.date().greater(Joi.ref('startTime')).required(),
+  interval: Joi.string().valid(...Object.keys(INTERVAL_MS)).default('15m'),
+  startingBalance: Joi.number().min(1).max(1000000),
+  slippagePercent: Joi.number().min(0).max(5),
+  feePercent: Joi.number().min(0).max(5),
+  // Per-section overrides applied on top of the saved configuration (never persisted)
+  settings: Joi.object(Object.fromEntries(SETTING_SECTIONS.map(section => [section, Joi.object().unknown(true)])))
+});
+
+// 🧪 Replay historical candles through the Bark Trader strategies
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = backtestSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Backtest validation error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    if (!tradingBot?.candleProvider) {
+      return res.status(503).json({
+        success: false,
+        error: 'Candle provider not initialized, cannot load historical data'
+      });
+    }
+
+    const config = await EnhancedTradingConfig.findOne({}) ||
+      await EnhancedTradingConfig.createOptimizedConfig(value.startingBalance || 50);
+
+    for (const [section, overrides] of Object.entries(value.settings || {})) {
+      Object.assign(config[section], overrides);
+    }
+
+    const runner = new BacktestRunner(config, {
+      interval: value.interval,
+      startingBalance: value.startingBalance,
+      slippagePercent: value.slippagePercent,
+      feePercent: value.feePercent,
+      exitRules: tradingBot.smartLossManager?.exitRules
+    });
+
+    // Served from the local candle store, backfilling any missing ranges first
+    const intervalMs = INTERVAL_MS[value.interval];
+    const startTime = value.startTime.getTime() - runner.warmupCandles * intervalMs;
+    const endTime = value.endTime.getTime();
+    const limit = Math.ceil((endTime - startTime) / intervalMs) + 1;
+    const candlesBySymbol = new Map();
+
+    for (const symbol of new Set([value.symbol, ...MARKET_SYMBOLS])) {
+      candlesBySymbol.set(symbol, await tradingBot.candleProvider.getCandles(symbol, value.interval, { startTime, endTime, limit }));
+    }
+
+    const report = await runner.run(value.symbol, candlesBySymbol);
+
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        message: `Backtest completed for ${value.symbol} 🧪`
+      }
+    });
+
+  } catch (error) {
+    logger.error('Backtest error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to run backtest'
+    });
+  }
+});
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import Joi from 'joi';
 import { TradingConfig } from '../models/TradingConfig.js';
+import { STRATEGY_NAMES } from '../trading/TradingStrategies.js';
 import { logger } from '../utils/logger.js';
 import { tradingBot } from '../index.js';
 
@@ -30,7 +31,7 @@ const configUpdateSchema = Joi.object({
     smaLongPeriod: Joi.number().integer().min(20).max(200)
   }),
   strategySettings: Joi.object({
-    strategy: Joi.string().valid('rsi_sma', 'macd', 'bollinger', 'momentum', 'mean_reversion'),
+    strategy: Joi.string().valid(...STRATEGY_NAMES),
     enableStopLoss: Joi.boolean(),
     enableTakeProfit: Joi.boolean(),
     enableTrailingStop: Joi.boolean(),
@@ -1,7 +1,13 @@
 import express from 'express';
 import Joi from 'joi';
 import { EnhancedTradingConfig } from '../models/EnhancedTradingConfig.js';
+import { RULE_OPERATORS, TIMEFRAMES } from '../trading/MultiTimeframeAnalyzer.js';
+import { strategyRegistry } from '../trading/StrategyRegistry.js';
 import { logger } from '../utils/logger.js';
+import { STOP_MODELS } from '../utils/stopModels.js';
+import { SMOOTHING_METHODS } from '../utils/streamingIndicators.js';
+import { EXTENDED_INDICATORS, VWAP_ANCHORS } from '../utils/technicalAnalysis.js';
+import { tradingBot } from '../index.js';
 
 const router = express.Router();
 
@@ -26,9 +32,20 @@ const positionSizingSchema = Joi.object({
   strategy: Joi.string().valid('equal_weight', 'risk_parity', 'kelly_criterion', 'fixed_amount'),
   minPositionSize: Joi.number().min(1),
   maxPositionSize: Joi.number().min(1),
-  dynamicSizing: Joi.boolean()
+  dynamicSizing: Joi.boolean(),
+  kellyFraction: Joi.number().min(0.05).max(1),
+  volatilityTargetPercentage: Joi.number().min(0).max(10),
+  statsLookbackDays: Joi.number().integer().min(7).max(365),
+  minTradesForStats: Joi.number().integer().min(3).max(200)
 });
 
+const timeframeRulesSchema = Joi.array().items(Joi.object({
+  timeframe: Joi.string().valid(...TIMEFRAMES).required(),
+  indicator: Joi.string().pattern(/^[a-zA-Z0-9]+(\.[a-zA-Z0-9]+)*$/).required(),
+  operator: Joi.string().valid(...RULE_OPERATORS).required(),
+  value: Joi.alternatives().try(Joi.number(), Joi.string()).required()
+})).max(10);
+
 // 🐶 Get current Bark Trader configuration
 router.get('/', async (req, res) => {
   try {
@@ -199,6 +216,10 @@ router.put('/position-sizing', async (req, res) => {
     config.lastModified = new Date();
     await config.save();
 
+    if (tradingBot?.config) {
+      tradingBot.config.positionSizing = config.positionSizing;
+    }
+
     res.json({
       success: true,
       data: {
@@ -291,7 +312,8 @@ router.put('/trading-style', async (req, res) => {
       dayTrading: Joi.object({
         enabled: Joi.boolean(),
         maxHoldingPeriodHours: Joi.number().integer().min(1).max(168),
-        quickProfitTarget: Joi.number().min(0.5).max(10)
+        quickProfitTarget: Joi.number().min(0.5).max(10),
+        timeframeRules: timeframeRulesSchema
       }),
       swingTrading: Joi.object({
         enabled: Joi.boolean(),
@@ -299,7 +321,13 @@ router.put('/trading-style', async (req, res) => {
         targetProfitRange: Joi.object({
           min: Joi.number().min(1).max(50),
           max: Joi.number().min(1).max(100)
-        })
+        }),
+        timeframeRules: timeframeRulesSchema
+      }),
+      gridTrading: Joi.object({
+        enabled: Joi.boolean(),
+        maxCapitalPercentage: Joi.number().min(5).max(100),
+        minStepPercent: Joi.number().min(0.05).max(10)
       })
     });
 
@@ -336,6 +364,10 @@ router.put('/trading-style', async (req, res) => {
     config.lastModified = new Date();
     await config.save();
 
+    if (tradingBot?.config) {
+      tradingBot.config.tradingStyle = config.tradingStyle;
+    }
+
     res.json({
       success: true,
       data: {
@@ -361,7 +393,26 @@ router.put('/risk-management', async (req, res) => {
       takeProfitPercentage: Joi.number().min(1).max(100),
       enableTrailingStop: Joi.boolean(),
       trailingStopPercentage: Joi.number().min(1).max(15),
-      maxCorrelation: Joi.number().min(0).max(1)
+      maxCorrelation: Joi.number().min(0).max(1),
+      stops: Joi.object({
+        model: Joi.string().valid(...STOP_MODELS),
+        atrMultiplier: Joi.number().min(0.5).max(10),
+        chandelierPeriod: Joi.number().integer().min(5).max(200),
+        chandelierMultiplier: Joi.number().min(0.5).max(10),
+        supertrendPeriod: Joi.number().integer().min(2).max(100),
+        supertrendMultiplier: Joi.number().min(0.5).max(10),
+        swingLookback: Joi.number().integer().min(1).max(10),
+        swingBufferPercent: Joi.number().min(0).max(5)
+      }),
+      scaleOut: Joi.object({
+        enabled: Joi.boolean(),
+        tiers: Joi.array().items(Joi.object({
+          profitPercent: Joi.number().min(0.1).max(100).required(),
+          sellPercent: Joi.number().min(1).max(100).required()
+        })).max(10),
+        breakEvenAfterFirstTier: Joi.boolean(),
+        breakEvenOffsetPercent: Joi.number().min(0).max(5)
+      })
     });
 
     const { error, value } = riskManagementSchema.validate(req.body);
@@ -382,10 +433,35 @@ router.put('/risk-management', async (req, res) => {
       });
     }
 
+    // Tiers sell in order of rising profit and never more than the whole position
+    if (value.scaleOut?.tiers) {
+      const { tiers } = value.scaleOut;
+      const rising = tiers.every((tier, i) => i === 0 || tier.profitPercent > tiers[i - 1].profitPercent);
+      const totalSellPercent = tiers.reduce((sum, tier) => sum + tier.sellPercent, 0);
+
+      if (!rising || totalSellPercent > 100) {
+        return res.status(400).json({
+          success: false,
+          error: 'Scale-out tiers need rising profit levels and may sell at most 100% in total'
+        });
+      }
+    }
+
+    if (value.stops) {
+      value.stops = { ...config.toObject().riskManagement.stops, ...value.stops };
+    }
+    if (value.scaleOut) {
+      value.scaleOut = { ...config.toObject().riskManagement.scaleOut, ...value.scaleOut };
+    }
+
     Object.assign(config.riskManagement, value);
     config.lastModified = new Date();
     await config.save();
 
+    if (tradingBot?.config) {
+      tradingBot.config.riskManagement = config.riskManagement;
+    }
+
     res.json({
       success: true,
       data: {
@@ -403,6 +479,491 @@ router.put('/risk-management', async (req, res) => {
   }
 });
 
+// 🔍 Position reconciliation settings
+router.put('/reconciliation', async (req, res) => {
+  try {
+    const reconciliationSchema = Joi.object({
+      enabled: Joi.boolean(),
+      policy: Joi.string().valid('report_only', 'auto_repair', 'pause_trading'),
+      intervalMinutes: Joi.number().integer().min(5).max(1440),
+      quantityTolerancePercent: Joi.number().min(0).max(10),
+      staleOrderMinutes: Joi.number().integer().min(5).max(10080),
+      adoptOrphanedBalances: Joi.boolean()
+    });
+
+    const { error, value } = reconciliationSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reconciliation validation error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const config = await EnhancedTradingConfig.findOne({});
+    if (!config) {
+      return res.status(404).json({
+        success: false,
+        error: 'Configuration not found'
+      });
+    }
+
+    Object.assign(config.reconciliation, value);
+    config.lastModified = new Date();
+    await config.save();
+
+    if (tradingBot?.config) {
+      tradingBot.config.reconciliation = config.reconciliation;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        reconciliation: config.reconciliation,
+        message: 'Reconciliation settings updated successfully 🐶'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update reconciliation settings'
+    });
+  }
+});
+
+// 🛡️ Exchange-side protective orders
+router.put('/protective-orders', async (req, res) => {
+  try {
+    const protectiveOrdersSchema = Joi.object({
+      enabled: Joi.boolean(),
+      stopType: Joi.string().valid('STOP_LIMIT', 'STOP_MARKET'),
+      stopLimitOffsetPercent: Joi.number().min(0.05).max(10),
+      takeProfit: Joi.boolean(),
+      minAmendPercent: Joi.number().min(0).max(10)
+    });
+
+    const { error, value } = protectiveOrdersSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Protective orders validation error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const config = await EnhancedTradingConfig.findOne({});
+    if (!config) {
+      return res.status(404).json({
+        success: false,
+        error: 'Configuration not found'
+      });
+    }
+
+    Object.assign(config.orderManagement.protectiveOrders, value);
+    config.lastModified = new Date();
+    await config.save();
+
+    // Switching off cancels the resting orders, switching on protects the open positions right away
+    if (tradingBot?.config) {
+      tradingBot.config.orderManagement = config.orderManagement;
+
+      if (value.enabled === false) {
+        await tradingBot.protectiveOrders?.cancelAll();
+      } else if (value.enabled) {
+        await tradingBot.protectiveOrders?.syncAll();
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        protectiveOrders: config.orderManagement.protectiveOrders,
+        message: 'Protective order settings updated successfully 🐶'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update protective orders error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update protective order settings'
+    });
+  }
+});
+
+// 🔗 Rolling correlations between active symbols
+router.get('/correlations', async (req, res) => {
+  try {
+    if (!tradingBot?.correlationService) {
+      return res.status(503).json({
+        success: false,
+        error: 'Correlations are only available with the enhanced trading bot'
+      });
+    }
+
+    const report = req.query.refresh === 'true' || !tradingBot.lastCorrelationReport
+      ? await tradingBot.updateCorrelationMatrix()
+      : tradingBot.lastCorrelationReport;
+
+    res.json({
+      success: true,
+      data: {
+        correlations: report,
+        maxCorrelation: tradingBot.config.riskManagement.maxCorrelation,
+        settings: tradingBot.config.correlation,
+        message: report
+          ? `Correlations across ${report.symbols.length} symbols 🐶`
+          : 'Correlation tracking is disabled in the configuration'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get correlations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve correlations'
+    });
+  }
+});
+
+router.put('/correlations', async (req, res) => {
+  try {
+    const correlationSchema = Joi.object({
+      enabled: Joi.boolean(),
+      interval: Joi.string().valid('15m', '30m', '1h', '4h', '1d'),
+      windows: Joi.array().items(Joi.number().integer().min(10).max(1000)).min(1).max(5),
+      refreshMinutes: Joi.number().integer().min(5).max(1440)
+    });
+
+    const { error, value } = correlationSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Correlation validation error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const config = await EnhancedTradingConfig.findOne({});
+    if (!config) {
+      return res.status(404).json({
+        success: false,
+        error: 'Configuration not found'
+      });
+    }
+
+    Object.assign(config.correlation, value);
+    config.lastModified = new Date();
+    await config.save();
+
+    // Recompute with the new windows right away
+    if (tradingBot?.correlationService) {
+      tradingBot.config.correlation = config.correlation;
+      await tradingBot.updateCorrelationMatrix();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        correlation: config.correlation,
+        message: 'Correlation settings updated successfully 🐶'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update correlation settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update correlation settings'
+    });
+  }
+});
+
+// 🧩 Registered entry strategies with their schema, holding period, target and configured state
+router.get('/strategies', async (req, res) => {
+  try {
+    const config = await EnhancedTradingConfig.findOne({});
+    if (!config) {
+      return res.status(404).json({
+        success: false,
+        error: 'Configuration not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        strategies: strategyRegistry.describe(config)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get strategies error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get strategies'
+    });
+  }
+});
+
+// 🧩 Enable, weight and configure one strategy, globally or per symbol
+router.put('/strategies/:name', async (req, res) => {
+  try {
+    const strategy = strategyRegistry.get(req.params.name);
+    if (!strategy) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown strategy: ${req.params.name}`
+      });
+    }
+
+    const strategyConfigSchema = Joi.object({
+      enabled: Joi.boolean(),
+      weight: Joi.number().min(0).max(5),
+      settings: strategy.settingsSchema,
+      symbols: Joi.array().items(Joi.object({
+        symbol: Joi.string().uppercase().required(),
+        enabled: Joi.boolean(),
+        weight: Joi.number().min(0).max(5)
+      })).unique('symbol')
+    });
+
+    const { error, value } = strategyConfigSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Strategy validation error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const config = await EnhancedTradingConfig.findOne({});
+    if (!config) {
+      return res.status(404).json({
+        success: false,
+        error: 'Configuration not found'
+      });
+    }
+
+    let entry = config.strategies.find(s => s.name === strategy.name);
+    if (!entry) {
+      config.strategies.push({ name: strategy.name });
+      entry = config.strategies[config.strategies.length - 1];
+    }
+
+    Object.assign(entry, value);
+    config.markModified('strategies');
+    config.lastModified = new Date();
+    await config.save();
+
+    if (tradingBot?.config) {
+      tradingBot.config.strategies = config.strategies;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        strategy: strategyRegistry.describe(config).find(s => s.name === strategy.name),
+        message: 'Strategy updated successfully 🐶'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update strategy error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update strategy'
+    });
+  }
+});
+
+// 📏 Support/resistance levels and exit snapping
+router.put('/levels', async (req, res) => {
+  try {
+    const levelsSchema = Joi.object({
+      enabled: Joi.boolean(),
+      interval: Joi.string().valid('15m', '30m', '1h', '4h'),
+      candles: Joi.number().integer().min(50).max(1000),
+      swingLookback: Joi.number().integer().min(1).max(10),
+      clusterTolerancePercent: Joi.number().min(0.05).max(5),
+      volumeProfileBins: Joi.number().integer().min(10).max(200),
+      valueAreaPercent: Joi.number().min(50).max(95),
+      snapStopLoss: Joi.boolean(),
+      snapTakeProfit: Joi.boolean(),
+      minStrength: Joi.number().min(0).max(1),
+      bufferPercent: Joi.number().min(0).max(2),
+      minStopDistancePercent: Joi.number().min(0.1).max(10)
+    });
+
+    const { error, value } = levelsSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Levels validation error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const config = await EnhancedTradingConfig.findOne({});
+    if (!config) {
+      return res.status(404).json({
+        success: false,
+        error: 'Configuration not found'
+      });
+    }
+
+    Object.assign(config.levels, value);
+    config.lastModified = new Date();
+    await config.save();
+
+    if (tradingBot?.levelService) {
+      tradingBot.config.levels = config.levels;
+      tradingBot.levelService.clearCache();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        levels: config.levels,
+        message: 'Level settings updated successfully 🐶'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update level settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update level settings'
+    });
+  }
+});
+
+// 🕰️ Multi-timeframe snapshots
+router.put('/multi-timeframe', async (req, res) => {
+  try {
+    const multiTimeframeSchema = Joi.object({
+      enabled: Joi.boolean(),
+      timeframes: Joi.array().items(Joi.string().valid(...TIMEFRAMES)).unique().min(1),
+      candles: Joi.number().integer().min(50).max(500)
+    });
+
+    const { error, value } = multiTimeframeSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Multi-timeframe validation error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const config = await EnhancedTradingConfig.findOne({});
+    if (!config) {
+      return res.status(404).json({
+        success: false,
+        error: 'Configuration not found'
+      });
+    }
+
+    Object.assign(config.multiTimeframe, value);
+    config.lastModified = new Date();
+    await config.save();
+
+    if (tradingBot?.multiTimeframe) {
+      tradingBot.config.multiTimeframe = config.multiTimeframe;
+      tradingBot.multiTimeframe.clearCache();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        multiTimeframe: config.multiTimeframe,
+        message: 'Multi-timeframe settings updated successfully 🐶'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update multi-timeframe settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update multi-timeframe settings'
+    });
+  }
+});
+
+// 📐 Indicator periods and smoothing
+router.put('/indicators', async (req, res) => {
+  try {
+    const indicatorSchema = Joi.object({
+      period: Joi.number().integer().min(2).max(100),
+      smoothing: Joi.string().valid(...SMOOTHING_METHODS)
+    });
+    const indicatorSettingsSchema = Joi.object({
+      rsi: indicatorSchema,
+      atr: indicatorSchema,
+      enabled: Joi.array().items(Joi.string().valid(...EXTENDED_INDICATORS)).unique(),
+      anchoredVwapAnchor: Joi.string().valid(...VWAP_ANCHORS),
+      minPatternStrength: Joi.number().min(0).max(1)
+    });
+
+    const { error, value } = indicatorSettingsSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Indicator settings validation error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const config = await EnhancedTradingConfig.findOne({});
+    if (!config) {
+      return res.status(404).json({
+        success: false,
+        error: 'Configuration not found'
+      });
+    }
+
+    for (const [key, setting] of Object.entries(value)) {
+      if (key === 'rsi' || key === 'atr') {
+        Object.assign(config.indicatorSettings[key], setting);
+      } else {
+        config.indicatorSettings[key] = setting;
+      }
+    }
+    config.lastModified = new Date();
+    await config.save();
+
+    // Streaming indicators have to be rebuilt from history with the new settings
+    if (tradingBot?.indicatorStream) {
+      tradingBot.config.indicatorSettings = config.indicatorSettings;
+      await tradingBot.indicatorStream.updateSettings(config.indicatorSettings);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        indicatorSettings: config.indicatorSettings,
+        message: 'Indicator settings updated successfully 🐶'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update indicator settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update indicator settings'
+    });
+  }
+});
+
 // 📈 Get risk analysis for current settings
 router.get('/risk-analysis', async (req, res) => {
   try {
@@ -0,0 +1,308 @@
+// Grid Trading API Routes for Bark Trader 🐶
+import express from 'express';
+import Joi from 'joi';
+import { tradingBot } from '../index.js';
+import { Grid, GRID_SPACINGS } from '../models/Grid.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Validation schema for new grids 🕸️
+const gridSchema = Joi.object({
+  symbol: Joi.string().uppercase().pattern(/^[A-Z]+$/).required(),
+  lowerPrice: Joi.number().positive().required(),
+  upperPrice: Joi.number().positive().greater(Joi.ref('lowerPrice')).required(),
+  gridCount: Joi.number().integer().min(2).max(100).required(),
+  spacing: Joi.string().valid(...GRID_SPACINGS).default('arithmetic'),
+  capital: Joi.number().positive().required()
+});
+
+const stopSchema = Joi.object({
+  sellInventory: Joi.boolean().default(false)
+});
+
+// Grids are run by the enhanced bot
+function requireGridManager(res) {
+  if (tradingBot?.gridManager) return tradingBot.gridManager;
+
+  res.status(503).json({
+    success: false,
+    error: 'Grid trading requires the enhanced trading bot'
+  });
+  return null;
+}
+
+async function describeWithPrice(gridManager, grid) {
+  const currentPrice = grid.status === 'STOPPED' ? null : await gridManager.getCurrentPrice(grid.symbol).catch(() => null);
+  return gridManager.describeGrid(grid, currentPrice);
+}
+
+// 🕸️ Running grids, or every grid with ?status=all
+router.get('/', async (req, res) => {
+  try {
+    const gridManager = requireGridManager(res);
+    if (!gridManager) return;
+
+    const grids = req.query.status === 'all'
+      ? await Grid.find({}).sort({ createdAt: -1 }).limit(100)
+      : await Grid.findRunning();
+
+    res.json({
+      success: true,
+      data: {
+        grids: await Promise.all(grids.map(grid => describeWithPrice(gridManager, grid))),
+        capital: await gridManager.getCapitalStatus()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get grids error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get grids'
+    });
+  }
+});
+
+// 💰 Capital committed to grids and what a new grid may still use
+router.get('/capital', async (req, res) => {
+  try {
+    const gridManager = requireGridManager(res);
+    if (!gridManager) return;
+
+    res.json({
+      success: true,
+      data: await gridManager.getCapitalStatus()
+    });
+
+  } catch (error) {
+    logger.error('Get grid capital error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get grid capital'
+    });
+  }
+});
+
+// 🕸️ A symbol's running grid (or its latest one) with the status of each level
+router.get('/:symbol', async (req, res) => {
+  try {
+    const gridManager = requireGridManager(res);
+    if (!gridManager) return;
+
+    const symbol = req.params.symbol.toUpperCase();
+    const [grid] = await Grid.findRunning(symbol);
+    const latest = grid || await Grid.findOne({ symbol }).sort({ createdAt: -1 });
+
+    if (!latest) {
+      return res.status(404).json({
+        success: false,
+        error: `No grid for ${symbol}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await describeWithPrice(gridManager, latest)
+    });
+
+  } catch (error) {
+    logger.error('Get grid error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get grid'
+    });
+  }
+});
+
+// 🕸️ Start a grid: builds the ladder, buys inventory for the sell side and places every level
+router.post('/', async (req, res) => {
+  try {
+    const gridManager = requireGridManager(res);
+    if (!gridManager) return;
+
+    const { error, value } = gridSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Grid validation error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const currentPrice = await gridManager.getCurrentPrice(value.symbol);
+    const problems = await gridManager.validateGrid(value, currentPrice);
+
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Grid cannot be started',
+        details: problems
+      });
+    }
+
+    const grid = await gridManager.createGrid(value, currentPrice);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        grid: gridManager.describeGrid(grid, currentPrice),
+        message: `Grid started for ${value.symbol} 🐶`
+      }
+    });
+
+  } catch (error) {
+    logger.error('Create grid error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start grid'
+    });
+  }
+});
+
+// ⏸️ Cancel the ladder but keep the grid and its holdings
+router.post('/:symbol/pause', async (req, res) => {
+  try {
+    const gridManager = requireGridManager(res);
+    if (!gridManager) return;
+
+    const symbol = req.params.symbol.toUpperCase();
+    const grid = await gridManager.pauseGrid(symbol);
+
+    if (!grid) {
+      return res.status(404).json({
+        success: false,
+        error: `No active grid for ${symbol}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        grid: await describeWithPrice(gridManager, grid),
+        message: `Grid paused for ${symbol}`
+      }
+    });
+
+  } catch (error) {
+    logger.error('Pause grid error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to pause grid'
+    });
+  }
+});
+
+// ▶️ Place the ladder again from the stored levels
+router.post('/:symbol/resume', async (req, res) => {
+  try {
+    const gridManager = requireGridManager(res);
+    if (!gridManager) return;
+
+    const symbol = req.params.symbol.toUpperCase();
+    const grid = await gridManager.resumeGrid(symbol);
+
+    if (!grid) {
+      return res.status(404).json({
+        success: false,
+        error: `No paused grid for ${symbol}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        grid: await describeWithPrice(gridManager, grid),
+        message: `Grid resumed for ${symbol} 🐶`
+      }
+    });
+
+  } catch (error) {
+    logger.error('Resume grid error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resume grid'
+    });
+  }
+});
+
+// 🛑 Stop a grid, optionally selling what its levels hold at market
+router.post('/:symbol/stop', async (req, res) => {
+  try {
+    const gridManager = requireGridManager(res);
+    if (!gridManager) return;
+
+    const { error, value } = stopSchema.validate(req.body || {});
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Grid stop validation error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const symbol = req.params.symbol.toUpperCase();
+    const result = await gridManager.stopGrid(symbol, { sellInventory: value.sellInventory });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: `No running grid for ${symbol}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        grid: gridManager.describeGrid(result.grid),
+        liquidation: result.liquidation,
+        message: `Grid stopped for ${symbol}`
+      }
+    });
+
+  } catch (error) {
+    logger.error('Stop grid error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to stop grid'
+    });
+  }
+});
+
+// 🔄 Check every level's order against the exchange now
+router.post('/:symbol/sync', async (req, res) => {
+  try {
+    const gridManager = requireGridManager(res);
+    if (!gridManager) return;
+
+    const symbol = req.params.symbol.toUpperCase();
+    if (!gridManager.hasGrid(symbol)) {
+      return res.status(404).json({
+        success: false,
+        error: `No running grid for ${symbol}`
+      });
+    }
+
+    await gridManager.syncGrid(symbol);
+    const [grid] = await Grid.findRunning(symbol);
+
+    res.json({
+      success: true,
+      data: {
+        grid: await describeWithPrice(gridManager, grid),
+        message: `Grid synced for ${symbol}`
+      }
+    });
+
+  } catch (error) {
+    logger.error('Sync grid error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sync grid'
+    });
+  }
+});
+
+export default router;
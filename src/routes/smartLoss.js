@@ -1,7 +1,9 @@
 // Smart Loss Management API Routes for Bark Trader 🐶
 import express from 'express';
 import { tradingBot } from '../index.js';
+import { campaignRisk } from '../trading/DcaCampaignManager.js';
 import { logger } from '../utils/logger.js';
+import { calculateTechnicalIndicators } from '../utils/technicalAnalysis.js';
 
 const router = express.Router();
 
@@ -91,6 +93,7 @@ router.post('/analyze-position', async (req, res) => {
           currentPrice,
           quantity: position.quantity,
           strategy: position.strategy,
+          stopLoss: position.stopLoss,
           holdingDays: holdingDays.toFixed(2)
         },
         financials: {
@@ -101,6 +104,7 @@ router.post('/analyze-position', async (req, res) => {
         },
         analysis,
         recommendation,
+        scaleOut: tradingBot.smartLossManager.describeScaleOut(position, currentPrice),
         smartInsights: {
           trendStatus: analysis.trendSell?.details || [],
           emergencySignals: analysis.emergencySell?.details || [],
@@ -224,6 +228,7 @@ router.get('/portfolio-health', async (req, res) => {
       success: true,
       data: {
         portfolioHealth: health,
+        positions: tradingBot.describePositions?.() || [],
         riskMetrics,
         performanceMetrics,
         insights,
@@ -318,10 +323,11 @@ router.get('/trend-analysis', async (req, res) => {
 
     for (const symbol of tradingBot.config.activeSymbols) {
       try {
-        const klines = await tradingBot.binance.candlesticks(symbol, '15m', false, { limit: 100 });
+        const klines = await tradingBot.candleProvider.getCandles(symbol, '15m', { limit: 100 });
         const trend = await tradingBot.smartLossManager.analyzeTrend(symbol, klines);
-        const indicators = calculateTechnicalIndicators(klines);
-        const momentum = await tradingBot.smartLossManager.analyzeMomentum(symbol, indicators);
+        const indicators = calculateTechnicalIndicators(klines, tradingBot.config.indicatorSettings);
+        const rsiSeries = tradingBot.smartLossManager.calculateRSISeries(klines);
+        const momentum = await tradingBot.smartLossManager.analyzeMomentum(symbol, indicators, rsiSeries);
 
         trendAnalysis[symbol] = {
           trend,
@@ -382,8 +388,10 @@ async function calculateRiskDistribution() {
 
     let symbolRisk = 0;
     for (const position of positions) {
+      // A campaign can still buy its remaining safety orders before its stop is reached
       const positionValue = position.entryPrice * position.quantity;
-      const potentialLoss = positionValue * (tradingBot.config.riskManagement.stopLossPercentage / 100);
+      const potentialLoss = position.dca ? campaignRisk(position) :
+        positionValue * (tradingBot.config.riskManagement.stopLossPercentage / 100);
       symbolRisk += potentialLoss;
     }
 
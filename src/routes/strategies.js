@@ -0,0 +1,301 @@
+// Strategy Rules API Routes for Bark Trader 🐶
+import express from 'express';
+import Joi from 'joi';
+import { tradingBot } from '../index.js';
+import { RULE_TYPES, TradingRule } from '../models/TradingRule.js';
+import { INTERVAL_MS } from '../utils/intervals.js';
+import { logger } from '../utils/logger.js';
+import { createRuleContext, evaluateRule, MAX_RULE_LENGTH, validateRule } from '../utils/ruleDsl.js';
+import { calculateTechnicalIndicators } from '../utils/technicalAnalysis.js';
+
+const router = express.Router();
+
+// Validation schemas for rule documents 📜
+const ruleFields = {
+  name: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(50),
+  description: Joi.string().allow('').max(500),
+  expression: Joi.string().max(MAX_RULE_LENGTH),
+  type: Joi.string().valid(...RULE_TYPES),
+  enabled: Joi.boolean(),
+  symbols: Joi.array().items(Joi.string().uppercase().pattern(/^[A-Z]+$/)).unique(),
+  confidence: Joi.number().min(0).max(1),
+  profitTarget: Joi.number().min(0.5).max(50),
+  maxHoldingHours: Joi.number().min(1).max(720),
+  strategies: Joi.array().items(Joi.string())
+};
+
+const createRuleSchema = Joi.object({
+  ...ruleFields,
+  name: ruleFields.name.required(),
+  expression: ruleFields.expression.required(),
+  type: ruleFields.type.required()
+});
+
+const updateRuleSchema = Joi.object(ruleFields).min(1);
+
+const ruleIdSchema = Joi.string().hex().length(24).required();
+
+const validateRuleSchema = Joi.object({
+  expression: Joi.string().max(MAX_RULE_LENGTH).required(),
+  symbol: Joi.string().uppercase().pattern(/^[A-Z]+$/).required(),
+  interval: Joi.string().valid(...Object.keys(INTERVAL_MS)).default('15m'),
+  limit: Joi.number().integer().min(50).max(1000).default(300)
+});
+
+// Syntax errors come back with their character range so clients can highlight them
+function syntaxErrorResponse(res, errors) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid rule expression',
+    details: errors
+  });
+}
+
+// Malformed ids would otherwise fail the lookup with a cast error
+function invalidRuleIdResponse(req, res) {
+  if (!ruleIdSchema.validate(req.params.id).error) return null;
+
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid rule id'
+  });
+}
+
+function duplicateRuleResponse(res, name) {
+  return res.status(409).json({
+    success: false,
+    error: `Rule ${name} already exists`
+  });
+}
+
+// Reloads the bot's rule strategies and exit rules after a change
+async function reloadRules() {
+  if (tradingBot?.loadTradingRules) {
+    await tradingBot.loadTradingRules();
+  }
+}
+
+// 🧪 Check a rule and evaluate it on the symbol's current candles
+router.post('/rules/validate', async (req, res) => {
+  try {
+    const { error, value } = validateRuleSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Rule validation error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const validation = validateRule(value.expression);
+    if (!validation.valid) {
+      return syntaxErrorResponse(res, validation.errors);
+    }
+
+    if (!tradingBot?.candleProvider) {
+      return res.status(503).json({
+        success: false,
+        error: 'Trading bot not initialized'
+      });
+    }
+
+    const klines = await tradingBot.candleProvider.getCandles(value.symbol, value.interval, { limit: value.limit });
+    if (klines.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `No ${value.interval} candles for ${value.symbol}`
+      });
+    }
+
+    const snapshot = calculateTechnicalIndicators(klines, tradingBot.config?.indicatorSettings);
+    const result = evaluateRule(
+      { source: value.expression, ast: validation.ast },
+      createRuleContext(klines, snapshot)
+    );
+    const lastCandle = klines[klines.length - 1];
+
+    res.json({
+      success: true,
+      data: {
+        valid: true,
+        symbol: value.symbol,
+        interval: value.interval,
+        candles: klines.length,
+        candleOpenTime: new Date(lastCandle[0]),
+        close: parseFloat(lastCandle[4]),
+        matched: result.matched,
+        value: result.value,
+        terms: result.terms,
+        message: result.matched ? 'Rule matches the current candle 🐶' : 'Rule does not match the current candle'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Validate rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to validate rule'
+    });
+  }
+});
+
+// 📜 Stored rules, optionally by type
+router.get('/rules', async (req, res) => {
+  try {
+    const filter = RULE_TYPES.includes(req.query.type) ? { type: req.query.type } : {};
+    const rules = await TradingRule.find(filter).sort({ type: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        rules
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get rules error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get rules'
+    });
+  }
+});
+
+// 📜 Store a new entry or exit rule
+router.post('/rules', async (req, res) => {
+  try {
+    const { error, value } = createRuleSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Rule validation error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const validation = validateRule(value.expression);
+    if (!validation.valid) {
+      return syntaxErrorResponse(res, validation.errors);
+    }
+
+    if (await TradingRule.exists({ name: value.name })) {
+      return duplicateRuleResponse(res, value.name);
+    }
+
+    const rule = await TradingRule.create(value);
+    await reloadRules();
+
+    logger.info(`📜 Trading rule ${rule.name} created (${rule.type})`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        rule,
+        message: 'Rule created successfully 🐶'
+      }
+    });
+
+  } catch (error) {
+    logger.error('Create rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create rule'
+    });
+  }
+});
+
+// 📜 Update a rule, changes apply from the next trading cycle
+router.put('/rules/:id', async (req, res) => {
+  try {
+    if (invalidRuleIdResponse(req, res)) return;
+
+    const { error, value } = updateRuleSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Rule validation error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    if (value.expression) {
+      const validation = validateRule(value.expression);
+      if (!validation.valid) {
+        return syntaxErrorResponse(res, validation.errors);
+      }
+    }
+
+    const rule = await TradingRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    if (value.name && value.name !== rule.name && await TradingRule.exists({ name: value.name })) {
+      return duplicateRuleResponse(res, value.name);
+    }
+
+    Object.assign(rule, value);
+    await rule.save();
+    await reloadRules();
+
+    res.json({
+      success: true,
+      data: {
+        rule,
+        message: 'Rule updated successfully 🐶'
+      }
+    });
+
+  } catch (error) {
+    // Renamed concurrently to a name taken in the meantime
+    if (error.code === 11000) {
+      return duplicateRuleResponse(res, req.body.name);
+    }
+
+    logger.error('Update rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update rule'
+    });
+  }
+});
+
+// 📜 Delete a rule
+router.delete('/rules/:id', async (req, res) => {
+  try {
+    if (invalidRuleIdResponse(req, res)) return;
+
+    const rule = await TradingRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    await reloadRules();
+
+    res.json({
+      success: true,
+      data: {
+        removedRule: rule.name,
+        message: `Rule ${rule.name} deleted successfully`
+      }
+    });
+
+  } catch (error) {
+    logger.error('Delete rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete rule'
+    });
+  }
+});
+
+export default router;
@@ -2,6 +2,9 @@ import express from 'express';
 import { Order } from '../models/Order.js';
 import { redis } from '../database/redis.js';
 import { logger } from '../utils/logger.js';
+import { tradingBot } from '../index.js';
+import { INTERVAL_MS } from '../utils/intervals.js';
+import { calculateTechnicalIndicatorSeries } from '../utils/technicalAnalysis.js';
 
 const router = express.Router();
 
@@ -154,4 +157,187 @@ router.get('/stats/daily', async (req, res) => {
     }
 });
 
-export default router;
\ No newline at end of file
+router.get('/reconciliation', async (req, res) => {
+    try {
+        if (!tradingBot?.positionReconciler) {
+            return res.status(503).json({
+                success: false,
+                error: 'Position reconciliation is only available with the enhanced trading bot'
+            });
+        }
+
+        // Only reads the last report: a run may cancel orders, close positions or pause trading
+        const report = tradingBot.lastReconciliation || null;
+
+        res.json({
+            success: true,
+            data: report
+                ? { report }
+                : { report: null, message: 'No reconciliation has run yet, start one with POST /api/trading/reconciliation/run' }
+        });
+
+    } catch (error) {
+        logger.error('Get reconciliation report error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve reconciliation report'
+        });
+    }
+});
+
+router.post('/reconciliation/run', async (req, res) => {
+    try {
+        if (!tradingBot?.positionReconciler) {
+            return res.status(503).json({
+                success: false,
+                error: 'Position reconciliation is only available with the enhanced trading bot'
+            });
+        }
+
+        const report = await tradingBot.reconcilePositions();
+        if (!report) {
+            return res.status(409).json({
+                success: false,
+                error: 'Reconciliation is disabled or failed, check the logs'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                report,
+                message: `🔍 Reconciliation complete: ${report.summary.issues} issue(s) found`
+            }
+        });
+
+    } catch (error) {
+        logger.error('Run reconciliation error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to run reconciliation'
+        });
+    }
+});
+
+// Indicator series aligned with the candles, for charting (null during each indicator's warmup)
+router.get('/indicators/:symbol/series', async (req, res) => {
+    try {
+        if (!tradingBot?.candleProvider) {
+            return res.status(503).json({
+                success: false,
+                error: 'Trading bot not initialized'
+            });
+        }
+
+        const symbol = req.params.symbol.toUpperCase();
+        const { interval = '15m' } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 200, 1), 1000);
+
+        if (!INTERVAL_MS[interval]) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported interval: ${interval}`
+            });
+        }
+
+        const klines = await tradingBot.candleProvider.getCandles(symbol, interval, { limit });
+        const series = calculateTechnicalIndicatorSeries(klines, tradingBot.config?.indicatorSettings);
+
+        res.json({
+            success: true,
+            data: {
+                symbol,
+                interval,
+                candles: klines.length,
+                settings: tradingBot.config?.indicatorSettings || null,
+                series
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get indicator series error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to calculate indicator series'
+        });
+    }
+});
+
+// Closed-candle indicator snapshots per timeframe, as strategies and smart loss see them
+router.get('/timeframes/:symbol', async (req, res) => {
+    try {
+        if (!tradingBot?.multiTimeframe) {
+            return res.status(503).json({
+                success: false,
+                error: 'Trading bot not initialized'
+            });
+        }
+
+        const symbol = req.params.symbol.toUpperCase();
+        const context = await tradingBot.multiTimeframe.getContext(symbol);
+
+        if (!context) {
+            return res.status(400).json({
+                success: false,
+                error: 'Multi-timeframe analysis is disabled'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: context
+        });
+
+    } catch (error) {
+        logger.error('Get timeframe context error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load timeframe context'
+        });
+    }
+});
+
+// Pivot, swing and volume-profile levels with the nearest support and resistance
+router.get('/levels/:symbol', async (req, res) => {
+    try {
+        if (!tradingBot?.levelService) {
+            return res.status(503).json({
+                success: false,
+                error: 'Trading bot not initialized'
+            });
+        }
+
+        const symbol = req.params.symbol.toUpperCase();
+        const levels = await tradingBot.levelService.getLevels(symbol);
+
+        if (!levels) {
+            return res.status(400).json({
+                success: false,
+                error: 'Support/resistance levels are disabled'
+            });
+        }
+
+        const price = tradingBot.priceCache.get(symbol) || null;
+        const nearby = price ? await tradingBot.levelService.getNearestLevels(symbol, price) : null;
+
+        res.json({
+            success: true,
+            data: {
+                symbol,
+                price,
+                support: nearby?.support || null,
+                resistance: nearby?.resistance || null,
+                ...levels
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get levels error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to calculate support/resistance levels'
+        });
+    }
+});
+
+export default router;
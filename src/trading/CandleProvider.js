@@ -0,0 +1,86 @@
+// Candle Provider for Bark Trader 🐶
+// Serves klines from the local Candle store (backfilled on demand) instead of asking
+// the exchange for the full history on every analysis call.
+import { Candle } from '../models/Candle.js';
+import { systemClock } from '../utils/clock.js';
+import { alignToInterval, INTERVAL_MS } from '../utils/intervals.js';
+import { logger } from '../utils/logger.js';
+import { CandleSyncService } from './CandleSyncService.js';
+
+export class CandleProvider {
+  constructor(exchange, options = {}) {
+    this.exchange = exchange;
+    this.priceCache = options.priceCache || null;
+    this.clock = options.clock || systemClock;
+    this.refreshMs = (options.refreshSeconds ?? 60) * 1000;
+    this.syncService = options.syncService || new CandleSyncService(exchange, { clock: this.clock });
+    this.cache = new Map(); // `${symbol}:${interval}` -> { klines, limit, fetchedAt }
+  }
+
+  // Same contract as ExchangeAdapter.getCandles: oldest first, forming candle last.
+  // With startTime/endTime it returns the stored closed candles of that range instead,
+  // and options.fresh skips the cache (e.g. right after a candle closed).
+  async getCandles(symbol, interval, options = {}) {
+    const limit = options.limit || 100;
+
+    if (options.startTime || options.endTime) {
+      return await this.getCandleRange(symbol, interval, options.startTime, options.endTime || this.clock.now(), limit);
+    }
+
+    const key = `${symbol}:${interval}`;
+    const cached = this.cache.get(key);
+
+    if (cached && !options.fresh && cached.limit >= limit && this.clock.now() - cached.fetchedAt < this.refreshMs) {
+      return this.withLatestPrice(symbol, cached.klines.slice(-limit));
+    }
+
+    try {
+      const cacheLimit = Math.max(limit, cached?.limit || 0);
+      const klines = await this.loadLatest(symbol, interval, cacheLimit);
+      this.cache.set(key, { klines, limit: cacheLimit, fetchedAt: this.clock.now() });
+      return klines.slice(-limit);
+    } catch (error) {
+      // The store is an optimization, analysis must keep working without it
+      logger.warn(`Candle store unavailable for ${symbol} ${interval}, using exchange: ${error.message}`);
+      return await this.exchange.getCandles(symbol, interval, { limit });
+    }
+  }
+
+  async getCandleRange(symbol, interval, startTime, endTime, limit) {
+    await this.syncService.backfill(symbol, interval, startTime, endTime);
+    return await Candle.getKlines(symbol, interval, { startTime, endTime, limit });
+  }
+
+  async loadLatest(symbol, interval, limit) {
+    const intervalMs = INTERVAL_MS[interval];
+
+    // One small request refreshes the newest closed candle and the forming one
+    const tail = await this.exchange.getCandles(symbol, interval, { limit: 2 });
+    await this.syncService.storeLatest(symbol, interval, tail);
+
+    const formingOpen = alignToInterval(this.clock.now(), interval);
+    await this.syncService.backfill(symbol, interval, formingOpen - (limit - 1) * intervalMs, formingOpen);
+
+    const closed = limit > 1
+      ? await Candle.getKlines(symbol, interval, { limit: limit - 1, before: formingOpen })
+      : [];
+    const forming = tail.filter(k => k[0] === formingOpen);
+
+    return [...closed, ...forming];
+  }
+
+  // Keep the forming candle current between refreshes using the trade stream prices
+  withLatestPrice(symbol, klines) {
+    const price = this.priceCache?.get(symbol);
+    const last = klines[klines.length - 1];
+
+    if (!price || !last || last[6] < this.clock.now()) return klines;
+
+    const updated = [...last];
+    updated[2] = String(Math.max(parseFloat(last[2]), price));
+    updated[3] = String(Math.min(parseFloat(last[3]), price));
+    updated[4] = String(price);
+
+    return [...klines.slice(0, -1), updated];
+  }
+}
@@ -0,0 +1,100 @@
+// Candle Sync Service for Bark Trader 🐶
+// Finds missing ranges in the local Candle collection and backfills them from the exchange.
+import { Candle } from '../models/Candle.js';
+import { systemClock } from '../utils/clock.js';
+import { alignToInterval, INTERVAL_MS } from '../utils/intervals.js';
+import { logger } from '../utils/logger.js';
+
+export class CandleSyncService {
+  constructor(exchange, options = {}) {
+    this.exchange = exchange;
+    this.clock = options.clock || systemClock;
+    this.pageSize = options.pageSize || 1000; // Binance max klines per request
+    this.knownHoles = new Set(); // Ranges the exchange has no data for (maintenance, pre-listing)
+  }
+
+  // Missing ranges of closed candles between startTime and endTime, as open times
+  async findGaps(symbol, interval, startTime, endTime) {
+    const intervalMs = INTERVAL_MS[interval];
+    if (!intervalMs) {
+      throw new Error(`Unsupported candle interval ${interval}`);
+    }
+
+    const firstOpen = alignToInterval(startTime, interval);
+    const lastClosedOpen = alignToInterval(this.clock.now(), interval) - intervalMs;
+    const lastOpen = Math.min(alignToInterval(endTime, interval), lastClosedOpen);
+
+    if (lastOpen < firstOpen) return [];
+
+    const stored = await Candle.find({
+      symbol,
+      interval,
+      openTime: { $gte: new Date(firstOpen), $lte: new Date(lastOpen) }
+    }, { openTime: 1, _id: 0 }).sort({ openTime: 1 }).lean();
+
+    const gaps = [];
+    let expected = firstOpen;
+
+    for (const { openTime } of stored) {
+      const time = openTime.getTime();
+      if (time > expected) {
+        gaps.push({ startTime: expected, endTime: time - intervalMs });
+      }
+      expected = time + intervalMs;
+    }
+
+    if (expected <= lastOpen) {
+      gaps.push({ startTime: expected, endTime: lastOpen });
+    }
+
+    return gaps;
+  }
+
+  // Fetch every missing closed candle in the range, one page at a time
+  async backfill(symbol, interval, startTime, endTime) {
+    const intervalMs = INTERVAL_MS[interval];
+    const gaps = await this.findGaps(symbol, interval, startTime, endTime);
+    let stored = 0;
+
+    for (const gap of gaps) {
+      const holeKey = `${symbol}:${interval}:${gap.startTime}-${gap.endTime}`;
+      if (this.knownHoles.has(holeKey)) continue;
+
+      const expectedCount = (gap.endTime - gap.startTime) / intervalMs + 1;
+      let fetched = 0;
+      let cursor = gap.startTime;
+
+      while (cursor <= gap.endTime) {
+        const page = await this.exchange.getCandles(symbol, interval, {
+          startTime: cursor,
+          endTime: gap.endTime + intervalMs - 1,
+          limit: this.pageSize
+        });
+
+        const closed = (page || []).filter(k => k[6] < this.clock.now());
+        if (closed.length === 0) break;
+
+        stored += await Candle.storeKlines(symbol, interval, closed);
+        fetched += closed.length;
+        cursor = closed[closed.length - 1][0] + intervalMs;
+      }
+
+      if (fetched < expectedCount) {
+        this.knownHoles.add(holeKey);
+        logger.debug(`Exchange has no ${interval} candles for part of ${holeKey}`);
+      }
+    }
+
+    if (stored > 0) {
+      logger.info(`🕯️ Backfilled ${stored} ${interval} candles for ${symbol}`, { gaps: gaps.length });
+    }
+
+    return { gaps: gaps.length, stored };
+  }
+
+  // Store the closed candles of a fresh exchange response, keep the forming one out
+  async storeLatest(symbol, interval, klines) {
+    const closed = klines.filter(k => k[6] < this.clock.now());
+    return await Candle.storeKlines(symbol, interval, closed);
+  }
+}
@@ -0,0 +1,111 @@
+// Correlation Service for Bark Trader 🐶
+// Computes rolling return correlations between symbols from stored candles so the
+// diversification rule can block entries that move with positions already held.
+import { systemClock } from '../utils/clock.js';
+import { logger } from '../utils/logger.js';
+
+const MIN_OBSERVATIONS = 10;
+
+export class CorrelationService {
+  constructor(candleProvider, options = {}) {
+    this.candleProvider = candleProvider;
+    this.clock = options.clock || systemClock;
+  }
+
+  // settings: config.correlation
+  async buildReport(symbols, settings) {
+    const uniqueSymbols = [...new Set(symbols)];
+    const longestWindow = Math.max(...settings.windows);
+    const returnsBySymbol = new Map();
+
+    for (const symbol of uniqueSymbols) {
+      try {
+        const klines = await this.candleProvider.getCandles(symbol, settings.interval, { limit: longestWindow + 2 });
+        returnsBySymbol.set(symbol, this.closedReturns(klines));
+      } catch (error) {
+        logger.error(`Failed to load candles for ${symbol} correlation:`, error.message);
+      }
+    }
+
+    const pairs = [];
+    for (let i = 0; i < uniqueSymbols.length; i++) {
+      for (let j = i + 1; j < uniqueSymbols.length; j++) {
+        const a = returnsBySymbol.get(uniqueSymbols[i]);
+        const b = returnsBySymbol.get(uniqueSymbols[j]);
+        if (!a || !b) continue;
+
+        pairs.push(this.correlatePair(uniqueSymbols[i], uniqueSymbols[j], a, b, settings.windows));
+      }
+    }
+
+    return {
+      timestamp: new Date(this.clock.now()).toISOString(),
+      interval: settings.interval,
+      windows: [...settings.windows],
+      symbols: uniqueSymbols,
+      pairs
+    };
+  }
+
+  // Log returns of closed candles keyed by candle open time, so symbols line up even with gaps
+  closedReturns(klines) {
+    const now = this.clock.now();
+    const closed = klines.filter(kline => kline[6] < now);
+    const returns = new Map();
+
+    for (let i = 1; i < closed.length; i++) {
+      const previousClose = parseFloat(closed[i - 1][4]);
+      const close = parseFloat(closed[i][4]);
+      if (previousClose > 0 && close > 0) {
+        returns.set(closed[i][0], Math.log(close / previousClose));
+      }
+    }
+
+    return returns;
+  }
+
+  correlatePair(symbolA, symbolB, returnsA, returnsB, windows) {
+    const sharedTimes = Array.from(returnsA.keys()).filter(time => returnsB.has(time)).sort((x, y) => x - y);
+    const byWindow = {};
+
+    for (const window of windows) {
+      const times = sharedTimes.slice(-window);
+      byWindow[window] = times.length >= MIN_OBSERVATIONS
+        ? pearson(times.map(t => returnsA.get(t)), times.map(t => returnsB.get(t)))
+        : null;
+    }
+
+    // Enforce the strongest relationship seen in any window
+    const values = Object.values(byWindow).filter(value => value !== null);
+    const correlation = values.length > 0
+      ? values.reduce((strongest, value) => Math.abs(value) > Math.abs(strongest) ? value : strongest)
+      : null;
+
+    return {
+      pair: `${symbolA}-${symbolB}`,
+      correlation,
+      byWindow,
+      observations: sharedTimes.length
+    };
+  }
+}
+
+function pearson(xs, ys) {
+  const n = xs.length;
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - meanX;
+    const dy = ys[i] - meanY;
+    covariance += dx * dy;
+    varianceX += dx * dx;
+    varianceY += dy * dy;
+  }
+
+  if (varianceX === 0 || varianceY === 0) return 0;
+  return parseFloat((covariance / Math.sqrt(varianceX * varianceY)).toFixed(4));
+}
@@ -0,0 +1,268 @@
+// DCA Campaign Manager for Bark Trader 🐶
+// A campaign is one position: a base order, then safety orders bought at market each time price
+// falls to the next step of a ladder planned from the base price. Every fill moves the position's
+// entry price to the weighted average and the single take profit with it. The stop sits below the
+// last safety order, and base plus safety orders never spend more than the campaign's capital cap.
+import { Order } from '../models/Order.js';
+import { logger, logTrade } from '../utils/logger.js';
+
+const MAX_DEVIATION_PERCENT = 80; // Steps further down than this are dropped from the ladder
+
+// [{ index, deviationPercent, triggerPrice, size }] from the base fill price and dca settings.
+// Step k sits priceDeviationPercent * (1 + stepScale + ... + stepScale^(k-1)) under the base and
+// buys safetyOrderSize * volumeScale^(k-1); steps beyond the capital cap are left out.
+export function buildSafetyOrderLadder(basePrice, settings) {
+  const ladder = [];
+  let deviation = 0;
+  let step = settings.priceDeviationPercent;
+  let size = settings.safetyOrderSize;
+  let capital = settings.baseOrderSize;
+
+  for (let index = 1; index <= settings.maxSafetyOrders; index++) {
+    deviation += step;
+    if (deviation >= MAX_DEVIATION_PERCENT || capital + size > settings.maxCampaignCapital) break;
+
+    ladder.push({
+      index,
+      deviationPercent: deviation,
+      triggerPrice: basePrice * (1 - deviation / 100),
+      size,
+      status: 'PENDING'
+    });
+
+    capital += size;
+    step *= settings.stepScale;
+    size *= settings.volumeScale;
+  }
+
+  return ladder;
+}
+
+// Capital a position holds on to: a campaign keeps its whole cap for the safety orders to come
+export function committedCapital(position) {
+  return position.dca ? Math.max(position.dca.maxCapital, position.dca.invested) : position.entryPrice * position.quantity;
+}
+
+// Loss if every safety order fills and price then reaches the stop
+export function campaignRisk(position) {
+  const pending = position.dca.safetyOrders.filter(safetyOrder => safetyOrder.status === 'PENDING');
+  const heldLoss = position.dca.invested - position.quantity * position.stopLoss;
+  return pending.reduce((loss, safetyOrder) => loss + safetyOrder.size * (1 - position.stopLoss / safetyOrder.triggerPrice), heldLoss);
+}
+
+export class DcaCampaignManager {
+  // positions: { list(symbol), add(symbol, position), update(position, changes, push), protect(symbol, position) }
+  // from the bot; protect (re)places the campaign's exchange-side stop after each fill
+  constructor(exchange, config, options = {}) {
+    this.exchange = exchange;
+    this.config = config;
+    this.symbolFilters = options.symbolFilters;
+    this.orderTracker = options.orderTracker || null;
+    this.positions = options.positions;
+    this.canAddExposure = options.canAddExposure || (async () => true);
+    this.inFlight = new Set(); // Campaign orderIds with a safety order being placed
+  }
+
+  getCampaign(symbol) {
+    return this.positions.list(symbol).find(position => position.dca) || null;
+  }
+
+  // strategy: the dca signal with its resolved settings; freeCapital: quote the campaign may reserve
+  async startCampaign(symbol, strategy, freeCapital) {
+    const settings = strategy.settings;
+
+    if (this.getCampaign(symbol)) return null; // Adds come from the safety orders
+    if (settings.maxCampaignCapital > freeCapital) {
+      logger.info(`🪜 DCA campaign for ${symbol} skipped: needs ${settings.maxCampaignCapital}, ${freeCapital.toFixed(2)} free`);
+      return null;
+    }
+
+    const currentPrice = strategy.currentPrice;
+    const sizing = await this.symbolFilters.prepareOrder(symbol, 'BUY', settings.baseOrderSize / currentPrice, currentPrice, {
+      maxNotional: settings.baseOrderSize
+    });
+    if (!sizing.valid) return null;
+
+    const order = await this.exchange.marketBuy(symbol, sizing.quantity);
+    const fillPrice = order.price || currentPrice;
+    const cost = order.cummulativeQuoteQuantity || fillPrice * order.executedQuantity;
+    const safetyOrders = buildSafetyOrderLadder(fillPrice, settings);
+    const lowestPrice = safetyOrders.length > 0 ? safetyOrders[safetyOrders.length - 1].triggerPrice : fillPrice;
+
+    const stopLoss = await this.symbolFilters.roundPrice(symbol, lowestPrice * (1 - settings.stopLossPercent / 100));
+    const takeProfit = await this.symbolFilters.roundPrice(symbol, fillPrice * (1 + settings.profitTarget / 100));
+
+    await this.saveOrder(symbol, order, fillPrice, {
+      stopLoss,
+      takeProfit,
+      confidence: strategy.confidence,
+      signals: strategy.signals,
+      notes: `DCA base order, ${safetyOrders.length} safety orders planned`
+    });
+
+    const position = {
+      orderId: order.orderId,
+      entryPrice: fillPrice,
+      quantity: order.executedQuantity,
+      entryTime: Date.now(),
+      strategy: strategy.type,
+      stopLoss,
+      takeProfit,
+      trailingHigh: fillPrice,
+      signals: strategy.signals,
+      confidence: strategy.confidence,
+      dca: {
+        basePrice: fillPrice,
+        baseOrderSize: settings.baseOrderSize,
+        maxCapital: settings.maxCampaignCapital,
+        invested: cost,
+        takeProfitPercent: settings.profitTarget,
+        safetyOrders
+      }
+    };
+    await this.positions.add(symbol, position);
+    await this.positions.protect(symbol, position);
+
+    logTrade('BUY', symbol, {
+      quantity: order.executedQuantity,
+      price: fillPrice,
+      strategy: strategy.type,
+      campaign: 'BASE_ORDER',
+      safetyOrders: safetyOrders.map(safetyOrder => safetyOrder.triggerPrice),
+      stopLoss,
+      takeProfit
+    });
+
+    return position;
+  }
+
+  // Called on every price update; cheap until price reaches a campaign's next safety order
+  handlePrice(symbol, price) {
+    const campaign = this.getCampaign(symbol);
+    if (!campaign || this.inFlight.has(campaign.orderId)) return;
+
+    const next = campaign.dca.safetyOrders.find(safetyOrder => safetyOrder.status === 'PENDING');
+    if (!next || price > next.triggerPrice) return;
+
+    this.inFlight.add(campaign.orderId);
+    this.placeSafetyOrder(symbol, campaign, next, price)
+      .catch(error => logger.error(`Failed to place DCA safety order for ${symbol}:`, error.message))
+      .finally(() => this.inFlight.delete(campaign.orderId));
+  }
+
+  async placeSafetyOrder(symbol, campaign, safetyOrder, currentPrice) {
+    if (!await this.canAddExposure(symbol)) return;
+
+    // Whatever is left under the cap, a safety order that no longer fits is skipped
+    const size = Math.min(safetyOrder.size, campaign.dca.maxCapital - campaign.dca.invested);
+    const sizing = await this.symbolFilters.prepareOrder(symbol, 'BUY', size / currentPrice, currentPrice, {
+      maxNotional: size
+    });
+
+    if (!sizing.valid || size <= 0) {
+      safetyOrder.status = 'SKIPPED';
+      await this.positions.update(campaign, { dca: campaign.dca });
+      return;
+    }
+
+    const order = await this.exchange.marketBuy(symbol, sizing.quantity);
+    const fillPrice = order.price || currentPrice;
+    const cost = order.cummulativeQuoteQuantity || fillPrice * order.executedQuantity;
+
+    Object.assign(safetyOrder, {
+      status: 'FILLED',
+      orderId: String(order.orderId),
+      price: fillPrice,
+      quantity: order.executedQuantity,
+      cost,
+      filledAt: new Date()
+    });
+
+    // Weighted average entry from what was actually paid, take profit follows it
+    const quantity = campaign.quantity + order.executedQuantity;
+    campaign.dca.invested += cost;
+    campaign.entryPrice = campaign.dca.invested / quantity;
+    campaign.quantity = quantity;
+    campaign.takeProfit = await this.symbolFilters.roundPrice(
+      symbol, campaign.entryPrice * (1 + campaign.dca.takeProfitPercent / 100)
+    );
+    campaign.trailingHigh = fillPrice;
+
+    await this.saveOrder(symbol, order, fillPrice, {
+      stopLoss: campaign.stopLoss,
+      takeProfit: campaign.takeProfit,
+      signals: [`DCA_SAFETY_ORDER_${safetyOrder.index}`],
+      notes: `DCA safety order ${safetyOrder.index}/${campaign.dca.safetyOrders.length} for campaign ${campaign.orderId}`
+    });
+
+    await this.positions.update(campaign, {
+      entryPrice: campaign.entryPrice,
+      quantity: campaign.quantity,
+      takeProfit: campaign.takeProfit,
+      trailingHigh: campaign.trailingHigh,
+      dca: campaign.dca
+    }, {
+      entryOrders: { orderId: String(order.orderId), price: fillPrice, quantity: order.executedQuantity }
+    });
+    await this.positions.protect(symbol, campaign);
+
+    logTrade('BUY', symbol, {
+      quantity: order.executedQuantity,
+      price: fillPrice,
+      strategy: campaign.strategy,
+      campaign: `SAFETY_ORDER_${safetyOrder.index}`,
+      averageEntry: campaign.entryPrice,
+      totalQuantity: campaign.quantity,
+      invested: campaign.dca.invested,
+      takeProfit: campaign.takeProfit
+    });
+  }
+
+  async saveOrder(symbol, order, fillPrice, extra) {
+    const orderDoc = new Order({
+      symbol,
+      orderId: order.orderId,
+      side: 'BUY',
+      type: 'MARKET',
+      quantity: order.executedQuantity,
+      price: fillPrice,
+      status: order.status,
+      timestamp: new Date(),
+      strategy: 'dca',
+      ...extra,
+      ...Order.executionFields(order),
+      isTestOrder: this.exchange.isPaperTrading
+    });
+
+    await orderDoc.save();
+    await this.orderTracker?.applyPending(order.orderId);
+  }
+
+  // Campaign view for the API, null for positions that aren't campaigns
+  describeCampaign(position, currentPrice = null) {
+    if (!position.dca) return null;
+
+    const { safetyOrders } = position.dca;
+    const next = safetyOrders.find(safetyOrder => safetyOrder.status === 'PENDING') || null;
+
+    return {
+      basePrice: position.dca.basePrice,
+      averageEntryPrice: position.entryPrice,
+      takeProfit: position.takeProfit,
+      takeProfitPercent: position.dca.takeProfitPercent,
+      stopLoss: position.stopLoss,
+      invested: position.dca.invested,
+      maxCapital: position.dca.maxCapital,
+      remainingCapital: Math.max(position.dca.maxCapital - position.dca.invested, 0),
+      safetyOrdersFilled: safetyOrders.filter(safetyOrder => safetyOrder.status === 'FILLED').length,
+      safetyOrdersTotal: safetyOrders.length,
+      nextSafetyOrder: next && {
+        index: next.index,
+        triggerPrice: next.triggerPrice,
+        size: next.size,
+        distancePercent: currentPrice ? (next.triggerPrice / currentPrice - 1) * 100 : null
+      },
+      safetyOrders
+    };
+  }
+}
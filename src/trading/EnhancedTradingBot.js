@@ -1,17 +1,40 @@
 import { CronJob } from 'cron';
-import Binance from 'node-binance-api';
-import { binanceConfig } from '../config/environment.js';
-import { redis } from '../database/redis.js';
+import { binanceConfig, tradingConfig } from '../config/environment.js';
+import { redis, RedisKeys } from '../database/redis.js';
+import { createExchange } from '../exchange/createExchange.js';
 import { EnhancedTradingConfig } from '../models/EnhancedTradingConfig.js';
 import { Order } from '../models/Order.js';
+import { Position } from '../models/Position.js';
+import { TradingRule } from '../models/TradingRule.js';
 import { logger, logRiskEvent, logTrade } from '../utils/logger.js';
+import { snapExitLevels } from '../utils/levels.js';
+import { calculateModelStop } from '../utils/stopModels.js';
 import { calculateTechnicalIndicators } from '../utils/technicalAnalysis.js';
+import { CandleProvider } from './CandleProvider.js';
+import { DcaCampaignManager } from './DcaCampaignManager.js';
+import { FINAL_STATUSES, OrderTracker } from './OrderTracker.js';
+import { GridManager } from './GridManager.js';
+import { PositionReconciler } from './PositionReconciler.js';
+import { ProtectiveOrderManager } from './ProtectiveOrderManager.js';
+import { CorrelationService } from './CorrelationService.js';
+import { SizingStatistics } from './SizingStatistics.js';
+import { IndicatorStream } from './IndicatorStream.js';
+import { LevelService } from './LevelService.js';
+import { evaluateTimeframeRules, MultiTimeframeAnalyzer } from './MultiTimeframeAnalyzer.js';
 import { SmartLossManager } from './SmartLossManager.js';
+import { strategyRegistry } from './StrategyRegistry.js';
+import { SymbolFilters } from './SymbolFilters.js';
+import { createExitRule, createRuleStrategy, RULE_STRATEGY_PREFIX } from './strategies/ruleStrategy.js';
 
 export class EnhancedTradingBot {
-  constructor(wsManager) {
+  constructor(wsManager, exchange = null) {
     this.wsManager = wsManager;
-    this.binance = null;
+    this.exchange = exchange;
+    this.candleProvider = null;
+    this.orderTracker = null;
+    this.symbolFilters = null;
+    this.positionReconciler = null;
+    this.lastReconciliation = null;
     this.config = null;
     this.isRunning = false;
 
@@ -37,11 +60,26 @@ export class EnhancedTradingBot {
     // Market data
     this.priceCache = new Map();
     this.volatilityCache = new Map();
-    this.correlationMatrix = new Map();
+    this.correlationMatrix = new Map(); // `${symbolA}-${symbolB}` -> correlation, both orders
+    this.correlationService = null;
+    this.sizingStatistics = null;
+    this.indicatorStream = null;
+    this.multiTimeframe = null;
+    this.levelService = null;
+    this.gridManager = null;
+    this.dcaManager = null;
+    this.protectiveOrders = null;
+    this.strategyRegistry = strategyRegistry;
+    this.evaluatingSymbols = new Set(); // Symbols whose positions are being evaluated right now
+    this.lastCorrelationReport = null;
 
     // Cron jobs
     this.tradingCronJob = null;
     this.riskCheckCronJob = null;
+    this.reconciliationCronJob = null;
+    this.correlationCronJob = null;
+    this.gridSyncCronJob = null;
+    this.protectionSyncCronJob = null;
     this.performanceReviewCronJob = null;
   }
 
@@ -51,26 +89,95 @@ export class EnhancedTradingBot {
       this.config = await EnhancedTradingConfig.findOne({}) ||
         await EnhancedTradingConfig.createOptimizedConfig(50);
 
-      // Initialize Binance API
-      this.binance = new Binance().options({
-        APIKEY: binanceConfig.apiKey,
-        APISECRET: binanceConfig.secretKey,
-        test: binanceConfig.testnet,
-        // recvWindow: binanceConfig.recvWindow,
+      // Initialize exchange adapter (Binance or paper trading unless one was injected)
+      this.exchange = this.exchange || createExchange({
+        apiKey: binanceConfig.apiKey,
+        secretKey: binanceConfig.secretKey,
+        testnet: binanceConfig.testnet,
         verbose: binanceConfig.verbose,
         timeout: binanceConfig.timeout
+      }, {
+        paperTrading: tradingConfig.enablePaperTrading,
+        priceCache: this.priceCache
       });
 
-      console.log('key', binanceConfig.apiKey)
-      console.log('secret', binanceConfig.secretKey)
+      await this.exchange.initialize();
+      this.candleProvider = new CandleProvider(this.exchange, {
+        priceCache: this.priceCache,
+        refreshSeconds: tradingConfig.candleStore.refreshSeconds
+      });
+      this.orderTracker = new OrderTracker(this.exchange, this.wsManager);
+      this.orderTracker.start();
+      this.symbolFilters = new SymbolFilters(this.exchange);
       await this.testConnection();
+      await this.symbolFilters.load();
       await this.loadActivePositions();
+
+      // Grids resume from their stored state, catching fills that happened while we were down
+      this.gridManager = new GridManager(this.exchange, this.config, {
+        symbolFilters: this.symbolFilters,
+        orderTracker: this.orderTracker,
+        priceCache: this.priceCache,
+        activePositions: this.activePositions,
+        wsManager: this.wsManager
+      });
+      await this.gridManager.start();
+
+      // DCA campaigns are ordinary positions, their safety orders fire from the price stream
+      this.dcaManager = new DcaCampaignManager(this.exchange, this.config, {
+        symbolFilters: this.symbolFilters,
+        orderTracker: this.orderTracker,
+        positions: {
+          list: symbol => this.getPositionsForSymbol(symbol),
+          add: (symbol, position) => this.addActivePosition(symbol, position),
+          update: (position, changes, push) => this.updatePosition(position, changes, push),
+          protect: (symbol, position) => this.protectiveOrders.refresh(symbol, position)
+        },
+        canAddExposure: symbol => this.canAddToCampaign(symbol)
+      });
+
+      // Exchange-side stops for open positions; the ones that filled while we were down close
+      // their positions before the reconciliation below compares balances
+      this.protectiveOrders = new ProtectiveOrderManager(this.exchange, this.config, {
+        symbolFilters: this.symbolFilters,
+        orderTracker: this.orderTracker,
+        priceCache: this.priceCache,
+        positions: {
+          list: symbol => this.getPositionsForSymbol(symbol),
+          symbols: () => Array.from(this.activePositions.keys()),
+          update: (position, changes, push) => this.updatePosition(position, changes, push),
+          close: (symbol, position, order, reason) => this.closeProtectedPosition(symbol, position, order, reason)
+        }
+      });
+      await this.protectiveOrders.start();
+
+      // Catch fills and manual trades that happened while the bot was down
+      this.positionReconciler = new PositionReconciler(this.exchange, {
+        priceCache: this.priceCache,
+        symbolFilters: this.symbolFilters
+      });
+      await this.reconcilePositions();
+
+      this.correlationService = new CorrelationService(this.candleProvider);
+      this.sizingStatistics = new SizingStatistics(this.candleProvider, { paperTrading: this.exchange.isPaperTrading });
+
+      // Indicators update per trade tick, positions are re-evaluated on every closed candle
+      this.indicatorStream = new IndicatorStream(this.candleProvider, {
+        interval: '15m',
+        settings: this.config.indicatorSettings
+      });
+      this.indicatorStream.onCandleClose(symbol => this.handleCandleClose(symbol));
+      await this.indicatorStream.trackAll(this.config.activeSymbols);
+      this.multiTimeframe = new MultiTimeframeAnalyzer(this.candleProvider, this.config);
+      this.levelService = new LevelService(this.candleProvider, this.config);
+      await this.updateCorrelationMatrix();
       await this.calculateInitialRiskMetrics();
 
       this.setupPriceStreams();
       this.setupCronJobs();
 
       await this.initializeSmartLossManager();
+      await this.loadTradingRules();
 
       logger.info('🐶 Enhanced Bark Trader initialized successfully', {
         totalCapital: this.config.portfolioSettings.totalCapital,
@@ -86,12 +193,12 @@ export class EnhancedTradingBot {
 
   async testConnection() {
     try {
-      const accountInfo = await this.binance.account();
-      logger.info(`🔗 Connected to Binance. Account: ${accountInfo.accountType}`);
+      const accountInfo = await this.exchange.testConnection();
+      logger.info(`🔗 Connected to ${this.exchange.name}. Account: ${accountInfo.accountType}`);
       return true;
     } catch (error) {
-      logger.error('Binance connection failed:', error.message);
-      throw new Error('Failed to connect to Binance API');
+      logger.error(`${this.exchange.name} connection failed:`, error.message);
+      throw new Error(`Failed to connect to ${this.exchange.name} API`);
     }
   }
 
@@ -110,6 +217,34 @@ export class EnhancedTradingBot {
       }
     });
 
+    // Reconciliation - checked every 5 minutes, runs every config.reconciliation.intervalMinutes
+    this.reconciliationCronJob = new CronJob('*/5 * * * *', async () => {
+      const intervalMs = this.config.reconciliation.intervalMinutes * 60 * 1000;
+      const lastRun = this.lastReconciliation ? Date.parse(this.lastReconciliation.timestamp) : 0;
+      if (Date.now() - lastRun >= intervalMs) {
+        await this.reconcilePositions();
+      }
+    });
+
+    // Correlation matrix - checked every 5 minutes, refreshed every config.correlation.refreshMinutes
+    this.correlationCronJob = new CronJob('*/5 * * * *', async () => {
+      const refreshMs = this.config.correlation.refreshMinutes * 60 * 1000;
+      const lastRun = this.lastCorrelationReport ? Date.parse(this.lastCorrelationReport.timestamp) : 0;
+      if (Date.now() - lastRun >= refreshMs) {
+        await this.updateCorrelationMatrix();
+      }
+    });
+
+    // Grid sync - picks up grid fills the order stream missed and re-arms idle levels
+    this.gridSyncCronJob = new CronJob('*/5 * * * *', async () => {
+      await this.gridManager?.syncAll();
+    });
+
+    // Protective order sync - catches exits the order stream missed and re-places missing stops
+    this.protectionSyncCronJob = new CronJob('*/5 * * * *', async () => {
+      await this.protectiveOrders?.syncAll();
+    });
+
     // Performance review - daily at 8 AM
     this.performanceReviewCronJob = new CronJob('0 8 * * *', async () => {
       if (this.isRunning) {
@@ -119,6 +254,10 @@ export class EnhancedTradingBot {
 
     this.tradingCronJob.start();
     this.riskCheckCronJob.start();
+    this.reconciliationCronJob.start();
+    this.correlationCronJob.start();
+    this.gridSyncCronJob.start();
+    this.protectionSyncCronJob.start();
     this.performanceReviewCronJob.start();
   }
 
@@ -137,179 +276,135 @@ export class EnhancedTradingBot {
     const canTrade = await this.canPlaceNewOrder(symbol);
     if (!canTrade) return;
 
-    // Get market data and technical indicators
-    const klines = await this.binance.candlesticks(symbol, '15m', false, { limit: 100 });
-    const indicators = calculateTechnicalIndicators(klines);
+    // Get technical indicators, from the stream when the symbol is tracked. Rule strategies
+    // evaluate their own indicator functions on the candles.
+    const klines = await this.candleProvider.getCandles(symbol, '15m', { limit: 200 });
+    const indicators = this.indicatorStream?.getSnapshot(symbol) ||
+      calculateTechnicalIndicators(klines, this.config.indicatorSettings);
 
-    // Calculate optimal position size
-    const volatility = this.volatilityCache.get(symbol) || 0.1;
-    const winRate = await this.calculateSymbolWinRate(symbol);
-    const positionSize = this.config.calculateOptimalPositionSize(symbol, volatility, winRate);
+    // Closed-candle snapshots on the higher (and lower) timeframes for the style rules
+    const timeframes = await this.multiTimeframe?.getContext(symbol);
 
     // Determine trading strategy based on market conditions and timeframe
-    const strategies = this.determineStrategies(indicators, marketCondition, positions.length);
+    const strategies = this.determineStrategies(indicators, marketCondition, positions.length, timeframes, symbol, klines);
 
     for (const strategy of strategies) {
-      if (strategy.action === 'BUY' && strategy.confidence > 0.6) {
-        await this.placeBuyOrder(symbol, positionSize, strategy);
+      if (this.isEntrySignal(strategy) && strategy.type === 'dca') {
+        await this.startDcaCampaign(symbol, strategy);
+      } else if (this.isEntrySignal(strategy)) {
+        const positionSizing = await this.calculatePositionSizing(symbol, strategy);
+        await this.placeBuyOrder(symbol, positionSizing, strategy);
       } else if (strategy.action === 'SELL' && positions.length > 0) {
         await this.evaluateSellConditions(symbol, positions, strategy);
       }
     }
   }
 
-  determineStrategies(indicators, marketCondition, existingPositions) {
+  // Position size from this symbol's and strategy's own trade history and realized volatility
+  async calculatePositionSizing(symbol, strategy) {
+    const inputs = await this.sizingStatistics.getSizingInputs(
+      symbol,
+      strategy.type,
+      this.config.activeSymbols,
+      this.config.positionSizing
+    );
+    return this.config.calculateOptimalPositionSize(symbol, inputs);
+  }
+
+  // Every strategy enabled for the symbol is evaluated on the same context. A signal counts when
+  // its confidence times the configured weight beats the strategy's minConfidence and its
+  // timeframe rules (checked against the multi-timeframe context) pass.
+  determineStrategies(indicators, marketCondition, existingPositions, timeframes = null, symbol = null, klines = null) {
+    const context = { symbol, indicators, klines, marketCondition, existingPositions, timeframes, config: this.config };
     const strategies = [];
-    const { rsi, macd, bollinger, currentPrice, sma20, sma50 } = indicators;
-
-    // Day Trading Strategy
-    if (this.config.tradingStyle.dayTrading.enabled) {
-      const dayTradingSignal = this.evaluateDayTradingSignals(indicators, marketCondition);
-      if (dayTradingSignal.confidence > 0.5) {
-        strategies.push({
-          ...dayTradingSignal,
-          type: 'day_trade',
-          holdingPeriod: this.config.tradingStyle.dayTrading.maxHoldingPeriodHours * 60 * 60 * 1000,
-          profitTarget: this.config.tradingStyle.dayTrading.quickProfitTarget
-        });
-      }
-    }
 
-    // Swing Trading Strategy
-    if (this.config.tradingStyle.swingTrading.enabled && existingPositions < 2) {
-      const swingTradingSignal = this.evaluateSwingTradingSignals(indicators, marketCondition);
-      if (swingTradingSignal.confidence > 0.6) {
-        strategies.push({
-          ...swingTradingSignal,
-          type: 'swing_trade',
-          holdingPeriod: this.config.tradingStyle.swingTrading.maxHoldingPeriodDays * 24 * 60 * 60 * 1000,
-          profitTarget: this.config.tradingStyle.swingTrading.targetProfitRange.min
-        });
+    for (const { strategy, weight, settings } of this.strategyRegistry.activeFor(this.config, symbol)) {
+      let signal;
+      try {
+        signal = strategy.evaluate(context, settings);
+      } catch (error) {
+        logger.error(`Strategy ${strategy.name} failed for ${symbol}:`, error.message);
+        continue;
       }
-    }
+      if (!signal) continue;
 
-    // DCA Strategy for existing losing positions
-    if (existingPositions > 0) {
-      const dcaSignal = this.evaluateDCAOpportunity(indicators);
-      if (dcaSignal.confidence > 0.7) {
-        strategies.push({
-          ...dcaSignal,
-          type: 'dca',
-          profitTarget: 5 // Lower profit target for DCA
-        });
-      }
+      const confidence = Math.min(signal.confidence * weight, 1);
+      const rules = this.checkTimeframeRules(strategy.timeframeRules?.(this.config) || [], timeframes);
+      if (confidence <= (settings.minConfidence ?? 0.5) || !rules.passed) continue;
+
+      strategies.push({
+        ...signal,
+        ...rules.signal,
+        confidence,
+        weight,
+        type: strategy.name,
+        holdingPeriod: strategy.holdingPeriod(this.config, settings),
+        profitTarget: strategy.profitTarget(this.config, settings),
+        settings
+      });
     }
 
     return strategies.sort((a, b) => b.confidence - a.confidence);
   }
 
-  evaluateDayTradingSignals(indicators, marketCondition) {
-    const { rsi, macd, bollinger, currentPrice } = indicators;
-    let score = 0;
-    let signals = [];
-
-    // RSI signals
-    if (rsi < 35) {
-      score += 2;
-      signals.push('RSI_OVERSOLD');
-    } else if (rsi > 65) {
-      score -= 2;
-      signals.push('RSI_OVERBOUGHT');
-    }
-
-    // Bollinger Bands
-    if (currentPrice < bollinger.lower * 1.01) {
-      score += 2;
-      signals.push('BB_BOUNCE');
-    } else if (currentPrice > bollinger.upper * 0.99) {
-      score -= 2;
-      signals.push('BB_RESISTANCE');
-    }
-
-    // MACD momentum
-    if (macd.histogram > 0 && macd.macd > macd.signal) {
-      score += 1;
-      signals.push('MACD_BULLISH');
-    }
-
-    // Market condition adjustment
-    if (marketCondition === 'bull') {
-      score += 1;
-    } else if (marketCondition === 'bear') {
-      score -= 1;
+  // No rules always passes. Rules can't be checked without a context (multi-timeframe
+  // disabled), so they're skipped rather than blocking every entry.
+  checkTimeframeRules(rules, timeframes) {
+    if (rules.length === 0 || !timeframes) {
+      return { passed: true, signal: {} };
     }
 
-    return {
-      action: score > 0 ? 'BUY' : 'SELL',
-      confidence: Math.min(Math.abs(score) / 6, 1),
-      signals,
-      score
-    };
+    const { passed, results } = evaluateTimeframeRules(timeframes, rules);
+    return { passed, signal: { timeframeRules: results } };
   }
 
-  evaluateSwingTradingSignals(indicators, marketCondition) {
-    const { rsi, sma20, sma50, currentPrice, atr } = indicators;
-    let score = 0;
-    let signals = [];
-
-    // Trend following
-    if (currentPrice > sma20 && sma20 > sma50) {
-      score += 2;
-      signals.push('UPTREND');
-    } else if (currentPrice < sma20 && sma20 < sma50) {
-      score -= 2;
-      signals.push('DOWNTREND');
-    }
+  isEntrySignal(strategy) {
+    return strategy.action === 'BUY' && strategy.confidence > 0.6;
+  }
 
-    // RSI for swing levels
-    if (rsi < 40) {
-      score += 1;
-      signals.push('RSI_SWING_LOW');
-    } else if (rsi > 70) {
-      score -= 1;
-      signals.push('RSI_SWING_HIGH');
-    }
+  // Stop loss and take profit prices for a new entry, snapped to support/resistance when
+  // nearby levels ({ supports, resistances } from LevelService) are passed. stopLossPrice comes
+  // from the stop model, the fixed percentage stop when not given.
+  calculateExitLevels(entryPrice, strategy, nearby = null, stopLossPrice = null) {
+    const exitLevels = {
+      stopLossPrice: stopLossPrice ?? entryPrice * (1 - this.config.riskManagement.stopLossPercentage / 100),
+      takeProfitPrice: entryPrice * (1 + strategy.profitTarget / 100)
+    };
 
-    // Volatility consideration
-    if (atr && atr > 0) {
-      const volatilityScore = Math.min(atr / currentPrice * 100, 3);
-      score += volatilityScore > 2 ? 1 : 0; // Higher volatility = more opportunity
+    if (!nearby || !this.config.levels?.enabled) {
+      return { ...exitLevels, stopLossLevel: null, takeProfitLevel: null };
     }
-
-    return {
-      action: score > 0 ? 'BUY' : 'SELL',
-      confidence: Math.min(Math.abs(score) / 5, 1),
-      signals,
-      score
-    };
+    return snapExitLevels(entryPrice, exitLevels, nearby, this.config.levels);
   }
 
-  evaluateDCAOpportunity(indicators) {
-    const { rsi, currentPrice, sma20 } = indicators;
-    let score = 0;
-
-    // DCA when price is significantly below average
-    if (currentPrice < sma20 * 0.95) score += 2;
-    if (rsi < 30) score += 2;
-
-    return {
-      action: 'BUY',
-      confidence: Math.min(score / 4, 1),
-      signals: ['DCA_OPPORTUNITY'],
-      score
-    };
+  // Levels around the price, null when levels are disabled or can't be loaded (fixed exits then)
+  async getNearestLevels(symbol, price) {
+    try {
+      return await this.levelService?.getNearestLevels(symbol, price) || null;
+    } catch (error) {
+      logger.warn(`Support/resistance unavailable for ${symbol}, using fixed exits:`, error.message);
+      return null;
+    }
   }
 
-  async placeBuyOrder(symbol, positionSize, strategy) {
+  async placeBuyOrder(symbol, positionSizing, strategy) {
     try {
       const currentPrice = this.priceCache.get(symbol);
-      const quantity = (positionSize / currentPrice).toFixed(6);
+      const { positionSize } = positionSizing;
+      const sizing = await this.symbolFilters.prepareOrder(symbol, 'BUY', positionSize / currentPrice, currentPrice, {
+        maxNotional: this.config.positionSizing.maxPositionSize
+      });
+      if (!sizing.valid) return;
 
-      // Calculate stop loss and take profit
-      const stopLossPrice = currentPrice * (1 - this.config.riskManagement.stopLossPercentage / 100);
-      const takeProfitPrice = currentPrice * (1 + strategy.profitTarget / 100);
+      // Calculate stop loss and take profit, snapped to nearby levels and on the symbol's price grid
+      const stopModel = this.config.riskManagement.stops?.model || 'fixed';
+      const modelStop = await this.getEntryStop(symbol, stopModel, currentPrice);
+      const exitLevels = this.calculateExitLevels(currentPrice, strategy, await this.getNearestLevels(symbol, currentPrice), modelStop);
+      const stopLossPrice = await this.symbolFilters.roundPrice(symbol, exitLevels.stopLossPrice);
+      const takeProfitPrice = await this.symbolFilters.roundPrice(symbol, exitLevels.takeProfitPrice);
 
-      const order = await this.binance.marketBuy(symbol, quantity);
+      const order = await this.exchange.marketBuy(symbol, sizing.quantity);
+      const fillPrice = order.price || currentPrice;
 
       // Save order with strategy information
       const orderDoc = new Order({
@@ -317,8 +412,8 @@ export class EnhancedTradingBot {
         orderId: order.orderId,
         side: 'BUY',
         type: 'MARKET',
-        quantity: parseFloat(order.executedQty),
-        price: parseFloat(order.fills[0]?.price || currentPrice),
+        quantity: order.executedQuantity,
+        price: fillPrice,
         status: order.status,
         timestamp: new Date(),
         strategy: strategy.type,
@@ -326,29 +421,45 @@ export class EnhancedTradingBot {
         takeProfit: takeProfitPrice,
         expectedHoldingPeriod: strategy.holdingPeriod,
         confidence: strategy.confidence,
-        signals: strategy.signals
+        signals: strategy.signals,
+        sizing: this.sizingAudit(positionSizing),
+        ...Order.executionFields(order),
+        isTestOrder: this.exchange.isPaperTrading
       });
 
       await orderDoc.save();
+      await this.orderTracker.applyPending(order.orderId);
 
       // Update active positions
-      this.addActivePosition(symbol, {
+      const position = {
         orderId: order.orderId,
-        entryPrice: parseFloat(order.fills[0]?.price || currentPrice),
-        quantity: parseFloat(order.executedQty),
+        entryPrice: fillPrice,
+        quantity: order.executedQuantity,
         entryTime: Date.now(),
         strategy: strategy.type,
         stopLoss: stopLossPrice,
         takeProfit: takeProfitPrice,
-        signals: strategy.signals
-      });
+        trailingHigh: fillPrice,
+        signals: strategy.signals,
+        confidence: strategy.confidence,
+        stopModel,
+        scaleOut: this.smartLossManager?.createScaleOutPlan(fillPrice, order.executedQuantity) || undefined
+      };
+      await this.addActivePosition(symbol, position);
+      await this.protectiveOrders?.protect(symbol, position);
 
       logTrade('BUY', symbol, {
-        quantity: parseFloat(order.executedQty),
-        price: parseFloat(order.fills[0]?.price || currentPrice),
+        quantity: order.executedQuantity,
+        price: fillPrice,
         strategy: strategy.type,
         confidence: strategy.confidence,
-        positionSize
+        positionSize,
+        sizing: this.sizingAudit(positionSizing),
+        stopLoss: stopLossPrice,
+        stopModel,
+        stopLossLevel: exitLevels.stopLossLevel?.source || 'FIXED',
+        takeProfit: takeProfitPrice,
+        takeProfitLevel: exitLevels.takeProfitLevel?.source || 'FIXED'
       });
 
     } catch (error) {
@@ -356,6 +467,50 @@ export class EnhancedTradingBot {
     }
   }
 
+  // A dca signal opens a campaign sized by its own settings instead of the position sizer
+  async startDcaCampaign(symbol, strategy) {
+    try {
+      const capital = await this.gridManager.getCapitalStatus();
+      const freeCapital = capital.availableCapital - capital.positionValue - capital.gridCapital;
+      await this.dcaManager.startCampaign(symbol, { ...strategy, currentPrice: this.priceCache.get(symbol) }, freeCapital);
+    } catch (error) {
+      logger.error(`Failed to start DCA campaign for ${symbol}:`, error.message);
+    }
+  }
+
+  // Safety orders add to a campaign the bot already holds, so only the loss limit and a pause stop them
+  async canAddToCampaign(symbol) {
+    if (!this.isRunning || await this.isTradingPaused()) return false;
+
+    await this.updateRiskMetrics();
+    const totalRisk = this.config.calculateTotalRisk(this.riskMetrics.realizedLoss, this.riskMetrics.unrealizedLoss);
+    if (totalRisk >= this.config.maxTotalLossAmount) {
+      logRiskEvent('MAX_LOSS_REACHED', symbol, totalRisk, this.config.maxTotalLossAmount, 'SKIP_SAFETY_ORDER');
+      return false;
+    }
+    return true;
+  }
+
+  // Flat record of what produced a position size, stored on the buy order
+  sizingAudit(positionSizing) {
+    const { inputs = {} } = positionSizing;
+    return {
+      method: positionSizing.method,
+      positionSize: positionSizing.positionSize,
+      source: inputs.source,
+      trades: inputs.trades,
+      winRate: inputs.winRate,
+      avgWin: inputs.avgWin,
+      avgLoss: inputs.avgLoss,
+      payoffRatio: inputs.payoffRatio,
+      fullKelly: positionSizing.fullKelly,
+      kellyFraction: positionSizing.kellyFraction,
+      volatility: inputs.volatility,
+      averageVolatility: inputs.averageVolatility,
+      volatilityCap: positionSizing.volatilityCap
+    };
+  }
+
   async checkExpiredPositions() {
     const currentTime = Date.now();
 
@@ -388,8 +543,8 @@ export class EnhancedTradingBot {
       let shouldSell = false;
       let sellReason = '';
 
-      // Take profit conditions
-      if (currentPrice >= position.takeProfit) {
+      // Take profit conditions, scaled-out positions take theirs by tier
+      if (currentPrice >= position.takeProfit && !position.scaleOut) {
         shouldSell = true;
         sellReason = 'TAKE_PROFIT';
       }
@@ -400,8 +555,8 @@ export class EnhancedTradingBot {
         sellReason = 'STOP_LOSS';
       }
 
-      // Trailing stop logic
-      else if (this.config.riskManagement.enableTrailingStop) {
+      // Trailing stop logic, campaigns keep averaging down instead of trailing
+      else if (this.config.riskManagement.enableTrailingStop && !position.dca) {
         const trailingStopPrice = await this.calculateTrailingStop(symbol, position);
         if (currentPrice <= trailingStopPrice) {
           shouldSell = true;
@@ -432,15 +587,29 @@ export class EnhancedTradingBot {
     }
   }
 
+  // Protective orders hold the base on the exchange; one of them may have sold the position already.
+  // The sell runs in their queue once they are canceled, so no new stop is placed before it.
+  async sellReleased(symbol, position, sell) {
+    if (!this.protectiveOrders) return sell();
+    return this.protectiveOrders.release(symbol, position, sell);
+  }
+
   async placeSellOrder(symbol, position, currentPrice, reason) {
     try {
-      const order = await this.binance.marketSell(symbol, position.quantity);
+      const order = await this.sellReleased(symbol, position, async () => {
+        const sizing = await this.symbolFilters.prepareOrder(symbol, 'SELL', position.quantity, currentPrice);
+        if (!sizing.valid) throw new Error(sizing.reason);
+
+        return this.exchange.marketSell(symbol, sizing.quantity);
+      });
+      if (!order) return;
 
       // Calculate final P&L
       const totalCost = position.entryPrice * position.quantity;
       const totalRevenue = currentPrice * position.quantity;
       const pnl = totalRevenue - totalCost;
       const pnlPercentage = (pnl / totalCost) * 100;
+      const result = this.closingPnl(position, pnl);
 
       // Save sell order
       const sellOrder = new Order({
@@ -457,16 +626,27 @@ export class EnhancedTradingBot {
         sellReason: reason,
         holdingPeriodMs: Date.now() - position.entryTime,
         buyOrderId: position.orderId,
-        strategy: position.strategy
+        positionId: position.positionId,
+        strategy: position.strategy,
+        ...Order.executionFields(order),
+        isTestOrder: this.exchange.isPaperTrading
       });
 
       await sellOrder.save();
+      await this.orderTracker.applyPending(order.orderId);
 
       // Update performance metrics
-      this.updatePerformanceMetrics(pnl, reason);
+      this.updatePerformanceMetrics(result.pnl, reason);
 
       // Remove from active positions
-      this.removeActivePosition(symbol, position.orderId);
+      await this.removeActivePosition(symbol, position.orderId, {
+        orderId: order.orderId,
+        price: currentPrice,
+        quantity: order.executedQuantity,
+        reason,
+        orderPnl: pnl,
+        ...result
+      });
 
       logTrade('SELL', symbol, {
         quantity: position.quantity,
@@ -483,22 +663,44 @@ export class EnhancedTradingBot {
     }
   }
 
-  async calculateTrailingStop(symbol, position) {
-    // Get highest price since entry
-    const redis_key = `trailing_high:${symbol}:${position.orderId}`;
-    let highestPrice = await redis.get(redis_key);
+  // Stop for a new entry from the configured model, null for the fixed percentage stop or when the
+  // model has no stop under the price yet
+  async getEntryStop(symbol, stopModel, currentPrice) {
+    if (stopModel === 'fixed') return null;
 
+    const klines = await this.candleProvider.getCandles(symbol, '15m', { limit: 100 });
+    const stop = calculateModelStop(stopModel, { entryPrice: currentPrice, entryTime: Date.now() }, klines,
+      this.config.riskManagement, this.config.indicatorSettings.atr);
+    return stop !== null && stop < currentPrice ? stop : null;
+  }
+
+  async calculateTrailingStop(symbol, position) {
+    // Highest price since entry lives on the position so it survives restarts
     const currentPrice = this.priceCache.get(symbol);
+    const highestPrice = Math.max(position.trailingHigh || position.entryPrice, currentPrice);
 
-    if (!highestPrice || currentPrice > parseFloat(highestPrice)) {
-      highestPrice = currentPrice;
-      await redis.setex(redis_key, 86400, currentPrice.toString()); // 24h expiry
-    } else {
-      highestPrice = parseFloat(highestPrice);
+    if (highestPrice > (position.trailingHigh || 0)) {
+      position.trailingHigh = highestPrice;
+      await this.updatePosition(position, { trailingHigh: highestPrice });
+    }
+
+    // Stop models trail by their own rule: the position's stop moves up to the model's stop
+    if (this.smartLossManager && this.smartLossManager.getStopModel(position) !== 'fixed') {
+      const klines = await this.candleProvider.getCandles(symbol, '15m', { limit: 100 });
+      const stop = await this.symbolFilters.roundPrice(symbol, this.smartLossManager.getModelStop(position, klines));
+
+      if (stop > position.stopLoss) {
+        position.stopLoss = stop;
+        await this.updatePosition(position, { stopLoss: stop });
+        await this.protectiveOrders?.raiseStop(symbol, position, stop);
+      }
+      return position.stopLoss;
     }
 
     const trailingStopPrice = highestPrice * (1 - this.config.riskManagement.trailingStopPercentage / 100);
-    return Math.max(trailingStopPrice, position.stopLoss); // Don't go below original stop loss
+    const stopPrice = Math.max(trailingStopPrice, position.stopLoss); // Don't go below original stop loss
+    await this.protectiveOrders?.raiseStop(symbol, position, stopPrice);
+    return stopPrice;
   }
 
   async canPlaceNewOrder(symbol) {
@@ -524,6 +726,11 @@ export class EnhancedTradingBot {
       return false;
     }
 
+    // Symbols running a grid are traded by the grid alone
+    if (this.gridManager?.hasGrid(symbol)) {
+      return false;
+    }
+
     // Check symbol-specific limits
     const symbolPositions = this.getPositionsForSymbol(symbol);
     if (symbolPositions.length >= this.config.orderManagement.maxOrdersPerSymbol) {
@@ -545,12 +752,46 @@ export class EnhancedTradingBot {
     for (const activeSymbol of activeSymbols) {
       const correlation = this.correlationMatrix.get(`${symbol}-${activeSymbol}`) || 0;
       if (Math.abs(correlation) > this.config.riskManagement.maxCorrelation) {
+        logRiskEvent('HIGH_CORRELATION', symbol, Math.abs(correlation), this.config.riskManagement.maxCorrelation, 'BLOCK_ENTRY');
         return true;
       }
     }
     return false;
   }
 
+  async updateCorrelationMatrix() {
+    const settings = this.config.correlation;
+    if (!settings?.enabled || !this.correlationService) return null;
+
+    try {
+      const symbols = [...this.config.activeSymbols, ...this.activePositions.keys()];
+      const report = await this.correlationService.buildReport(symbols, settings);
+
+      const matrix = new Map();
+      for (const { pair, correlation } of report.pairs) {
+        if (correlation === null) continue;
+        const [symbolA, symbolB] = pair.split('-');
+        matrix.set(`${symbolA}-${symbolB}`, correlation);
+        matrix.set(`${symbolB}-${symbolA}`, correlation);
+      }
+
+      this.correlationMatrix = matrix;
+      this.lastCorrelationReport = report;
+
+      logger.info(`🔗 Correlation matrix updated for ${report.symbols.length} symbols`, {
+        interval: settings.interval,
+        highlyCorrelated: report.pairs
+          .filter(p => p.correlation !== null && Math.abs(p.correlation) > this.config.riskManagement.maxCorrelation)
+          .map(p => `${p.pair} ${p.correlation}`)
+      });
+
+      return report;
+    } catch (error) {
+      logger.error('Failed to update correlation matrix:', error.message);
+      return null;
+    }
+  }
+
   async updateRiskMetrics() {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
@@ -632,8 +873,8 @@ export class EnhancedTradingBot {
 
       for (const symbol of majorSymbols) {
         try {
-          const ticker = await this.binance.prevDay(symbol);
-          totalChange += parseFloat(ticker.priceChangePercent);
+          const ticker = await this.exchange.getTicker(symbol);
+          totalChange += ticker.priceChangePercent;
           count++;
         } catch (error) {
           logger.error(`Failed to get market data for ${symbol}:`, error.message);
@@ -663,7 +904,7 @@ export class EnhancedTradingBot {
 
     for (const symbol of symbols) {
       try {
-        const klines = await this.binance.candlesticks(symbol, '5m', false, { limit: 12 }); // Last hour
+        const klines = await this.candleProvider.getCandles(symbol, '5m', { limit: 12 }); // Last hour
         const prices = klines.map(k => parseFloat(k[4])); // Close prices
 
         const currentPrice = prices[prices.length - 1];
@@ -696,16 +937,175 @@ export class EnhancedTradingBot {
     return false;
   }
 
-  async pauseTrading(minutes) {
-    const pauseUntil = Date.now() + (minutes * 60 * 1000);
-    await redis.setex('trading_paused', minutes * 60, pauseUntil.toString());
+  async pauseTrading(minutes, reason = 'RISK_MANAGEMENT') {
+    const pausedUntil = Date.now() + (minutes * 60 * 1000);
+    await redis.setEx('trading_paused', minutes * 60, pausedUntil.toString());
 
-    logger.warn(`🐶 Bark Trader paused for ${minutes} minutes`);
+    logger.warn(`🐶 Bark Trader paused for ${minutes} minutes`, { reason });
 
     this.wsManager?.broadcast({
       type: 'TRADING_PAUSED',
-      data: { pausedUntil, reason: 'RISK_MANAGEMENT' }
+      data: { pausedUntil, reason }
+    });
+  }
+
+  // Position reconciliation
+  async reconcilePositions() {
+    const settings = this.config.reconciliation;
+    if (!settings?.enabled || !this.positionReconciler) return null;
+
+    try {
+      const report = await this.positionReconciler.buildReport(
+        this.activePositions,
+        this.config.activeSymbols,
+        settings,
+        await this.gridManager?.getReconciliationHoldings(),
+        this.protectiveOrders?.getOrderIds()
+      );
+
+      if (report.issues.length > 0) {
+        await this.applyReconciliationPolicy(report, settings);
+
+        logger.warn(`🔍 Reconciliation found ${report.issues.length} issue(s)`, {
+          policy: settings.policy,
+          issues: report.issues.map(issue => `${issue.type} ${issue.symbol} → ${issue.action}`)
+        });
+
+        this.wsManager?.broadcast({
+          type: 'RECONCILIATION_REPORT',
+          data: report
+        });
+      } else {
+        logger.info('🔍 Reconciliation complete, positions match the exchange');
+      }
+
+      this.lastReconciliation = report;
+      return report;
+    } catch (error) {
+      logger.error('Failed to reconcile positions:', error.message);
+      return null;
+    }
+  }
+
+  async applyReconciliationPolicy(report, settings) {
+    report.issues.forEach(issue => { issue.action = 'NONE'; });
+
+    if (settings.policy === 'pause_trading') {
+      await this.pauseTrading(settings.intervalMinutes, 'RECONCILIATION');
+      report.tradingPaused = true;
+      return;
+    }
+
+    if (settings.policy !== 'auto_repair') return;
+
+    for (const issue of report.issues) {
+      try {
+        issue.action = await this.repairReconciliationIssue(issue, settings);
+      } catch (error) {
+        issue.action = 'FAILED';
+        issue.error = error.message;
+        logger.error(`Failed to repair ${issue.type} for ${issue.symbol}:`, error.message);
+      }
+    }
+  }
+
+  async repairReconciliationIssue(issue, settings) {
+    switch (issue.type) {
+      case 'MISSING_POSITION':
+        return this.shrinkPositionsToBalance(issue.symbol, issue.actualQuantity);
+
+      case 'ORPHANED_BALANCE':
+        if (!settings.adoptOrphanedBalances) return 'NONE';
+        return this.adoptOrphanedBalance(issue.symbol, issue.difference);
+
+      case 'STALE_ORDER':
+        await this.exchange.cancelOrder(issue.symbol, issue.orderId);
+        return 'CANCELED_ORDER';
+
+      case 'UNSYNCED_ORDER': {
+        const order = await this.exchange.getOrder(issue.symbol, issue.orderId);
+        const orderDoc = await Order.findOne({ orderId: String(issue.orderId) });
+        if (!orderDoc) return 'NONE';
+
+        // Individual fills were missed with the stream, only the totals can be restored
+        await this.orderTracker.applyUpdate(orderDoc, { ...order, fills: [] });
+        return 'SYNCED_ORDER';
+      }
+
+      default:
+        return 'NONE';
+    }
+  }
+
+  // Keep the oldest positions the real balance still covers, close the rest
+  async shrinkPositionsToBalance(symbol, actualQuantity) {
+    const positions = [...this.getPositionsForSymbol(symbol)].sort((a, b) => a.entryTime - b.entryTime);
+    let remaining = actualQuantity;
+    let closed = 0;
+
+    for (const position of positions) {
+      if (remaining >= position.quantity) {
+        remaining -= position.quantity;
+        continue;
+      }
+
+      if (remaining > 0) {
+        const quantity = await this.symbolFilters.roundQuantity(symbol, remaining);
+        position.quantity = quantity;
+        await this.updatePosition(position, { quantity });
+        await this.protectiveOrders?.refresh(symbol, position);
+        remaining = 0;
+        continue;
+      }
+
+      // A protective order that sold it closes the position with its real exit instead
+      if (this.protectiveOrders && !await this.protectiveOrders.release(symbol, position)) {
+        closed++;
+        continue;
+      }
+
+      await this.removeActivePosition(symbol, position.orderId, {
+        orderId: 'RECONCILIATION',
+        price: this.priceCache.get(symbol) || position.entryPrice,
+        quantity: position.quantity,
+        reason: 'RECONCILED_MISSING',
+        pnl: 0,
+        pnlPercentage: 0
+      });
+      closed++;
+    }
+
+    return closed > 0 ? 'CLOSED_POSITIONS' : 'ADJUSTED_POSITIONS';
+  }
+
+  async adoptOrphanedBalance(symbol, quantity) {
+    const currentPrice = this.priceCache.get(symbol) || (await this.exchange.getTicker(symbol)).lastPrice;
+    // Without a price the entry, stop and target would all be NaN; the issue is reported as FAILED instead
+    if (!Number.isFinite(currentPrice) || currentPrice <= 0) {
+      throw new Error(`No price available for ${symbol}, orphaned balance not adopted`);
+    }
+
+    const adoptedQuantity = await this.symbolFilters.roundQuantity(symbol, quantity);
+    const exitLevels = this.calculateExitLevels(currentPrice, {
+      profitTarget: this.config.riskManagement.takeProfitPercentage
     });
+
+    const position = {
+      orderId: `RECONCILED-${symbol}-${Date.now()}`,
+      entryPrice: currentPrice,
+      quantity: adoptedQuantity,
+      entryTime: Date.now(),
+      strategy: 'adopted',
+      stopLoss: await this.symbolFilters.roundPrice(symbol, exitLevels.stopLossPrice),
+      takeProfit: await this.symbolFilters.roundPrice(symbol, exitLevels.takeProfitPrice),
+      trailingHigh: currentPrice,
+      signals: ['RECONCILIATION'],
+      confidence: 0
+    };
+    await this.addActivePosition(symbol, position);
+    await this.protectiveOrders?.protect(symbol, position);
+
+    return 'ADOPTED_BALANCE';
   }
 
   updatePerformanceMetrics(pnl, reason) {
@@ -724,36 +1124,31 @@ export class EnhancedTradingBot {
     this.performanceMetrics.maxDrawdown = Math.min(this.performanceMetrics.maxDrawdown, drawdown);
   }
 
-  async calculateSymbolWinRate(symbol) {
-    try {
-      const thirtyDaysAgo = new Date();
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+  // Position management helpers
+  // MongoDB is the source of truth for positions, Redis only mirrors the open ones
+  async addActivePosition(symbol, position) {
+    if (!this.activePositions.has(symbol)) {
+      this.activePositions.set(symbol, []);
+    }
+    this.activePositions.get(symbol).push(position);
 
-      const orders = await Order.find({
+    try {
+      const positionDoc = await Position.create({
         symbol,
-        side: 'SELL',
-        timestamp: { $gte: thirtyDaysAgo }
+        ...position,
+        entryTime: new Date(position.entryTime),
+        entryOrders: [{ orderId: position.orderId, price: position.entryPrice, quantity: position.quantity }],
+        isPaperTrading: this.exchange.isPaperTrading
       });
-
-      if (orders.length === 0) return 0.5; // Default 50% if no history
-
-      const winningOrders = orders.filter(order => order.pnl > 0);
-      return winningOrders.length / orders.length;
+      position.positionId = positionDoc._id.toString();
     } catch (error) {
-      logger.error(`Failed to calculate win rate for ${symbol}:`, error.message);
-      return 0.5;
+      logger.error(`Failed to persist position for ${symbol}:`, error.message);
     }
-  }
 
-  // Position management helpers
-  addActivePosition(symbol, position) {
-    if (!this.activePositions.has(symbol)) {
-      this.activePositions.set(symbol, []);
-    }
-    this.activePositions.get(symbol).push(position);
+    await this.cacheActivePositions();
   }
 
-  removeActivePosition(symbol, orderId) {
+  async removeActivePosition(symbol, orderId, exit) {
     const positions = this.activePositions.get(symbol);
     if (positions) {
       const filteredPositions = positions.filter(p => p.orderId !== orderId);
@@ -763,6 +1158,89 @@ export class EnhancedTradingBot {
         this.activePositions.set(symbol, filteredPositions);
       }
     }
+
+    try {
+      await Position.updateOne({ orderId }, {
+        $set: {
+          status: 'CLOSED',
+          exitPrice: exit.price,
+          exitTime: new Date(),
+          exitReason: exit.reason,
+          pnl: exit.pnl,
+          pnlPercentage: exit.pnlPercentage
+        },
+        $push: {
+          exitOrders: { orderId: exit.orderId, price: exit.price, quantity: exit.quantity, reason: exit.reason, pnl: exit.orderPnl }
+        }
+      });
+    } catch (error) {
+      logger.error(`Failed to close position ${orderId} for ${symbol}:`, error.message);
+    }
+
+    await this.cacheActivePositions();
+  }
+
+  // Whole-position result when it closes: the final sale plus any scale-out tranches sold before
+  closingPnl(position, pnl) {
+    const realizedPnl = position.scaleOut?.realizedPnl || 0;
+    const quantity = position.scaleOut?.initialQuantity || position.quantity;
+    const totalPnl = pnl + realizedPnl;
+
+    return {
+      pnl: totalPnl,
+      pnlPercentage: (totalPnl / (position.entryPrice * quantity)) * 100
+    };
+  }
+
+  // One of the position's protective orders sold it on the exchange
+  async closeProtectedPosition(symbol, position, order, reason) {
+    const pnl = (order.price - position.entryPrice) * order.executedQuantity;
+    const pnlPercentage = (pnl / (position.entryPrice * order.executedQuantity)) * 100;
+    const result = this.closingPnl(position, pnl);
+
+    this.updatePerformanceMetrics(result.pnl, reason);
+
+    await this.removeActivePosition(symbol, position.orderId, {
+      orderId: String(order.orderId),
+      price: order.price,
+      quantity: order.executedQuantity,
+      reason,
+      orderPnl: pnl,
+      ...result
+    });
+
+    logTrade('SELL', symbol, {
+      quantity: order.executedQuantity,
+      price: order.price,
+      pnl,
+      pnlPercentage,
+      reason,
+      strategy: position.strategy,
+      holdingPeriod: (Date.now() - position.entryTime) / (60 * 60 * 1000) // hours
+    });
+
+    this.wsManager?.broadcast({
+      type: 'PROTECTIVE_ORDER_FILLED',
+      data: {
+        symbol,
+        orderId: position.orderId,
+        reason,
+        price: order.price,
+        quantity: order.executedQuantity,
+        pnl: result.pnl,
+        pnlPercentage: result.pnlPercentage,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  async updatePosition(position, changes, push = null) {
+    try {
+      await Position.updateOne({ orderId: position.orderId }, push ? { $set: changes, $push: push } : { $set: changes });
+      await this.cacheActivePositions();
+    } catch (error) {
+      logger.error(`Failed to update position ${position.orderId}:`, error.message);
+    }
   }
 
   getPositionsForSymbol(symbol) {
@@ -770,34 +1248,48 @@ export class EnhancedTradingBot {
   }
 
   async loadActivePositions() {
+    this.activePositions.clear();
+
     try {
-      // Load from Redis cache first
-      const cachedPositions = await redis.hgetall('active_positions');
-      for (const [symbol, positionsData] of Object.entries(cachedPositions)) {
-        this.activePositions.set(symbol, JSON.parse(positionsData));
+      const openPositions = await Position.findOpen();
+      for (const positionDoc of openPositions) {
+        if (!this.activePositions.has(positionDoc.symbol)) {
+          this.activePositions.set(positionDoc.symbol, []);
+        }
+        this.activePositions.get(positionDoc.symbol).push(positionDoc.toActivePosition());
       }
 
-      logger.info(`Loaded ${this.activePositions.size} active position groups from cache`);
+      logger.info(`Loaded ${openPositions.length} open positions across ${this.activePositions.size} symbols`);
+      await this.cacheActivePositions();
     } catch (error) {
-      logger.error('Failed to load active positions:', error);
+      logger.error('Failed to load positions from MongoDB, falling back to the Redis cache:', error);
+
+      try {
+        const cachedPositions = await redis.hGetAll(RedisKeys.ACTIVE_POSITIONS);
+        for (const [symbol, positionsData] of Object.entries(cachedPositions)) {
+          this.activePositions.set(symbol, JSON.parse(positionsData));
+        }
+      } catch (cacheError) {
+        logger.error('Failed to load cached active positions:', cacheError);
+      }
     }
   }
 
-  async saveActivePositions() {
+  async cacheActivePositions() {
     try {
-      // Save to Redis
+      await redis.del(RedisKeys.ACTIVE_POSITIONS);
       for (const [symbol, positions] of this.activePositions.entries()) {
-        await redis.hset('active_positions', symbol, JSON.stringify(positions));
+        await redis.hSet(RedisKeys.ACTIVE_POSITIONS, symbol, JSON.stringify(positions));
       }
     } catch (error) {
-      logger.error('Failed to save active positions:', error);
+      logger.error('Failed to cache active positions:', error);
     }
   }
 
   setupPriceStreams() {
     if (!this.config?.activeSymbols?.length) return;
 
-    this.binance.websockets.trades(this.config.activeSymbols, (trade) => {
+    this.exchange.subscribeTrades(this.config.activeSymbols, (trade) => {
       this.handlePriceUpdate(trade);
     });
   }
@@ -806,6 +1298,8 @@ export class EnhancedTradingBot {
     const { symbol, price } = trade;
     const numericPrice = parseFloat(price);
     this.priceCache.set(symbol, numericPrice);
+    this.indicatorStream?.handleTrade(trade);
+    this.dcaManager?.handlePrice(symbol, numericPrice);
 
     // Calculate volatility
     this.updateVolatility(symbol, numericPrice);
@@ -932,9 +1426,13 @@ export class EnhancedTradingBot {
     this.isRunning = false;
     if (this.tradingCronJob) this.tradingCronJob.stop();
     if (this.riskCheckCronJob) this.riskCheckCronJob.stop();
+    if (this.reconciliationCronJob) this.reconciliationCronJob.stop();
+    if (this.correlationCronJob) this.correlationCronJob.stop();
+    if (this.gridSyncCronJob) this.gridSyncCronJob.stop();
+    if (this.protectionSyncCronJob) this.protectionSyncCronJob.stop();
     if (this.performanceReviewCronJob) this.performanceReviewCronJob.stop();
 
-    await this.saveActivePositions();
+    await this.cacheActivePositions();
     logger.info('🐶 Enhanced Bark Trader stopped');
   }
 
@@ -942,6 +1440,7 @@ export class EnhancedTradingBot {
     logger.error(`🚨 EMERGENCY STOP: ${reason}`);
 
     await this.stop();
+    await this.gridManager?.stopAll('EMERGENCY_STOP');
 
     // Close all positions
     const closedPositions = [];
@@ -981,22 +1480,84 @@ export class EnhancedTradingBot {
   async initializeSmartLossManager() {
     this.smartLossManager = new SmartLossManager(
       this.config,
-      this.binance,
-      this.priceCache
+      this.exchange,
+      this.priceCache,
+      {
+        candleProvider: this.candleProvider,
+        indicatorStream: this.indicatorStream,
+        multiTimeframe: this.multiTimeframe
+      }
     );
 
     logger.info('🧠 Smart Loss Manager initialized - Bark Trader is now smarter! 🐶');
   }
 
+  // Enabled TradingRules: entry rules become rule:<name> strategies in the registry, exit rules
+  // go to SmartLossManager. Called again whenever rules change through the API.
+  async loadTradingRules() {
+    const rules = await TradingRule.find({ enabled: true });
+
+    for (const strategy of this.strategyRegistry.list()) {
+      if (strategy.name.startsWith(RULE_STRATEGY_PREFIX)) {
+        this.strategyRegistry.unregister(strategy.name);
+      }
+    }
+
+    const exitRules = [];
+    let entryRules = 0;
+    for (const rule of rules) {
+      try {
+        if (rule.type === 'entry') {
+          this.strategyRegistry.register(createRuleStrategy(rule));
+          entryRules += 1;
+        } else {
+          exitRules.push(createExitRule(rule));
+        }
+      } catch (error) {
+        logger.error(`Skipping trading rule ${rule.name}:`, error.message);
+      }
+    }
+
+    this.smartLossManager?.setExitRules(exitRules);
+    logger.info(`📜 Loaded ${entryRules} entry and ${exitRules.length} exit rules`);
+  }
+
   async evaluateAllPositions() {
     const evaluationResults = [];
 
-    for (const [symbol, positions] of this.activePositions.entries()) {
-      const currentPrice = this.priceCache.get(symbol);
-      if (!currentPrice) continue;
+    for (const symbol of Array.from(this.activePositions.keys())) {
+      evaluationResults.push(...await this.evaluateSymbolPositions(symbol));
+    }
 
-      for (const position of positions) {
+    return evaluationResults;
+  }
+
+  // Between trading cycles, re-check open positions as soon as their candle closes
+  async handleCandleClose(symbol) {
+    if (!this.isRunning || !this.smartLossManager || this.getPositionsForSymbol(symbol).length === 0) return;
+    if (await this.isTradingPaused()) return;
+
+    const evaluations = await this.evaluateSymbolPositions(symbol);
+    if (evaluations.length > 0) {
+      this.broadcastEnhancedTradingUpdate(evaluations);
+    }
+  }
+
+  async evaluateSymbolPositions(symbol) {
+    const evaluationResults = [];
+    const currentPrice = this.priceCache.get(symbol);
+    if (!currentPrice || this.evaluatingSymbols.has(symbol)) return evaluationResults;
+
+    this.evaluatingSymbols.add(symbol);
+    try {
+      for (const position of [...this.getPositionsForSymbol(symbol)]) {
         try {
+          // Stop models move the stop up on every evaluation, the runner after the last scale-out
+          // tier trails from its high
+          if (this.smartLossManager.isRunner(position) || this.smartLossManager.getStopModel(position) !== 'fixed') {
+            await this.calculateTrailingStop(symbol, position);
+          }
+
           const recommendation = await this.smartLossManager.getPositionRecommendation(symbol, position);
 
           evaluationResults.push({
@@ -1016,6 +1577,8 @@ export class EnhancedTradingBot {
           logger.error(`Failed to evaluate position ${symbol}:`, error.message);
         }
       }
+    } finally {
+      this.evaluatingSymbols.delete(symbol);
     }
 
     return evaluationResults;
@@ -1023,12 +1586,16 @@ export class EnhancedTradingBot {
 
   async executeSmartSell(symbol, position, recommendation) {
     const currentPrice = this.priceCache.get(symbol);
-    const { reason, confidence, urgency, details } = recommendation;
+    const { reason, confidence, urgency, details, signals = [], tier } = recommendation;
 
     // Different execution strategies based on urgency
     let executionStrategy = 'MARKET'; // Default to market order
 
-    if (urgency === 'HIGH') {
+    if (tier !== undefined) {
+      // Scale-out tranches sell at market so the remaining quantity is known right away
+      executionStrategy = 'MARKET';
+      logger.info(`🪜 PARTIAL SELL: ${symbol} - ${reason}`, { confidence, details });
+    } else if (urgency === 'HIGH') {
       // Emergency situations - execute immediately at market price
       executionStrategy = 'MARKET';
       logger.warn(`🚨 URGENT SELL: ${symbol} - ${reason}`, { confidence, details });
@@ -1043,48 +1610,26 @@ export class EnhancedTradingBot {
     }
 
     try {
-      let order;
-
-      switch (executionStrategy) {
-        case 'MARKET':
-          order = await this.binance.marketSell(symbol, position.quantity);
-          break;
+      const tranche = tier !== undefined ? await this.sizeTranche(symbol, position, recommendation.quantity, currentPrice) : null;
+      if (tranche?.skip) {
+        await this.skipScaleOutTier(symbol, position, tier, tranche.reason);
+        return;
+      }
 
-        case 'SMART_LIMIT':
-          // Try limit order 0.1% below current price
-          const limitPrice = currentPrice * 0.999;
-          try {
-            order = await this.binance.sell(symbol, position.quantity, limitPrice);
-
-            // Set timeout to convert to market order if not filled in 2 minutes
-            setTimeout(async () => {
-              try {
-                const orderStatus = await this.binance.orderStatus(symbol, order.orderId);
-                if (orderStatus.status !== 'FILLED') {
-                  await this.binance.cancel(symbol, order.orderId);
-                  order = await this.binance.marketSell(symbol, position.quantity);
-                  logger.info(`Converted limit order to market order for ${symbol}`);
-                }
-              } catch (error) {
-                logger.error(`Failed to check/convert order for ${symbol}:`, error.message);
-              }
-            }, 120000); // 2 minutes
-          } catch (error) {
-            // Fallback to market order
-            order = await this.binance.marketSell(symbol, position.quantity);
-          }
-          break;
+      let sellQuantity;
+      const order = await this.sellReleased(symbol, position, async () => {
+        const sizing = tranche?.sizing || await this.symbolFilters.prepareOrder(symbol, 'SELL', position.quantity, currentPrice);
+        if (!sizing.valid) throw new Error(sizing.reason);
 
-        case 'LIMIT':
-          // Try limit order 0.05% below current price
-          const conservativeLimitPrice = currentPrice * 0.9995;
-          order = await this.binance.sell(symbol, position.quantity, conservativeLimitPrice);
-          break;
-      }
+        sellQuantity = sizing.quantity;
+        return this.submitSellOrder(symbol, position, sellQuantity, currentPrice, executionStrategy);
+      });
+      if (!order) return;
+      const isPartial = Boolean(tranche?.partial);
 
-      // Calculate P&L
-      const totalCost = position.entryPrice * position.quantity;
-      const totalRevenue = currentPrice * position.quantity;
+      // Calculate P&L of what this order sells
+      const totalCost = position.entryPrice * sellQuantity;
+      const totalRevenue = currentPrice * sellQuantity;
       const pnl = totalRevenue - totalCost;
       const pnlPercentage = (pnl / totalCost) * 100;
 
@@ -1094,7 +1639,7 @@ export class EnhancedTradingBot {
         orderId: order.orderId,
         side: 'SELL',
         type: order.type || 'MARKET',
-        quantity: position.quantity,
+        quantity: sellQuantity,
         price: currentPrice,
         status: order.status,
         timestamp: new Date(),
@@ -1104,16 +1649,28 @@ export class EnhancedTradingBot {
         sellConfidence: confidence,
         sellUrgency: urgency,
         smartSellDetails: details,
+        signals,
         holdingPeriodMs: Date.now() - position.entryTime,
         buyOrderId: position.orderId,
+        positionId: position.positionId,
+        tranche: tier,
         strategy: position.strategy,
-        executionStrategy
+        executionStrategy,
+        ...Order.executionFields(order),
+        isTestOrder: this.exchange.isPaperTrading
       });
 
       await sellOrder.save();
+      await this.orderTracker.applyPending(order.orderId);
+
+      if (isPartial) {
+        await this.recordTranche(symbol, position, tier, order, { price: currentPrice, quantity: sellQuantity, pnl });
+        return;
+      }
 
       // Update performance metrics with enhanced tracking
-      this.updatePerformanceMetrics(pnl, reason, confidence);
+      const result = this.closingPnl(position, pnl);
+      this.updatePerformanceMetrics(result.pnl, reason, confidence);
 
       // Enhanced logging for smart sells
       if (reason === 'TREND_REVERSAL') {
@@ -1123,11 +1680,18 @@ export class EnhancedTradingBot {
       }
 
       // Remove from active positions
-      this.removeActivePosition(symbol, position.orderId);
+      await this.removeActivePosition(symbol, position.orderId, {
+        orderId: order.orderId,
+        price: currentPrice,
+        quantity: order.originalQuantity,
+        reason,
+        orderPnl: pnl,
+        ...result
+      });
 
       // Enhanced trade logging
       logTrade('SMART_SELL', symbol, {
-        quantity: position.quantity,
+        quantity: sellQuantity,
         entryPrice: position.entryPrice,
         exitPrice: currentPrice,
         pnl,
@@ -1167,7 +1731,8 @@ export class EnhancedTradingBot {
       // Try emergency market sell if limit order fails
       if (urgency === 'HIGH') {
         try {
-          const emergencyOrder = await this.binance.marketSell(symbol, position.quantity);
+          const emergencyQuantity = await this.symbolFilters.roundQuantity(symbol, position.quantity);
+          const emergencyOrder = await this.exchange.marketSell(symbol, emergencyQuantity);
           logger.warn(`Emergency market sell executed for ${symbol} after limit order failure`);
         } catch (emergencyError) {
           logger.error(`Emergency sell also failed for ${symbol}:`, emergencyError.message);
@@ -1176,6 +1741,164 @@ export class EnhancedTradingBot {
     }
   }
 
+  // Places the sell for executeSmartSell's execution strategy
+  async submitSellOrder(symbol, position, sellQuantity, currentPrice, executionStrategy) {
+    switch (executionStrategy) {
+      case 'MARKET':
+        return this.exchange.marketSell(symbol, sellQuantity);
+
+      case 'SMART_LIMIT': {
+        // Try limit order 0.1% below current price
+        const limitPrice = await this.symbolFilters.roundPrice(symbol, currentPrice * 0.999);
+        let order;
+        try {
+          order = await this.exchange.limitSell(symbol, sellQuantity, limitPrice);
+        } catch (error) {
+          // Fallback to market order
+          return this.exchange.marketSell(symbol, sellQuantity);
+        }
+
+        // Convert whatever is still unfilled to a market order after 2 minutes
+        this.convertUnfilledToMarket(symbol, order, position, 120000).catch(error => {
+          logger.error(`Failed to check/convert order for ${symbol}:`, error.message);
+        });
+        return order;
+      }
+
+      case 'LIMIT': {
+        // Try limit order 0.05% below current price
+        const conservativeLimitPrice = await this.symbolFilters.roundPrice(symbol, currentPrice * 0.9995);
+        return this.exchange.limitSell(symbol, sellQuantity, conservativeLimitPrice);
+      }
+    }
+  }
+
+  // Wait for the limit order's fills on the order stream, then market sell the remainder
+  async convertUnfilledToMarket(symbol, limitOrder, position, timeoutMs) {
+    if (limitOrder.status === 'FILLED') return;
+
+    const result = await this.orderTracker.waitForCompletion(limitOrder.orderId, timeoutMs);
+    if (result.status === 'FILLED') return;
+
+    if (!FINAL_STATUSES.includes(result.status)) {
+      await this.exchange.cancelOrder(symbol, limitOrder.orderId);
+    }
+
+    const remainingQuantity = limitOrder.originalQuantity - result.executedQuantity;
+    if (remainingQuantity <= 0) return;
+
+    // A small remainder can fall below the exchange minimums and stay as dust
+    const sizing = await this.symbolFilters.prepareOrder(symbol, 'SELL', remainingQuantity, this.priceCache.get(symbol));
+    if (!sizing.valid) return;
+
+    const marketOrder = await this.exchange.marketSell(symbol, sizing.quantity);
+
+    const sellOrder = new Order({
+      symbol,
+      orderId: marketOrder.orderId,
+      side: 'SELL',
+      type: 'MARKET',
+      quantity: marketOrder.executedQuantity,
+      price: marketOrder.price,
+      status: marketOrder.status,
+      timestamp: new Date(),
+      buyOrderId: position.orderId,
+      positionId: position.positionId,
+      strategy: position.strategy,
+      notes: `Remainder of unfilled limit order ${limitOrder.orderId}`,
+      ...Order.executionFields(marketOrder),
+      isTestOrder: this.exchange.isPaperTrading
+    });
+
+    await sellOrder.save();
+    await this.orderTracker.applyPending(marketOrder.orderId);
+
+    logger.info(`Converted limit order to market order for ${symbol}`, {
+      limitOrderId: limitOrder.orderId,
+      filledByLimit: result.executedQuantity,
+      remainingQuantity
+    });
+  }
+
+  // Order size for a scale-out tier. A tranche below the exchange minimums is skipped, and one that
+  // would leave an unsellable remainder sells the whole position instead.
+  async sizeTranche(symbol, position, quantity, currentPrice) {
+    const sizing = await this.symbolFilters.prepareOrder(symbol, 'SELL', quantity, currentPrice);
+    if (!sizing.valid) return { skip: true, reason: sizing.reason };
+
+    const remaining = position.quantity - sizing.quantity;
+    if (remaining <= 0) return { sizing, partial: false };
+
+    const remainder = await this.symbolFilters.prepareOrder(symbol, 'SELL', remaining, currentPrice);
+    if (!remainder.valid) {
+      return { sizing: await this.symbolFilters.prepareOrder(symbol, 'SELL', position.quantity, currentPrice), partial: false };
+    }
+    return { sizing, partial: true };
+  }
+
+  // A sold tranche: less held, its pnl realized, and the stop at break-even after the first one
+  async recordTranche(symbol, position, tierIndex, order, fill) {
+    const tier = position.scaleOut.tiers[tierIndex];
+    Object.assign(tier, {
+      status: 'FILLED',
+      orderId: String(order.orderId),
+      price: fill.price,
+      filledQuantity: fill.quantity,
+      pnl: fill.pnl,
+      filledAt: new Date()
+    });
+
+    position.quantity -= fill.quantity;
+    position.scaleOut.realizedPnl += fill.pnl; // Counted in the performance metrics when the position closes
+
+    if (!position.scaleOut.breakEvenApplied) {
+      position.stopLoss = await this.symbolFilters.roundPrice(symbol, this.smartLossManager.getBreakEvenStop(position));
+      position.scaleOut.breakEvenApplied = true;
+    }
+
+    await this.updatePosition(position, {
+      quantity: position.quantity,
+      stopLoss: position.stopLoss,
+      scaleOut: position.scaleOut
+    }, {
+      exitOrders: { orderId: String(order.orderId), price: fill.price, quantity: fill.quantity, reason: 'PARTIAL_TAKE_PROFIT', pnl: fill.pnl }
+    });
+
+    logTrade('PARTIAL_SELL', symbol, {
+      tier: tierIndex + 1,
+      quantity: fill.quantity,
+      price: fill.price,
+      pnl: fill.pnl,
+      remainingQuantity: position.quantity,
+      realizedPnl: position.scaleOut.realizedPnl,
+      stopLoss: position.stopLoss,
+      strategy: position.strategy
+    });
+
+    this.wsManager?.broadcast({
+      type: 'PARTIAL_SELL_EXECUTED',
+      data: {
+        symbol,
+        orderId: position.orderId,
+        tier: tierIndex + 1,
+        quantity: fill.quantity,
+        pnl: fill.pnl,
+        remainingQuantity: position.quantity,
+        stopLoss: position.stopLoss,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+    // The runner is protected again, for its remaining quantity and the new stop
+    await this.protectiveOrders?.refresh(symbol, position);
+  }
+
+  async skipScaleOutTier(symbol, position, tierIndex, reason) {
+    position.scaleOut.tiers[tierIndex].status = 'SKIPPED';
+    await this.updatePosition(position, { scaleOut: position.scaleOut });
+    logger.warn(`🪜 Scale-out tier ${tierIndex + 1} skipped for ${symbol}: ${reason}`);
+  }
+
   async executeTradingCycleWithSmartLoss() {
     try {
       logger.info('🐶 Starting Enhanced Bark Trader cycle with Smart Loss Management...');
@@ -1415,10 +2138,34 @@ export class EnhancedTradingBot {
       winRate,
       consecutiveLosses: this.performanceMetrics.consecutiveLosses,
       totalUnrealizedProfit,
-      activePositions: Array.from(this.activePositions.values()).reduce((total, positions) => total + positions.length, 0)
+      activePositions: Array.from(this.activePositions.values()).reduce((total, positions) => total + positions.length, 0),
+      dcaCampaigns: Array.from(this.activePositions.values()).flat().filter(position => position.dca).length
     };
   }
 
+  // One entry per open position; a DCA campaign is a single position whatever number of orders it bought
+  describePositions() {
+    return Array.from(this.activePositions.entries()).flatMap(([symbol, positions]) => positions.map(position => {
+      const currentPrice = this.priceCache.get(symbol) || null;
+      const unrealizedPnl = currentPrice ? (currentPrice - position.entryPrice) * position.quantity : null;
+
+      return {
+        symbol,
+        orderId: position.orderId,
+        strategy: position.strategy,
+        entryPrice: position.entryPrice,
+        quantity: position.quantity,
+        currentPrice,
+        unrealizedPnl,
+        unrealizedPnlPercentage: unrealizedPnl === null ? null : (currentPrice / position.entryPrice - 1) * 100,
+        stopLoss: position.stopLoss,
+        takeProfit: position.takeProfit,
+        campaign: this.dcaManager?.describeCampaign(position, currentPrice) || null,
+        protection: position.protection || null
+      };
+    }));
+  }
+
   // Enhanced WebSocket broadcasting with smart analysis
   broadcastEnhancedTradingUpdate(positionEvaluations) {
     const enhancedData = {
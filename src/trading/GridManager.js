@@ -0,0 +1,594 @@
+// Grid Manager for Bark Trader 🐶
+// Grid trading: the range between lowerPrice and upperPrice is cut into gridCount levels. Each
+// level rests a limit buy at its lower price, and once that fills a limit sell for the same
+// quantity one step up; when the sell fills the level is re-armed with a buy and the spread is
+// booked as the level's profit. Levels above the price when the grid starts are bought at market
+// first so they can start on the sell side. All state lives in the Grid collection, fills the
+// order stream missed (restarts, reconnects) are picked up by syncAll().
+import { Grid } from '../models/Grid.js';
+import { Order } from '../models/Order.js';
+import { logger, logTrade } from '../utils/logger.js';
+import { committedCapital } from './DcaCampaignManager.js';
+import { FINAL_STATUSES } from './OrderTracker.js';
+
+export const GRID_STRATEGY = 'grid';
+
+// gridCount + 1 prices from lowerPrice to upperPrice, evenly spaced in price or in percent
+export function calculateGridPrices(lowerPrice, upperPrice, gridCount, spacing = 'arithmetic') {
+  if (spacing === 'geometric') {
+    const ratio = Math.pow(upperPrice / lowerPrice, 1 / gridCount);
+    return Array.from({ length: gridCount + 1 }, (_, i) => lowerPrice * Math.pow(ratio, i));
+  }
+
+  const step = (upperPrice - lowerPrice) / gridCount;
+  return Array.from({ length: gridCount + 1 }, (_, i) => lowerPrice + step * i);
+}
+
+export class GridManager {
+  // config: EnhancedTradingConfig (tradingStyle.gridTrading and portfolioSettings are read on every call)
+  constructor(exchange, config, options = {}) {
+    this.exchange = exchange;
+    this.config = config;
+    this.symbolFilters = options.symbolFilters;
+    this.orderTracker = options.orderTracker || null;
+    this.priceCache = options.priceCache || new Map();
+    this.activePositions = options.activePositions || new Map();
+    this.wsManager = options.wsManager || null;
+    this.runningSymbols = new Set(); // Symbols with an active or paused grid
+    this.queues = new Map();         // symbol -> tail of the promise chain for that grid
+  }
+
+  async start() {
+    const grids = await Grid.findRunning();
+    grids.forEach(grid => this.runningSymbols.add(grid.symbol));
+
+    this.orderTracker?.onFinalStatus(orderDoc => this.handleOrderFinal(orderDoc));
+    await this.syncAll();
+
+    logger.info(`🕸️ Grid manager started with ${grids.length} running grid(s)`);
+  }
+
+  hasGrid(symbol) {
+    return this.runningSymbols.has(symbol);
+  }
+
+  // Stream updates, syncs and API calls can overlap, so changes to one grid run one at a time
+  enqueue(symbol, task) {
+    const previous = this.queues.get(symbol) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    const cleanup = () => {
+      if (this.queues.get(symbol) === next) this.queues.delete(symbol);
+    };
+
+    this.queues.set(symbol, next);
+    next.then(cleanup, cleanup);
+    return next;
+  }
+
+  // Capital a new grid may commit: available capital (total minus the reserve) not held by open
+  // positions or other grids, and within gridTrading.maxCapitalPercentage for all grids together
+  async getCapitalStatus() {
+    const grids = await Grid.findRunning();
+    const gridCapital = grids.reduce((sum, grid) => sum + grid.capital, 0);
+    const positionValue = Array.from(this.activePositions.values())
+      .flat()
+      .reduce((sum, position) => sum + committedCapital(position), 0);
+
+    const availableCapital = this.config.availableCapital;
+    const gridLimit = availableCapital * this.config.tradingStyle.gridTrading.maxCapitalPercentage / 100;
+
+    return {
+      availableCapital,
+      reserveAmount: this.config.reserveAmount,
+      positionValue,
+      gridCapital,
+      gridLimit,
+      remaining: Math.max(Math.min(availableCapital - positionValue - gridCapital, gridLimit - gridCapital), 0)
+    };
+  }
+
+  // Problems that keep a grid from starting, empty when it can.
+  // params: { symbol, lowerPrice, upperPrice, gridCount, spacing, capital }
+  async validateGrid(params, currentPrice) {
+    const settings = this.config.tradingStyle.gridTrading;
+    const { symbol, lowerPrice, upperPrice, gridCount, spacing, capital } = params;
+    const problems = [];
+
+    if (!settings.enabled) {
+      problems.push('Grid trading is disabled (tradingStyle.gridTrading.enabled)');
+    }
+    if (!this.config.activeSymbols.includes(symbol)) {
+      problems.push(`${symbol} is not an active symbol`);
+    }
+    if (this.hasGrid(symbol)) {
+      problems.push(`${symbol} already runs a grid`);
+    }
+    if ((this.activePositions.get(symbol) || []).length > 0) {
+      problems.push(`${symbol} has open positions, close them before starting a grid`);
+    }
+    if (!(currentPrice > lowerPrice && currentPrice < upperPrice)) {
+      problems.push(`Current price ${currentPrice} is outside the grid range ${lowerPrice} - ${upperPrice}`);
+    }
+
+    // Arithmetic steps are narrowest in percent at the top of the range
+    const prices = calculateGridPrices(lowerPrice, upperPrice, gridCount, spacing);
+    const minStepPercent = Math.min(...prices.slice(1).map((price, i) => (price / prices[i] - 1) * 100));
+    if (minStepPercent < settings.minStepPercent) {
+      problems.push(`Grid step of ${minStepPercent.toFixed(3)}% is below the ${settings.minStepPercent}% minimum, ` +
+        'use fewer levels or a wider range');
+    }
+
+    const { remaining } = await this.getCapitalStatus();
+    if (capital > remaining) {
+      problems.push(`Grid capital ${capital} exceeds the ${remaining.toFixed(2)} available after the reserve, ` +
+        'open positions and other grids');
+    }
+
+    // The top level buys the smallest quantity for the same capital
+    const capitalPerLevel = capital / gridCount;
+    const topPrice = prices[gridCount - 1];
+    const sizing = await this.symbolFilters.prepareOrder(symbol, 'BUY', capitalPerLevel / topPrice, topPrice, {
+      maxNotional: capitalPerLevel
+    });
+    if (!sizing.valid || sizing.quantity <= 0) {
+      problems.push(`${capitalPerLevel.toFixed(2)} per level is below the exchange minimum order for ${symbol}`);
+    }
+
+    return problems;
+  }
+
+  async getCurrentPrice(symbol) {
+    return this.priceCache.get(symbol) || (await this.exchange.getTicker(symbol)).lastPrice;
+  }
+
+  // Builds the levels, buys the inventory for the sell side and arms every level.
+  // Call validateGrid() first.
+  createGrid(params, currentPrice) {
+    const { symbol } = params;
+
+    return this.enqueue(symbol, async () => {
+      const prices = calculateGridPrices(params.lowerPrice, params.upperPrice, params.gridCount, params.spacing);
+      const capitalPerLevel = params.capital / params.gridCount;
+      const levels = [];
+
+      for (let i = 0; i < params.gridCount; i++) {
+        const buyPrice = await this.symbolFilters.roundPrice(symbol, prices[i]);
+        const sellPrice = await this.symbolFilters.roundPrice(symbol, prices[i + 1]);
+        const sizing = await this.symbolFilters.prepareOrder(symbol, 'BUY', capitalPerLevel / buyPrice, buyPrice, {
+          maxNotional: capitalPerLevel
+        });
+        levels.push({ index: i, buyPrice, sellPrice, quantity: sizing.quantity });
+      }
+
+      const grid = new Grid({ ...params, levels, isTestOrder: this.exchange.isPaperTrading });
+      await grid.save();
+      this.runningSymbols.add(symbol);
+
+      // Levels whose buy price is already above the market start as sells
+      const sellSide = grid.levels.filter(level => level.buyPrice >= currentPrice);
+      if (sellSide.length > 0) {
+        await this.buyInitialInventory(grid, sellSide);
+      }
+
+      await this.armIdleLevels(grid);
+      await grid.save();
+
+      logger.info(`🕸️ Grid started for ${symbol}`, {
+        range: `${params.lowerPrice} - ${params.upperPrice}`,
+        levels: params.gridCount,
+        capital: params.capital,
+        sellLevels: sellSide.length
+      });
+      this.broadcast(grid);
+
+      return grid;
+    });
+  }
+
+  async buyInitialInventory(grid, levels) {
+    const quantity = await this.symbolFilters.roundQuantity(
+      grid.symbol,
+      levels.reduce((sum, level) => sum + level.quantity, 0)
+    );
+    const order = await this.exchange.marketBuy(grid.symbol, quantity);
+    const fillPrice = order.price || await this.getCurrentPrice(grid.symbol);
+
+    await this.saveOrder(grid, order, 'BUY', 'MARKET', {
+      notes: `Grid ${grid.symbol} inventory for ${levels.length} sell levels`
+    });
+    grid.initialOrderId = String(order.orderId);
+
+    // Handed out level by level, the last level takes any rounding difference
+    let remaining = order.executedQuantity;
+    levels.forEach((level, i) => {
+      const share = i === levels.length - 1 ? remaining : Math.min(level.quantity, remaining);
+      remaining -= share;
+      level.holdingQuantity = share;
+      level.entryPrice = fillPrice;
+      level.buyOrderId = String(order.orderId);
+    });
+
+    await grid.save();
+  }
+
+  // Levels holding inventory go on the sell side, the rest on the buy side
+  async armIdleLevels(grid) {
+    for (const level of grid.levels) {
+      if (level.status !== 'IDLE') continue;
+      await this.placeLevelOrder(grid, level, level.holdingQuantity > 0 ? 'SELL' : 'BUY');
+    }
+  }
+
+  async placeLevelOrder(grid, level, side) {
+    const quantity = side === 'BUY' ? level.quantity : level.holdingQuantity;
+    const price = side === 'BUY' ? level.buyPrice : level.sellPrice;
+    const sizing = await this.symbolFilters.prepareOrder(grid.symbol, side, quantity, price, {
+      maxNotional: quantity * price
+    });
+
+    if (!sizing.valid) {
+      level.status = 'IDLE';
+      level.orderId = null;
+      level.lastError = sizing.reason;
+      return null;
+    }
+
+    try {
+      const order = side === 'BUY'
+        ? await this.exchange.limitBuy(grid.symbol, sizing.quantity, sizing.price)
+        : await this.exchange.limitSell(grid.symbol, sizing.quantity, sizing.price);
+
+      // Saved before the Order document, so a fill event for it always finds its level
+      level.status = side === 'BUY' ? 'BUY_OPEN' : 'SELL_OPEN';
+      level.orderId = String(order.orderId);
+      level.lastError = null;
+      await grid.save();
+
+      await this.saveOrder(grid, order, side, 'LIMIT', {
+        buyOrderId: side === 'SELL' ? level.buyOrderId : undefined,
+        notes: `Grid ${grid.symbol} level ${level.index}`
+      });
+
+      // Limit orders through the market fill on placement, before any stream update
+      if (FINAL_STATUSES.includes(order.status)) {
+        this.enqueue(grid.symbol, () => this.handleOrder(grid.symbol, order)).catch(error => {
+          logger.error(`Failed to process grid order ${order.orderId}:`, error.message);
+        });
+      }
+
+      return order;
+    } catch (error) {
+      level.status = 'IDLE';
+      level.orderId = null;
+      level.lastError = error.message;
+      logger.error(`Failed to place grid ${side} for ${grid.symbol} level ${level.index}:`, error.message);
+      return null;
+    }
+  }
+
+  async saveOrder(grid, order, side, type, extra = {}) {
+    const orderDoc = new Order({
+      symbol: grid.symbol,
+      orderId: order.orderId,
+      side,
+      type,
+      quantity: order.executedQuantity || order.originalQuantity,
+      price: order.price,
+      status: order.status,
+      timestamp: new Date(),
+      strategy: GRID_STRATEGY,
+      ...extra,
+      ...Order.executionFields(order),
+      isTestOrder: this.exchange.isPaperTrading
+    });
+
+    await orderDoc.save();
+    await this.orderTracker?.applyPending(order.orderId);
+    return orderDoc;
+  }
+
+  // OrderTracker listener for orders reaching a final status
+  handleOrderFinal(orderDoc) {
+    if (orderDoc.strategy !== GRID_STRATEGY || !this.hasGrid(orderDoc.symbol)) return;
+
+    this.enqueue(orderDoc.symbol, () => this.handleOrder(orderDoc.symbol, orderDoc)).catch(error => {
+      logger.error(`Failed to process grid order ${orderDoc.orderId}:`, error.message);
+    });
+  }
+
+  async handleOrder(symbol, order) {
+    const grid = await Grid.findOne({ symbol, status: { $in: ['ACTIVE', 'PAUSED'] } });
+    if (!grid) return;
+
+    if (await this.applyOrder(grid, order)) {
+      await grid.save();
+      this.broadcast(grid);
+    }
+  }
+
+  // Books a final order on its level and, while the grid is active, arms the other side.
+  // Orders that no longer belong to a level (already handled) are ignored.
+  async applyOrder(grid, order) {
+    if (!FINAL_STATUSES.includes(order.status)) return false;
+
+    const level = grid.findLevelByOrder(order.orderId);
+    if (!level) return false;
+
+    const side = level.status === 'BUY_OPEN' ? 'BUY' : 'SELL';
+    level.status = 'IDLE';
+    level.orderId = null;
+    this.applyExecution(grid, level, side, order);
+
+    if (order.status === 'FILLED' && grid.status === 'ACTIVE' && this.config.tradingStyle.gridTrading.enabled) {
+      await this.placeLevelOrder(grid, level, side === 'BUY' ? 'SELL' : 'BUY');
+    }
+
+    return true;
+  }
+
+  // Partial fills of canceled orders count too, so holdings always match what was traded
+  applyExecution(grid, level, side, order) {
+    const executed = order.executedQuantity || 0;
+    if (executed <= 0) return;
+
+    const fillPrice = order.cummulativeQuoteQuantity > 0 ? order.cummulativeQuoteQuantity / executed : order.price;
+
+    if (side === 'BUY') {
+      const cost = level.entryPrice * level.holdingQuantity + fillPrice * executed;
+      level.holdingQuantity += executed;
+      level.entryPrice = cost / level.holdingQuantity;
+      level.buyOrderId = String(order.orderId);
+      level.buyFills += 1;
+    } else {
+      const profit = (fillPrice - level.entryPrice) * executed;
+      level.holdingQuantity = Math.max(level.holdingQuantity - executed, 0);
+      level.profit += profit;
+      level.sellFills += 1;
+      grid.totalProfit += profit;
+      if (order.status === 'FILLED') grid.completedCycles += 1;
+    }
+
+    level.lastFilledAt = new Date();
+
+    logTrade(side, grid.symbol, {
+      strategy: GRID_STRATEGY,
+      level: level.index,
+      quantity: executed,
+      price: fillPrice,
+      levelProfit: level.profit,
+      gridProfit: grid.totalProfit
+    });
+  }
+
+  // Catches fills the order stream missed and re-arms idle levels of active grids
+  async syncAll() {
+    for (const grid of await Grid.findRunning()) {
+      try {
+        await this.syncGrid(grid.symbol);
+      } catch (error) {
+        logger.error(`Failed to sync grid for ${grid.symbol}:`, error.message);
+      }
+    }
+  }
+
+  syncGrid(symbol) {
+    return this.enqueue(symbol, async () => {
+      const grid = await Grid.findOne({ symbol, status: { $in: ['ACTIVE', 'PAUSED'] } });
+      if (!grid) return;
+
+      let changed = false;
+      for (const level of grid.levels.filter(level => level.orderId)) {
+        const order = await this.exchange.getOrder(symbol, level.orderId);
+        if (!FINAL_STATUSES.includes(order.status)) continue;
+
+        await this.syncOrderDocument(order);
+        changed = await this.applyOrder(grid, order) || changed;
+      }
+
+      if (grid.status === 'ACTIVE' && this.config.tradingStyle.gridTrading.enabled &&
+          grid.levels.some(level => level.status === 'IDLE')) {
+        await this.armIdleLevels(grid);
+        changed = true;
+      }
+
+      await grid.save();
+      if (changed) this.broadcast(grid);
+    });
+  }
+
+  // Individual fills were missed with the stream, only the totals can be restored
+  async syncOrderDocument(order) {
+    const orderDoc = await Order.findOne({ orderId: String(order.orderId) });
+    if (orderDoc && this.orderTracker) {
+      await this.orderTracker.applyUpdate(orderDoc, { ...order, fills: [] });
+    }
+  }
+
+  // Cancels a level's order and books whatever it filled before the cancel
+  async cancelLevelOrder(grid, level) {
+    let order;
+    try {
+      order = await this.exchange.cancelOrder(grid.symbol, level.orderId);
+    } catch (error) {
+      // Usually filled in the meantime, the order itself tells
+      order = await this.exchange.getOrder(grid.symbol, level.orderId);
+    }
+
+    await this.applyOrder(grid, order);
+  }
+
+  async cancelAllLevels(grid) {
+    for (const level of grid.levels.filter(level => level.orderId)) {
+      try {
+        await this.cancelLevelOrder(grid, level);
+      } catch (error) {
+        level.lastError = error.message;
+        logger.error(`Failed to cancel grid order ${level.orderId} for ${grid.symbol}:`, error.message);
+      }
+    }
+  }
+
+  pauseGrid(symbol) {
+    return this.enqueue(symbol, async () => {
+      const grid = await Grid.findOne({ symbol, status: 'ACTIVE' });
+      if (!grid) return null;
+
+      // Paused first, so filled cancels are booked without arming the other side
+      grid.status = 'PAUSED';
+      await this.cancelAllLevels(grid);
+      await grid.save();
+
+      logger.info(`⏸️ Grid paused for ${symbol}`);
+      this.broadcast(grid);
+      return grid;
+    });
+  }
+
+  resumeGrid(symbol) {
+    return this.enqueue(symbol, async () => {
+      const grid = await Grid.findOne({ symbol, status: 'PAUSED' });
+      if (!grid) return null;
+
+      grid.status = 'ACTIVE';
+      await this.armIdleLevels(grid);
+      await grid.save();
+
+      logger.info(`▶️ Grid resumed for ${symbol}`);
+      this.broadcast(grid);
+      return grid;
+    });
+  }
+
+  // Cancels the ladder; with sellInventory the base asset the levels hold is sold at market,
+  // otherwise it stays in the account. Returns { grid, liquidation }
+  stopGrid(symbol, { sellInventory = false, reason = 'USER' } = {}) {
+    return this.enqueue(symbol, async () => {
+      const grid = await Grid.findOne({ symbol, status: { $in: ['ACTIVE', 'PAUSED'] } });
+      if (!grid) return null;
+
+      grid.status = 'PAUSED';
+      await this.cancelAllLevels(grid);
+
+      let liquidation = null;
+      if (sellInventory && grid.inventoryQuantity() > 0) {
+        liquidation = await this.sellInventory(grid);
+      }
+
+      grid.status = 'STOPPED';
+      grid.stoppedAt = new Date();
+      grid.stopReason = reason;
+      await grid.save();
+      this.runningSymbols.delete(symbol);
+
+      logger.info(`🛑 Grid stopped for ${symbol}`, {
+        reason,
+        totalProfit: grid.totalProfit,
+        completedCycles: grid.completedCycles,
+        inventoryLeft: grid.inventoryQuantity()
+      });
+      this.broadcast(grid);
+
+      return { grid, liquidation };
+    });
+  }
+
+  async sellInventory(grid) {
+    const sizing = await this.symbolFilters.prepareOrder(
+      grid.symbol, 'SELL', grid.inventoryQuantity(), await this.getCurrentPrice(grid.symbol)
+    );
+    if (!sizing.valid) return null;
+
+    const cost = grid.inventoryCost() * sizing.quantity / grid.inventoryQuantity();
+    const order = await this.exchange.marketSell(grid.symbol, sizing.quantity);
+    const pnl = order.cummulativeQuoteQuantity - cost;
+
+    await this.saveOrder(grid, order, 'SELL', 'MARKET', {
+      pnl,
+      notes: `Grid ${grid.symbol} inventory sold on stop`
+    });
+
+    grid.totalProfit += pnl;
+    for (const level of grid.levels) {
+      level.holdingQuantity = 0;
+    }
+
+    return { orderId: order.orderId, quantity: order.executedQuantity, price: order.price, pnl };
+  }
+
+  // Emergency stop: every grid is stopped and its inventory sold
+  async stopAll(reason) {
+    for (const symbol of Array.from(this.runningSymbols)) {
+      try {
+        await this.stopGrid(symbol, { sellInventory: true, reason });
+      } catch (error) {
+        logger.error(`Failed to stop grid for ${symbol}:`, error.message);
+      }
+    }
+  }
+
+  // Base asset held and orders resting for grids, so reconciliation doesn't report them as
+  // orphaned balances or stale orders
+  async getReconciliationHoldings() {
+    const grids = await Grid.findRunning();
+
+    return {
+      quantities: new Map(grids.map(grid => [grid.symbol, grid.inventoryQuantity()])),
+      orderIds: new Set(grids.flatMap(grid => grid.levels.filter(level => level.orderId).map(level => level.orderId)))
+    };
+  }
+
+  // API view of a grid with each level's status, profit and distance from the price
+  describeGrid(grid, currentPrice = null) {
+    const inventoryQuantity = grid.inventoryQuantity();
+    const inventoryCost = grid.inventoryCost();
+
+    return {
+      id: grid._id,
+      symbol: grid.symbol,
+      status: grid.status,
+      lowerPrice: grid.lowerPrice,
+      upperPrice: grid.upperPrice,
+      gridCount: grid.gridCount,
+      spacing: grid.spacing,
+      capital: grid.capital,
+      currentPrice,
+      inRange: currentPrice ? currentPrice >= grid.lowerPrice && currentPrice <= grid.upperPrice : null,
+      totalProfit: grid.totalProfit,
+      profitPercentage: grid.capital > 0 ? (grid.totalProfit / grid.capital) * 100 : 0,
+      completedCycles: grid.completedCycles,
+      inventoryQuantity,
+      inventoryCost,
+      unrealizedPnl: currentPrice ? inventoryQuantity * currentPrice - inventoryCost : null,
+      openBuyOrders: grid.levels.filter(level => level.status === 'BUY_OPEN').length,
+      openSellOrders: grid.levels.filter(level => level.status === 'SELL_OPEN').length,
+      startedAt: grid.startedAt,
+      stoppedAt: grid.stoppedAt,
+      stopReason: grid.stopReason,
+      levels: grid.levels.map(level => ({
+        index: level.index,
+        buyPrice: level.buyPrice,
+        sellPrice: level.sellPrice,
+        quantity: level.quantity,
+        status: level.status,
+        orderId: level.orderId,
+        distancePercent: currentPrice
+          ? ((level.status === 'SELL_OPEN' ? level.sellPrice : level.buyPrice) / currentPrice - 1) * 100
+          : null,
+        holdingQuantity: level.holdingQuantity,
+        entryPrice: level.entryPrice,
+        buyFills: level.buyFills,
+        sellFills: level.sellFills,
+        profit: level.profit,
+        lastFilledAt: level.lastFilledAt,
+        lastError: level.lastError
+      }))
+    };
+  }
+
+  broadcast(grid) {
+    this.wsManager?.broadcast({
+      type: 'GRID_UPDATE',
+      data: this.describeGrid(grid, this.priceCache.get(grid.symbol) || null)
+    });
+  }
+}
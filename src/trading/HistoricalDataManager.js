@@ -42,29 +42,12 @@ export class HistoricalDataManager {
     }
   }
 
-  async isRSIWeakening(symbol, periods = 3) {
+  async getPreviousRSI(symbol, rsiSeries = null) {
     try {
-      const history = await this.getRSIHistory(symbol, periods + 1);
-      
-      if (history.length < periods) return false;
-      
-      // Check if RSI is consistently declining
-      for (let i = 1; i < periods; i++) {
-        if (history[i].value >= history[i - 1].value) {
-          return false; // Not consistently declining
-        }
+      if (rsiSeries) {
+        return rsiSeries.length >= 2 ? rsiSeries[rsiSeries.length - 2] : null;
       }
-      
-      const totalDecline = history[0].value - history[periods - 1].value;
-      return totalDecline > 5; // Decline by more than 5 RSI points
-    } catch (error) {
-      logger.error(`Failed to check RSI weakening for ${symbol}:`, error);
-      return false;
-    }
-  }
 
-  async getPreviousRSI(symbol) {
-    try {
       const history = await this.getRSIHistory(symbol, 2);
       return history.length >= 2 ? history[1].value : null;
     } catch (error) {
@@ -0,0 +1,162 @@
+// Indicator Stream for Bark Trader 🐶
+// Keeps streaming indicators per symbol current from closed candles and the trade stream,
+// so snapshots cost O(1) instead of recomputing 100 candles, and listeners can react to
+// every candle close instead of waiting for the next trading cycle.
+import { systemClock } from '../utils/clock.js';
+import { alignToInterval, INTERVAL_MS } from '../utils/intervals.js';
+import { logger } from '../utils/logger.js';
+import { StreamingIndicatorSet } from '../utils/streamingIndicators.js';
+import { DEFAULT_MIN_PATTERN_STRENGTH, detectCandlestickPatterns } from '../utils/candlestickPatterns.js';
+import { calculateExtendedIndicators } from '../utils/technicalAnalysis.js';
+
+const ROLLOVER_CANDLES = 3; // Newly closed candle(s) plus the forming one
+
+export class IndicatorStream {
+  constructor(candleProvider, options = {}) {
+    this.candleProvider = candleProvider;
+    this.interval = options.interval || '15m';
+    this.seedCandles = options.seedCandles || 200;
+    this.clock = options.clock || systemClock;
+    this.settings = options.settings || {}; // Indicator periods and smoothing, see StreamingIndicatorSet
+    this.intervalMs = INTERVAL_MS[this.interval];
+    this.streams = new Map(); // symbol -> { indicators, klines, lastClosedOpenTime, forming, rollingOver }
+    this.candleCloseListeners = [];
+  }
+
+  // callback(symbol, snapshot) after each closed candle has been applied
+  onCandleClose(callback) {
+    this.candleCloseListeners.push(callback);
+  }
+
+  async trackAll(symbols) {
+    for (const symbol of symbols) {
+      try {
+        await this.track(symbol);
+      } catch (error) {
+        logger.error(`Failed to seed streaming indicators for ${symbol}:`, error.message);
+      }
+    }
+    logger.info(`📈 Streaming indicators ready for ${this.streams.size} symbols on ${this.interval}`);
+  }
+
+  // Seed (or reseed) a symbol from candle history
+  async track(symbol) {
+    const klines = await this.candleProvider.getCandles(symbol, this.interval, { limit: this.seedCandles + 1, fresh: true });
+    const now = this.clock.now();
+    const closed = klines.filter(kline => kline[6] < now);
+    const forming = klines.find(kline => kline[6] >= now);
+
+    this.streams.set(symbol, {
+      indicators: new StreamingIndicatorSet(this.settings).seed(closed),
+      klines: closed.slice(-this.seedCandles), // Window for the extended indicators, which aren't streamed
+      lastClosedOpenTime: closed.length > 0 ? closed[closed.length - 1][0] : 0,
+      forming: forming ? toFormingCandle(forming) : null,
+      rollingOver: false
+    });
+  }
+
+  // Rebuild every tracked symbol with new indicator settings
+  async updateSettings(settings) {
+    this.settings = settings;
+    await this.trackAll(Array.from(this.streams.keys()));
+  }
+
+  isTracking(symbol) {
+    return this.streams.has(symbol);
+  }
+
+  // Called for every trade tick: only touches the forming candle
+  handleTrade(trade) {
+    const stream = this.streams.get(trade.symbol);
+    if (!stream) return;
+
+    const time = trade.timestamp || this.clock.now();
+    const price = parseFloat(trade.price);
+    const quantity = parseFloat(trade.quantity) || 0;
+
+    if (!stream.forming || time > stream.forming[6]) {
+      // Provisional candle from ticks until the exchange's version is fetched
+      const openTime = alignToInterval(time, this.interval);
+      stream.forming = [openTime, price, price, price, price, 0, openTime + this.intervalMs - 1];
+
+      this.rollover(trade.symbol).catch(error => {
+        logger.error(`Failed to roll over ${trade.symbol} indicators:`, error.message);
+      });
+    }
+
+    const forming = stream.forming;
+    forming[2] = Math.max(forming[2], price);
+    forming[3] = Math.min(forming[3], price);
+    forming[4] = price;
+    forming[5] += quantity;
+  }
+
+  // Apply the candle(s) that just closed and pick up the exchange's forming candle
+  async rollover(symbol) {
+    const stream = this.streams.get(symbol);
+    if (!stream || stream.rollingOver) return;
+    stream.rollingOver = true;
+
+    try {
+      const klines = await this.candleProvider.getCandles(symbol, this.interval, { limit: ROLLOVER_CANDLES, fresh: true });
+      const now = this.clock.now();
+      const closed = klines.filter(kline => kline[6] < now && kline[0] > stream.lastClosedOpenTime);
+      if (closed.length === 0) return;
+
+      if (stream.lastClosedOpenTime && closed[0][0] !== stream.lastClosedOpenTime + this.intervalMs) {
+        // Missed more candles than one fetch covers (disconnect, sleep), start over from history
+        logger.warn(`📈 Indicator stream for ${symbol} fell behind, reseeding`);
+        await this.track(symbol);
+      } else {
+        closed.forEach(kline => stream.indicators.update(kline));
+        stream.klines.push(...closed);
+        stream.klines.splice(0, Math.max(stream.klines.length - this.seedCandles, 0));
+        stream.lastClosedOpenTime = closed[closed.length - 1][0];
+
+        const forming = klines.find(kline => kline[6] >= now);
+        if (forming) {
+          stream.forming = mergeForming(toFormingCandle(forming), stream.forming);
+        }
+      }
+
+      const snapshot = this.getSnapshot(symbol);
+      for (const listener of this.candleCloseListeners) {
+        Promise.resolve(listener(symbol, snapshot)).catch(error => {
+          logger.error(`Candle close handler failed for ${symbol}:`, error.message);
+        });
+      }
+    } finally {
+      stream.rollingOver = false;
+    }
+  }
+
+  // Same shape as calculateTechnicalIndicators, null when the symbol isn't tracked
+  getSnapshot(symbol) {
+    const stream = this.streams.get(symbol);
+    if (!stream || !stream.lastClosedOpenTime) return null;
+
+    const klines = stream.forming ? [...stream.klines, stream.forming] : stream.klines;
+    return {
+      ...stream.indicators.snapshot(stream.forming),
+      // Patterns only from closed candles, a forming candle changes shape with every tick
+      patterns: detectCandlestickPatterns(stream.klines, {
+        minStrength: this.settings.minPatternStrength ?? DEFAULT_MIN_PATTERN_STRENGTH
+      }),
+      ...calculateExtendedIndicators(klines, this.settings)
+    };
+  }
+}
+
+function toFormingCandle(kline) {
+  return [kline[0], ...kline.slice(1, 6).map(value => parseFloat(value)), kline[6]];
+}
+
+// Keep extremes from ticks that arrived after the exchange answered
+function mergeForming(fetched, provisional) {
+  if (!provisional || provisional[0] !== fetched[0]) return fetched;
+
+  fetched[2] = Math.max(fetched[2], provisional[2]);
+  fetched[3] = Math.min(fetched[3], provisional[3]);
+  fetched[4] = provisional[4];
+  return fetched;
+}
@@ -0,0 +1,70 @@
+// Level Service for Bark Trader 🐶
+// Support and resistance per symbol from stored candles: pivots from the last closed daily
+// candle, swing levels and volume profile from config.levels.interval. Levels are cached until
+// that interval closes another candle, only the split around the current price is per call.
+import { systemClock } from '../utils/clock.js';
+import { alignToInterval, INTERVAL_MS } from '../utils/intervals.js';
+import { calculateLevels, splitLevels } from '../utils/levels.js';
+import { logger } from '../utils/logger.js';
+
+export class LevelService {
+  // config: EnhancedTradingConfig (levels is read on every call)
+  constructor(candleProvider, config, options = {}) {
+    this.candleProvider = candleProvider;
+    this.config = config;
+    this.clock = options.clock || systemClock;
+    this.cache = new Map(); // symbol -> { openTime, pivots, volumeProfile, levels }
+  }
+
+  // { interval, openTime, pivots, volumeProfile, levels }, null when disabled or without candles
+  async getLevels(symbol) {
+    const settings = this.config.levels;
+    if (!settings?.enabled) return null;
+
+    const now = this.clock.now();
+    const lastClosedOpenTime = alignToInterval(now, settings.interval) - INTERVAL_MS[settings.interval];
+    const cached = this.cache.get(symbol);
+    if (cached && cached.interval === settings.interval && cached.openTime >= lastClosedOpenTime) return cached;
+
+    const klines = (await this.candleProvider.getCandles(symbol, settings.interval, { limit: settings.candles + 1 }))
+      .filter(kline => kline[6] < now);
+    if (klines.length === 0) return null;
+
+    let pivotCandle = null;
+    try {
+      const days = (await this.candleProvider.getCandles(symbol, '1d', { limit: 2 })).filter(kline => kline[6] < now);
+      pivotCandle = days[days.length - 1] || null;
+    } catch (error) {
+      logger.debug(`No daily candle for ${symbol} pivots: ${error.message}`);
+    }
+
+    const result = {
+      interval: settings.interval,
+      openTime: klines[klines.length - 1][0],
+      ...calculateLevels(klines, pivotCandle, settings)
+    };
+
+    this.cache.set(symbol, result);
+    return result;
+  }
+
+  // { price, support, resistance, supports, resistances } where support/resistance are the
+  // nearest level on each side (or null), supports/resistances every level nearest first
+  async getNearestLevels(symbol, price) {
+    const levels = await this.getLevels(symbol);
+    if (!levels) return null;
+
+    const { support, resistance } = splitLevels(levels.levels, price);
+    return {
+      price,
+      support: support[0] || null,
+      resistance: resistance[0] || null,
+      supports: support,
+      resistances: resistance
+    };
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+}
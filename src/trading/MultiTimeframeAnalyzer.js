@@ -0,0 +1,117 @@
+// Multi-Timeframe Analyzer for Bark Trader 🐶
+// Builds indicator snapshots for one symbol on several timeframes from closed candles only,
+// so a 1h or 1d view doesn't wobble with the forming candle. Each snapshot is cached until
+// its timeframe closes another candle.
+import { systemClock } from '../utils/clock.js';
+import { alignToInterval, INTERVAL_MS } from '../utils/intervals.js';
+import { logger } from '../utils/logger.js';
+import { calculateTechnicalIndicators, identifyTrend } from '../utils/technicalAnalysis.js';
+
+export const TIMEFRAMES = ['5m', '15m', '1h', '4h', '1d'];
+export const RULE_OPERATORS = ['lt', 'lte', 'gt', 'gte', 'eq', 'neq'];
+
+export class MultiTimeframeAnalyzer {
+  // config: EnhancedTradingConfig (multiTimeframe and indicatorSettings are read on every call)
+  constructor(candleProvider, config, options = {}) {
+    this.candleProvider = candleProvider;
+    this.config = config;
+    this.clock = options.clock || systemClock;
+    this.timeframes = options.timeframes || null; // Overrides the configured list (backtests)
+    this.cache = new Map(); // `${symbol}:${timeframe}` -> snapshot
+  }
+
+  // { symbol, timestamp, timeframes: { '1h': snapshot, ... } }, null when disabled.
+  // A snapshot is calculateTechnicalIndicators() of the closed candles plus interval, openTime and trend.
+  async getContext(symbol, timeframes = null) {
+    const settings = this.config.multiTimeframe;
+    if (!settings?.enabled) return null;
+
+    const context = {
+      symbol,
+      timestamp: this.clock.now(),
+      timeframes: {}
+    };
+
+    for (const timeframe of timeframes || this.timeframes || settings.timeframes) {
+      const snapshot = await this.getSnapshot(symbol, timeframe, settings.candles);
+      if (snapshot) {
+        context.timeframes[timeframe] = snapshot;
+      }
+    }
+
+    return context;
+  }
+
+  async getSnapshot(symbol, timeframe, candles = 100) {
+    const now = this.clock.now();
+    const lastClosedOpenTime = alignToInterval(now, timeframe) - INTERVAL_MS[timeframe];
+    const key = `${symbol}:${timeframe}`;
+
+    const cached = this.cache.get(key);
+    if (cached && cached.openTime >= lastClosedOpenTime) return cached;
+
+    try {
+      const klines = await this.candleProvider.getCandles(symbol, timeframe, { limit: candles + 1 });
+      const closed = klines.filter(kline => kline[6] < now);
+      if (closed.length === 0) return null;
+
+      const lastClosed = closed[closed.length - 1];
+      const snapshot = {
+        interval: timeframe,
+        openTime: lastClosed[0],
+        trend: identifyTrend(closed.map(kline => parseFloat(kline[4]))),
+        ...calculateTechnicalIndicators(closed, this.config.indicatorSettings)
+      };
+
+      this.cache.set(key, snapshot);
+      return snapshot;
+    } catch (error) {
+      logger.debug(`No ${timeframe} snapshot for ${symbol}: ${error.message}`);
+      return null;
+    }
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+// rules: [{ timeframe, indicator, operator, value }] where indicator is a snapshot path such as
+// 'rsi', 'macd.histogram', 'trend' or 'supertrend.direction'. All rules have to pass; a rule on
+// a timeframe missing from the context fails.
+export function evaluateTimeframeRules(context, rules = []) {
+  const results = rules.map(rule => {
+    const snapshot = context?.timeframes[rule.timeframe];
+    const actual = snapshot ? readPath(snapshot, rule.indicator) : undefined;
+
+    return {
+      timeframe: rule.timeframe,
+      indicator: rule.indicator,
+      operator: rule.operator,
+      value: rule.value,
+      actual: actual ?? null,
+      passed: actual !== undefined && actual !== null && compare(actual, rule.operator, rule.value)
+    };
+  });
+
+  return {
+    passed: results.every(result => result.passed),
+    results
+  };
+}
+
+function readPath(snapshot, path) {
+  return path.split('.').reduce((value, key) => value?.[key], snapshot);
+}
+
+function compare(actual, operator, expected) {
+  switch (operator) {
+    case 'lt': return actual < expected;
+    case 'lte': return actual <= expected;
+    case 'gt': return actual > expected;
+    case 'gte': return actual >= expected;
+    case 'eq': return actual === expected;
+    case 'neq': return actual !== expected;
+    default: return false;
+  }
+}
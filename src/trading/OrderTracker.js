@@ -0,0 +1,173 @@
+// Order Lifecycle Tracker for Bark Trader 🐶
+// Follows every order through NEW → PARTIALLY_FILLED → FILLED/CANCELED/EXPIRED using
+// the exchange's order update stream, keeping Order documents and clients in sync.
+import { Order } from '../models/Order.js';
+import { Position } from '../models/Position.js';
+import { logger } from '../utils/logger.js';
+
+export const FINAL_STATUSES = ['FILLED', 'CANCELED', 'REJECTED', 'EXPIRED'];
+const UNMATCHED_TTL_MS = 5 * 60 * 1000;
+
+export class OrderTracker {
+  constructor(exchange, wsManager) {
+    this.exchange = exchange;
+    this.wsManager = wsManager;
+    this.unmatched = new Map(); // orderId -> update that arrived before its Order document
+    this.watchers = new Map();  // orderId -> callbacks waiting for a final status
+    this.finalListeners = [];   // Called with every Order document that reaches a final status
+  }
+
+  start() {
+    this.exchange.subscribeOrderUpdates((update) => {
+      this.handleUpdate(update).catch(error => {
+        logger.error(`Failed to process order update ${update.orderId}:`, error.message);
+      });
+    });
+
+    logger.info('📬 Order lifecycle tracking started');
+  }
+
+  onFinalStatus(listener) {
+    this.finalListeners.push(listener);
+  }
+
+  async handleUpdate(update) {
+    const orderDoc = await Order.findOne({ orderId: update.orderId });
+
+    if (!orderDoc) {
+      // Stream events can beat the REST response, the bot applies them once it saves the order
+      this.pruneUnmatched();
+      this.unmatched.set(update.orderId, { update, receivedAt: Date.now() });
+      return;
+    }
+
+    await this.applyUpdate(orderDoc, update);
+  }
+
+  // Called by the bots right after saving a new Order document
+  async applyPending(orderId) {
+    const pending = this.unmatched.get(String(orderId));
+    if (!pending) return;
+
+    this.unmatched.delete(String(orderId));
+    const orderDoc = await Order.findOne({ orderId: String(orderId) });
+    if (orderDoc) {
+      await this.applyUpdate(orderDoc, pending.update);
+    }
+  }
+
+  async applyUpdate(orderDoc, update) {
+    // Ignore replays and events older than what the document already holds
+    if (update.executedQuantity < orderDoc.executedQuantity) return;
+    const sameState = update.executedQuantity === orderDoc.executedQuantity &&
+      (update.status === orderDoc.status || FINAL_STATUSES.includes(orderDoc.status));
+    if (sameState) return;
+
+    const previousStatus = orderDoc.status;
+    const newFills = update.fills.map(fill => ({ ...fill, timestamp: new Date(update.timestamp) }));
+
+    orderDoc.status = update.status;
+    orderDoc.executedQuantity = update.executedQuantity;
+    orderDoc.cummulativeQuoteQuantity = update.cummulativeQuoteQuantity;
+    orderDoc.fills.push(...newFills);
+    orderDoc.fees += newFills.reduce((sum, fill) => sum + (fill.commission || 0), 0);
+
+    if (update.executedQuantity > 0) {
+      orderDoc.price = update.cummulativeQuoteQuantity / update.executedQuantity; // Average fill price
+      orderDoc.quantity = update.executedQuantity;
+    }
+
+    if (orderDoc.side === 'SELL' && orderDoc.buyOrderId && update.executedQuantity > 0) {
+      await this.updateRealizedPnl(orderDoc);
+    }
+
+    await orderDoc.save();
+
+    logger.info(`📬 Order ${orderDoc.orderId} ${orderDoc.symbol} ${previousStatus} → ${orderDoc.status}`, {
+      executedQuantity: orderDoc.executedQuantity,
+      averagePrice: orderDoc.price
+    });
+
+    await this.wsManager?.broadcastOrderUpdate({
+      orderId: orderDoc.orderId,
+      symbol: orderDoc.symbol,
+      side: orderDoc.side,
+      type: orderDoc.type,
+      previousStatus,
+      status: orderDoc.status,
+      price: orderDoc.price,
+      originalQuantity: orderDoc.originalQuantity,
+      executedQuantity: orderDoc.executedQuantity,
+      cummulativeQuoteQuantity: orderDoc.cummulativeQuoteQuantity,
+      lastFill: newFills[newFills.length - 1] || null,
+      isTestOrder: orderDoc.isTestOrder
+    });
+
+    if (FINAL_STATUSES.includes(orderDoc.status)) {
+      this.notifyWatchers(orderDoc);
+      this.finalListeners.forEach(listener => listener(orderDoc));
+    }
+  }
+
+  // PnL of a sell from its real fills against the entry it closes
+  // Cost basis is the position's entry price when there is one: a DCA campaign averages several buys
+  async updateRealizedPnl(sellDoc) {
+    const position = await Position.findOne({ orderId: sellDoc.buyOrderId });
+    const buyDoc = position ? null : await Order.findOne({ orderId: sellDoc.buyOrderId });
+    if (!position && !buyDoc) return;
+
+    const totalCost = (position?.entryPrice ?? buyDoc.price) * sellDoc.executedQuantity;
+    sellDoc.pnl = sellDoc.cummulativeQuoteQuantity - totalCost;
+  }
+
+  // Resolves with the order state once it is final, or with the last known state on timeout
+  waitForCompletion(orderId, timeoutMs) {
+    orderId = String(orderId);
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(async () => {
+        this.removeWatcher(orderId, onFinal);
+        const orderDoc = await Order.findOne({ orderId }).catch(() => null);
+        resolve({
+          status: orderDoc?.status || 'NEW',
+          executedQuantity: orderDoc?.executedQuantity || 0,
+          timedOut: true
+        });
+      }, timeoutMs);
+
+      const onFinal = (orderDoc) => {
+        clearTimeout(timer);
+        resolve({ status: orderDoc.status, executedQuantity: orderDoc.executedQuantity, timedOut: false });
+      };
+
+      if (!this.watchers.has(orderId)) {
+        this.watchers.set(orderId, []);
+      }
+      this.watchers.get(orderId).push(onFinal);
+    });
+  }
+
+  notifyWatchers(orderDoc) {
+    const callbacks = this.watchers.get(orderDoc.orderId) || [];
+    this.watchers.delete(orderDoc.orderId);
+    callbacks.forEach(callback => callback(orderDoc));
+  }
+
+  removeWatcher(orderId, callback) {
+    const remaining = (this.watchers.get(orderId) || []).filter(cb => cb !== callback);
+    if (remaining.length > 0) {
+      this.watchers.set(orderId, remaining);
+    } else {
+      this.watchers.delete(orderId);
+    }
+  }
+
+  pruneUnmatched() {
+    const cutoff = Date.now() - UNMATCHED_TTL_MS;
+    for (const [orderId, pending] of this.unmatched.entries()) {
+      if (pending.receivedAt < cutoff) {
+        this.unmatched.delete(orderId);
+      }
+    }
+  }
+}
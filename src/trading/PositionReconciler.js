@@ -0,0 +1,131 @@
+// Position Reconciler for Bark Trader 🐶
+// Compares what the bot believes it holds with what the exchange actually reports,
+// so fills, manual sells and cancels that happened while the bot was down are noticed.
+import { Order } from '../models/Order.js';
+import { splitSymbol } from '../utils/symbols.js';
+
+export class PositionReconciler {
+  constructor(exchange, options = {}) {
+    this.exchange = exchange;
+    this.priceCache = options.priceCache || new Map();
+    this.symbolFilters = options.symbolFilters || null;
+  }
+
+  // activePositions: Map symbol -> positions, settings: config.reconciliation,
+  // gridHoldings: { quantities: Map symbol -> base held by grids, orderIds: Set of grid orders },
+  // protectiveOrderIds: Set of the positions' exchange-side stop and take profit orders
+  async buildReport(activePositions, symbols, settings, gridHoldings = null, protectiveOrderIds = new Set()) {
+    const [balances, openOrders] = await Promise.all([
+      this.exchange.getBalances(),
+      this.exchange.getOpenOrders()
+    ]);
+
+    const issues = [];
+    const trackedSymbols = new Set([...symbols, ...activePositions.keys()]);
+    const gridQuantities = gridHoldings?.quantities || new Map();
+    const restingOrderIds = new Set([...(gridHoldings?.orderIds || []), ...protectiveOrderIds]);
+
+    for (const symbol of trackedSymbols) {
+      issues.push(...await this.checkBalance(
+        symbol, activePositions.get(symbol) || [], balances, settings, gridQuantities.get(symbol) || 0
+      ));
+    }
+
+    // Grid and protective orders rest until price reaches them, they are never stale
+    const workingOrders = openOrders.filter(order => !restingOrderIds.has(String(order.orderId)));
+    issues.push(...this.checkOpenOrders(workingOrders, trackedSymbols, settings));
+    issues.push(...await this.checkUnsyncedOrders(openOrders, trackedSymbols));
+
+    return {
+      timestamp: new Date().toISOString(),
+      policy: settings.policy,
+      status: issues.length === 0 ? 'OK' : 'ISSUES_FOUND',
+      summary: {
+        symbolsChecked: trackedSymbols.size,
+        positionsChecked: Array.from(activePositions.values()).reduce((sum, positions) => sum + positions.length, 0),
+        openOrders: openOrders.length,
+        issues: issues.length
+      },
+      issues
+    };
+  }
+
+  async checkBalance(symbol, positions, balances, settings, gridQuantity = 0) {
+    const { base } = splitSymbol(symbol);
+    const balance = balances[base] || { available: 0, onOrder: 0 };
+    const actualQuantity = balance.available + balance.onOrder;
+    const expectedQuantity = positions.reduce((sum, position) => sum + position.quantity, gridQuantity);
+
+    // Anything worth less than the minimum order size is dust the bot could not trade anyway
+    const price = this.priceCache.get(symbol);
+    const filters = await this.symbolFilters?.getFilters(symbol);
+    const dustQuantity = price && filters?.minNotional ? filters.minNotional / price : 0;
+    const tolerance = Math.max(expectedQuantity * settings.quantityTolerancePercent / 100, dustQuantity);
+    const difference = actualQuantity - expectedQuantity;
+
+    if (difference < -tolerance) {
+      return [{
+        type: 'MISSING_POSITION',
+        symbol,
+        asset: base,
+        expectedQuantity,
+        actualQuantity,
+        difference,
+        positionIds: positions.map(position => position.orderId),
+        message: `Bot tracks ${expectedQuantity} ${base} but the exchange holds ${actualQuantity}`
+      }];
+    }
+
+    if (difference > tolerance) {
+      return [{
+        type: 'ORPHANED_BALANCE',
+        symbol,
+        asset: base,
+        expectedQuantity,
+        actualQuantity,
+        difference,
+        message: `Exchange holds ${difference} ${base} not covered by any bot position`
+      }];
+    }
+
+    return [];
+  }
+
+  checkOpenOrders(openOrders, trackedSymbols, settings) {
+    const staleBefore = Date.now() - settings.staleOrderMinutes * 60 * 1000;
+
+    return openOrders
+      .filter(order => trackedSymbols.has(order.symbol) && order.timestamp < staleBefore)
+      .map(order => ({
+        type: 'STALE_ORDER',
+        symbol: order.symbol,
+        orderId: order.orderId,
+        side: order.side,
+        price: order.price,
+        remainingQuantity: order.originalQuantity - order.executedQuantity,
+        ageMinutes: Math.round((Date.now() - order.timestamp) / 60000),
+        message: `${order.side} order ${order.orderId} has been open for over ${settings.staleOrderMinutes} minutes`
+      }));
+  }
+
+  // Orders we saved as open that the exchange no longer lists: filled or canceled while we weren't listening
+  async checkUnsyncedOrders(openOrders, trackedSymbols) {
+    const openOrderIds = new Set(openOrders.map(order => order.orderId));
+    const localOpenOrders = await Order.find({
+      status: { $in: ['NEW', 'PARTIALLY_FILLED'] },
+      symbol: { $in: Array.from(trackedSymbols) },
+      isTestOrder: this.exchange.isPaperTrading
+    }).lean();
+
+    return localOpenOrders
+      .filter(order => !openOrderIds.has(order.orderId))
+      .map(order => ({
+        type: 'UNSYNCED_ORDER',
+        symbol: order.symbol,
+        orderId: order.orderId,
+        side: order.side,
+        localStatus: order.status,
+        message: `Order ${order.orderId} is ${order.status} locally but no longer open on the exchange`
+      }));
+  }
+}
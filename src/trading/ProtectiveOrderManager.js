@@ -0,0 +1,365 @@
+// Protective Order Manager for Bark Trader 🐶
+// Keeps an exit resting on the exchange for every open position, so a crash or an outage never
+// leaves one unprotected: right after the entry fills, a stop sell (STOP_LIMIT or STOP_MARKET) at
+// the position's stop, paired with a take profit limit in an OCO when the position has a single
+// target. The stop is replaced whenever the bot's stop moves up, and the orders are canceled before
+// the bot sells the position itself. A protective fill closes the position, whether it arrives on
+// the order stream or is found by syncAll() after a restart.
+import { Order } from '../models/Order.js';
+import { logger } from '../utils/logger.js';
+import { splitSymbol } from '../utils/symbols.js';
+import { FINAL_STATUSES } from './OrderTracker.js';
+
+export class ProtectiveOrderManager {
+  // positions: { list(symbol), symbols(), update(position, changes, push), close(symbol, position, order, reason) }
+  // from the bot; config: EnhancedTradingConfig (orderManagement.protectiveOrders is read on every call)
+  constructor(exchange, config, options = {}) {
+    this.exchange = exchange;
+    this.config = config;
+    this.symbolFilters = options.symbolFilters;
+    this.orderTracker = options.orderTracker || null;
+    this.priceCache = options.priceCache || new Map();
+    this.positions = options.positions;
+    this.queues = new Map(); // position orderId -> tail of the promise chain for its orders
+  }
+
+  async start() {
+    this.orderTracker?.onFinalStatus(orderDoc => this.handleOrderFinal(orderDoc));
+    await this.syncAll();
+
+    const protectedCount = this.allPositions().filter(({ position }) => position.protection).length;
+    logger.info(`🛡️ Protective orders ${this.isEnabled() ? 'enabled' : 'disabled'}, ${protectedCount} position(s) protected`);
+  }
+
+  isEnabled() {
+    return Boolean(this.config.orderManagement?.protectiveOrders?.enabled);
+  }
+
+  // Fills, cancels and placements for one position run one at a time
+  enqueue(position, task) {
+    const key = position.orderId;
+    const previous = this.queues.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    const cleanup = () => {
+      if (this.queues.get(key) === next) this.queues.delete(key);
+    };
+
+    this.queues.set(key, next);
+    next.then(cleanup, cleanup);
+    return next;
+  }
+
+  // After an entry fill
+  protect(symbol, position) {
+    return this.enqueue(position, async () => {
+      if (!this.isEnabled() || position.protection || !this.isOpen(symbol, position)) return;
+      await this.place(symbol, position);
+    }).catch(error => logger.error(`Failed to place protective orders for ${symbol}:`, error.message));
+  }
+
+  // After the position's quantity or stop changed (safety orders, scale-out tranches, reconciliation)
+  refresh(symbol, position) {
+    return this.enqueue(position, async () => {
+      if (!this.isOpen(symbol, position)) return;
+
+      // A stop the trailing stop already moved up stays where it was
+      const stopPrice = Math.max(position.stopLoss, position.protection?.stopPrice || 0);
+      if (position.protection && !await this.cancelOrders(symbol, position)) return;
+      if (this.isEnabled()) await this.place(symbol, position, stopPrice);
+    }).catch(error => logger.error(`Failed to refresh protective orders for ${symbol}:`, error.message));
+  }
+
+  // Moves the exchange stop up to the bot's trailing or model stop, never down
+  raiseStop(symbol, position, stopPrice) {
+    return this.enqueue(position, async () => {
+      const { protection } = position;
+      if (!protection || !this.isOpen(symbol, position)) return;
+
+      const { minAmendPercent } = this.config.orderManagement.protectiveOrders;
+      if (stopPrice < protection.stopPrice * (1 + minAmendPercent / 100)) return;
+
+      // A stop at or above the price can't rest; the bot sells the position itself on this evaluation
+      if (stopPrice >= await this.getCurrentPrice(symbol)) return;
+
+      if (!await this.cancelOrders(symbol, position)) return;
+      await this.place(symbol, position, stopPrice);
+    }).catch(error => logger.error(`Failed to move the protective stop for ${symbol}:`, error.message));
+  }
+
+  // Called before the bot sells a position. Resolves false when a protective order sold it already.
+  // sell runs in the same task, so a sync or stop move can't place a new stop that locks the base
+  // before it; the result is then what sell resolved to.
+  release(symbol, position, sell = null) {
+    return this.enqueue(position, async () => {
+      if (!this.isOpen(symbol, position)) return false;
+      if (position.protection && !await this.cancelOrders(symbol, position)) return false;
+      return sell ? await sell() : true;
+    });
+  }
+
+  // Cancels every protective order, used when the feature is switched off
+  async cancelAll() {
+    for (const { symbol, position } of this.allPositions().filter(({ position }) => position.protection)) {
+      try {
+        await this.release(symbol, position);
+      } catch (error) {
+        logger.error(`Failed to cancel protective orders for ${symbol}:`, error.message);
+      }
+    }
+  }
+
+  // Catches protective fills the order stream missed, and places orders that are missing
+  async syncAll() {
+    for (const { symbol, position } of this.allPositions()) {
+      try {
+        await this.enqueue(position, () => this.syncPosition(symbol, position));
+      } catch (error) {
+        logger.error(`Failed to sync protective orders for ${symbol}:`, error.message);
+      }
+    }
+  }
+
+  async syncPosition(symbol, position) {
+    if (!this.isOpen(symbol, position)) return;
+
+    const { protection } = position;
+    if (protection) {
+      const orders = await this.getLegs(symbol, protection);
+      if (orders.some(order => !FINAL_STATUSES.includes(order.status))) return; // Still resting
+
+      position.protection = null;
+      for (const order of orders) {
+        await this.syncOrderDocument(order);
+      }
+
+      const filled = orders.find(order => order.status === 'FILLED');
+      if (filled) {
+        await this.closePosition(symbol, position, filled, protection);
+        return;
+      }
+
+      // Canceled or expired outside the bot, placed again below
+      logger.warn(`🛡️ Protective orders for ${symbol} ${position.orderId} are no longer open on the exchange`);
+      await this.positions.update(position, { protection: null });
+    }
+
+    if (this.isEnabled()) await this.place(symbol, position);
+  }
+
+  handleOrderFinal(orderDoc) {
+    if (orderDoc.status !== 'FILLED') return;
+
+    const match = this.allPositions().find(({ position }) => this.isLeg(position.protection, orderDoc.orderId));
+    if (!match) return;
+
+    const { symbol, position } = match;
+    this.enqueue(position, async () => {
+      const { protection } = position;
+      if (!this.isOpen(symbol, position) || !this.isLeg(protection, orderDoc.orderId)) return;
+
+      position.protection = null;
+      await this.closePosition(symbol, position, orderDoc, protection);
+    }).catch(error => {
+      logger.error(`Failed to close ${symbol} after protective order ${orderDoc.orderId} filled:`, error.message);
+    });
+  }
+
+  // Order ids the reconciler must not report as stale, they rest until price reaches them
+  getOrderIds() {
+    return new Set(this.allPositions()
+      .filter(({ position }) => position.protection)
+      .flatMap(({ position }) => [position.protection.stopOrderId, position.protection.takeProfitOrderId])
+      .filter(Boolean));
+  }
+
+  async place(symbol, position, stopPrice = position.stopLoss) {
+    const settings = this.config.orderManagement.protectiveOrders;
+    const currentPrice = await this.getCurrentPrice(symbol);
+
+    if (!(stopPrice > 0) || stopPrice >= currentPrice) {
+      logger.warn(`🛡️ No protective stop for ${symbol} ${position.orderId}: stop ${stopPrice} is not below the price ${currentPrice}`);
+      return;
+    }
+
+    const stop = await this.symbolFilters.roundPrice(symbol, stopPrice);
+    const stopLimit = settings.stopType === 'STOP_LIMIT'
+      ? await this.symbolFilters.roundPrice(symbol, stop * (1 - settings.stopLimitOffsetPercent / 100))
+      : null;
+
+    // Base-asset fees can leave a little less free than the position's quantity
+    const balances = await this.exchange.getBalances();
+    const available = balances[splitSymbol(symbol).base]?.available || 0;
+    const sizing = await this.symbolFilters.prepareOrder(symbol, 'SELL', Math.min(position.quantity, available), stopLimit || stop);
+    if (!sizing.valid) {
+      logger.warn(`🛡️ No protective orders for ${symbol} ${position.orderId}: ${sizing.reason}`);
+      return;
+    }
+
+    // Scaled-out positions sell their tiers through the bot, only the stop rests for them
+    const withTakeProfit = settings.takeProfit && !position.scaleOut && position.takeProfit > currentPrice;
+    let protection;
+
+    if (withTakeProfit) {
+      const orderList = await this.exchange.ocoSell(symbol, sizing.quantity, position.takeProfit, stop, stopLimit);
+      const [takeProfitOrder, stopOrder] = orderList.orders;
+
+      await this.saveOrder(symbol, position, takeProfitOrder, 'PROTECTIVE_TAKE_PROFIT');
+      await this.saveOrder(symbol, position, stopOrder, 'PROTECTIVE_STOP');
+      protection = {
+        orderListId: orderList.orderListId,
+        stopOrderId: stopOrder.orderId,
+        takeProfitOrderId: takeProfitOrder.orderId,
+        takeProfitPrice: position.takeProfit
+      };
+    } else {
+      const stopOrder = await this.exchange.stopSell(symbol, sizing.quantity, stop, stopLimit);
+
+      await this.saveOrder(symbol, position, stopOrder, 'PROTECTIVE_STOP');
+      protection = { stopOrderId: stopOrder.orderId };
+    }
+
+    Object.assign(protection, {
+      stopPrice: stop,
+      stopLimitPrice: stopLimit,
+      quantity: sizing.quantity,
+      placedAt: new Date()
+    });
+    position.protection = protection;
+    await this.positions.update(position, { protection });
+
+    logger.info(`🛡️ Protective ${withTakeProfit ? 'OCO' : settings.stopType} placed for ${symbol}`, {
+      position: position.orderId,
+      quantity: sizing.quantity,
+      stopPrice: stop,
+      stopLimitPrice: stopLimit,
+      takeProfitPrice: protection.takeProfitPrice
+    });
+  }
+
+  // Resolves false when a protective order filled before the cancel, the position is closed then
+  async cancelOrders(symbol, position) {
+    const { protection } = position;
+    position.protection = null; // Stream events for the cancel must not be taken for exits
+
+    let orders;
+    try {
+      orders = protection.orderListId
+        ? (await this.exchange.cancelOrderList(symbol, protection.orderListId)).orders
+        : [await this.exchange.cancelOrder(symbol, protection.stopOrderId)];
+    } catch (error) {
+      // Usually filled (or canceled by hand) in the meantime, the orders themselves tell
+      try {
+        orders = await this.getLegs(symbol, protection);
+      } catch (lookupError) {
+        position.protection = protection;
+        throw lookupError;
+      }
+
+      const anyFilled = orders.some(order => order.status === 'FILLED');
+      if (!anyFilled && orders.some(order => !FINAL_STATUSES.includes(order.status))) {
+        // Still resting on the exchange, selling now would oversell the balance they lock
+        position.protection = protection;
+        throw new Error(`Protective orders for ${symbol} are still open: ${error.message}`);
+      }
+    }
+
+    for (const order of orders) {
+      await this.syncOrderDocument(order);
+    }
+
+    const filled = orders.find(order => order.status === 'FILLED');
+    if (filled) {
+      await this.closePosition(symbol, position, filled, protection);
+      return false;
+    }
+
+    // A take profit or triggered stop limit that filled in part before the cancel, the rest is still held
+    const partialFills = orders.filter(order => order.executedQuantity > 0);
+    const soldQuantity = partialFills.reduce((sum, order) => sum + order.executedQuantity, 0);
+    if (soldQuantity > 0) {
+      position.quantity = await this.symbolFilters.roundQuantity(symbol, position.quantity - soldQuantity);
+    }
+
+    await this.positions.update(position, { protection: null, quantity: position.quantity }, partialFills.length > 0 ? {
+      exitOrders: {
+        $each: partialFills.map(order => ({
+          orderId: order.orderId,
+          price: order.price,
+          quantity: order.executedQuantity,
+          reason: this.exitReason(order, protection),
+          pnl: (order.price - position.entryPrice) * order.executedQuantity
+        }))
+      }
+    } : null);
+
+    return true;
+  }
+
+  async closePosition(symbol, position, order, protection) {
+    const reason = this.exitReason(order, protection);
+
+    logger.warn(`🛡️ ${symbol} position ${position.orderId} closed on the exchange by its ${reason}`, {
+      orderId: order.orderId,
+      price: order.price,
+      quantity: order.executedQuantity
+    });
+    await this.positions.close(symbol, position, order, reason);
+  }
+
+  exitReason(order, protection) {
+    return String(order.orderId) === protection.takeProfitOrderId ? 'PROTECTIVE_TAKE_PROFIT' : 'PROTECTIVE_STOP';
+  }
+
+  isLeg(protection, orderId) {
+    return Boolean(protection) && [protection.stopOrderId, protection.takeProfitOrderId].includes(String(orderId));
+  }
+
+  async getLegs(symbol, protection) {
+    const orderIds = [protection.takeProfitOrderId, protection.stopOrderId].filter(Boolean);
+    return await Promise.all(orderIds.map(orderId => this.exchange.getOrder(symbol, orderId)));
+  }
+
+  async saveOrder(symbol, position, order, reason) {
+    const orderDoc = new Order({
+      symbol,
+      orderId: order.orderId,
+      side: 'SELL',
+      type: order.type,
+      quantity: order.originalQuantity,
+      price: order.price || order.stopPrice,
+      stopPrice: order.stopPrice,
+      orderListId: order.orderListId,
+      status: order.status,
+      timestamp: new Date(),
+      buyOrderId: position.orderId,
+      positionId: position.positionId,
+      strategy: position.strategy,
+      notes: `${reason} ${order.type} for position ${position.orderId}`,
+      ...Order.executionFields(order),
+      isTestOrder: this.exchange.isPaperTrading
+    });
+
+    await orderDoc.save();
+    await this.orderTracker?.applyPending(order.orderId);
+  }
+
+  // Individual fills were missed with the stream, only the totals can be restored
+  async syncOrderDocument(order) {
+    const orderDoc = await Order.findOne({ orderId: String(order.orderId) });
+    if (orderDoc && this.orderTracker) {
+      await this.orderTracker.applyUpdate(orderDoc, { ...order, fills: [] });
+    }
+  }
+
+  isOpen(symbol, position) {
+    return this.positions.list(symbol).includes(position);
+  }
+
+  allPositions() {
+    return this.positions.symbols().flatMap(symbol => this.positions.list(symbol).map(position => ({ symbol, position })));
+  }
+
+  async getCurrentPrice(symbol) {
+    return this.priceCache.get(symbol) || (await this.exchange.getTicker(symbol)).lastPrice;
+  }
+}
@@ -0,0 +1,122 @@
+// Sizing Statistics for Bark Trader 🐶
+// Measures the inputs position sizing needs from real data: win rate, average win and
+// loss from closed trades, and realized volatility from stored candles.
+import { Order } from '../models/Order.js';
+import { systemClock } from '../utils/clock.js';
+import { logger } from '../utils/logger.js';
+import { GRID_STRATEGY } from './GridManager.js';
+
+const VOLATILITY_INTERVAL = '1h';
+const VOLATILITY_LOOKBACK = 168; // One week of hourly candles
+const MIN_VOLATILITY_RETURNS = 10;
+
+// trades: [{ strategy, return }] for one symbol, return as a fraction of the entry cost.
+// Uses the strategy's own trades when there are enough, else the whole symbol, else nothing.
+export function buildTradeStats(trades, strategy, minTrades) {
+  const strategyTrades = trades.filter(trade => trade.strategy === strategy);
+
+  if (strategyTrades.length >= minTrades) {
+    return { source: 'symbol_strategy', ...summarizeReturns(strategyTrades.map(trade => trade.return)) };
+  }
+  if (trades.length >= minTrades) {
+    return { source: 'symbol', ...summarizeReturns(trades.map(trade => trade.return)) };
+  }
+
+  return { source: 'insufficient_history', trades: trades.length, winRate: null, avgWin: null, avgLoss: null, payoffRatio: null };
+}
+
+function summarizeReturns(returns) {
+  const wins = returns.filter(r => r > 0);
+  const losses = returns.filter(r => r <= 0);
+  const avgWin = wins.length > 0 ? wins.reduce((sum, r) => sum + r, 0) / wins.length : 0;
+  const avgLoss = losses.length > 0 ? Math.abs(losses.reduce((sum, r) => sum + r, 0) / losses.length) : 0;
+
+  return {
+    trades: returns.length,
+    winRate: wins.length / returns.length,
+    avgWin,
+    avgLoss,
+    payoffRatio: avgLoss > 0 ? avgWin / avgLoss : null
+  };
+}
+
+export class SizingStatistics {
+  constructor(candleProvider, options = {}) {
+    this.candleProvider = candleProvider;
+    this.clock = options.clock || systemClock;
+    this.paperTrading = Boolean(options.paperTrading); // Paper and live sells share the orders collection
+  }
+
+  // settings: config.positionSizing
+  async getSizingInputs(symbol, strategy, symbols, settings) {
+    const [tradeStats, volatility, averageVolatility] = await Promise.all([
+      this.getTradeStats(symbol, strategy, settings),
+      this.getRealizedVolatility(symbol),
+      this.getAverageVolatility(symbols)
+    ]);
+
+    return { ...tradeStats, volatility, averageVolatility };
+  }
+
+  async getTradeStats(symbol, strategy, settings) {
+    const since = new Date(this.clock.now() - settings.statsLookbackDays * 24 * 60 * 60 * 1000);
+
+    try {
+      const orders = await Order.find({
+        symbol,
+        side: 'SELL',
+        strategy: { $ne: GRID_STRATEGY }, // Grid inventory sells aren't position exits
+        pnl: { $ne: 0 },
+        timestamp: { $gte: since },
+        isTestOrder: this.paperTrading
+      }).lean();
+
+      const trades = orders
+        .filter(order => order.price * order.quantity - order.pnl > 0)
+        .map(order => ({
+          strategy: order.strategy,
+          // Proceeds minus PnL is what the closed part of the position cost
+          return: order.pnl / (order.price * order.quantity - order.pnl)
+        }));
+
+      return buildTradeStats(trades, strategy, settings.minTradesForStats);
+    } catch (error) {
+      logger.error(`Failed to load trade statistics for ${symbol}:`, error.message);
+      return buildTradeStats([], strategy, settings.minTradesForStats);
+    }
+  }
+
+  // Daily volatility (standard deviation of returns) from closed hourly candles
+  async getRealizedVolatility(symbol) {
+    try {
+      const klines = await this.candleProvider.getCandles(symbol, VOLATILITY_INTERVAL, { limit: VOLATILITY_LOOKBACK + 2 });
+      const closes = klines.filter(kline => kline[6] < this.clock.now()).map(kline => parseFloat(kline[4]));
+
+      const returns = [];
+      for (let i = 1; i < closes.length; i++) {
+        returns.push(Math.log(closes[i] / closes[i - 1]));
+      }
+      if (returns.length < MIN_VOLATILITY_RETURNS) return null;
+
+      const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+      const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length - 1);
+
+      return Math.sqrt(variance) * Math.sqrt(24);
+    } catch (error) {
+      logger.error(`Failed to calculate realized volatility for ${symbol}:`, error.message);
+      return null;
+    }
+  }
+
+  async getAverageVolatility(symbols) {
+    const volatilities = [];
+    for (const symbol of new Set(symbols)) {
+      const volatility = await this.getRealizedVolatility(symbol);
+      if (volatility) volatilities.push(volatility);
+    }
+
+    return volatilities.length > 0
+      ? volatilities.reduce((sum, v) => sum + v, 0) / volatilities.length
+      : null;
+  }
+}
@@ -1,29 +1,48 @@
 // Enhanced Smart Loss Management System for Bark Trader 🐶
+import { systemClock } from '../utils/clock.js';
 import { logger } from '../utils/logger.js';
-import { calculateTechnicalIndicators, identifyTrend } from '../utils/technicalAnalysis.js';
+import { calculateRSISeries, calculateTechnicalIndicators, identifyTrend } from '../utils/technicalAnalysis.js';
+import { detectIndicatorDivergences } from '../utils/divergence.js';
+import { createRuleContext, evaluateRule } from '../utils/ruleDsl.js';
+import { calculateModelStop } from '../utils/stopModels.js';
 import { HistoricalDataManager } from './HistoricalDataManager.js';
 
+// Reversal patterns strong enough to count toward an emergency exit
+const EMERGENCY_PATTERNS = ['BEARISH_ENGULFING', 'EVENING_STAR', 'THREE_BLACK_CROWS'];
+
 export class SmartLossManager {
-  constructor(config, binance, priceCache) {
+  constructor(config, exchange, priceCache, options = {}) {
     this.config = config;
-    this.binance = binance;
+    this.exchange = exchange;
     this.priceCache = priceCache;
+    this.clock = options.clock || systemClock; // Simulated in backtests
+    this.candleProvider = options.candleProvider || exchange; // Anything with getCandles()
+    this.indicatorStream = options.indicatorStream || null; // Live indicator snapshots, absent in backtests
+    this.multiTimeframe = options.multiTimeframe || null; // MultiTimeframeAnalyzer for higher timeframe context
     this.trendCache = new Map(); // symbol -> trend analysis
     this.priceHistory = new Map(); // symbol -> price history
     this.volatilityCache = new Map(); // symbol -> volatility metrics
-    this.historicalDataManager = new HistoricalDataManager();
+    this.historicalDataManager = options.historicalDataManager || new HistoricalDataManager();
+    this.exitRules = []; // Compiled exit TradingRules, see setExitRules
+  }
+
+  // rules: createExitRule() results for the enabled exit TradingRules
+  setExitRules(rules) {
+    this.exitRules = rules;
   }
 
   // Main decision engine: Should we sell this position?
-  async shouldSellPosition(symbol, position, currentPrice) {
-    const analysis = await this.analyzePosition(symbol, position, currentPrice);
+  // timeframes: multi-timeframe context from MultiTimeframeAnalyzer, loaded when not passed
+  async shouldSellPosition(symbol, position, currentPrice, timeframes = null) {
+    const analysis = await this.analyzePosition(symbol, position, currentPrice, timeframes);
 
     // Decision priority (most important first):
     // 1. Emergency sell conditions (flash crash, extreme downtrend)
     // 2. Clear downward trend with momentum
     // 3. Stop loss hit
     // 4. Time-based accept loss
-    // 5. Take profit conditions
+    // 5. Scale-out tier reached (partial sell)
+    // 6. Take profit conditions
 
     if (analysis.emergencySell.shouldSell) {
       return {
@@ -31,7 +50,8 @@ export class SmartLossManager {
         reason: 'EMERGENCY_SELL',
         confidence: analysis.emergencySell.confidence,
         urgency: 'HIGH',
-        details: analysis.emergencySell.details
+        details: analysis.emergencySell.details,
+        signals: analysis.emergencySell.signals
       };
     }
 
@@ -41,7 +61,19 @@ export class SmartLossManager {
         reason: 'TREND_REVERSAL',
         confidence: analysis.trendSell.confidence,
         urgency: 'MEDIUM',
-        details: analysis.trendSell.details
+        details: analysis.trendSell.details,
+        signals: analysis.trendSell.signals
+      };
+    }
+
+    if (analysis.ruleSell.shouldSell) {
+      return {
+        shouldSell: true,
+        reason: 'RULE_EXIT',
+        confidence: 1.0,
+        urgency: 'MEDIUM',
+        details: analysis.ruleSell.details,
+        signals: analysis.ruleSell.signals
       };
     }
 
@@ -65,6 +97,18 @@ export class SmartLossManager {
       };
     }
 
+    if (analysis.scaleOut.shouldSell) {
+      return {
+        shouldSell: true,
+        reason: 'PARTIAL_TAKE_PROFIT',
+        confidence: 1.0,
+        urgency: 'LOW',
+        details: analysis.scaleOut.details,
+        tier: analysis.scaleOut.tier,
+        quantity: analysis.scaleOut.quantity
+      };
+    }
+
     if (analysis.takeProfit.shouldSell) {
       return {
         shouldSell: true,
@@ -84,12 +128,16 @@ export class SmartLossManager {
     };
   }
 
-  async analyzePosition(symbol, position, currentPrice) {
+  async analyzePosition(symbol, position, currentPrice, timeframes = null) {
     // Get comprehensive market data
-    const klines = await this.binance.candlesticks(symbol, '15m', false, { limit: 100 });
-    const indicators = calculateTechnicalIndicators(klines);
+    const context = timeframes || await this.multiTimeframe?.getContext(symbol) || null;
+    const klines = await this.candleProvider.getCandles(symbol, '15m', { limit: 100 });
+    const indicators = this.indicatorStream?.getSnapshot(symbol) ||
+      calculateTechnicalIndicators(klines, this.config.indicatorSettings);
+    const rsiSeries = this.calculateRSISeries(klines);
+    const divergences = detectIndicatorDivergences(klines, this.config.indicatorSettings);
     const trend = await this.analyzeTrend(symbol, klines);
-    const momentum = await this.analyzeMomentum(symbol, indicators);
+    const momentum = await this.analyzeMomentum(symbol, indicators, rsiSeries);
     const volatility = await this.analyzeVolatility(symbol, klines);
 
     // Store historical data for future analysis
@@ -101,21 +149,48 @@ export class SmartLossManager {
 
     const unrealizedPnl = (currentPrice - position.entryPrice) * position.quantity;
     const pnlPercentage = (unrealizedPnl / (position.entryPrice * position.quantity)) * 100;
-    const holdingTime = Date.now() - position.entryTime;
+    const holdingTime = this.clock.now() - position.entryTime;
 
     return {
-      emergencySell: await this.checkEmergencyConditions(symbol, indicators, trend, pnlPercentage),
-      trendSell: await this.checkTrendReversal(symbol, trend, momentum, indicators, pnlPercentage),
-      stopLoss: this.checkStopLoss(position, currentPrice, pnlPercentage),
+      emergencySell: await this.checkEmergencyConditions(symbol, indicators, trend, pnlPercentage, divergences),
+      trendSell: this.isAveragingDown(position)
+        ? { shouldSell: false, confidence: 0, details: ['DCA campaign still has safety orders below'], signals: [] }
+        : await this.checkTrendReversal(symbol, trend, momentum, indicators, pnlPercentage, divergences, context),
+      ruleSell: this.checkExitRules(symbol, position, klines, indicators),
+      stopLoss: this.checkStopLoss(position, currentPrice, pnlPercentage, this.getModelStop(position, klines)),
       timeBasedSell: this.checkTimeBasedSell(position, holdingTime, pnlPercentage),
+      scaleOut: this.checkScaleOut(position, currentPrice),
       takeProfit: this.checkTakeProfit(position, currentPrice, pnlPercentage),
       holdConfidence: this.calculateHoldConfidence(trend, momentum, pnlPercentage),
       holdReasons: this.getHoldReasons(trend, momentum, indicators, pnlPercentage)
     };
   }
 
+  // 📜 User-defined exit rules, the first matching rule sells
+  checkExitRules(symbol, position, klines, indicators) {
+    const rules = this.exitRules.filter(rule => rule.appliesTo(symbol, position));
+    if (rules.length === 0) {
+      return { shouldSell: false, details: [], signals: [] };
+    }
+
+    const context = createRuleContext(klines, indicators);
+    for (const rule of rules) {
+      const result = evaluateRule(rule.compiled, context);
+      if (result.matched) {
+        return {
+          shouldSell: true,
+          details: [`Exit rule ${rule.name} matched: ${rule.compiled.source}`],
+          signals: [rule.signal]
+        };
+      }
+    }
+
+    return { shouldSell: false, details: [], signals: [] };
+  }
+
   // 🚨 Emergency sell conditions - immediate action required
-  async checkEmergencyConditions(symbol, indicators, trend, pnlPercentage) {
+  // divergences: from detectIndicatorDivergences, strongest first
+  async checkEmergencyConditions(symbol, indicators, trend, pnlPercentage, divergences = []) {
     const emergencyConditions = [];
     let confidence = 0;
 
@@ -138,9 +213,13 @@ export class SmartLossManager {
       confidence += 0.8;
     }
 
-    // MACD showing extreme bearish divergence
-    if (indicators.macd.histogram < -0.002 && indicators.macd.macd < indicators.macd.signal * 1.1) {
-      emergencyConditions.push(`Extreme bearish MACD divergence`);
+    // Regular bearish divergence confirmed by both RSI and MACD on the latest swing high
+    const bearishDivergences = divergences.filter(d => d.type === 'REGULAR_BEARISH' && d.confidence >= 0.7);
+    const confirmedDivergence = bearishDivergences.some(d => d.oscillator === 'RSI') &&
+      bearishDivergences.some(d => d.oscillator === 'MACD');
+    if (confirmedDivergence) {
+      emergencyConditions.push(`Bearish RSI and MACD divergence: ${bearishDivergences
+        .map(d => `${d.name} (${d.confidence.toFixed(2)})`).join(', ')}`);
       confidence += 0.6;
     }
 
@@ -151,15 +230,27 @@ export class SmartLossManager {
       confidence += 0.7;
     }
 
+    // Strong bearish reversal pattern on the latest candles (not enough on its own)
+    const bearishPatterns = (indicators.patterns || [])
+      .filter(pattern => EMERGENCY_PATTERNS.includes(pattern.name) && pattern.strength >= 0.8);
+    for (const pattern of bearishPatterns) {
+      emergencyConditions.push(`Strong bearish pattern: ${pattern.name} (strength: ${pattern.strength.toFixed(2)})`);
+      confidence += 0.3;
+    }
+
     return {
       shouldSell: confidence > 0.7, // High confidence threshold for emergency
       confidence: Math.min(confidence, 1.0),
-      details: emergencyConditions
+      details: emergencyConditions,
+      signals: [
+        ...bearishPatterns.map(pattern => pattern.name),
+        ...(confirmedDivergence ? bearishDivergences.map(d => d.name) : [])
+      ]
     };
   }
 
   // 📉 Clear downward trend detection
-  async checkTrendReversal(symbol, trend, momentum, indicators, pnlPercentage) {
+  async checkTrendReversal(symbol, trend, momentum, indicators, pnlPercentage, divergences = [], timeframes = null) {
     const trendConditions = [];
     let confidence = 0;
 
@@ -181,10 +272,22 @@ export class SmartLossManager {
       confidence += 0.2;
     }
 
-    // RSI showing sustained weakness (not just oversold)
-    if (indicators.rsi < 45 && this.isRSIWeakening(symbol)) {
-      trendConditions.push(`RSI showing sustained weakness trend`);
-      confidence += 0.2;
+    // Regular bearish divergence: higher price high the oscillators don't confirm
+    const reversalDivergences = divergences.filter(d => d.type === 'REGULAR_BEARISH');
+    for (const divergence of reversalDivergences) {
+      trendConditions.push(`${divergence.name}: price higher high, ${divergence.oscillator} lower high (confidence: ${divergence.confidence.toFixed(2)})`);
+    }
+    if (reversalDivergences.length > 0) {
+      confidence += reversalDivergences[0].confidence * 0.3;
+    }
+
+    // Hidden bearish divergence: lower high with a stronger oscillator, the downtrend is continuing
+    const continuationDivergences = divergences.filter(d => d.type === 'HIDDEN_BEARISH');
+    for (const divergence of continuationDivergences) {
+      trendConditions.push(`${divergence.name}: price lower high, ${divergence.oscillator} higher high (confidence: ${divergence.confidence.toFixed(2)})`);
+    }
+    if (continuationDivergences.length > 0) {
+      confidence += continuationDivergences[0].confidence * 0.2;
     }
 
     // Volume confirming the downtrend
@@ -193,6 +296,41 @@ export class SmartLossManager {
       confidence += 0.2;
     }
 
+    // Bearish candlestick patterns, weighted by the strongest one
+    const bearishPatterns = (indicators.patterns || []).filter(pattern => pattern.type === 'BEARISH');
+    if (bearishPatterns.length > 0) {
+      trendConditions.push(`Bearish candlestick patterns: ${bearishPatterns
+        .map(pattern => `${pattern.name} (${pattern.strength.toFixed(2)})`).join(', ')}`);
+      confidence += bearishPatterns[0].strength * 0.2;
+    }
+
+    // Extended indicators, only present when enabled in indicatorSettings
+    if (indicators.adx && indicators.adx.adx > 25 && indicators.adx.minusDI > indicators.adx.plusDI) {
+      trendConditions.push(`ADX ${indicators.adx.adx.toFixed(1)} confirms a strong downtrend (-DI above +DI)`);
+      confidence += 0.2;
+    }
+
+    if (indicators.supertrend?.direction === 'DOWN') {
+      trendConditions.push(`SuperTrend bearish, resistance at ${indicators.supertrend.value.toFixed(4)}`);
+      confidence += 0.2;
+    }
+
+    if (indicators.ichimoku?.position === 'BELOW_CLOUD') {
+      trendConditions.push(`Price below the Ichimoku cloud`);
+      confidence += 0.1;
+    }
+
+    if (indicators.parabolicSar?.trend === 'DOWN') {
+      trendConditions.push(`Parabolic SAR flipped above price`);
+      confidence += 0.1;
+    }
+
+    if (indicators.vwap && indicators.currentPrice < indicators.vwap && indicators.obv &&
+        indicators.obv.value < indicators.obv.average) {
+      trendConditions.push(`Price below session VWAP with falling OBV`);
+      confidence += 0.1;
+    }
+
     // Significant unrealized loss building up
     if (pnlPercentage < -6) {
       const lossWeight = Math.min(Math.abs(pnlPercentage) / 15, 0.3); // Up to 0.3 weight for 15%+ loss
@@ -200,11 +338,12 @@ export class SmartLossManager {
       confidence += lossWeight;
     }
 
-    // Multiple timeframe confirmation
-    const longerTrend = await this.getLongerTimeframeTrend(symbol);
-    if (longerTrend === 'DOWN') {
-      trendConditions.push(`Longer timeframe also showing downtrend`);
-      confidence += 0.2;
+    // Multiple timeframe confirmation, more weight when several higher timeframes agree
+    const longerTrends = await this.getLongerTimeframeTrends(symbol, timeframes);
+    const downTimeframes = Object.keys(longerTrends).filter(timeframe => longerTrends[timeframe] === 'DOWNTREND');
+    if (downTimeframes.length > 0) {
+      trendConditions.push(`Longer timeframe also showing downtrend (${downTimeframes.join(', ')})`);
+      confidence += downTimeframes.length > 1 ? 0.3 : 0.2;
     }
 
     // Smart threshold: higher confidence needed if loss is small
@@ -213,24 +352,134 @@ export class SmartLossManager {
     return {
       shouldSell: confidence > requiredConfidence,
       confidence: Math.min(confidence, 1.0),
-      details: trendConditions
+      details: trendConditions,
+      signals: [
+        ...bearishPatterns.map(pattern => pattern.name),
+        ...reversalDivergences.map(d => d.name),
+        ...continuationDivergences.map(d => d.name)
+      ]
     };
   }
 
-  // Traditional stop loss check
-  checkStopLoss(position, currentPrice, pnlPercentage) {
-    const stopLossHit = currentPrice <= position.stopLoss;
+  // A DCA campaign buys the dip a trend reversal would sell, until its safety orders run out
+  isAveragingDown(position) {
+    return Boolean(position.dca?.safetyOrders.some(safetyOrder => safetyOrder.status === 'PENDING'));
+  }
+
+  // Traditional stop loss check against the stop from the position's model (stopPrice). Only fixed
+  // stops also have the hard percentage stop; campaigns use their stop below the last safety order.
+  // The runner left after the last scale-out tier also stops out on its trailing stop.
+  checkStopLoss(position, currentPrice, pnlPercentage, stopPrice = position.stopLoss) {
+    const stopLossHit = currentPrice <= stopPrice;
     const hardStopPercent = -this.config.riskManagement.stopLossPercentage;
-    const hardStopHit = pnlPercentage <= hardStopPercent;
+    const hardStopHit = !position.dca && this.getStopModel(position) === 'fixed' && pnlPercentage <= hardStopPercent;
+    const runnerStop = this.getRunnerStop(position);
+    const runnerStopHit = runnerStop !== null && currentPrice <= runnerStop;
 
     return {
-      shouldSell: stopLossHit || hardStopHit,
+      shouldSell: stopLossHit || hardStopHit || runnerStopHit,
       confidence: 1.0,
       details: stopLossHit
-        ? [`Stop loss price hit: ${position.stopLoss}`]
+        ? [`Stop loss price hit: ${stopPrice} (${this.getStopModel(position)} stop)`]
         : hardStopHit
           ? [`Hard stop loss hit: ${pnlPercentage.toFixed(1)}%`]
-          : []
+          : runnerStopHit
+            ? [`Trailing stop on the runner hit: ${runnerStop.toFixed(8)}`]
+            : []
+    };
+  }
+
+  getStopModel(position) {
+    return position.dca ? 'fixed' : position.stopModel || 'fixed';
+  }
+
+  // 🛡️ Stop from the position's model on the latest candles, never below the stop it already has
+  getModelStop(position, klines) {
+    const model = this.getStopModel(position);
+    if (model === 'fixed') return position.stopLoss;
+
+    const stop = calculateModelStop(model, position, klines, this.config.riskManagement, this.config.indicatorSettings?.atr);
+    return stop === null ? position.stopLoss : Math.max(stop, position.stopLoss);
+  }
+
+  // 🪜 Scale-out plan for a new entry, null when scale-out is off. Tier quantities are shares of the
+  // entry quantity; a plan selling 100% sells whatever is left at its last tier.
+  createScaleOutPlan(entryPrice, quantity) {
+    const settings = this.config.riskManagement.scaleOut;
+    if (!settings?.enabled || settings.tiers.length === 0) return null;
+
+    return {
+      initialQuantity: quantity,
+      realizedPnl: 0,
+      breakEvenApplied: false,
+      tiers: settings.tiers.map((tier, index) => ({
+        index,
+        profitPercent: tier.profitPercent,
+        sellPercent: tier.sellPercent,
+        targetPrice: entryPrice * (1 + tier.profitPercent / 100),
+        quantity: quantity * tier.sellPercent / 100,
+        status: 'PENDING'
+      }))
+    };
+  }
+
+  // Next tier whose target price was reached
+  checkScaleOut(position, currentPrice) {
+    const tier = position.scaleOut?.tiers.find(t => t.status === 'PENDING');
+    if (!tier || currentPrice < tier.targetPrice) {
+      return { shouldSell: false, details: [] };
+    }
+
+    const isLast = tier === position.scaleOut.tiers[position.scaleOut.tiers.length - 1];
+    const sellsRest = isLast && position.scaleOut.tiers.reduce((sum, t) => sum + t.sellPercent, 0) >= 100;
+
+    return {
+      shouldSell: true,
+      tier: tier.index,
+      quantity: sellsRest ? position.quantity : Math.min(tier.quantity, position.quantity),
+      details: [`Scale-out tier ${tier.index + 1} reached: +${tier.profitPercent}%, selling ${tier.sellPercent}% of the entry`]
+    };
+  }
+
+  // Every tier sold or skipped: the rest trails from its high instead of taking the profit target
+  isRunner(position) {
+    return Boolean(position.scaleOut?.tiers.length) && position.scaleOut.tiers.every(t => t.status !== 'PENDING');
+  }
+
+  getRunnerStop(position) {
+    // Stop models other than fixed already trail
+    if (!this.isRunner(position) || this.getStopModel(position) !== 'fixed' || !this.config.riskManagement.enableTrailingStop) return null;
+
+    const high = position.trailingHigh || position.entryPrice;
+    return Math.max(high * (1 - this.config.riskManagement.trailingStopPercentage / 100), position.stopLoss);
+  }
+
+  // Stop price once the first tier has sold, never below the current stop
+  getBreakEvenStop(position) {
+    const settings = this.config.riskManagement.scaleOut;
+    if (!settings?.breakEvenAfterFirstTier) return position.stopLoss;
+
+    return Math.max(position.stopLoss, position.entryPrice * (1 + settings.breakEvenOffsetPercent / 100));
+  }
+
+  // Tier plan for the API: targets, what sold and what is still held
+  describeScaleOut(position, currentPrice = null) {
+    if (!position.scaleOut) return null;
+
+    const { initialQuantity, realizedPnl, breakEvenApplied, tiers } = position.scaleOut;
+    return {
+      initialQuantity,
+      remainingQuantity: position.quantity,
+      soldPercent: initialQuantity > 0 ? (1 - position.quantity / initialQuantity) * 100 : 0,
+      realizedPnl,
+      breakEvenApplied,
+      stopLoss: position.stopLoss,
+      runner: this.isRunner(position),
+      runnerStop: this.getRunnerStop(position),
+      tiers: tiers.map(tier => ({
+        ...tier,
+        distancePercent: currentPrice && tier.status === 'PENDING' ? (tier.targetPrice / currentPrice - 1) * 100 : null
+      }))
     };
   }
 
@@ -258,11 +507,16 @@ export class SmartLossManager {
     };
   }
 
-  // Take profit check
+  // Take profit check, campaigns exit at their take profit above the average entry only.
+  // Scaled-out positions take profit by tier and trail the rest instead.
   checkTakeProfit(position, currentPrice, pnlPercentage) {
+    if (position.scaleOut) {
+      return { shouldSell: false, confidence: 0, details: [] };
+    }
+
     const takeProfitHit = currentPrice >= position.takeProfit;
     const profitTargetPercent = this.config.riskManagement.takeProfitPercentage;
-    const profitTargetHit = pnlPercentage >= profitTargetPercent;
+    const profitTargetHit = !position.dca && pnlPercentage >= profitTargetPercent;
 
     return {
       shouldSell: takeProfitHit || profitTargetHit,
@@ -323,6 +577,14 @@ export class SmartLossManager {
       reasons.push(`Price above SMA20 support`);
     }
 
+    if (indicators.supertrend?.direction === 'UP') {
+      reasons.push(`SuperTrend still bullish, support at ${indicators.supertrend.value.toFixed(4)}`);
+    }
+
+    if (indicators.adx && indicators.adx.adx > 25 && indicators.adx.plusDI > indicators.adx.minusDI) {
+      reasons.push(`ADX ${indicators.adx.adx.toFixed(1)} shows a strong uptrend`);
+    }
+
     if (pnlPercentage > -3) {
       reasons.push(`Small unrealized loss, room for recovery`);
     }
@@ -371,12 +633,13 @@ export class SmartLossManager {
       strength = 0.3 + ((1 - positionInRange) * 0.3);
     }
 
-    this.trendCache.set(symbol, { direction, strength, timestamp: Date.now() });
+    this.trendCache.set(symbol, { direction, strength, timestamp: this.clock.now() });
 
     return { direction, strength };
   }
 
-  async analyzeMomentum(symbol, indicators) {
+  // rsiSeries: RSI per candle from calculateRSISeries, history falls back to Redis without it
+  async analyzeMomentum(symbol, indicators, rsiSeries = null) {
     const { macd, rsi } = indicators;
 
     // MACD momentum
@@ -384,7 +647,7 @@ export class SmartLossManager {
     const macdStrength = Math.abs(macd.histogram) * 1000; // Scale for readability
 
     // RSI momentum (rate of change)
-    const previousRSI = await this.getPreviousRSI(symbol);
+    const previousRSI = await this.getPreviousRSI(symbol, rsiSeries);
     const rsiChange = previousRSI ? rsi - previousRSI : 0;
 
     let direction = 'NEUTRAL';
@@ -428,7 +691,7 @@ export class SmartLossManager {
   // Helper methods
   async getHourlyPriceChange(symbol) {
     try {
-      const klines = await this.binance.candlesticks(symbol, '15m', false, { limit: 5 });
+      const klines = await this.candleProvider.getCandles(symbol, '15m', { limit: 5 });
       const prices = klines.map(k => parseFloat(k[4]));
       const currentPrice = prices[prices.length - 1];
       const hourAgoPrice = prices[0];
@@ -440,25 +703,38 @@ export class SmartLossManager {
     }
   }
 
-  async getLongerTimeframeTrend(symbol) {
+  // { '1h': 'UPTREND'|'DOWNTREND'|'SIDEWAYS', '4h': ..., '1d': ... } from the multi-timeframe
+  // context, or just 1h fetched directly when there is no context
+  async getLongerTimeframeTrends(symbol, timeframes = null) {
+    const snapshots = timeframes?.timeframes || {};
+    const trends = {};
+
+    for (const timeframe of ['1h', '4h', '1d']) {
+      if (snapshots[timeframe]) {
+        trends[timeframe] = snapshots[timeframe].trend;
+      }
+    }
+    if (Object.keys(trends).length > 0) return trends;
+
     try {
-      const klines = await this.binance.candlesticks(symbol, '1h', false, { limit: 50 });
+      const klines = await this.candleProvider.getCandles(symbol, '1h', { limit: 50 });
       const prices = klines.map(k => parseFloat(k[4]));
-      return identifyTrend(prices, 20, 50);
+      return { '1h': identifyTrend(prices, 20, 50) };
     } catch (error) {
       logger.error(`Failed to get longer timeframe trend for ${symbol}:`, error);
-      return 'SIDEWAYS';
+      return {};
     }
   }
 
-  async isRSIWeakening(symbol) {
-    // Check if RSI has been declining over the last few periods using historical data
-    return await this.historicalDataManager.isRSIWeakening(symbol, 3);
+  // RSI per candle with the configured period and smoothing, aligned with klines
+  calculateRSISeries(klines) {
+    const { period = 14, smoothing = 'wilder' } = this.config.indicatorSettings?.rsi || {};
+    return calculateRSISeries(klines.map(k => parseFloat(k[4])), period, smoothing);
   }
 
-  async getPreviousRSI(symbol) {
-    // Get RSI from previous period for momentum calculation
-    return await this.historicalDataManager.getPreviousRSI(symbol);
+  async getPreviousRSI(symbol, rsiSeries = null) {
+    // Get RSI from previous candle for momentum calculation
+    return await this.historicalDataManager.getPreviousRSI(symbol, rsiSeries);
   }
 
   async getVolatilityPercentile(symbol, currentVolatility) {
@@ -478,7 +754,9 @@ export class SmartLossManager {
         confidence: decision.confidence,
         urgency: decision.urgency,
         message: `🐶 Bark Trader recommends ${decision.reason}: ${decision.details.join(', ')}`,
-        details: decision.details
+        details: decision.details,
+        tier: decision.tier,
+        quantity: decision.quantity
       };
     }
 
@@ -0,0 +1,112 @@
+// Strategy Registry for Bark Trader 🐶
+// Entry strategies are plugins registered by name, so new ones don't need changes to the bot.
+// A strategy is an object with:
+//   name                          unique id, stored as the position's and order's strategy
+//   description
+//   settingsSchema                Joi schema of its settings, defaults included
+//   evaluate(context, settings)   -> { action: 'BUY'|'SELL', confidence 0-1, signals, score } or null
+//   holdingPeriod(config, settings) -> ms, or null for no limit
+//   profitTarget(config, settings)  -> % take profit for new entries
+//   isAvailable(config)           optional switch outside config.strategies (e.g. tradingStyle)
+//   timeframeRules(config)        optional multi-timeframe rules that must pass before entering
+// context: { symbol, indicators, klines, marketCondition, existingPositions, timeframes, config }
+// config.strategies enables and weights each one, globally and per symbol.
+import { logger } from '../utils/logger.js';
+import { dcaStrategy } from './strategies/dca.js';
+import { dayTradingStrategy } from './strategies/dayTrading.js';
+import { swingTradingStrategy } from './strategies/swingTrading.js';
+
+const DEFAULT_WEIGHT = 1;
+
+export class StrategyRegistry {
+  constructor() {
+    this.strategies = new Map();
+  }
+
+  register(strategy) {
+    if (!strategy?.name || typeof strategy.evaluate !== 'function' || !strategy.settingsSchema) {
+      throw new Error('A strategy needs a name, an evaluate() function and a settingsSchema');
+    }
+    if (typeof strategy.holdingPeriod !== 'function' || typeof strategy.profitTarget !== 'function') {
+      throw new Error(`Strategy ${strategy.name} needs holdingPeriod() and profitTarget()`);
+    }
+    if (this.strategies.has(strategy.name)) {
+      throw new Error(`Strategy ${strategy.name} is already registered`);
+    }
+
+    this.strategies.set(strategy.name, strategy);
+    return this;
+  }
+
+  unregister(name) {
+    return this.strategies.delete(name);
+  }
+
+  get(name) {
+    return this.strategies.get(name) || null;
+  }
+
+  has(name) {
+    return this.strategies.has(name);
+  }
+
+  list() {
+    return Array.from(this.strategies.values());
+  }
+
+  // Settings with schema defaults applied; invalid stored settings fall back to the defaults
+  resolveSettings(strategy, settings = {}) {
+    const { error, value } = strategy.settingsSchema.validate(settings || {});
+    if (!error) return value;
+
+    logger.warn(`Invalid settings for strategy ${strategy.name}, using defaults:`, error.message);
+    return strategy.settingsSchema.validate({}).value;
+  }
+
+  // Enabled flag and weight for one symbol: the symbol override, then the strategy entry,
+  // then enabled with weight 1 for strategies missing from config.strategies
+  resolveForSymbol(config, strategy, symbol = null) {
+    const entry = (config.strategies || []).find(s => s.name === strategy.name);
+    const override = symbol ? entry?.symbols?.find(s => s.symbol === symbol) : null;
+    const available = strategy.isAvailable ? strategy.isAvailable(config) : true;
+
+    return {
+      enabled: available && (override?.enabled ?? entry?.enabled ?? true),
+      weight: override?.weight ?? entry?.weight ?? DEFAULT_WEIGHT,
+      settings: this.resolveSettings(strategy, entry?.settings)
+    };
+  }
+
+  // [{ strategy, weight, settings }] enabled for the symbol, weight 0 counts as disabled
+  activeFor(config, symbol = null) {
+    return this.list()
+      .map(strategy => ({ strategy, ...this.resolveForSymbol(config, strategy, symbol) }))
+      .filter(active => active.enabled && active.weight > 0);
+  }
+
+  // Listing for the API: contract details, schema and the configured state
+  describe(config) {
+    return this.list().map(strategy => {
+      const entry = (config.strategies || []).find(s => s.name === strategy.name);
+      const { enabled, weight, settings } = this.resolveForSymbol(config, strategy);
+
+      return {
+        name: strategy.name,
+        description: strategy.description || '',
+        enabled,
+        weight,
+        settings,
+        holdingPeriod: strategy.holdingPeriod(config, settings),
+        profitTarget: strategy.profitTarget(config, settings),
+        settingsSchema: strategy.settingsSchema.describe(),
+        symbols: entry?.symbols || []
+      };
+    });
+  }
+}
+
+// Registry used by the bot and the API, with the built-in strategies
+export const strategyRegistry = new StrategyRegistry()
+  .register(dayTradingStrategy)
+  .register(swingTradingStrategy)
+  .register(dcaStrategy);
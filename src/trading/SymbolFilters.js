@@ -0,0 +1,115 @@
+// Symbol Filters for Bark Trader 🐶
+// Caches the exchange's LOT_SIZE, PRICE_FILTER and MIN_NOTIONAL rules and shapes
+// every order to fit them before it is sent.
+import { logger } from '../utils/logger.js';
+
+const REFRESH_MS = 24 * 60 * 60 * 1000; // Filters change rarely
+const MISSING_RETRY_MS = 5 * 60 * 1000;  // exchangeInfo is heavy, don't reload per unknown symbol
+
+export class SymbolFilters {
+  constructor(exchange) {
+    this.exchange = exchange;
+    this.filters = new Map(); // symbol -> { stepSize, minQty, maxQty, tickSize, minPrice, maxPrice, minNotional }
+    this.loadedAt = 0;
+  }
+
+  async load() {
+    try {
+      const filters = await this.exchange.getSymbolFilters();
+      this.filters = new Map(Object.entries(filters));
+      this.loadedAt = Date.now();
+      logger.info(`📏 Loaded trading filters for ${this.filters.size} symbols`);
+    } catch (error) {
+      logger.error('Failed to load exchange symbol filters:', error.message);
+    }
+  }
+
+  async getFilters(symbol) {
+    const age = Date.now() - this.loadedAt;
+    if (age > REFRESH_MS || (!this.filters.has(symbol) && age > MISSING_RETRY_MS)) {
+      await this.load();
+    }
+    return this.filters.get(symbol) || null;
+  }
+
+  // Quantities are always rounded down so we never spend or sell more than intended
+  async roundQuantity(symbol, quantity) {
+    return floorQuantity(parseFloat(quantity), await this.getFilters(symbol));
+  }
+
+  async roundPrice(symbol, price) {
+    return roundPrice(price, await this.getFilters(symbol));
+  }
+
+  // Fit an order to the symbol filters.
+  // Buys below MIN_NOTIONAL are resized up when that stays within maxNotional; sells never are.
+  async prepareOrder(symbol, side, quantity, price, { maxNotional = Infinity } = {}) {
+    const filters = await this.getFilters(symbol);
+    const result = {
+      quantity: floorQuantity(parseFloat(quantity), filters),
+      price: roundPrice(price, filters),
+      valid: true,
+      resized: false,
+      reason: null
+    };
+
+    if (!filters) {
+      logger.warn(`📏 No exchange filters for ${symbol}, sending order unadjusted`);
+      return result;
+    }
+
+    const minQuantityForNotional = filters.minNotional > 0
+      ? roundToStep(filters.minNotional / result.price, filters.stepSize, 'ceil')
+      : 0;
+    const requiredQuantity = Math.max(filters.minQty, minQuantityForNotional);
+
+    if (result.quantity < requiredQuantity) {
+      const requiredNotional = requiredQuantity * result.price;
+
+      if (side === 'BUY' && requiredNotional <= maxNotional) {
+        logger.info(`📏 Resized ${symbol} buy from ${result.quantity} to ${requiredQuantity} to meet exchange minimums`, {
+          minQty: filters.minQty,
+          minNotional: filters.minNotional
+        });
+        result.quantity = requiredQuantity;
+        result.resized = true;
+      } else {
+        result.valid = false;
+        result.reason = `${side} ${result.quantity} ${symbol} at ${result.price} is below the exchange minimum ` +
+          `(minQty ${filters.minQty}, minNotional ${filters.minNotional})`;
+      }
+    }
+
+    if (result.valid && filters.maxQty > 0 && result.quantity > filters.maxQty) {
+      result.valid = false;
+      result.reason = `${side} ${result.quantity} ${symbol} exceeds the exchange maximum quantity ${filters.maxQty}`;
+    }
+
+    if (!result.valid) {
+      logger.warn(`🚫 Order rejected before reaching the exchange: ${result.reason}`);
+    }
+
+    return result;
+  }
+}
+
+function floorQuantity(quantity, filters) {
+  return filters?.stepSize ? roundToStep(quantity, filters.stepSize, 'floor') : parseFloat(quantity.toFixed(6));
+}
+
+function roundPrice(price, filters) {
+  return filters?.tickSize ? roundToStep(price, filters.tickSize, 'round') : price;
+}
+
+// Round to a multiple of step, ignoring float noise and trimming to the step's decimals
+function roundToStep(value, step, mode) {
+  if (!step) return value;
+
+  const units = value / step;
+  const rounded = mode === 'floor' ? Math.floor(units + 1e-9)
+    : mode === 'ceil' ? Math.ceil(units - 1e-9)
+      : Math.round(units);
+  const decimals = Math.max(0, Math.round(-Math.log10(step)));
+
+  return parseFloat((rounded * step).toFixed(decimals));
+}
@@ -1,16 +1,22 @@
-import Binance from 'node-binance-api';
 import { CronJob } from 'cron';
 import { Order } from '../models/Order.js';
 import { TradingConfig } from '../models/TradingConfig.js';
 import { redis } from '../database/redis.js';
-import { binanceConfig } from '../config/environment.js';
+import { binanceConfig, tradingConfig } from '../config/environment.js';
+import { createExchange } from '../exchange/createExchange.js';
 import { logger } from '../utils/logger.js';
-import { calculateTechnicalIndicators } from '../utils/technicalAnalysis.js';
+import { CandleProvider } from './CandleProvider.js';
+import { OrderTracker } from './OrderTracker.js';
+import { SymbolFilters } from './SymbolFilters.js';
+import { calculateStrategyIndicators, requiredCandles, TRADING_STRATEGIES } from './TradingStrategies.js';
 
 export class TradingBot {
-  constructor(wsManager) {
+  constructor(wsManager, exchange = null) {
     this.wsManager = wsManager;
-    this.binance = null;
+    this.exchange = exchange;
+    this.candleProvider = null;
+    this.orderTracker = null;
+    this.symbolFilters = null;
     this.activeOrders = new Map();
     this.dailyStats = new Map();
     this.isRunning = false;
@@ -24,15 +30,28 @@ export class TradingBot {
     try {      
       this.config = await TradingConfig.findOne({}) || await this.createDefaultConfig();
             
-      this.binance = new Binance().options({
-        APIKEY: binanceConfig.apiKey,
-        APISECRET: binanceConfig.secretKey,
-        test: binanceConfig.testnet,
+      // testMode routes every order through the paper trading exchange
+      this.exchange = this.exchange || createExchange({
+        apiKey: binanceConfig.apiKey,
+        secretKey: binanceConfig.secretKey,
+        testnet: binanceConfig.testnet,
         recvWindow: binanceConfig.recvWindow,
         timeout: binanceConfig.timeout
+      }, {
+        paperTrading: this.config.testMode || tradingConfig.enablePaperTrading,
+        priceCache: this.priceCache
       });
-    
+
+      await this.exchange.initialize();
+      this.candleProvider = new CandleProvider(this.exchange, {
+        priceCache: this.priceCache,
+        refreshSeconds: tradingConfig.candleStore.refreshSeconds
+      });
+      this.orderTracker = new OrderTracker(this.exchange, this.wsManager);
+      this.orderTracker.start();
+      this.symbolFilters = new SymbolFilters(this.exchange);
       await this.testConnection();
+      await this.symbolFilters.load();
       
       await this.loadActiveOrders();
       
@@ -66,23 +85,23 @@ export class TradingBot {
 
   async testConnection() {
     try {
-      const accountInfo = await this.binance.account();
-      logger.info(`Connected to Binance. Account status: ${accountInfo.accountType}`);
+      const accountInfo = await this.exchange.testConnection();
+      logger.info(`Connected to ${this.exchange.name}. Account status: ${accountInfo.accountType}`);
       return true;
     } catch (error) {
-      logger.error('Binance connection failed:', error.message);
-      throw new Error('Failed to connect to Binance API');
+      logger.error(`${this.exchange.name} connection failed:`, error.message);
+      throw new Error(`Failed to connect to ${this.exchange.name} API`);
     }
   }
 
   setupPriceStreams() {
     if (!this.config?.activeSymbols?.length) return;
         
-    this.binance.websockets.trades(this.config.activeSymbols, (trade) => {
+    this.exchange.subscribeTrades(this.config.activeSymbols, (trade) => {
       this.handlePriceUpdate(trade);
     });
 
-    this.binance.websockets.depthCache(this.config.activeSymbols, (symbol, depth) => {
+    this.exchange.subscribeDepth(this.config.activeSymbols, (symbol, depth) => {
       this.orderBook.set(symbol, depth);
     });
   }
@@ -142,60 +161,79 @@ export class TradingBot {
       return;
     }
 
-    const klines = await this.binance.candlesticks(symbol, '15m', false, { limit: 100 });
-    const indicators = calculateTechnicalIndicators(klines);
-    
-    const shouldBuy = await this.shouldBuy(symbol, indicators);
+    const indicators = await this.getStrategyIndicators(symbol);
+    const entrySignal = await this.shouldBuy(symbol, indicators);
     
-    if (shouldBuy) {
-      await this.placeBuyOrder(symbol);
+    if (entrySignal) {
+      await this.placeBuyOrder(symbol, entrySignal);
     }
   }
 
+  // Configured strategy name, rsi_sma for configs saved before strategies were selectable
+  getStrategyName() {
+    const strategy = this.config.strategySettings?.strategy;
+    return TRADING_STRATEGIES[strategy] ? strategy : 'rsi_sma';
+  }
+
+  async getStrategyIndicators(symbol) {
+    const settings = this.config.technicalSettings;
+    const klines = await this.candleProvider.getCandles(symbol, '15m', {
+      limit: Math.max(100, requiredCandles(settings))
+    });
+    return calculateStrategyIndicators(klines, settings);
+  }
+
+  // Entry signal name of the configured strategy, null when it doesn't fire
   async shouldBuy(symbol, indicators) {
-    // Simple RSI + Moving Average strategy
-    const { rsi, sma20, sma50, currentPrice } = indicators;
-    
-    // Buy conditions:
-    // 1. RSI is oversold (< 30)
-    // 2. Price is above SMA20
-    // 3. SMA20 > SMA50 (uptrend)
-    return rsi < 30 && currentPrice > sma20 && sma20 > sma50;
+    return TRADING_STRATEGIES[this.getStrategyName()].entry(indicators, this.config.technicalSettings);
+  }
+
+  // Exit signal of the strategy that opened the position
+  shouldSell(position, indicators) {
+    const strategy = TRADING_STRATEGIES[position.strategy] || TRADING_STRATEGIES[this.getStrategyName()];
+    return strategy.exit(indicators, this.config.technicalSettings);
   }
 
-  async placeBuyOrder(symbol) {
+  async placeBuyOrder(symbol, entrySignal = null) {
     try {
       const currentPrice = this.priceCache.get(symbol);
       if (!currentPrice) return;
       
-      const quantity = this.calculatePositionSize(symbol, currentPrice);
+      const sizing = await this.calculatePositionSize(symbol, currentPrice);
+      if (!sizing.valid) return;
+      const quantity = sizing.quantity;
       
-      const order = await this.binance.marketBuy(symbol, quantity);
+      const order = await this.exchange.marketBuy(symbol, quantity);
             
       const orderDoc = new Order({
         symbol,
         orderId: order.orderId,
         side: 'BUY',
         type: 'MARKET',
-        quantity: parseFloat(order.executedQty),
-        price: parseFloat(order.fills[0]?.price || currentPrice),
+        quantity: order.executedQuantity,
+        price: order.price || currentPrice,
         status: order.status,
         timestamp: new Date(),
-        originalQuantity: parseFloat(order.origQty)
+        strategy: this.getStrategyName(),
+        signals: entrySignal ? [entrySignal] : [],
+        ...Order.executionFields(order),
+        isTestOrder: this.exchange.isPaperTrading
       });
       
       await orderDoc.save();
+      await this.orderTracker.applyPending(order.orderId);
       
       this.activeOrders.set(symbol, {
         orderId: order.orderId,
-        buyPrice: parseFloat(order.fills[0]?.price || currentPrice),
-        quantity: parseFloat(order.executedQty),
-        timestamp: Date.now()
+        buyPrice: order.price || currentPrice,
+        quantity: order.executedQuantity,
+        timestamp: Date.now(),
+        strategy: this.getStrategyName()
       });
       
       await redis.hset('active_orders', symbol, JSON.stringify(this.activeOrders.get(symbol)));
       
-      logger.info(`Buy order placed for ${symbol}: ${quantity} at $${currentPrice}`);
+      logger.info(`Buy order placed for ${symbol}: ${quantity} at $${currentPrice} (${this.getStrategyName()}: ${entrySignal})`);
       
     } catch (error) {
       logger.error(`Failed to place buy order for ${symbol}:`, error.message);
@@ -210,18 +248,23 @@ export class TradingBot {
     if (!currentPrice) return;
 
     const priceChange = ((currentPrice - position.buyPrice) / position.buyPrice) * 100;
+    const exitSignal = this.shouldSell(position, await this.getStrategyIndicators(symbol));
     
     const shouldSell = priceChange >= this.config.minGainPercent || 
-                      priceChange <= -this.calculateMaxLossPercent(position.buyPrice);
+                      priceChange <= -this.calculateMaxLossPercent(position.buyPrice) ||
+                      exitSignal !== null;
     
     if (shouldSell) {
-      await this.placeSellOrder(symbol, position, currentPrice);
+      await this.placeSellOrder(symbol, position, currentPrice, exitSignal);
     }
   }
 
-  async placeSellOrder(symbol, position, currentPrice) {
+  async placeSellOrder(symbol, position, currentPrice, exitSignal = null) {
     try {
-      const order = await this.binance.marketSell(symbol, position.quantity);
+      const sizing = await this.symbolFilters.prepareOrder(symbol, 'SELL', position.quantity, currentPrice);
+      if (!sizing.valid) throw new Error(sizing.reason);
+
+      const order = await this.exchange.marketSell(symbol, sizing.quantity);
       
       const totalCost = position.buyPrice * position.quantity;
       const totalRevenue = currentPrice * position.quantity;
@@ -237,10 +280,15 @@ export class TradingBot {
         status: order.status,
         timestamp: new Date(),
         pnl,
-        buyOrderId: position.orderId
+        buyOrderId: position.orderId,
+        strategy: position.strategy || this.getStrategyName(),
+        signals: exitSignal ? [exitSignal] : [],
+        ...Order.executionFields(order),
+        isTestOrder: this.exchange.isPaperTrading
       });
       
       await sellOrder.save();
+      await this.orderTracker.applyPending(order.orderId);
       
       this.activeOrders.delete(symbol);
       await redis.hdel('active_orders', symbol);
@@ -254,10 +302,13 @@ export class TradingBot {
     }
   }
 
-  calculatePositionSize(symbol, price) {
+  async calculatePositionSize(symbol, price) {
     const riskAmount = Math.min(this.config.maxLossPerTrade, 10); // Max $10 risk per trade
-    const quantity = (riskAmount / price).toFixed(6);
-    return quantity;
+
+    // Rounded to the symbol's step size, bumped to min notional while within maxLossPerTrade
+    return await this.symbolFilters.prepareOrder(symbol, 'BUY', riskAmount / price, price, {
+      maxNotional: this.config.maxLossPerTrade
+    });
   }
 
   calculateMaxLossPercent(buyPrice) {
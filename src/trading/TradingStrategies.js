@@ -0,0 +1,132 @@
+// Trading Strategies for the original Bark Trader bot 🐶
+// One entry and one exit rule per TradingConfig.strategySettings.strategy, all driven by
+// technicalSettings. Rules return a signal name when they fire and null otherwise.
+import {
+  calculateBollingerBandsSeries,
+  calculateMACDSeries,
+  calculateRSISeries,
+  calculateSMASeries
+} from '../utils/technicalAnalysis.js';
+
+const BOLLINGER_STD_DEV = 2;
+const MEAN_REVERSION_ENTRY_Z = -2; // Standard deviations below the mean
+const MEAN_REVERSION_RSI_MARGIN = 10; // Price is already stretched, so RSI may sit a little above the buy threshold
+
+// Indicators the strategies need, current and previous candle, with technicalSettings periods
+export function calculateStrategyIndicators(klines, settings) {
+  const closes = klines.map(k => parseFloat(k[4]));
+  const rsi = calculateRSISeries(closes, settings.rsiPeriod);
+  const macd = calculateMACDSeries(closes, settings.macdFastPeriod, settings.macdSlowPeriod, settings.macdSignalPeriod);
+  const smaShort = calculateSMASeries(closes, settings.smaShortPeriod);
+  const smaLong = calculateSMASeries(closes, settings.smaLongPeriod);
+  const bollinger = calculateBollingerBandsSeries(closes, settings.smaShortPeriod, BOLLINGER_STD_DEV);
+
+  const last = closes.length - 1;
+  const currentBands = bollinger[last];
+  const standardDeviation = currentBands ? (currentBands.upper - currentBands.middle) / BOLLINGER_STD_DEV : 0;
+
+  return {
+    currentPrice: closes[last],
+    previousPrice: closes[last - 1] ?? null,
+    rsi: rsi[last],
+    macd: macd[last],
+    previousMacd: macd[last - 1] ?? null,
+    smaShort: smaShort[last],
+    previousSmaShort: smaShort[last - 1] ?? null,
+    smaLong: smaLong[last],
+    previousSmaLong: smaLong[last - 1] ?? null,
+    bollinger: currentBands,
+    previousBollinger: bollinger[last - 1] ?? null,
+    zScore: standardDeviation > 0 ? (closes[last] - currentBands.middle) / standardDeviation : 0
+  };
+}
+
+// Candles needed before every indicator of the configured periods has warmed up
+export function requiredCandles(settings) {
+  return Math.max(
+    settings.smaLongPeriod,
+    settings.macdSlowPeriod + settings.macdSignalPeriod,
+    settings.rsiPeriod + 1
+  ) + 2;
+}
+
+export const TRADING_STRATEGIES = {
+  // Oversold RSI pulling back inside an uptrend
+  rsi_sma: {
+    entry(ind, settings) {
+      if (ind.rsi === null || ind.smaShort === null || ind.smaLong === null) return null;
+      return ind.rsi < settings.rsiBuyThreshold && ind.currentPrice > ind.smaShort && ind.smaShort > ind.smaLong
+        ? 'RSI_OVERSOLD_IN_UPTREND'
+        : null;
+    },
+    exit(ind, settings) {
+      if (ind.rsi !== null && ind.rsi > settings.rsiSellThreshold) return 'RSI_OVERBOUGHT';
+      if (ind.smaShort !== null && ind.smaLong !== null && ind.smaShort < ind.smaLong) return 'SMA_TREND_DOWN';
+      return null;
+    }
+  },
+
+  // MACD line crossing its signal line
+  macd: {
+    entry(ind) {
+      if (!ind.macd || !ind.previousMacd) return null;
+      return ind.previousMacd.macd <= ind.previousMacd.signal && ind.macd.macd > ind.macd.signal
+        ? 'MACD_BULLISH_CROSS'
+        : null;
+    },
+    exit(ind) {
+      if (!ind.macd || !ind.previousMacd) return null;
+      return ind.previousMacd.macd >= ind.previousMacd.signal && ind.macd.macd < ind.macd.signal
+        ? 'MACD_BEARISH_CROSS'
+        : null;
+    }
+  },
+
+  // Close back inside the lower band after closing below it, out at the upper band
+  bollinger: {
+    entry(ind, settings) {
+      if (!ind.bollinger || !ind.previousBollinger || ind.previousPrice === null) return null;
+      const reentered = ind.previousPrice < ind.previousBollinger.lower && ind.currentPrice > ind.bollinger.lower;
+      return reentered && (ind.rsi === null || ind.rsi < settings.rsiSellThreshold) ? 'BB_LOWER_REENTRY' : null;
+    },
+    exit(ind, settings) {
+      if (ind.bollinger && ind.currentPrice >= ind.bollinger.upper) return 'BB_UPPER_TOUCH';
+      if (ind.rsi !== null && ind.rsi > settings.rsiSellThreshold) return 'RSI_OVERBOUGHT';
+      return null;
+    }
+  },
+
+  // Short SMA crossing above the long one with MACD confirming, out when either turns
+  momentum: {
+    entry(ind, settings) {
+      if (ind.previousSmaShort === null || ind.previousSmaLong === null || !ind.macd) return null;
+      const crossedUp = ind.previousSmaShort <= ind.previousSmaLong && ind.smaShort > ind.smaLong;
+      const notOverbought = ind.rsi === null || ind.rsi < settings.rsiSellThreshold;
+      return crossedUp && ind.macd.histogram > 0 && notOverbought ? 'SMA_GOLDEN_CROSS' : null;
+    },
+    exit(ind) {
+      if (ind.smaShort !== null && ind.smaLong !== null && ind.smaShort < ind.smaLong) return 'SMA_DEATH_CROSS';
+      if (ind.macd && ind.smaShort !== null && ind.macd.histogram < 0 && ind.currentPrice < ind.smaShort) {
+        return 'MOMENTUM_LOST';
+      }
+      return null;
+    }
+  },
+
+  // Price stretched well below its short mean, out once it's back at the mean
+  mean_reversion: {
+    entry(ind, settings) {
+      if (!ind.bollinger || ind.rsi === null) return null;
+      return ind.zScore <= MEAN_REVERSION_ENTRY_Z && ind.rsi < settings.rsiBuyThreshold + MEAN_REVERSION_RSI_MARGIN
+        ? 'PRICE_BELOW_MEAN'
+        : null;
+    },
+    exit(ind, settings) {
+      if (ind.bollinger && ind.zScore >= 0) return 'PRICE_REVERTED_TO_MEAN';
+      if (ind.rsi !== null && ind.rsi > settings.rsiSellThreshold) return 'RSI_OVERBOUGHT';
+      return null;
+    }
+  }
+};
+
+export const STRATEGY_NAMES = Object.keys(TRADING_STRATEGIES);
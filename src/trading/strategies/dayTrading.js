@@ -0,0 +1,96 @@
+// Day trading: mean-reversion and momentum signals on the 15m snapshot, closed within hours
+import Joi from 'joi';
+
+export const dayTradingStrategy = {
+  name: 'day_trade',
+  description: 'RSI, Bollinger, MACD, MFI, VWAP and candlestick patterns on 15m candles, out within maxHoldingPeriodHours',
+  settingsSchema: Joi.object({
+    minConfidence: Joi.number().min(0).max(1).default(0.5)
+  }),
+
+  // tradingStyle.dayTrading stays the switch and the home of holding period, target and rules
+  isAvailable(config) {
+    return config.tradingStyle.dayTrading.enabled;
+  },
+
+  holdingPeriod(config) {
+    return config.tradingStyle.dayTrading.maxHoldingPeriodHours * 60 * 60 * 1000;
+  },
+
+  profitTarget(config) {
+    return config.tradingStyle.dayTrading.quickProfitTarget;
+  },
+
+  timeframeRules(config) {
+    return config.tradingStyle.dayTrading.timeframeRules || [];
+  },
+
+  evaluate(context) {
+    const { indicators, marketCondition } = context;
+    const { rsi, macd, bollinger, currentPrice } = indicators;
+    let score = 0;
+    let signals = [];
+
+    // RSI signals
+    if (rsi < 35) {
+      score += 2;
+      signals.push('RSI_OVERSOLD');
+    } else if (rsi > 65) {
+      score -= 2;
+      signals.push('RSI_OVERBOUGHT');
+    }
+
+    // Bollinger Bands
+    if (currentPrice < bollinger.lower * 1.01) {
+      score += 2;
+      signals.push('BB_BOUNCE');
+    } else if (currentPrice > bollinger.upper * 0.99) {
+      score -= 2;
+      signals.push('BB_RESISTANCE');
+    }
+
+    // MACD momentum
+    if (macd.histogram > 0 && macd.macd > macd.signal) {
+      score += 1;
+      signals.push('MACD_BULLISH');
+    }
+
+    // Candlestick patterns on the latest closed candles, strong ones count double
+    for (const pattern of indicators.patterns || []) {
+      signals.push(pattern.name);
+      const weight = pattern.strength >= 0.75 ? 2 : 1;
+      if (pattern.type === 'BULLISH') score += weight;
+      else if (pattern.type === 'BEARISH') score -= weight;
+    }
+
+    // Money flow and intraday fair value, when enabled
+    if (indicators.mfi !== undefined) {
+      if (indicators.mfi < 20) {
+        score += 1;
+        signals.push('MFI_OVERSOLD');
+      } else if (indicators.mfi > 80) {
+        score -= 1;
+        signals.push('MFI_OVERBOUGHT');
+      }
+    }
+
+    if (indicators.vwap && currentPrice < indicators.vwap * 0.99) {
+      score += 1;
+      signals.push('BELOW_VWAP');
+    }
+
+    // Market condition adjustment
+    if (marketCondition === 'bull') {
+      score += 1;
+    } else if (marketCondition === 'bear') {
+      score -= 1;
+    }
+
+    return {
+      action: score > 0 ? 'BUY' : 'SELL',
+      confidence: Math.min(Math.abs(score) / 6, 1),
+      signals,
+      score
+    };
+  }
+};
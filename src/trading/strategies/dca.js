@@ -0,0 +1,44 @@
+// DCA: opens a campaign once price is well below its mean. DcaCampaignManager then averages the
+// campaign down with safety orders and exits at one take profit above the average entry.
+import Joi from 'joi';
+
+export const dcaStrategy = {
+  name: 'dca',
+  description: 'Starts a DCA campaign when price is 5% under SMA20 and RSI is oversold',
+  settingsSchema: Joi.object({
+    minConfidence: Joi.number().min(0).max(1).default(0.7),
+    profitTarget: Joi.number().min(0.5).max(50).default(5), // Take profit above the average entry
+    baseOrderSize: Joi.number().min(1).max(Joi.ref('maxCampaignCapital')).default(10), // Quote asset
+    safetyOrderSize: Joi.number().min(1).default(10), // First safety order, quote asset
+    maxSafetyOrders: Joi.number().integer().min(0).max(20).default(5),
+    priceDeviationPercent: Joi.number().min(0.1).max(20).default(2), // Drop from the base price to the first safety order
+    stepScale: Joi.number().min(0.5).max(3).default(1.5), // Each step down is this much wider than the last
+    volumeScale: Joi.number().min(0.5).max(3).default(1.5), // Each safety order is this much bigger than the last
+    maxCampaignCapital: Joi.number().min(1).default(100), // Base plus safety orders never exceed this
+    stopLossPercent: Joi.number().min(0.5).max(50).default(5) // Below the last safety order
+  }),
+
+  holdingPeriod() {
+    return null; // Held until the averaged campaign recovers
+  },
+
+  profitTarget(config, settings) {
+    return settings.profitTarget;
+  },
+
+  evaluate(context) {
+    const { rsi, currentPrice, sma20 } = context.indicators;
+    let score = 0;
+
+    // DCA when price is significantly below average
+    if (currentPrice < sma20 * 0.95) score += 2;
+    if (rsi < 30) score += 2;
+
+    return {
+      action: 'BUY',
+      confidence: Math.min(score / 4, 1),
+      signals: ['DCA_OPPORTUNITY'],
+      score
+    };
+  }
+};
@@ -0,0 +1,54 @@
+// Rule strategies: TradingRule documents written in the rule DSL, run as entry strategy plugins
+// or as exit conditions in SmartLossManager
+import Joi from 'joi';
+import { compileRule, createRuleContext, evaluateRule } from '../../utils/ruleDsl.js';
+
+export const RULE_STRATEGY_PREFIX = 'rule:';
+
+// Throws RuleSyntaxError when the stored expression no longer compiles
+export function createRuleStrategy(rule) {
+  const compiled = compileRule(rule.expression);
+
+  return {
+    name: `${RULE_STRATEGY_PREFIX}${rule.name}`,
+    description: rule.description || rule.expression,
+    expression: rule.expression,
+    settingsSchema: Joi.object({
+      minConfidence: Joi.number().min(0).max(1).default(0.5)
+    }),
+
+    holdingPeriod() {
+      return rule.maxHoldingHours * 60 * 60 * 1000;
+    },
+
+    profitTarget() {
+      return rule.profitTarget;
+    },
+
+    // Needs context.klines for the rule's indicator functions
+    evaluate(context) {
+      if (!context.klines || !rule.appliesTo(context.symbol)) return null;
+
+      const result = evaluateRule(compiled, createRuleContext(context.klines, context.indicators));
+      if (!result.matched) return null;
+
+      return {
+        action: 'BUY',
+        confidence: rule.confidence,
+        signals: [`RULE_${rule.name.toUpperCase()}`],
+        score: rule.confidence,
+        ruleTerms: result.terms
+      };
+    }
+  };
+}
+
+export function createExitRule(rule) {
+  return {
+    name: rule.name,
+    signal: `RULE_${rule.name.toUpperCase()}`,
+    compiled: compileRule(rule.expression),
+    appliesTo: (symbol, position) => rule.appliesTo(symbol) &&
+      (rule.strategies.length === 0 || rule.strategies.includes(position.strategy))
+  };
+}
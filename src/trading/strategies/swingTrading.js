@@ -0,0 +1,92 @@
+// Swing trading: trend-following signals, held for days toward the swing target range
+import Joi from 'joi';
+
+export const swingTradingStrategy = {
+  name: 'swing_trade',
+  description: 'SMA trend, ADX, SuperTrend, Ichimoku and Donchian breakouts, held up to maxHoldingPeriodDays',
+  settingsSchema: Joi.object({
+    minConfidence: Joi.number().min(0).max(1).default(0.6),
+    maxExistingPositions: Joi.number().integer().min(0).max(10).default(1) // Open positions on the symbol
+  }),
+
+  isAvailable(config) {
+    return config.tradingStyle.swingTrading.enabled;
+  },
+
+  holdingPeriod(config) {
+    return config.tradingStyle.swingTrading.maxHoldingPeriodDays * 24 * 60 * 60 * 1000;
+  },
+
+  profitTarget(config) {
+    return config.tradingStyle.swingTrading.targetProfitRange.min;
+  },
+
+  timeframeRules(config) {
+    return config.tradingStyle.swingTrading.timeframeRules || [];
+  },
+
+  evaluate(context, settings) {
+    if (context.existingPositions > settings.maxExistingPositions) return null;
+
+    const { indicators, marketCondition } = context;
+    const { rsi, sma20, sma50, currentPrice, atr } = indicators;
+    let score = 0;
+    let signals = [];
+
+    // Trend following
+    if (currentPrice > sma20 && sma20 > sma50) {
+      score += 2;
+      signals.push('UPTREND');
+    } else if (currentPrice < sma20 && sma20 < sma50) {
+      score -= 2;
+      signals.push('DOWNTREND');
+    }
+
+    // Trend strength and direction from the extended indicators, when enabled
+    if (indicators.adx && indicators.adx.adx > 25) {
+      const trendUp = indicators.adx.plusDI > indicators.adx.minusDI;
+      score += trendUp ? 1 : -1;
+      signals.push(trendUp ? 'ADX_STRONG_UPTREND' : 'ADX_STRONG_DOWNTREND');
+    }
+
+    if (indicators.supertrend) {
+      score += indicators.supertrend.direction === 'UP' ? 1 : -1;
+      signals.push(`SUPERTREND_${indicators.supertrend.direction}`);
+    }
+
+    if (indicators.ichimoku?.position === 'ABOVE_CLOUD') {
+      score += 1;
+      signals.push('ABOVE_ICHIMOKU_CLOUD');
+    } else if (indicators.ichimoku?.position === 'BELOW_CLOUD') {
+      score -= 1;
+      signals.push('BELOW_ICHIMOKU_CLOUD');
+    }
+
+    if (indicators.donchian && currentPrice >= indicators.donchian.upper) {
+      score += 1;
+      signals.push('DONCHIAN_BREAKOUT');
+    }
+
+    // RSI for swing levels
+    if (rsi < 40) {
+      score += 1;
+      signals.push('RSI_SWING_LOW');
+    } else if (rsi > 70) {
+      score -= 1;
+      signals.push('RSI_SWING_HIGH');
+    }
+
+    // Volatility consideration
+    if (atr && atr > 0) {
+      const volatilityScore = Math.min(atr / currentPrice * 100, 3);
+      score += volatilityScore > 2 ? 1 : 0; // Higher volatility = more opportunity
+    }
+
+    return {
+      action: score > 0 ? 'BUY' : 'SELL',
+      confidence: Math.min(Math.abs(score) / 5, 1),
+      signals,
+      score
+    };
+  }
+};
@@ -0,0 +1,219 @@
+// Candlestick Pattern Recognition
+// Detects classic reversal and continuation patterns ending at the last kline. Every match
+// carries a strength between 0 and 1: how cleanly the candles fit the pattern, whether the
+// preceding trend is the one the pattern reverses, and whether volume backs it up.
+import { parseKline } from './streamingIndicators.js';
+
+export const DEFAULT_MIN_PATTERN_STRENGTH = 0.5; // Threshold for patterns in indicator snapshots
+
+const DEFAULT_OPTIONS = {
+  minStrength: 0,
+  trendLookback: 5, // Candles before the pattern used to judge the prior trend
+  averagePeriod: 10 // Candles used for the average body and volume
+};
+
+// Share of the strength coming from shape, prior trend and volume
+const SHAPE_WEIGHT = 0.6;
+const TREND_WEIGHT = 0.25;
+const VOLUME_WEIGHT = 0.15;
+
+// klines: Binance kline arrays, oldest first. Pass closed candles only unless a pattern on the
+// forming candle is wanted. Returns [{ name, type: 'BULLISH'|'BEARISH'|'NEUTRAL', strength, candles }]
+export function detectCandlestickPatterns(klines, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  if (klines.length < 2) return [];
+
+  const candles = klines.slice(-(settings.trendLookback + settings.averagePeriod + 3)).map(describeCandle);
+  const context = buildContext(candles, settings);
+  const patterns = [];
+
+  for (const detector of detectors) {
+    if (candles.length < detector.candles + 1) continue;
+
+    const match = detector.match(candles.slice(-detector.candles), context);
+    if (!match) continue;
+
+    const type = match.type || detector.type;
+    const strength = scoreMatch(type, match.shape, context);
+    if (strength >= settings.minStrength) {
+      patterns.push({ name: match.name || detector.name, type, strength, candles: detector.candles });
+    }
+  }
+
+  return patterns.sort((a, b) => b.strength - a.strength);
+}
+
+function describeCandle(kline) {
+  const candle = parseKline(kline);
+  const bodyTop = Math.max(candle.open, candle.close);
+  const bodyBottom = Math.min(candle.open, candle.close);
+
+  return {
+    ...candle,
+    body: bodyTop - bodyBottom,
+    range: candle.high - candle.low,
+    bodyTop,
+    bodyBottom,
+    upperShadow: candle.high - bodyTop,
+    lowerShadow: bodyBottom - candle.low,
+    bullish: candle.close > candle.open,
+    bearish: candle.close < candle.open
+  };
+}
+
+// Prior trend and averages, measured before the longest pattern so the pattern itself doesn't count
+function buildContext(candles, settings) {
+  const beforePattern = candles.slice(0, -3);
+  const trendWindow = beforePattern.slice(-settings.trendLookback);
+  const averageWindow = candles.slice(-settings.averagePeriod - 1, -1);
+  const average = values => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+
+  let priorTrend = 'SIDEWAYS';
+  if (trendWindow.length >= 2) {
+    const change = (trendWindow[trendWindow.length - 1].close - trendWindow[0].close) / trendWindow[0].close;
+    if (change < -0.005) priorTrend = 'DOWN';
+    else if (change > 0.005) priorTrend = 'UP';
+  }
+
+  return {
+    priorTrend,
+    averageBody: average(averageWindow.map(candle => candle.body)),
+    averageVolume: average(averageWindow.map(candle => candle.volume)),
+    lastVolume: candles[candles.length - 1].volume
+  };
+}
+
+function scoreMatch(type, shape, context) {
+  // Reversal patterns are worth more against the trend they reverse; neutral patterns don't care
+  let trendScore = 0.5;
+  if (type === 'BULLISH') trendScore = context.priorTrend === 'DOWN' ? 1 : context.priorTrend === 'UP' ? 0 : 0.5;
+  if (type === 'BEARISH') trendScore = context.priorTrend === 'UP' ? 1 : context.priorTrend === 'DOWN' ? 0 : 0.5;
+
+  const volumeRatio = context.averageVolume > 0 ? context.lastVolume / context.averageVolume : 1;
+  const volumeScore = Math.min(Math.max(volumeRatio - 0.5, 0), 1);
+
+  const strength = clamp(shape) * SHAPE_WEIGHT + trendScore * TREND_WEIGHT + volumeScore * VOLUME_WEIGHT;
+  return parseFloat(strength.toFixed(2));
+}
+
+function clamp(value) {
+  return Math.min(Math.max(value, 0), 1);
+}
+
+function isLong(candle, context) {
+  return candle.body > context.averageBody;
+}
+
+// Each detector gets its last `candles` candles (oldest first) and returns { shape } (0-1) or null.
+// Detectors with type 'BOTH' return the direction they matched.
+const detectors = [
+  {
+    name: 'DOJI',
+    type: 'NEUTRAL',
+    candles: 1,
+    match([candle]) {
+      if (candle.range === 0 || candle.body > candle.range * 0.1) return null;
+      return { shape: 1 - candle.body / (candle.range * 0.1) * 0.5 };
+    }
+  },
+  {
+    name: 'HAMMER',
+    type: 'BULLISH',
+    candles: 1,
+    match([candle], context) {
+      if (context.priorTrend === 'UP' || candle.range === 0) return null;
+      if (candle.lowerShadow < Math.max(candle.body, candle.range * 0.05) * 2 || candle.upperShadow > candle.range * 0.25) return null;
+      return { shape: candle.lowerShadow / candle.range };
+    }
+  },
+  {
+    name: 'SHOOTING_STAR',
+    type: 'BEARISH',
+    candles: 1,
+    match([candle], context) {
+      if (context.priorTrend === 'DOWN' || candle.range === 0) return null;
+      if (candle.upperShadow < Math.max(candle.body, candle.range * 0.05) * 2 || candle.lowerShadow > candle.range * 0.25) return null;
+      return { shape: candle.upperShadow / candle.range };
+    }
+  },
+  {
+    name: 'ENGULFING',
+    type: 'BOTH',
+    candles: 2,
+    match([previous, current]) {
+      if (previous.body === 0 || current.body <= previous.body) return null;
+      if (current.bodyTop < previous.bodyTop || current.bodyBottom > previous.bodyBottom) return null;
+
+      const shape = Math.min(current.body / (previous.body * 2), 1);
+      if (previous.bearish && current.bullish) return { name: 'BULLISH_ENGULFING', type: 'BULLISH', shape };
+      if (previous.bullish && current.bearish) return { name: 'BEARISH_ENGULFING', type: 'BEARISH', shape };
+      return null;
+    }
+  },
+  {
+    name: 'HARAMI',
+    type: 'BOTH',
+    candles: 2,
+    match([previous, current], context) {
+      if (!isLong(previous, context) || current.body === 0) return null;
+      if (current.bodyTop > previous.bodyTop || current.bodyBottom < previous.bodyBottom) return null;
+
+      const shape = 1 - current.body / previous.body;
+      if (previous.bearish && current.bullish) return { name: 'BULLISH_HARAMI', type: 'BULLISH', shape };
+      if (previous.bullish && current.bearish) return { name: 'BEARISH_HARAMI', type: 'BEARISH', shape };
+      return null;
+    }
+  },
+  {
+    name: 'INSIDE_BAR',
+    type: 'NEUTRAL',
+    candles: 2,
+    match([previous, current]) {
+      if (previous.range === 0 || current.high > previous.high || current.low < previous.low) return null;
+      return { shape: 1 - current.range / previous.range };
+    }
+  },
+  {
+    name: 'STAR',
+    type: 'BOTH',
+    candles: 3,
+    match([first, star, last], context) {
+      if (!isLong(first, context) || star.body > first.body * 0.3) return null;
+      const firstMidpoint = (first.open + first.close) / 2;
+
+      // Morning star: long red, small body below it, green closing well into the red body
+      if (first.bearish && last.bullish && star.bodyTop <= first.close * 1.001 && last.close > firstMidpoint) {
+        return { name: 'MORNING_STAR', type: 'BULLISH', shape: (last.close - firstMidpoint) / (first.open - firstMidpoint) };
+      }
+      if (first.bullish && last.bearish && star.bodyBottom >= first.close * 0.999 && last.close < firstMidpoint) {
+        return { name: 'EVENING_STAR', type: 'BEARISH', shape: (firstMidpoint - last.close) / (firstMidpoint - first.open) };
+      }
+      return null;
+    }
+  },
+  {
+    name: 'THREE_CANDLES',
+    type: 'BOTH',
+    candles: 3,
+    match(candles, context) {
+      const solid = candles.every(candle => candle.range > 0 && candle.body > context.averageBody * 0.5);
+      if (!solid) return null;
+
+      // Each candle opens inside the previous body and closes beyond it, with little wick against it
+      const opensInside = candles.slice(1).every((candle, i) =>
+        candle.open >= candles[i].bodyBottom && candle.open <= candles[i].bodyTop);
+      if (!opensInside) return null;
+      const shape = candles.reduce((sum, candle) => sum + candle.body / candle.range, 0) / candles.length;
+
+      const soldiers = candles.every((candle, i) =>
+        candle.bullish && (i === 0 || candle.close > candles[i - 1].close) && candle.upperShadow <= candle.body * 0.5);
+      if (soldiers) return { name: 'THREE_WHITE_SOLDIERS', type: 'BULLISH', shape };
+
+      const crows = candles.every((candle, i) =>
+        candle.bearish && (i === 0 || candle.close < candles[i - 1].close) && candle.lowerShadow <= candle.body * 0.5);
+      if (crows) return { name: 'THREE_BLACK_CROWS', type: 'BEARISH', shape };
+
+      return null;
+    }
+  }
+];
@@ -0,0 +1,20 @@
+// Clocks let the trading logic run against real time or a simulated timeline
+
+export const systemClock = {
+  now: () => Date.now()
+};
+
+// Manually advanced clock used by backtests
+export class SimulatedClock {
+  constructor(startTime = 0) {
+    this.time = startTime;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  set(time) {
+    this.time = time;
+  }
+}
@@ -0,0 +1,129 @@
+// Divergence Detection
+// Compares the last two confirmed swing highs/lows of price with an oscillator at the same
+// candles. Regular divergences warn of a reversal, hidden ones of the trend continuing:
+//   regular bearish: price higher high, oscillator lower high
+//   hidden bearish:  price lower high,  oscillator higher high
+//   regular bullish: price lower low,   oscillator higher low
+//   hidden bullish:  price higher low,  oscillator lower low
+import { calculateMACDSeries, calculateRSISeries } from './technicalAnalysis.js';
+
+const DEFAULT_OPTIONS = {
+  lookback: 3, // Candles on each side a swing point has to beat
+  minDistance: 5, // Candles between the two swings
+  maxDistance: 60,
+  maxAge: 12 // The newer swing must be this recent, older divergences are stale
+};
+
+// Swing highs/lows of a series: values that are the extreme within `lookback` candles on
+// both sides. The last `lookback` candles can't be confirmed yet.
+export function findSwingPoints(highs, lows, lookback = DEFAULT_OPTIONS.lookback) {
+  const swingHighs = [];
+  const swingLows = [];
+
+  for (let i = lookback; i < highs.length - lookback; i++) {
+    const highWindow = highs.slice(i - lookback, i + lookback + 1);
+    const lowWindow = lows.slice(i - lookback, i + lookback + 1);
+
+    // Ties go to the first candle so a flat top counts once
+    if (highs[i] === Math.max(...highWindow) && highWindow.indexOf(highs[i]) === lookback) {
+      swingHighs.push({ index: i, price: highs[i] });
+    }
+    if (lows[i] === Math.min(...lowWindow) && lowWindow.indexOf(lows[i]) === lookback) {
+      swingLows.push({ index: i, price: lows[i] });
+    }
+  }
+
+  return { swingHighs, swingLows };
+}
+
+// oscillator: series aligned with highs/lows (null during warmup). name labels the signals.
+// Returns [{ name, type, oscillator, confidence, from, to, candlesAgo }] strongest first
+export function detectDivergences(highs, lows, oscillator, name, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const { swingHighs, swingLows } = findSwingPoints(highs, lows, settings.lookback);
+  const oscillatorValues = oscillator.filter(value => value !== null);
+  if (oscillatorValues.length === 0) return [];
+
+  const oscillatorRange = Math.max(...oscillatorValues) - Math.min(...oscillatorValues);
+  const divergences = [];
+
+  const highPair = lastPair(swingHighs, oscillator, settings, highs.length);
+  if (highPair) {
+    const [from, to] = highPair;
+    if (to.price > from.price && to.value < from.value) {
+      divergences.push(buildDivergence('BEARISH', false, name, from, to, oscillatorRange, settings, highs.length));
+    } else if (to.price < from.price && to.value > from.value) {
+      divergences.push(buildDivergence('BEARISH', true, name, from, to, oscillatorRange, settings, highs.length));
+    }
+  }
+
+  const lowPair = lastPair(swingLows, oscillator, settings, lows.length);
+  if (lowPair) {
+    const [from, to] = lowPair;
+    if (to.price < from.price && to.value > from.value) {
+      divergences.push(buildDivergence('BULLISH', false, name, from, to, oscillatorRange, settings, lows.length));
+    } else if (to.price > from.price && to.value < from.value) {
+      divergences.push(buildDivergence('BULLISH', true, name, from, to, oscillatorRange, settings, lows.length));
+    }
+  }
+
+  return divergences.sort((a, b) => b.confidence - a.confidence);
+}
+
+// RSI (configured period/smoothing) and MACD histogram divergences for a kline window
+export function detectIndicatorDivergences(klines, settings = {}, options = {}) {
+  const highs = klines.map(k => parseFloat(k[2]));
+  const lows = klines.map(k => parseFloat(k[3]));
+  const closes = klines.map(k => parseFloat(k[4]));
+  const { period = 14, smoothing = 'wilder' } = settings.rsi || {};
+
+  const rsi = calculateRSISeries(closes, period, smoothing);
+  const macdHistogram = calculateMACDSeries(closes).map(value => value ? value.histogram : null);
+
+  return [
+    ...detectDivergences(highs, lows, rsi, 'RSI', options),
+    ...detectDivergences(highs, lows, macdHistogram, 'MACD', options)
+  ].sort((a, b) => b.confidence - a.confidence);
+}
+
+// The two most recent swings, if they're far enough apart, recent enough and have oscillator values
+function lastPair(swings, oscillator, settings, length) {
+  if (swings.length < 2) return null;
+
+  const to = swings[swings.length - 1];
+  if (length - 1 - to.index > settings.maxAge) return null;
+
+  const from = swings.slice(0, -1).reverse().find(swing =>
+    to.index - swing.index >= settings.minDistance && to.index - swing.index <= settings.maxDistance);
+  if (!from || oscillator[from.index] == null || oscillator[to.index] == null) return null;
+
+  return [
+    { ...from, value: oscillator[from.index] },
+    { ...to, value: oscillator[to.index] }
+  ];
+}
+
+function buildDivergence(direction, hidden, name, from, to, oscillatorRange, settings, length) {
+  const candlesAgo = length - 1 - to.index;
+
+  // Bigger disagreement and a fresher swing mean more confidence
+  const oscillatorMove = oscillatorRange > 0 ? Math.abs(to.value - from.value) / oscillatorRange : 0;
+  const priceMove = Math.abs(to.price - from.price) / from.price * 100;
+  const ageSpan = Math.max(settings.maxAge - settings.lookback, 1);
+  const recency = 1 - Math.min(Math.max(candlesAgo - settings.lookback, 0) / ageSpan, 1);
+
+  const confidence = 0.3 +
+    Math.min(oscillatorMove * 2, 1) * 0.35 +
+    Math.min(priceMove / 3, 1) * 0.15 +
+    recency * 0.2;
+
+  return {
+    name: `${name}_${hidden ? 'HIDDEN_' : ''}${direction}_DIVERGENCE`,
+    type: `${hidden ? 'HIDDEN' : 'REGULAR'}_${direction}`,
+    oscillator: name,
+    confidence: parseFloat(Math.min(confidence, 1).toFixed(2)),
+    from,
+    to,
+    candlesAgo
+  };
+}
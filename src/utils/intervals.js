@@ -0,0 +1,18 @@
+// Kline interval lengths in milliseconds (Binance interval names)
+export const INTERVAL_MS = {
+  '1m': 60 * 1000,
+  '3m': 3 * 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '30m': 30 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '2h': 2 * 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+// Open time of the interval that contains `timestamp` (intervals up to 1d are epoch aligned)
+export function alignToInterval(timestamp, interval) {
+  const intervalMs = INTERVAL_MS[interval];
+  return Math.floor(timestamp / intervalMs) * intervalMs;
+}
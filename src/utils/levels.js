@@ -0,0 +1,227 @@
+// Support and Resistance Levels
+// Price levels from three independent sources:
+//   pivots:         classic and Fibonacci pivot points from the previous period's high/low/close
+//   swings:         swing highs and lows clustered into zones, stronger with every touch
+//   volume profile: point of control (most traded price) and the value area around it
+// Every level is { price, source, strength }; strength runs from 0 to 1.
+import { findSwingPoints } from './divergence.js';
+
+const DEFAULT_OPTIONS = {
+  swingLookback: 3, // Candles on each side a swing point has to beat
+  clusterTolerancePercent: 0.5, // Swings closer than this form one level
+  volumeProfileBins: 24,
+  valueAreaPercent: 70
+};
+
+// Strength of each pivot level; the central pivot and first levels get tested most
+const PIVOT_STRENGTH = { P: 0.6, R1: 0.5, S1: 0.5, R2: 0.4, S2: 0.4, R3: 0.3, S3: 0.3 };
+
+// Classic floor-trader pivots
+export function calculatePivotPoints(high, low, close) {
+  const pivot = (high + low + close) / 3;
+  const range = high - low;
+
+  return {
+    P: pivot,
+    R1: 2 * pivot - low,
+    S1: 2 * pivot - high,
+    R2: pivot + range,
+    S2: pivot - range,
+    R3: high + 2 * (pivot - low),
+    S3: low - 2 * (high - pivot)
+  };
+}
+
+// Same pivot, with the levels at Fibonacci fractions of the range
+export function calculateFibonacciPivots(high, low, close) {
+  const pivot = (high + low + close) / 3;
+  const range = high - low;
+
+  return {
+    P: pivot,
+    R1: pivot + range * 0.382,
+    S1: pivot - range * 0.382,
+    R2: pivot + range * 0.618,
+    S2: pivot - range * 0.618,
+    R3: pivot + range,
+    S3: pivot - range
+  };
+}
+
+// Swing highs and lows merged into levels: a swing within clusterTolerancePercent of a level
+// joins it and the level moves to the average price. Returns [{ price, touches, lastIndex }]
+export function findSwingLevels(klines, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const highs = klines.map(k => parseFloat(k[2]));
+  const lows = klines.map(k => parseFloat(k[3]));
+  const { swingHighs, swingLows } = findSwingPoints(highs, lows, settings.swingLookback);
+
+  const swings = [...swingHighs, ...swingLows].sort((a, b) => a.price - b.price);
+  const clusters = [];
+
+  for (const swing of swings) {
+    const cluster = clusters[clusters.length - 1];
+    if (cluster && (swing.price - cluster.price) / cluster.price * 100 <= settings.clusterTolerancePercent) {
+      cluster.total += swing.price;
+      cluster.touches += 1;
+      cluster.price = cluster.total / cluster.touches;
+      cluster.lastIndex = Math.max(cluster.lastIndex, swing.index);
+    } else {
+      clusters.push({ price: swing.price, total: swing.price, touches: 1, lastIndex: swing.index });
+    }
+  }
+
+  return clusters.map(({ price, touches, lastIndex }) => ({ price, touches, lastIndex }));
+}
+
+// Volume per price bin, spreading each candle's volume evenly over the bins its range covers.
+// The value area grows from the point of control toward the busier neighbour until it holds
+// valueAreaPercent of the volume.
+export function calculateVolumeProfile(klines, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  if (klines.length === 0) return null;
+
+  const highs = klines.map(k => parseFloat(k[2]));
+  const lows = klines.map(k => parseFloat(k[3]));
+  const top = Math.max(...highs);
+  const bottom = Math.min(...lows);
+  const binCount = settings.volumeProfileBins;
+  const binSize = (top - bottom) / binCount;
+  if (binSize <= 0) return null;
+
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    low: bottom + i * binSize,
+    high: bottom + (i + 1) * binSize,
+    volume: 0
+  }));
+  const binOf = price => Math.min(Math.floor((price - bottom) / binSize), binCount - 1);
+
+  klines.forEach((kline, i) => {
+    const first = binOf(lows[i]);
+    const last = binOf(highs[i]);
+    const share = parseFloat(kline[5]) / (last - first + 1);
+    for (let bin = first; bin <= last; bin++) {
+      bins[bin].volume += share;
+    }
+  });
+
+  const totalVolume = bins.reduce((sum, bin) => sum + bin.volume, 0);
+  const pocIndex = bins.reduce((best, bin, i) => bin.volume > bins[best].volume ? i : best, 0);
+
+  let lowIndex = pocIndex;
+  let highIndex = pocIndex;
+  let areaVolume = bins[pocIndex].volume;
+  while (areaVolume < totalVolume * settings.valueAreaPercent / 100 && (lowIndex > 0 || highIndex < binCount - 1)) {
+    const below = lowIndex > 0 ? bins[lowIndex - 1].volume : -1;
+    const above = highIndex < binCount - 1 ? bins[highIndex + 1].volume : -1;
+    if (above >= below) {
+      highIndex += 1;
+      areaVolume += above;
+    } else {
+      lowIndex -= 1;
+      areaVolume += below;
+    }
+  }
+
+  return {
+    poc: (bins[pocIndex].low + bins[pocIndex].high) / 2,
+    valueAreaHigh: bins[highIndex].high,
+    valueAreaLow: bins[lowIndex].low,
+    totalVolume,
+    bins
+  };
+}
+
+// pivotCandle: the previous completed period (usually yesterday's daily kline), klines: the
+// candles for swings and volume profile. Returns { pivots, volumeProfile, levels }
+export function calculateLevels(klines, pivotCandle, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const levels = [];
+  let pivots = null;
+
+  if (pivotCandle) {
+    const [high, low, close] = [2, 3, 4].map(i => parseFloat(pivotCandle[i]));
+    pivots = {
+      classic: calculatePivotPoints(high, low, close),
+      fibonacci: calculateFibonacciPivots(high, low, close)
+    };
+
+    for (const [method, points] of Object.entries(pivots)) {
+      for (const [name, price] of Object.entries(points)) {
+        levels.push({ price, source: `${method.toUpperCase()}_PIVOT_${name}`, strength: PIVOT_STRENGTH[name] });
+      }
+    }
+  }
+
+  const swingLevels = findSwingLevels(klines, settings);
+  for (const level of swingLevels) {
+    // More touches and a more recent touch make a stronger level
+    const recency = klines.length > 1 ? level.lastIndex / (klines.length - 1) : 1;
+    const strength = Math.min(0.3 + (level.touches - 1) * 0.15, 0.8) + recency * 0.2;
+    levels.push({ price: level.price, source: 'SWING', strength: parseFloat(strength.toFixed(2)), touches: level.touches });
+  }
+
+  const volumeProfile = calculateVolumeProfile(klines, settings);
+  if (volumeProfile) {
+    levels.push({ price: volumeProfile.poc, source: 'VOLUME_POC', strength: 0.8 });
+    levels.push({ price: volumeProfile.valueAreaHigh, source: 'VALUE_AREA_HIGH', strength: 0.6 });
+    levels.push({ price: volumeProfile.valueAreaLow, source: 'VALUE_AREA_LOW', strength: 0.6 });
+  }
+
+  return {
+    pivots,
+    volumeProfile: volumeProfile && {
+      poc: volumeProfile.poc,
+      valueAreaHigh: volumeProfile.valueAreaHigh,
+      valueAreaLow: volumeProfile.valueAreaLow
+    },
+    levels
+  };
+}
+
+// Support is every level below price (nearest first), resistance every level above it
+export function splitLevels(levels, price) {
+  return {
+    support: levels.filter(level => level.price < price).sort((a, b) => b.price - a.price),
+    resistance: levels.filter(level => level.price > price).sort((a, b) => a.price - b.price)
+  };
+}
+
+// Moves fixed-percentage exits onto nearby levels. nearby: { supports, resistances } nearest first.
+// The stop goes just under the strongest support between minStopDistancePercent and the fixed
+// stop, so it is never wider than configured. Take profit goes just under the nearest resistance
+// between half the fixed target and the target, where price is likely to stall.
+// Returns { stopLossPrice, takeProfitPrice, stopLossLevel, takeProfitLevel }
+export function snapExitLevels(entryPrice, exitLevels, nearby, settings) {
+  const { stopLossPrice, takeProfitPrice } = exitLevels;
+  const result = { stopLossPrice, takeProfitPrice, stopLossLevel: null, takeProfitLevel: null };
+  if (!nearby) return result;
+
+  const buffer = settings.bufferPercent / 100;
+  const minStrength = settings.minStrength;
+
+  if (settings.snapStopLoss) {
+    const highestStop = entryPrice * (1 - settings.minStopDistancePercent / 100);
+    const candidates = nearby.supports.filter(level =>
+      level.strength >= minStrength && level.price <= highestStop && level.price * (1 - buffer) >= stopLossPrice);
+    const level = candidates.reduce((best, candidate) => !best || candidate.strength > best.strength ? candidate : best, null);
+
+    if (level) {
+      result.stopLossPrice = level.price * (1 - buffer);
+      result.stopLossLevel = level;
+    }
+  }
+
+  if (settings.snapTakeProfit) {
+    const lowestTarget = entryPrice + (takeProfitPrice - entryPrice) / 2;
+    const level = nearby.resistances.find(candidate =>
+      candidate.strength >= minStrength && candidate.price * (1 - buffer) >= lowestTarget && candidate.price <= takeProfitPrice);
+
+    if (level) {
+      result.takeProfitPrice = level.price * (1 - buffer);
+      result.takeProfitLevel = level;
+    }
+  }
+
+  return result;
+}
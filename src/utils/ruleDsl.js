@@ -0,0 +1,663 @@
+// Rule DSL
+// A small expression language for entry and exit conditions, so signals can be written as
+//   rsi(14) < 30 AND close > sma(50) AND volume > 1.5 * sma(volume, 20)
+// instead of JavaScript. Rules are parsed into an AST, checked before they are stored, and
+// evaluated by walking the AST: nothing is ever passed to eval or Function.
+//
+// Grammar (keywords are case-insensitive, && || ! work too):
+//   expression := or
+//   or         := and ( OR and )*
+//   and        := not ( AND not )*
+//   not        := NOT not | comparison
+//   comparison := sum ( ( < | <= | > | >= | == | != ) sum )?
+//   sum        := product ( ( + | - ) product )*
+//   product    := unary ( ( * | / ) unary )*
+//   unary      := - unary | primary
+//   primary    := number | "string" | true | false | name | name( args ) | ( expression )
+//
+// Names are candle fields of the latest candle (open, high, low, close, volume) or paths into the
+// indicator snapshot of calculateTechnicalIndicators (rsi, macd.histogram, supertrend.direction).
+// Snapshot values only exist for the latest candle, so they can't be used inside prev() or crosses.
+import {
+  calculateATRSeries,
+  calculateBollingerBandsSeries,
+  calculateEMASeries,
+  calculateMACDSeries,
+  calculateRSISeries,
+  calculateSMASeries,
+  EXTENDED_INDICATORS
+} from './technicalAnalysis.js';
+
+export const MAX_RULE_LENGTH = 1000;
+const MAX_DEPTH = 40;
+const MAX_PERIOD = 500;
+
+const CANDLE_FIELDS = { open: 1, high: 2, low: 3, close: 4, volume: 5 };
+const SNAPSHOT_FIELDS = [
+  'currentPrice', 'rsi', 'sma20', 'sma50', 'ema12', 'ema26', 'macd', 'bollinger', 'stochastic',
+  'williams', 'atr', 'volumeMA', ...EXTENDED_INDICATORS
+];
+const KEYWORDS = { and: 'AND', or: 'OR', not: 'NOT', true: 'TRUE', false: 'FALSE' };
+const COMPARISONS = ['<', '<=', '>', '>=', '==', '!='];
+
+// Syntax and validation errors carry the character range of the offending text
+export class RuleSyntaxError extends Error {
+  constructor(message, position, end = position + 1) {
+    super(`${message} at position ${position}`);
+    this.name = 'RuleSyntaxError';
+    this.position = position;
+    this.end = end;
+    this.reason = message;
+  }
+}
+
+// Indicator functions. args: 'period' is an integer literal, 'number' any numeric literal and
+// 'series' any expression with history. Each builds a full series, read at the evaluated candle.
+const SERIES_FUNCTIONS = {
+  rsi: { args: [['period'], ['series', 'period']], build: (ctx, args) => calculateRSISeries(...withSource(ctx, args)) },
+  sma: { args: [['period'], ['series', 'period']], build: (ctx, args) => calculateSMASeries(...withSource(ctx, args)) },
+  ema: { args: [['period'], ['series', 'period']], build: (ctx, args) => calculateEMASeries(...withSource(ctx, args)) },
+  atr: { args: [[], ['period']], build: (ctx, [period = 14]) => calculateATRSeries(ctx.highs, ctx.lows, ctx.closes, period) },
+  macd: { args: [[], ['period', 'period', 'period']], build: (ctx, args) => pick(calculateMACDSeries(ctx.closes, ...args), 'macd') },
+  macd_signal: { args: [[], ['period', 'period', 'period']], build: (ctx, args) => pick(calculateMACDSeries(ctx.closes, ...args), 'signal') },
+  macd_hist: { args: [[], ['period', 'period', 'period']], build: (ctx, args) => pick(calculateMACDSeries(ctx.closes, ...args), 'histogram') },
+  bb_upper: { args: [[], ['period'], ['period', 'number']], build: (ctx, args) => pick(calculateBollingerBandsSeries(ctx.closes, ...args), 'upper') },
+  bb_middle: { args: [[], ['period'], ['period', 'number']], build: (ctx, args) => pick(calculateBollingerBandsSeries(ctx.closes, ...args), 'middle') },
+  bb_lower: { args: [[], ['period'], ['period', 'number']], build: (ctx, args) => pick(calculateBollingerBandsSeries(ctx.closes, ...args), 'lower') },
+  highest: { args: [['series', 'period']], build: (ctx, [source, period]) => rolling(source, period, Math.max) },
+  lowest: { args: [['series', 'period']], build: (ctx, [source, period]) => rolling(source, period, Math.min) },
+  change: { args: [['series', 'period']], build: (ctx, [source, period]) => source.map((value, i) => percentChange(source[i - period], value)) }
+};
+
+// Functions of values rather than series
+const VALUE_FUNCTIONS = {
+  abs: { args: [['value']], returns: 'number' },
+  min: { args: [['value', 'value']], returns: 'number' },
+  max: { args: [['value', 'value']], returns: 'number' },
+  prev: { args: [['series', 'period']], returns: 'number' },
+  crosses_above: { args: [['series', 'series']], returns: 'boolean' },
+  crosses_below: { args: [['series', 'series']], returns: 'boolean' }
+};
+
+export const RULE_FUNCTIONS = [...Object.keys(SERIES_FUNCTIONS), ...Object.keys(VALUE_FUNCTIONS)];
+
+// Tokenizer
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (/[0-9.]/.test(char)) {
+      const match = /^(\d+\.?\d*|\.\d+)/.exec(source.slice(i));
+      if (!match) throw new RuleSyntaxError(`Unexpected '${char}'`, i);
+      tokens.push({ type: 'number', value: parseFloat(match[0]), start: i, end: i + match[0].length });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*/.exec(source.slice(i));
+      const word = match[0];
+      const keyword = lookup(KEYWORDS, word.toLowerCase());
+      tokens.push(keyword
+        ? { type: 'keyword', value: keyword, start: i, end: i + word.length }
+        : { type: 'name', value: word, start: i, end: i + word.length });
+      i += word.length;
+    } else if (char === '"' || char === "'") {
+      const close = source.indexOf(char, i + 1);
+      if (close === -1) throw new RuleSyntaxError('Unterminated string', i, source.length);
+      tokens.push({ type: 'string', value: source.slice(i + 1, close), start: i, end: close + 1 });
+      i = close + 1;
+    } else {
+      const two = source.slice(i, i + 2);
+      if (['<=', '>=', '==', '!=', '&&', '||'].includes(two)) {
+        const value = two === '&&' ? 'AND' : two === '||' ? 'OR' : two;
+        tokens.push({ type: value === 'AND' || value === 'OR' ? 'keyword' : 'operator', value, start: i, end: i + 2 });
+        i += 2;
+      } else if (char === '=') {
+        throw new RuleSyntaxError("Use '==' to compare", i);
+      } else if ('<>+-*/(),!'.includes(char)) {
+        tokens.push(char === '!'
+          ? { type: 'keyword', value: 'NOT', start: i, end: i + 1 }
+          : { type: 'operator', value: char, start: i, end: i + 1 });
+        i++;
+      } else {
+        throw new RuleSyntaxError(`Unexpected '${char}'`, i);
+      }
+    }
+  }
+
+  tokens.push({ type: 'end', value: null, start: source.length, end: source.length });
+  return tokens;
+}
+
+// Parser
+
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.index = 0;
+    this.depth = 0;
+  }
+
+  get current() {
+    return this.tokens[this.index];
+  }
+
+  is(type, value) {
+    return this.current.type === type && (value === undefined || this.current.value === value);
+  }
+
+  advance() {
+    return this.tokens[this.index++];
+  }
+
+  expect(type, value, description) {
+    if (!this.is(type, value)) throw this.unexpected(description);
+    return this.advance();
+  }
+
+  unexpected(expected) {
+    const token = this.current;
+    const found = token.type === 'end' ? 'end of rule' : `'${this.source.slice(token.start, token.end)}'`;
+    return new RuleSyntaxError(`Expected ${expected} but found ${found}`, token.start, Math.max(token.end, token.start + 1));
+  }
+
+  parse() {
+    const node = this.parseOr();
+    if (!this.is('end')) throw this.unexpected('AND, OR or an operator');
+    return node;
+  }
+
+  parseOr() {
+    let node = this.parseAnd();
+    while (this.is('keyword', 'OR')) {
+      this.advance();
+      const right = this.parseAnd();
+      node = { kind: 'logical', op: 'OR', left: node, right, start: node.start, end: right.end };
+    }
+    return node;
+  }
+
+  parseAnd() {
+    let node = this.parseNot();
+    while (this.is('keyword', 'AND')) {
+      this.advance();
+      const right = this.parseNot();
+      node = { kind: 'logical', op: 'AND', left: node, right, start: node.start, end: right.end };
+    }
+    return node;
+  }
+
+  parseNot() {
+    if (this.is('keyword', 'NOT')) {
+      const start = this.advance().start;
+      const operand = this.nested(() => this.parseNot());
+      return { kind: 'not', operand, start, end: operand.end };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseSum();
+    if (this.is('operator') && COMPARISONS.includes(this.current.value)) {
+      const op = this.advance().value;
+      const right = this.parseSum();
+      if (this.is('operator') && COMPARISONS.includes(this.current.value)) {
+        throw new RuleSyntaxError('Comparisons can\'t be chained, join them with AND', this.current.start, this.current.end);
+      }
+      return { kind: 'compare', op, left, right, start: left.start, end: right.end };
+    }
+    return left;
+  }
+
+  parseSum() {
+    let node = this.parseProduct();
+    while (this.is('operator', '+') || this.is('operator', '-')) {
+      const op = this.advance().value;
+      const right = this.parseProduct();
+      node = { kind: 'arithmetic', op, left: node, right, start: node.start, end: right.end };
+    }
+    return node;
+  }
+
+  parseProduct() {
+    let node = this.parseUnary();
+    while (this.is('operator', '*') || this.is('operator', '/')) {
+      const op = this.advance().value;
+      const right = this.parseUnary();
+      node = { kind: 'arithmetic', op, left: node, right, start: node.start, end: right.end };
+    }
+    return node;
+  }
+
+  parseUnary() {
+    if (this.is('operator', '-')) {
+      const start = this.advance().start;
+      const operand = this.nested(() => this.parseUnary());
+      return { kind: 'negate', operand, start, end: operand.end };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.current;
+
+    if (token.type === 'number') {
+      this.advance();
+      return { kind: 'number', value: token.value, start: token.start, end: token.end };
+    }
+    if (token.type === 'string') {
+      this.advance();
+      return { kind: 'string', value: token.value, start: token.start, end: token.end };
+    }
+    if (this.is('keyword', 'TRUE') || this.is('keyword', 'FALSE')) {
+      this.advance();
+      return { kind: 'boolean', value: token.value === 'TRUE', start: token.start, end: token.end };
+    }
+    if (token.type === 'name') {
+      this.advance();
+      if (!this.is('operator', '(')) {
+        return { kind: 'name', name: token.value, start: token.start, end: token.end };
+      }
+
+      this.advance();
+      const args = [];
+      if (!this.is('operator', ')')) {
+        do {
+          if (args.length > 0) this.advance();
+          args.push(this.nested(() => this.parseOr()));
+        } while (this.is('operator', ','));
+      }
+      const close = this.expect('operator', ')', "',' or ')'");
+      return { kind: 'call', name: token.value.toLowerCase(), args, start: token.start, end: close.end };
+    }
+    if (this.is('operator', '(')) {
+      const open = this.advance();
+      const node = this.nested(() => this.parseOr());
+      const close = this.expect('operator', ')', "')'");
+      return { ...node, start: open.start, end: close.end };
+    }
+
+    throw this.unexpected('a number, name or (');
+  }
+
+  nested(parse) {
+    if (++this.depth > MAX_DEPTH) {
+      throw new RuleSyntaxError('Rule is nested too deeply', this.current.start);
+    }
+    const node = parse();
+    this.depth--;
+    return node;
+  }
+}
+
+// Validation
+
+// Type ('number' | 'string' | 'boolean' | 'any') and whether the node has values for past
+// candles (everything except snapshot names). Pushes problems to errors and keeps going.
+function check(node, errors) {
+  const fail = (message, target = node) => {
+    errors.push({ message, position: target.start, end: target.end });
+    return { type: 'any', history: true };
+  };
+
+  switch (node.kind) {
+    case 'number':
+      return { type: 'number', history: true };
+    case 'string':
+      return { type: 'string', history: true };
+    case 'boolean':
+      return { type: 'boolean', history: true };
+
+    case 'name': {
+      if (lookup(CANDLE_FIELDS, node.name) !== undefined) return { type: 'number', history: true };
+      const root = node.name.split('.')[0];
+      if (!SNAPSHOT_FIELDS.includes(root)) return fail(`Unknown name '${node.name}'`);
+      if (node.name.split('.').some(part => part.startsWith('_') || part === 'constructor' || part === 'prototype')) {
+        return fail(`Invalid name '${node.name}'`);
+      }
+      return { type: 'any', history: false };
+    }
+
+    case 'negate': {
+      const operand = check(node.operand, errors);
+      expectType(operand, 'number', node.operand, fail);
+      return { type: 'number', history: operand.history };
+    }
+
+    case 'not': {
+      const operand = check(node.operand, errors);
+      expectType(operand, 'boolean', node.operand, fail);
+      return { type: 'boolean', history: operand.history };
+    }
+
+    case 'arithmetic': {
+      const left = check(node.left, errors);
+      const right = check(node.right, errors);
+      expectType(left, 'number', node.left, fail);
+      expectType(right, 'number', node.right, fail);
+      return { type: 'number', history: left.history && right.history };
+    }
+
+    case 'compare': {
+      const left = check(node.left, errors);
+      const right = check(node.right, errors);
+      const ordering = !['==', '!='].includes(node.op);
+      if (ordering) {
+        expectType(left, 'number', node.left, fail);
+        expectType(right, 'number', node.right, fail);
+      } else if (left.type !== 'any' && right.type !== 'any' && left.type !== right.type) {
+        fail(`Can't compare ${left.type} with ${right.type}`);
+      }
+      return { type: 'boolean', history: left.history && right.history };
+    }
+
+    case 'logical': {
+      const left = check(node.left, errors);
+      const right = check(node.right, errors);
+      expectType(left, 'boolean', node.left, fail);
+      expectType(right, 'boolean', node.right, fail);
+      return { type: 'boolean', history: left.history && right.history };
+    }
+
+    case 'call':
+      return checkCall(node, errors, fail);
+
+    default:
+      return fail('Unsupported expression');
+  }
+}
+
+function checkCall(node, errors, fail) {
+  const definition = lookup(SERIES_FUNCTIONS, node.name) || lookup(VALUE_FUNCTIONS, node.name);
+  if (!definition) return fail(`Unknown function '${node.name}'`);
+
+  const signature = definition.args.find(args => args.length === node.args.length);
+  if (!signature) {
+    const counts = [...new Set(definition.args.map(args => args.length))].join(' or ');
+    return fail(`${node.name}() takes ${counts} argument(s), got ${node.args.length}`);
+  }
+
+  let history = true;
+  node.args.forEach((arg, i) => {
+    const kind = signature[i];
+    if (kind === 'period' || kind === 'number') {
+      if (arg.kind !== 'number') {
+        fail(`${node.name}() argument ${i + 1} must be a number`, arg);
+      } else if (kind === 'period' && (!Number.isInteger(arg.value) || arg.value < 1 || arg.value > MAX_PERIOD)) {
+        fail(`${node.name}() period must be a whole number between 1 and ${MAX_PERIOD}`, arg);
+      }
+      return;
+    }
+
+    const result = check(arg, errors);
+    expectType(result, 'number', arg, fail);
+    if (kind === 'series' && !result.history) {
+      fail(`${node.name}() needs values for past candles; use a candle field or indicator function instead of a snapshot value`, arg);
+    }
+    history = history && result.history;
+  });
+
+  return { type: lookup(VALUE_FUNCTIONS, node.name)?.returns || 'number', history };
+}
+
+function expectType(result, type, node, fail) {
+  if (result.type !== 'any' && result.type !== type) {
+    fail(`Expected a ${type} but found a ${result.type}`, node);
+  }
+}
+
+// { valid, errors: [{ message, position, end }], ast }
+export function validateRule(source) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    return { valid: false, errors: [{ message: 'Rule is empty', position: 0, end: 0 }], ast: null };
+  }
+  if (source.length > MAX_RULE_LENGTH) {
+    return {
+      valid: false,
+      errors: [{ message: `Rule is longer than ${MAX_RULE_LENGTH} characters`, position: MAX_RULE_LENGTH, end: source.length }],
+      ast: null
+    };
+  }
+
+  let ast;
+  try {
+    ast = new Parser(source).parse();
+  } catch (error) {
+    if (!(error instanceof RuleSyntaxError)) throw error;
+    return { valid: false, errors: [{ message: error.reason, position: error.position, end: error.end }], ast: null };
+  }
+
+  const errors = [];
+  const result = check(ast, errors);
+  if (errors.length === 0 && result.type !== 'boolean' && result.type !== 'any') {
+    errors.push({ message: `Rule must be a condition, not a ${result.type}`, position: ast.start, end: ast.end });
+  }
+
+  return { valid: errors.length === 0, errors, ast };
+}
+
+// Parsed and validated rule, throws RuleSyntaxError for the first problem
+export function compileRule(source) {
+  const { valid, errors, ast } = validateRule(source);
+  if (!valid) {
+    throw new RuleSyntaxError(errors[0].message, errors[0].position, errors[0].end);
+  }
+  return { source, ast };
+}
+
+// Evaluation
+
+// klines: candles ending at the one to evaluate; snapshot: calculateTechnicalIndicators(klines)
+export function createRuleContext(klines, snapshot = {}) {
+  return {
+    klines,
+    snapshot,
+    closes: klines.map(k => parseFloat(k[4])),
+    highs: klines.map(k => parseFloat(k[2])),
+    lows: klines.map(k => parseFloat(k[3])),
+    series: new Map() // Cached series by source text
+  };
+}
+
+// { matched, value, terms: [{ text, value }] } where terms are the comparisons in the rule,
+// so a rule that didn't match shows which part failed. Missing data (warmup) never matches.
+export function evaluateRule(rule, context) {
+  const terms = [];
+  const value = evaluate(rule.ast, rule.source, context, 0, terms);
+
+  return {
+    matched: value === true,
+    value,
+    terms
+  };
+}
+
+// offset: candles back from the latest one
+function evaluate(node, source, ctx, offset, terms = null) {
+  switch (node.kind) {
+    case 'number':
+    case 'string':
+    case 'boolean':
+      return node.value;
+
+    case 'name': {
+      if (lookup(CANDLE_FIELDS, node.name) !== undefined) {
+        const kline = ctx.klines[ctx.klines.length - 1 - offset];
+        return kline ? parseFloat(kline[lookup(CANDLE_FIELDS, node.name)]) : null;
+      }
+      return readPath(ctx.snapshot, node.name);
+    }
+
+    case 'negate': {
+      const value = evaluate(node.operand, source, ctx, offset);
+      return value === null ? null : -value;
+    }
+
+    case 'not': {
+      const value = truth(evaluate(node.operand, source, ctx, offset, terms));
+      return value === null ? null : !value;
+    }
+
+    case 'arithmetic': {
+      const left = evaluate(node.left, source, ctx, offset);
+      const right = evaluate(node.right, source, ctx, offset);
+      if (typeof left !== 'number' || typeof right !== 'number') return null;
+      if (node.op === '/' && right === 0) return null;
+      const result = node.op === '+' ? left + right : node.op === '-' ? left - right : node.op === '*' ? left * right : left / right;
+      return Number.isFinite(result) ? result : null;
+    }
+
+    case 'compare': {
+      const left = evaluate(node.left, source, ctx, offset);
+      const right = evaluate(node.right, source, ctx, offset);
+      const value = compare(node.op, left, right);
+      terms?.push({ text: source.slice(node.start, node.end), left, right, value });
+      return value;
+    }
+
+    case 'logical': {
+      // Both sides are evaluated so every term shows up in the trace
+      // Three-valued: a missing side decides nothing, so NOT can't turn it into a match
+      const left = truth(evaluate(node.left, source, ctx, offset, terms));
+      const right = truth(evaluate(node.right, source, ctx, offset, terms));
+      if (node.op === 'AND') {
+        if (left === false || right === false) return false;
+        return left === null || right === null ? null : true;
+      }
+      if (left === true || right === true) return true;
+      return left === null || right === null ? null : false;
+    }
+
+    case 'call':
+      return evaluateCall(node, source, ctx, offset, terms);
+
+    default:
+      return null;
+  }
+}
+
+function evaluateCall(node, source, ctx, offset, terms) {
+  const value = arg => evaluate(arg, source, ctx, offset);
+
+  switch (node.name) {
+    case 'abs': {
+      const x = value(node.args[0]);
+      return typeof x === 'number' ? Math.abs(x) : null;
+    }
+    case 'min':
+    case 'max': {
+      const [a, b] = node.args.map(value);
+      if (typeof a !== 'number' || typeof b !== 'number') return null;
+      return node.name === 'min' ? Math.min(a, b) : Math.max(a, b);
+    }
+    case 'prev':
+      return evaluate(node.args[0], source, ctx, offset + node.args[1].value);
+    case 'crosses_above':
+    case 'crosses_below': {
+      const [a, b] = node.args;
+      const now = [evaluate(a, source, ctx, offset), evaluate(b, source, ctx, offset)];
+      const before = [evaluate(a, source, ctx, offset + 1), evaluate(b, source, ctx, offset + 1)];
+      if ([...now, ...before].some(x => typeof x !== 'number')) return null;
+      const crossed = node.name === 'crosses_above'
+        ? before[0] <= before[1] && now[0] > now[1]
+        : before[0] >= before[1] && now[0] < now[1];
+      terms?.push({ text: source.slice(node.start, node.end), left: now[0], right: now[1], value: crossed });
+      return crossed;
+    }
+    default: {
+      const series = seriesFor(node, source, ctx);
+      return series[series.length - 1 - offset] ?? null;
+    }
+  }
+}
+
+function seriesFor(node, source, ctx) {
+  const key = source.slice(node.start, node.end);
+  if (ctx.series.has(key)) return ctx.series.get(key);
+
+  const definition = lookup(SERIES_FUNCTIONS, node.name);
+  const signature = definition.args.find(args => args.length === node.args.length);
+  const args = node.args.map((arg, i) => signature[i] === 'series' ? valuesOf(arg, source, ctx) : arg.value);
+
+  // Indicators can't take gaps, so series inputs start after their last missing value
+  const input = args.find(Array.isArray);
+  let series;
+  if (input) {
+    const start = input.lastIndexOf(null) + 1;
+    const trimmed = args.map(arg => Array.isArray(arg) ? arg.slice(start) : arg);
+    series = [...new Array(start).fill(null), ...definition.build(ctx, trimmed)];
+  } else {
+    series = definition.build(ctx, args);
+  }
+
+  ctx.series.set(key, series);
+  return series;
+}
+
+// An expression's value at every candle, oldest first
+function valuesOf(node, source, ctx) {
+  if (node.kind === 'name' && lookup(CANDLE_FIELDS, node.name) !== undefined) {
+    return ctx.klines.map(k => parseFloat(k[lookup(CANDLE_FIELDS, node.name)]));
+  }
+
+  const length = ctx.klines.length;
+  return Array.from({ length }, (_, i) => {
+    const value = evaluate(node, source, ctx, length - 1 - i);
+    return typeof value === 'number' ? value : null;
+  });
+}
+
+// null when a side is missing, which stays null through NOT, AND and OR
+function compare(op, left, right) {
+  if (left === null || left === undefined || right === null || right === undefined) return null;
+
+  switch (op) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '==': return left === right;
+    case '!=': return left !== right;
+    default: return null;
+  }
+}
+
+function truth(value) {
+  return value === null || value === undefined ? null : value === true;
+}
+
+// Table lookups by user-written names, inherited keys like 'constructor' or 'valueOf' don't count
+function lookup(table, key) {
+  return Object.hasOwn(table, key) ? table[key] : undefined;
+}
+
+function readPath(snapshot, path) {
+  let value = snapshot;
+  for (const key of path.split('.')) {
+    if (value === null || typeof value !== 'object' || !Object.hasOwn(value, key)) return null;
+    value = value[key];
+  }
+  return value ?? null;
+}
+
+// rsi(14) means rsi(close, 14)
+function withSource(ctx, args) {
+  return args.length === 1 ? [ctx.closes, args[0]] : args;
+}
+
+function pick(series, key) {
+  return series.map(value => value ? value[key] : null);
+}
+
+function rolling(values, period, reducer) {
+  return values.map((_, i) => i + 1 < period ? null : reducer(...values.slice(i + 1 - period, i + 1)));
+}
+
+function percentChange(from, to) {
+  return typeof from === 'number' && from !== 0 && typeof to === 'number' ? (to - from) / from * 100 : null;
+}
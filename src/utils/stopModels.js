@@ -0,0 +1,66 @@
+// Stop Loss Models
+// Protective stop of a long position from its entry and recent candles:
+//   fixed       stopLossPercentage under the entry (trailing by percentage is the bot's trailing stop)
+//   atr         atrMultiplier ATRs under the highest price since entry
+//   chandelier  chandelierMultiplier ATRs under the highest high of the last chandelierPeriod candles
+//   supertrend  the SuperTrend line while SuperTrend is bullish
+//   swing_low   swingBufferPercent under the most recent confirmed swing low
+// Callers ratchet the result so a stop only ever moves up.
+import { findSwingPoints } from './divergence.js';
+import { calculateATR, calculateSuperTrend } from './technicalAnalysis.js';
+
+export const STOP_MODELS = ['fixed', 'atr', 'chandelier', 'supertrend', 'swing_low'];
+
+// position: { entryPrice, entryTime, trailingHigh }; riskManagement: config.riskManagement (stopLossPercentage
+// and the stops settings); atrSettings: indicatorSettings.atr. Returns null when the candles can't give a
+// stop yet, the caller then keeps the one it has.
+export function calculateModelStop(model, position, klines, riskManagement, atrSettings = {}) {
+  const settings = riskManagement.stops;
+  if (model === 'fixed') {
+    return position.entryPrice * (1 - riskManagement.stopLossPercentage / 100);
+  }
+  if (!klines || klines.length === 0) return null;
+
+  const highs = klines.map(k => parseFloat(k[2]));
+  const lows = klines.map(k => parseFloat(k[3]));
+  const closes = klines.map(k => parseFloat(k[4]));
+  const atrPeriod = atrSettings.period || 14;
+
+  switch (model) {
+    case 'atr': {
+      if (klines.length <= atrPeriod) return null;
+      const atr = calculateATR(highs, lows, closes, atrPeriod, atrSettings.smoothing);
+      return highSinceEntry(position, klines) - settings.atrMultiplier * atr;
+    }
+
+    case 'chandelier': {
+      const period = settings.chandelierPeriod;
+      if (klines.length <= period) return null;
+      const atr = calculateATR(highs, lows, closes, period, atrSettings.smoothing);
+      return Math.max(...highs.slice(-period)) - settings.chandelierMultiplier * atr;
+    }
+
+    case 'supertrend': {
+      const supertrend = calculateSuperTrend(highs, lows, closes, settings.supertrendPeriod, settings.supertrendMultiplier);
+      return supertrend?.direction === 'UP' ? supertrend.value : null;
+    }
+
+    case 'swing_low': {
+      const { swingLows } = findSwingPoints(highs, lows, settings.swingLookback);
+      const latest = swingLows[swingLows.length - 1];
+      return latest ? latest.price * (1 - settings.swingBufferPercent / 100) : null;
+    }
+
+    default:
+      throw new Error(`Unknown stop model: ${model}`);
+  }
+}
+
+// Highest price since the position opened: its stored high and the candles that opened since
+function highSinceEntry(position, klines) {
+  const candleHighs = klines
+    .filter(k => k[0] >= position.entryTime)
+    .map(k => parseFloat(k[2]));
+
+  return Math.max(position.trailingHigh || position.entryPrice, position.entryPrice, ...candleHighs);
+}
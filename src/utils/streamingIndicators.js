@@ -0,0 +1,586 @@
+// Streaming Technical Indicators
+// Stateful versions of the technicalAnalysis.js indicators: each closed candle is applied
+// once with update(), and peek() answers "what if this value closed next" without changing
+// state, so a forming candle can be evaluated on every trade tick. Values match the batch
+// functions for the same window of candles. `ready` turns true once the warmup is over.
+
+export const SMOOTHING_METHODS = ['wilder', 'sma', 'ema'];
+
+export const DEFAULT_INDICATOR_SETTINGS = {
+  rsi: { period: 14, smoothing: 'wilder' },
+  atr: { period: 14, smoothing: 'wilder' }
+};
+
+// Fixed-size ring buffer, oldest value is evicted on push
+class RollingWindow {
+  constructor(size) {
+    this.size = size;
+    this.buffer = new Array(size);
+    this.count = 0;
+    this.next = 0;
+  }
+
+  get full() {
+    return this.count === this.size;
+  }
+
+  // The value the next push will evict
+  get oldest() {
+    return this.full ? this.buffer[this.next] : undefined;
+  }
+
+  get newest() {
+    return this.count > 0 ? this.buffer[(this.next - 1 + this.size) % this.size] : undefined;
+  }
+
+  push(value) {
+    const evicted = this.oldest;
+    this.buffer[this.next] = value;
+    this.next = (this.next + 1) % this.size;
+    if (!this.full) this.count++;
+    return evicted;
+  }
+
+  // Oldest first
+  values() {
+    if (!this.full) return this.buffer.slice(0, this.count);
+    return [...this.buffer.slice(this.next), ...this.buffer.slice(0, this.next)];
+  }
+
+  // The window as it would be after pushing value
+  valuesWith(value) {
+    const values = this.values();
+    if (this.full) values.shift();
+    values.push(value);
+    return values;
+  }
+}
+
+// Rolling sum that is recomputed once per lap of the window so float error can't accumulate
+class RollingSum {
+  constructor(size, map = value => value) {
+    this.window = new RollingWindow(size);
+    this.map = map;
+    this.sum = 0;
+  }
+
+  get count() {
+    return this.window.count;
+  }
+
+  push(value) {
+    const evicted = this.window.push(value);
+    this.sum += this.map(value) - (evicted === undefined ? 0 : this.map(evicted));
+
+    if (this.window.next === 0) {
+      this.sum = this.window.values().reduce((sum, v) => sum + this.map(v), 0);
+    }
+  }
+
+  sumWith(value) {
+    const evicted = this.window.oldest;
+    return this.sum + this.map(value) - (evicted === undefined ? 0 : this.map(evicted));
+  }
+}
+
+// Average of the last period values
+class SMASmoother {
+  constructor(period) {
+    this.period = period;
+    this.sum = new RollingSum(period);
+  }
+
+  get ready() {
+    return this.sum.count >= this.period;
+  }
+
+  get value() {
+    return this.ready ? this.sum.sum / this.period : null;
+  }
+
+  update(value) {
+    this.sum.push(value);
+  }
+
+  peek(value) {
+    return this.sum.count + 1 >= this.period ? this.sum.sumWith(value) / this.period : null;
+  }
+}
+
+// EMA ('ema') or Wilder's RMA ('wilder'), seeded with the SMA of the first period values
+class ExponentialSmoother {
+  constructor(period, alpha) {
+    this.period = period;
+    this.alpha = alpha;
+    this.count = 0;
+    this.seedSum = 0;
+    this.average = null;
+  }
+
+  get ready() {
+    return this.average !== null;
+  }
+
+  get value() {
+    return this.average;
+  }
+
+  update(value) {
+    const next = this.peek(value);
+    if (next === null) this.seedSum += value;
+    this.average = next;
+    this.count++;
+  }
+
+  peek(value) {
+    if (this.average !== null) return this.average + this.alpha * (value - this.average);
+    return this.count + 1 === this.period ? (this.seedSum + value) / this.period : null;
+  }
+}
+
+export function createSmoother(method, period) {
+  switch (method) {
+    case 'sma':
+      return new SMASmoother(period);
+    case 'ema':
+      return new ExponentialSmoother(period, 2 / (period + 1));
+    case 'wilder':
+      return new ExponentialSmoother(period, 1 / period);
+    default:
+      throw new Error(`Unknown smoothing method "${method}", expected one of ${SMOOTHING_METHODS.join(', ')}`);
+  }
+}
+
+export class StreamingSMA {
+  constructor(period) {
+    this.period = period;
+    this.sum = new RollingSum(period);
+    this.lastValue = undefined;
+  }
+
+  update(value) {
+    this.sum.push(value);
+    this.lastValue = value;
+    return this.value;
+  }
+
+  get ready() {
+    return this.sum.count >= this.period;
+  }
+
+  get value() {
+    // Like calculateSMA, the latest value until the window is filled
+    if (this.sum.count < this.period) return this.lastValue ?? 0;
+    return this.sum.sum / this.period;
+  }
+
+  peek(value) {
+    if (this.sum.count + 1 < this.period) return value;
+    return this.sum.sumWith(value) / this.period;
+  }
+}
+
+export class StreamingEMA {
+  constructor(period) {
+    this.period = period;
+    this.k = 2 / (period + 1);
+    this.ema = null; // Seeded with the first value, like calculateEMA
+    this.count = 0;
+    this.lastValue = undefined;
+  }
+
+  update(value) {
+    this.ema = this.next(value);
+    this.count++;
+    this.lastValue = value;
+    return this.value;
+  }
+
+  // Raw EMA after value, without changing state
+  next(value) {
+    return this.ema === null ? value : (value * this.k) + (this.ema * (1 - this.k));
+  }
+
+  get ready() {
+    return this.count >= this.period;
+  }
+
+  get value() {
+    if (this.count < this.period) return this.lastValue ?? 0;
+    return this.ema;
+  }
+
+  peek(value) {
+    return this.count + 1 < this.period ? value : this.next(value);
+  }
+}
+
+export class StreamingRSI {
+  constructor(period = 14, smoothing = 'wilder') {
+    this.period = period;
+    this.gains = createSmoother(smoothing, period);
+    this.losses = createSmoother(smoothing, period);
+    this.previousPrice = null;
+  }
+
+  update(price) {
+    if (this.previousPrice !== null) {
+      const change = price - this.previousPrice;
+      this.gains.update(change > 0 ? change : 0);
+      this.losses.update(change < 0 ? Math.abs(change) : 0);
+    }
+    this.previousPrice = price;
+    return this.value;
+  }
+
+  get ready() {
+    return this.gains.ready;
+  }
+
+  get value() {
+    if (!this.ready) return 50;
+    return rsiFromAverages(this.gains.value, this.losses.value);
+  }
+
+  peek(price) {
+    if (this.previousPrice === null) return 50;
+    const change = price - this.previousPrice;
+    const averageGain = this.gains.peek(change > 0 ? change : 0);
+    if (averageGain === null) return 50;
+    return rsiFromAverages(averageGain, this.losses.peek(change < 0 ? Math.abs(change) : 0));
+  }
+}
+
+function rsiFromAverages(averageGain, averageLoss) {
+  if (averageLoss === 0) return 100;
+  return 100 - (100 / (1 + averageGain / averageLoss));
+}
+
+export class StreamingMACD {
+  constructor(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    this.slowPeriod = slowPeriod;
+    this.fast = new StreamingEMA(fastPeriod);
+    this.slow = new StreamingEMA(slowPeriod);
+    this.signal = new StreamingEMA(signalPeriod); // EMA of the MACD line once the slow EMA is valid
+    this.count = 0;
+  }
+
+  update(price) {
+    this.fast.update(price);
+    this.slow.update(price);
+    this.count++;
+
+    if (this.count >= this.slowPeriod) {
+      this.signal.update(this.fast.ema - this.slow.ema);
+    }
+    return this.value;
+  }
+
+  get ready() {
+    return this.count >= this.slowPeriod;
+  }
+
+  get value() {
+    if (this.count < this.slowPeriod) return { macd: 0, signal: 0, histogram: 0 };
+    return macdResult(this.fast.ema - this.slow.ema, this.signal.value);
+  }
+
+  peek(price) {
+    if (this.count + 1 < this.slowPeriod) return { macd: 0, signal: 0, histogram: 0 };
+    const macdLine = this.fast.next(price) - this.slow.next(price);
+    return macdResult(macdLine, this.signal.peek(macdLine));
+  }
+}
+
+function macdResult(macd, signal) {
+  return { macd, signal, histogram: macd - signal };
+}
+
+export class StreamingBollinger {
+  constructor(period = 20, stdDev = 2) {
+    this.period = period;
+    this.stdDev = stdDev;
+    this.sum = new RollingSum(period);
+    this.sumOfSquares = new RollingSum(period, value => value * value);
+    this.lastPrice = undefined;
+  }
+
+  update(price) {
+    this.sum.push(price);
+    this.sumOfSquares.push(price);
+    this.lastPrice = price;
+    return this.value;
+  }
+
+  get ready() {
+    return this.sum.count >= this.period;
+  }
+
+  get value() {
+    if (this.sum.count < this.period) return flatBands(this.lastPrice ?? 0);
+    return this.bands(this.sum.sum, this.sumOfSquares.sum);
+  }
+
+  peek(price) {
+    if (this.sum.count + 1 < this.period) return flatBands(price);
+    return this.bands(this.sum.sumWith(price), this.sumOfSquares.sumWith(price));
+  }
+
+  bands(sum, sumOfSquares) {
+    const middle = sum / this.period;
+    const variance = Math.max(0, sumOfSquares / this.period - middle * middle);
+    const standardDeviation = Math.sqrt(variance);
+
+    return {
+      upper: middle + (standardDeviation * this.stdDev),
+      middle,
+      lower: middle - (standardDeviation * this.stdDev)
+    };
+  }
+}
+
+function flatBands(price) {
+  return { upper: price, middle: price, lower: price };
+}
+
+export class StreamingATR {
+  constructor(period = 14, smoothing = 'wilder') {
+    this.period = period;
+    this.smoother = createSmoother(smoothing, period);
+    this.trueRanges = new RollingSum(period); // Only needed for the warmup average
+    this.previousClose = null;
+  }
+
+  // candle: { high, low, close }
+  update(candle) {
+    if (this.previousClose !== null) {
+      const trueRange = this.trueRange(candle);
+      this.smoother.update(trueRange);
+      this.trueRanges.push(trueRange);
+    }
+    this.previousClose = candle.close;
+    return this.value;
+  }
+
+  get ready() {
+    return this.smoother.ready;
+  }
+
+  get value() {
+    if (this.ready) return this.smoother.value;
+    // Averages whatever true ranges exist until the period is reached
+    if (this.trueRanges.count === 0) return 0;
+    return this.trueRanges.sum / this.trueRanges.count;
+  }
+
+  peek(candle) {
+    if (this.previousClose === null) return 0;
+    const trueRange = this.trueRange(candle);
+    return this.smoother.peek(trueRange) ?? this.trueRanges.sumWith(trueRange) / (this.trueRanges.count + 1);
+  }
+
+  trueRange({ high, low }) {
+    return Math.max(high - low, Math.abs(high - this.previousClose), Math.abs(low - this.previousClose));
+  }
+}
+
+// Highest high and lowest low over the last period candles
+class StreamingRange {
+  constructor(period) {
+    this.period = period;
+    this.highs = new RollingWindow(period);
+    this.lows = new RollingWindow(period);
+  }
+
+  get count() {
+    return this.highs.count;
+  }
+
+  update(candle) {
+    this.highs.push(candle.high);
+    this.lows.push(candle.low);
+  }
+
+  current() {
+    return { highestHigh: Math.max(...this.highs.values()), lowestLow: Math.min(...this.lows.values()) };
+  }
+
+  peek(candle) {
+    return {
+      highestHigh: Math.max(...this.highs.valuesWith(candle.high)),
+      lowestLow: Math.min(...this.lows.valuesWith(candle.low))
+    };
+  }
+}
+
+export class StreamingStochastic {
+  constructor(period = 14, smoothing = 3) {
+    this.period = period;
+    this.range = new StreamingRange(period);
+    this.kValues = new RollingWindow(smoothing);
+  }
+
+  update(candle) {
+    this.range.update(candle);
+    if (this.range.count >= this.period) {
+      this.kValues.push(percentK(candle.close, this.range.current()));
+    }
+    return this.value;
+  }
+
+  get ready() {
+    return this.range.count >= this.period;
+  }
+
+  get value() {
+    if (this.range.count < this.period) return { k: 50, d: 50 };
+    return stochasticResult(this.kValues.newest, this.kValues.values(), this.kValues.size);
+  }
+
+  peek(candle) {
+    if (this.range.count + 1 < this.period) return { k: 50, d: 50 };
+    const k = percentK(candle.close, this.range.peek(candle));
+    return stochasticResult(k, this.kValues.valuesWith(k), this.kValues.size);
+  }
+}
+
+function percentK(close, { highestHigh, lowestLow }) {
+  return ((close - lowestLow) / (highestHigh - lowestLow)) * 100;
+}
+
+function stochasticResult(k, kValues, smoothing) {
+  // %D is the SMA of the last %K values, or the latest %K until there are enough
+  const d = kValues.length < smoothing
+    ? k
+    : kValues.reduce((sum, value) => sum + value, 0) / smoothing;
+  return { k: k || 50, d: d || 50 };
+}
+
+export class StreamingWilliamsR {
+  constructor(period = 14) {
+    this.period = period;
+    this.range = new StreamingRange(period);
+    this.lastClose = undefined;
+  }
+
+  update(candle) {
+    this.range.update(candle);
+    this.lastClose = candle.close;
+    return this.value;
+  }
+
+  get ready() {
+    return this.range.count >= this.period;
+  }
+
+  get value() {
+    if (this.range.count < this.period) return -50;
+    return williamsR(this.lastClose, this.range.current());
+  }
+
+  peek(candle) {
+    if (this.range.count + 1 < this.period) return -50;
+    return williamsR(candle.close, this.range.peek(candle));
+  }
+}
+
+function williamsR(close, { highestHigh, lowestLow }) {
+  return ((highestHigh - close) / (highestHigh - lowestLow)) * -100;
+}
+
+// Binance kline array -> numeric candle
+export function parseKline(kline) {
+  return {
+    openTime: kline[0],
+    open: parseFloat(kline[1]),
+    high: parseFloat(kline[2]),
+    low: parseFloat(kline[3]),
+    close: parseFloat(kline[4]),
+    volume: parseFloat(kline[5]),
+    closeTime: kline[6]
+  };
+}
+
+// The full set behind calculateTechnicalIndicators, kept up to date candle by candle
+export class StreamingIndicatorSet {
+  // settings: { rsi: { period, smoothing }, atr: { period, smoothing } }, defaults for anything missing
+  constructor(settings = {}) {
+    const rsi = { ...DEFAULT_INDICATOR_SETTINGS.rsi, ...settings.rsi };
+    const atr = { ...DEFAULT_INDICATOR_SETTINGS.atr, ...settings.atr };
+
+    this.closeIndicators = {
+      rsi: new StreamingRSI(rsi.period, rsi.smoothing),
+      sma20: new StreamingSMA(20),
+      sma50: new StreamingSMA(50),
+      ema12: new StreamingEMA(12),
+      ema26: new StreamingEMA(26),
+      macd: new StreamingMACD(),
+      bollinger: new StreamingBollinger(20, 2)
+    };
+    this.candleIndicators = {
+      stochastic: new StreamingStochastic(14),
+      williams: new StreamingWilliamsR(14),
+      atr: new StreamingATR(atr.period, atr.smoothing)
+    };
+    this.volumeMA = new StreamingSMA(20);
+    this.lastCandle = null;
+  }
+
+  // Closed klines, oldest first
+  seed(klines) {
+    klines.forEach(kline => this.update(kline));
+    return this;
+  }
+
+  // Apply one closed kline
+  update(kline) {
+    const candle = parseKline(kline);
+
+    Object.values(this.closeIndicators).forEach(indicator => indicator.update(candle.close));
+    Object.values(this.candleIndicators).forEach(indicator => indicator.update(candle));
+    this.volumeMA.update(candle.volume);
+    this.lastCandle = candle;
+  }
+
+  // Same shape as calculateTechnicalIndicators; with a forming kline it is included as the newest candle
+  snapshot(formingKline = null) {
+    if (!formingKline) {
+      if (!this.lastCandle) return null;
+      return this.buildSnapshot(this.lastCandle, indicator => indicator.value, indicator => indicator.value);
+    }
+
+    const candle = parseKline(formingKline);
+    return this.buildSnapshot(
+      candle,
+      indicator => indicator.peek(candle.close),
+      indicator => indicator.peek(candle),
+      this.volumeMA.peek(candle.volume)
+    );
+  }
+
+  buildSnapshot(candle, closeValue, candleValue, volumeMA = this.volumeMA.value) {
+    const values = {};
+    for (const [name, indicator] of Object.entries(this.closeIndicators)) {
+      values[name] = closeValue(indicator);
+    }
+    for (const [name, indicator] of Object.entries(this.candleIndicators)) {
+      values[name] = candleValue(indicator);
+    }
+
+    return {
+      currentPrice: candle.close,
+      rsi: values.rsi,
+      sma20: values.sma20,
+      sma50: values.sma50,
+      ema12: values.ema12,
+      ema26: values.ema26,
+      macd: values.macd,
+      bollinger: values.bollinger,
+      stochastic: values.stochastic,
+      williams: values.williams,
+      atr: values.atr,
+      volume: candle.volume,
+      volumeMA
+    };
+  }
+}
@@ -0,0 +1,11 @@
+// Trading pair helpers
+const QUOTE_ASSETS = ['USDT', 'FDUSD', 'USDC', 'BUSD', 'TUSD', 'BTC', 'ETH', 'BNB'];
+
+// 'SOLUSDT' -> { base: 'SOL', quote: 'USDT' }
+export function splitSymbol(symbol) {
+  const quote = QUOTE_ASSETS.find(asset => symbol.endsWith(asset) && symbol.length > asset.length);
+  if (!quote) {
+    throw new Error(`Cannot determine quote asset for ${symbol}`);
+  }
+  return { base: symbol.slice(0, -quote.length), quote };
+}
@@ -1,15 +1,35 @@
 // Technical Analysis Utilities
-export function calculateTechnicalIndicators(klines) {
+import { DEFAULT_MIN_PATTERN_STRENGTH, detectCandlestickPatterns } from './candlestickPatterns.js';
+import { INTERVAL_MS } from './intervals.js';
+import {
+  createSmoother,
+  DEFAULT_INDICATOR_SETTINGS,
+  StreamingATR,
+  StreamingBollinger,
+  StreamingEMA,
+  StreamingMACD,
+  StreamingRSI,
+  StreamingSMA,
+  StreamingStochastic,
+  StreamingWilliamsR
+} from './streamingIndicators.js';
+
+// settings: { rsi: { period, smoothing }, atr: { period, smoothing }, enabled: [extended indicator names],
+// anchoredVwapAnchor, minPatternStrength }, defaults for anything missing.
+// Candlestick patterns are read off the last kline, so pass closed klines when that matters.
+export function calculateTechnicalIndicators(klines, settings = {}) {
   const prices = klines.map(k => parseFloat(k[4])); // Close prices
   const highs = klines.map(k => parseFloat(k[2])); // High prices
   const lows = klines.map(k => parseFloat(k[3])); // Low prices
   const volumes = klines.map(k => parseFloat(k[5])); // Volumes
+  const rsi = { ...DEFAULT_INDICATOR_SETTINGS.rsi, ...settings.rsi };
+  const atr = { ...DEFAULT_INDICATOR_SETTINGS.atr, ...settings.atr };
 
   const currentPrice = prices[prices.length - 1];
 
   return {
     currentPrice,
-    rsi: calculateRSI(prices, 14),
+    rsi: calculateRSI(prices, rsi.period, rsi.smoothing),
     sma20: calculateSMA(prices, 20),
     sma50: calculateSMA(prices, 50),
     ema12: calculateEMA(prices, 12),
@@ -18,32 +38,22 @@ export function calculateTechnicalIndicators(klines) {
     bollinger: calculateBollingerBands(prices, 20, 2),
     stochastic: calculateStochastic(highs, lows, prices, 14),
     williams: calculateWilliamsR(highs, lows, prices, 14),
-    atr: calculateATR(highs, lows, prices, 14),
+    atr: calculateATR(highs, lows, prices, atr.period, atr.smoothing),
     volume: volumes[volumes.length - 1],
-    volumeMA: calculateSMA(volumes, 20)
+    volumeMA: calculateSMA(volumes, 20),
+    patterns: detectCandlestickPatterns(klines, {
+      minStrength: settings.minPatternStrength ?? DEFAULT_MIN_PATTERN_STRENGTH
+    }),
+    ...calculateExtendedIndicators(klines, settings)
   };
 }
 
-// Relative Strength Index
-export function calculateRSI(prices, period = 14) {
-  if (prices.length < period + 1) return 50;
-
-  const gains = [];
-  const losses = [];
-
-  for (let i = 1; i < prices.length; i++) {
-    const change = prices[i] - prices[i - 1];
-    gains.push(change > 0 ? change : 0);
-    losses.push(change < 0 ? Math.abs(change) : 0);
-  }
-
-  const avgGain = calculateSMA(gains.slice(-period), period);
-  const avgLoss = calculateSMA(losses.slice(-period), period);
-
-  if (avgLoss === 0) return 100;
-
-  const rs = avgGain / avgLoss;
-  return 100 - (100 / (1 + rs));
+// Relative Strength Index, Wilder-smoothed by default like TradingView and the exchanges.
+// smoothing: 'wilder' | 'sma' | 'ema'
+export function calculateRSI(prices, period = 14, smoothing = 'wilder') {
+  const rsi = new StreamingRSI(period, smoothing);
+  prices.forEach(price => rsi.update(price));
+  return rsi.value;
 }
 
 // Simple Moving Average
@@ -74,19 +84,24 @@ export function calculateMACD(prices, fastPeriod = 12, slowPeriod = 26, signalPe
     return { macd: 0, signal: 0, histogram: 0 };
   }
 
-  const emaFast = calculateEMA(prices, fastPeriod);
-  const emaSlow = calculateEMA(prices, slowPeriod);
-  const macdLine = emaFast - emaSlow;
-
-  // For signal line, we need MACD values over time
+  // For signal line, we need MACD values over time, built in a single pass over both EMAs
+  const kFast = 2 / (fastPeriod + 1);
+  const kSlow = 2 / (slowPeriod + 1);
+  let emaFast = prices[0];
+  let emaSlow = prices[0];
   const macdValues = [];
-  for (let i = slowPeriod; i <= prices.length; i++) {
-    const slice = prices.slice(0, i);
-    const fast = calculateEMA(slice, fastPeriod);
-    const slow = calculateEMA(slice, slowPeriod);
-    macdValues.push(fast - slow);
+
+  for (let i = 0; i < prices.length; i++) {
+    if (i > 0) {
+      emaFast = (prices[i] * kFast) + (emaFast * (1 - kFast));
+      emaSlow = (prices[i] * kSlow) + (emaSlow * (1 - kSlow));
+    }
+    if (i >= slowPeriod - 1) {
+      macdValues.push(emaFast - emaSlow);
+    }
   }
 
+  const macdLine = emaFast - emaSlow;
   const signal = calculateEMA(macdValues, signalPeriod);
   const histogram = macdLine - signal;
 
@@ -170,25 +185,12 @@ export function calculateWilliamsR(highs, lows, closes, period = 14) {
   return ((highestHigh - currentClose) / (highestHigh - lowestLow)) * -100;
 }
 
-// Average True Range
-export function calculateATR(highs, lows, closes, period = 14) {
-  if (highs.length < 2) return 0;
-
-  const trueRanges = [];
-  
-  for (let i = 1; i < highs.length; i++) {
-    const high = highs[i];
-    const low = lows[i];
-    const prevClose = closes[i - 1];
-    
-    const tr1 = high - low;
-    const tr2 = Math.abs(high - prevClose);
-    const tr3 = Math.abs(low - prevClose);
-    
-    trueRanges.push(Math.max(tr1, tr2, tr3));
-  }
-
-  return calculateSMA(trueRanges, Math.min(period, trueRanges.length));
+// Average True Range, Wilder-smoothed by default.
+// smoothing: 'wilder' | 'sma' | 'ema'
+export function calculateATR(highs, lows, closes, period = 14, smoothing = 'wilder') {
+  const atr = new StreamingATR(period, smoothing);
+  highs.forEach((high, i) => atr.update({ high, low: lows[i], close: closes[i] }));
+  return atr.value;
 }
 
 // Money Flow Index
@@ -249,41 +251,466 @@ export function calculateCCI(highs, lows, closes, period = 20) {
   return (currentTP - smaTP) / (0.015 * meanDeviation);
 }
 
-// Price analysis helpers
-export function identifySupport(prices, window = 10) {
-  if (prices.length < window * 2) return null;
+// Series: one value per input candle, aligned with the input and null during warmup,
+// so charts and history lookups can index them the same way as the klines.
 
-  const recentPrices = prices.slice(-window * 2);
-  const lows = [];
+function seriesOf(indicator, inputs) {
+  return inputs.map(input => {
+    const value = indicator.update(input);
+    return indicator.ready ? value : null;
+  });
+}
 
-  for (let i = window; i < recentPrices.length - window; i++) {
-    const slice = recentPrices.slice(i - window, i + window + 1);
-    const minPrice = Math.min(...slice);
-    
-    if (recentPrices[i] === minPrice) {
-      lows.push(recentPrices[i]);
+function toCandles(highs, lows, closes) {
+  return closes.map((close, i) => ({ high: highs[i], low: lows[i], close }));
+}
+
+// Series for indicators without a streaming version, from a window ending at each candle
+function windowSeries(length, warmup, calculate) {
+  return Array.from({ length }, (_, i) => i + 1 < warmup ? null : calculate(i + 1));
+}
+
+export function calculateSMASeries(values, period) {
+  return seriesOf(new StreamingSMA(period), values);
+}
+
+export function calculateEMASeries(values, period) {
+  return seriesOf(new StreamingEMA(period), values);
+}
+
+export function calculateRSISeries(prices, period = 14, smoothing = 'wilder') {
+  return seriesOf(new StreamingRSI(period, smoothing), prices);
+}
+
+export function calculateMACDSeries(prices, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+  return seriesOf(new StreamingMACD(fastPeriod, slowPeriod, signalPeriod), prices);
+}
+
+export function calculateBollingerBandsSeries(prices, period = 20, stdDev = 2) {
+  return seriesOf(new StreamingBollinger(period, stdDev), prices);
+}
+
+export function calculateStochasticSeries(highs, lows, closes, period = 14) {
+  return seriesOf(new StreamingStochastic(period), toCandles(highs, lows, closes));
+}
+
+export function calculateWilliamsRSeries(highs, lows, closes, period = 14) {
+  return seriesOf(new StreamingWilliamsR(period), toCandles(highs, lows, closes));
+}
+
+export function calculateATRSeries(highs, lows, closes, period = 14, smoothing = 'wilder') {
+  return seriesOf(new StreamingATR(period, smoothing), toCandles(highs, lows, closes));
+}
+
+export function calculateMFISeries(highs, lows, closes, volumes, period = 14) {
+  return windowSeries(closes.length, period + 1, end => {
+    const start = end - period - 1;
+    return calculateMFI(
+      highs.slice(start, end), lows.slice(start, end), closes.slice(start, end), volumes.slice(start, end), period
+    );
+  });
+}
+
+export function calculateCCISeries(highs, lows, closes, period = 20) {
+  return windowSeries(closes.length, period, end => calculateCCI(
+    highs.slice(end - period, end), lows.slice(end - period, end), closes.slice(end - period, end), period
+  ));
+}
+
+// Every indicator of calculateTechnicalIndicators as a series aligned with klines
+export function calculateTechnicalIndicatorSeries(klines, settings = {}) {
+  const prices = klines.map(k => parseFloat(k[4]));
+  const highs = klines.map(k => parseFloat(k[2]));
+  const lows = klines.map(k => parseFloat(k[3]));
+  const volumes = klines.map(k => parseFloat(k[5]));
+  const rsi = { ...DEFAULT_INDICATOR_SETTINGS.rsi, ...settings.rsi };
+  const atr = { ...DEFAULT_INDICATOR_SETTINGS.atr, ...settings.atr };
+
+  return {
+    time: klines.map(k => k[0]),
+    close: prices,
+    volume: volumes,
+    rsi: calculateRSISeries(prices, rsi.period, rsi.smoothing),
+    sma20: calculateSMASeries(prices, 20),
+    sma50: calculateSMASeries(prices, 50),
+    ema12: calculateEMASeries(prices, 12),
+    ema26: calculateEMASeries(prices, 26),
+    macd: calculateMACDSeries(prices),
+    bollinger: calculateBollingerBandsSeries(prices, 20, 2),
+    stochastic: calculateStochasticSeries(highs, lows, prices, 14),
+    williams: calculateWilliamsRSeries(highs, lows, prices, 14),
+    atr: calculateATRSeries(highs, lows, prices, atr.period, atr.smoothing),
+    volumeMA: calculateSMASeries(volumes, 20),
+    ...calculateExtendedIndicatorSeries(klines, settings)
+  };
+}
+
+// Extended indicators: trend strength, volume weighting and channels. They're opt-in through
+// settings.enabled because most of them need the whole candle window on every snapshot.
+
+export const EXTENDED_INDICATORS = [
+  'mfi', 'cci', 'adx', 'ichimoku', 'vwap', 'anchoredVwap', 'obv', 'supertrend', 'keltner', 'parabolicSar', 'donchian'
+];
+export const DEFAULT_ENABLED_INDICATORS = []; // Snapshots and strategy scores stay as they were until some are enabled
+export const VWAP_ANCHORS = ['lowest_low', 'highest_high']; // Anchored VWAP starts at the window's extreme
+
+const DAY_MS = INTERVAL_MS['1d'];
+
+function klineColumns(klines) {
+  return {
+    times: klines.map(k => k[0]),
+    highs: klines.map(k => parseFloat(k[2])),
+    lows: klines.map(k => parseFloat(k[3])),
+    closes: klines.map(k => parseFloat(k[4])),
+    volumes: klines.map(k => parseFloat(k[5]))
+  };
+}
+
+function lastOf(series, fallback) {
+  return series.length > 0 && series[series.length - 1] !== null ? series[series.length - 1] : fallback;
+}
+
+// How each extended indicator is built from klineColumns(); value() defaults to the last series point
+const extendedIndicators = {
+  mfi: {
+    series: c => calculateMFISeries(c.highs, c.lows, c.closes, c.volumes, 14),
+    value: c => calculateMFI(c.highs, c.lows, c.closes, c.volumes, 14)
+  },
+  cci: {
+    series: c => calculateCCISeries(c.highs, c.lows, c.closes, 20),
+    value: c => calculateCCI(c.highs, c.lows, c.closes, 20)
+  },
+  adx: {
+    series: c => calculateADXSeries(c.highs, c.lows, c.closes, 14),
+    fallback: { adx: 0, plusDI: 0, minusDI: 0 }
+  },
+  ichimoku: {
+    series: c => calculateIchimokuSeries(c.highs, c.lows, c.closes),
+    fallback: null
+  },
+  vwap: {
+    series: c => calculateVWAPSeries(c.times, c.highs, c.lows, c.closes, c.volumes),
+    fallback: 0
+  },
+  anchoredVwap: {
+    series: (c, settings) => calculateAnchoredVWAPSeries(
+      c.highs, c.lows, c.closes, c.volumes, findAnchorIndex(c, settings.anchoredVwapAnchor)
+    ),
+    value: (c, settings) => {
+      const anchorIndex = findAnchorIndex(c, settings.anchoredVwapAnchor);
+      if (anchorIndex < 0) return null;
+      const series = calculateAnchoredVWAPSeries(c.highs, c.lows, c.closes, c.volumes, anchorIndex);
+      return {
+        value: series[series.length - 1],
+        anchor: settings.anchoredVwapAnchor || VWAP_ANCHORS[0],
+        anchorTime: c.times[anchorIndex]
+      };
+    }
+  },
+  obv: {
+    series: c => calculateOBVSeries(c.closes, c.volumes),
+    value: c => {
+      const series = calculateOBVSeries(c.closes, c.volumes);
+      return { value: lastOf(series, 0), average: calculateSMA(series, 20) };
     }
+  },
+  supertrend: {
+    series: c => calculateSuperTrendSeries(c.highs, c.lows, c.closes, 10, 3),
+    fallback: null
+  },
+  keltner: {
+    series: c => calculateKeltnerChannelsSeries(c.highs, c.lows, c.closes, 20, 2, 10),
+    fallback: null
+  },
+  parabolicSar: {
+    series: c => calculateParabolicSARSeries(c.highs, c.lows, c.closes),
+    fallback: null
+  },
+  donchian: {
+    series: c => calculateDonchianChannelsSeries(c.highs, c.lows, 20),
+    fallback: null
   }
+};
 
-  return lows.length > 0 ? Math.max(...lows) : null;
+function enabledIndicators(settings) {
+  return (settings.enabled || DEFAULT_ENABLED_INDICATORS).filter(name => extendedIndicators[name]);
 }
 
-export function identifyResistance(prices, window = 10) {
-  if (prices.length < window * 2) return null;
+// Latest value of every enabled extended indicator, keyed by name
+export function calculateExtendedIndicators(klines, settings = {}) {
+  const columns = klineColumns(klines);
+  const values = {};
 
-  const recentPrices = prices.slice(-window * 2);
-  const highs = [];
+  for (const name of enabledIndicators(settings)) {
+    const indicator = extendedIndicators[name];
+    values[name] = indicator.value
+      ? indicator.value(columns, settings)
+      : lastOf(indicator.series(columns, settings), indicator.fallback);
+  }
 
-  for (let i = window; i < recentPrices.length - window; i++) {
-    const slice = recentPrices.slice(i - window, i + window + 1);
-    const maxPrice = Math.max(...slice);
-    
-    if (recentPrices[i] === maxPrice) {
-      highs.push(recentPrices[i]);
-    }
+  return values;
+}
+
+export function calculateExtendedIndicatorSeries(klines, settings = {}) {
+  const columns = klineColumns(klines);
+  const series = {};
+
+  for (const name of enabledIndicators(settings)) {
+    series[name] = extendedIndicators[name].series(columns, settings);
   }
 
-  return highs.length > 0 ? Math.min(...highs) : null;
+  return series;
+}
+
+function findAnchorIndex({ highs, lows }, anchor = VWAP_ANCHORS[0]) {
+  if (lows.length === 0) return -1;
+  return anchor === 'highest_high'
+    ? highs.lastIndexOf(Math.max(...highs))
+    : lows.lastIndexOf(Math.min(...lows));
+}
+
+// Highest high and lowest low of the period ending at index end, null until there are enough candles
+function priceChannel(highs, lows, end, period) {
+  if (end + 1 < period) return null;
+  return {
+    upper: Math.max(...highs.slice(end - period + 1, end + 1)),
+    lower: Math.min(...lows.slice(end - period + 1, end + 1))
+  };
+}
+
+function trueRangeAt(highs, lows, closes, i) {
+  return Math.max(highs[i] - lows[i], Math.abs(highs[i] - closes[i - 1]), Math.abs(lows[i] - closes[i - 1]));
+}
+
+// Average Directional Index with +DI/-DI, Wilder-smoothed
+export function calculateADXSeries(highs, lows, closes, period = 14) {
+  const trueRange = createSmoother('wilder', period);
+  const plusDM = createSmoother('wilder', period);
+  const minusDM = createSmoother('wilder', period);
+  const adx = createSmoother('wilder', period);
+
+  return closes.map((close, i) => {
+    if (i === 0) return null;
+
+    const upMove = highs[i] - highs[i - 1];
+    const downMove = lows[i - 1] - lows[i];
+    trueRange.update(trueRangeAt(highs, lows, closes, i));
+    plusDM.update(upMove > downMove && upMove > 0 ? upMove : 0);
+    minusDM.update(downMove > upMove && downMove > 0 ? downMove : 0);
+    if (!trueRange.ready) return null;
+
+    const plusDI = trueRange.value > 0 ? (plusDM.value / trueRange.value) * 100 : 0;
+    const minusDI = trueRange.value > 0 ? (minusDM.value / trueRange.value) * 100 : 0;
+    const diSum = plusDI + minusDI;
+    adx.update(diSum > 0 ? (Math.abs(plusDI - minusDI) / diSum) * 100 : 0);
+
+    return adx.ready ? { adx: adx.value, plusDI, minusDI } : null;
+  });
+}
+
+export function calculateADX(highs, lows, closes, period = 14) {
+  return lastOf(calculateADXSeries(highs, lows, closes, period), { adx: 0, plusDI: 0, minusDI: 0 });
+}
+
+// Ichimoku Cloud. spanA/spanB are the cloud under the current candle (projected displacement
+// candles ago), futureSpanA/futureSpanB the cloud being projected now.
+export function calculateIchimokuSeries(highs, lows, closes, conversionPeriod = 9, basePeriod = 26, spanBPeriod = 52, displacement = 26) {
+  const midpoint = (end, period) => {
+    const channel = priceChannel(highs, lows, end, period);
+    return channel ? (channel.upper + channel.lower) / 2 : null;
+  };
+  const conversion = closes.map((_, i) => midpoint(i, conversionPeriod));
+  const base = closes.map((_, i) => midpoint(i, basePeriod));
+  const leadingA = conversion.map((value, i) => value !== null && base[i] !== null ? (value + base[i]) / 2 : null);
+  const leadingB = closes.map((_, i) => midpoint(i, spanBPeriod));
+
+  return closes.map((close, i) => {
+    const spanA = i >= displacement ? leadingA[i - displacement] : null;
+    const spanB = i >= displacement ? leadingB[i - displacement] : null;
+    if (spanA === null || spanB === null) return null;
+
+    const cloudTop = Math.max(spanA, spanB);
+    const cloudBottom = Math.min(spanA, spanB);
+    return {
+      conversion: conversion[i],
+      base: base[i],
+      spanA,
+      spanB,
+      futureSpanA: leadingA[i],
+      futureSpanB: leadingB[i],
+      position: close > cloudTop ? 'ABOVE_CLOUD' : close < cloudBottom ? 'BELOW_CLOUD' : 'IN_CLOUD'
+    };
+  });
+}
+
+export function calculateIchimoku(highs, lows, closes) {
+  return lastOf(calculateIchimokuSeries(highs, lows, closes), null);
+}
+
+// Session VWAP, reset at every UTC midnight
+export function calculateVWAPSeries(times, highs, lows, closes, volumes) {
+  let session = null;
+  let priceVolume = 0;
+  let totalVolume = 0;
+
+  return closes.map((close, i) => {
+    const day = Math.floor(times[i] / DAY_MS);
+    if (day !== session) {
+      session = day;
+      priceVolume = 0;
+      totalVolume = 0;
+    }
+
+    const typicalPrice = (highs[i] + lows[i] + close) / 3;
+    priceVolume += typicalPrice * volumes[i];
+    totalVolume += volumes[i];
+    return totalVolume > 0 ? priceVolume / totalVolume : typicalPrice;
+  });
+}
+
+export function calculateVWAP(times, highs, lows, closes, volumes) {
+  return lastOf(calculateVWAPSeries(times, highs, lows, closes, volumes), 0);
+}
+
+// VWAP accumulated from anchorIndex onwards, null before the anchor
+export function calculateAnchoredVWAPSeries(highs, lows, closes, volumes, anchorIndex) {
+  let priceVolume = 0;
+  let totalVolume = 0;
+
+  return closes.map((close, i) => {
+    if (anchorIndex < 0 || i < anchorIndex) return null;
+
+    const typicalPrice = (highs[i] + lows[i] + close) / 3;
+    priceVolume += typicalPrice * volumes[i];
+    totalVolume += volumes[i];
+    return totalVolume > 0 ? priceVolume / totalVolume : typicalPrice;
+  });
+}
+
+// On-Balance Volume, starting at 0 on the first candle
+export function calculateOBVSeries(closes, volumes) {
+  let obv = 0;
+  return closes.map((close, i) => {
+    if (i > 0 && close > closes[i - 1]) obv += volumes[i];
+    else if (i > 0 && close < closes[i - 1]) obv -= volumes[i];
+    return obv;
+  });
+}
+
+export function calculateOBV(closes, volumes) {
+  return lastOf(calculateOBVSeries(closes, volumes), 0);
+}
+
+// SuperTrend: ATR bands around the candle midpoint that only tighten until price closes through them
+export function calculateSuperTrendSeries(highs, lows, closes, period = 10, multiplier = 3) {
+  const atr = calculateATRSeries(highs, lows, closes, period);
+  let upperBand = null;
+  let lowerBand = null;
+  let direction = 'DOWN';
+
+  return closes.map((close, i) => {
+    if (atr[i] === null) return null;
+
+    const midpoint = (highs[i] + lows[i]) / 2;
+    const basicUpper = midpoint + multiplier * atr[i];
+    const basicLower = midpoint - multiplier * atr[i];
+
+    if (upperBand === null) {
+      upperBand = basicUpper;
+      lowerBand = basicLower;
+    } else {
+      const previousClose = closes[i - 1];
+      upperBand = basicUpper < upperBand || previousClose > upperBand ? basicUpper : upperBand;
+      lowerBand = basicLower > lowerBand || previousClose < lowerBand ? basicLower : lowerBand;
+    }
+
+    if (direction === 'DOWN' && close > upperBand) direction = 'UP';
+    else if (direction === 'UP' && close < lowerBand) direction = 'DOWN';
+
+    return { value: direction === 'UP' ? lowerBand : upperBand, direction };
+  });
+}
+
+export function calculateSuperTrend(highs, lows, closes, period = 10, multiplier = 3) {
+  return lastOf(calculateSuperTrendSeries(highs, lows, closes, period, multiplier), null);
+}
+
+// Keltner Channels: EMA middle line with ATR bands
+export function calculateKeltnerChannelsSeries(highs, lows, closes, period = 20, multiplier = 2, atrPeriod = 10) {
+  const middle = calculateEMASeries(closes, period);
+  const atr = calculateATRSeries(highs, lows, closes, atrPeriod);
+
+  return closes.map((_, i) => {
+    if (middle[i] === null || atr[i] === null) return null;
+    return {
+      upper: middle[i] + multiplier * atr[i],
+      middle: middle[i],
+      lower: middle[i] - multiplier * atr[i]
+    };
+  });
+}
+
+export function calculateKeltnerChannels(highs, lows, closes, period = 20, multiplier = 2, atrPeriod = 10) {
+  return lastOf(calculateKeltnerChannelsSeries(highs, lows, closes, period, multiplier, atrPeriod), null);
+}
+
+// Parabolic SAR (Wilder): trails price and flips when price crosses it
+export function calculateParabolicSARSeries(highs, lows, closes, step = 0.02, maxStep = 0.2) {
+  if (closes.length < 2) return closes.map(() => null);
+
+  let rising = closes[1] >= closes[0];
+  let sar = rising ? lows[0] : highs[0];
+  let extremePoint = rising ? highs[0] : lows[0];
+  let accelerationFactor = step;
+
+  return closes.map((_, i) => {
+    if (i === 0) return null;
+
+    sar += accelerationFactor * (extremePoint - sar);
+
+    if (rising) {
+      // SAR may not move into the last two candles' range
+      sar = Math.min(sar, lows[i - 1], lows[Math.max(i - 2, 0)]);
+      if (lows[i] < sar) {
+        rising = false;
+        sar = extremePoint;
+        extremePoint = lows[i];
+        accelerationFactor = step;
+      } else if (highs[i] > extremePoint) {
+        extremePoint = highs[i];
+        accelerationFactor = Math.min(accelerationFactor + step, maxStep);
+      }
+    } else {
+      sar = Math.max(sar, highs[i - 1], highs[Math.max(i - 2, 0)]);
+      if (highs[i] > sar) {
+        rising = true;
+        sar = extremePoint;
+        extremePoint = highs[i];
+        accelerationFactor = step;
+      } else if (lows[i] < extremePoint) {
+        extremePoint = lows[i];
+        accelerationFactor = Math.min(accelerationFactor + step, maxStep);
+      }
+    }
+
+    return { value: sar, trend: rising ? 'UP' : 'DOWN' };
+  });
+}
+
+export function calculateParabolicSAR(highs, lows, closes, step = 0.02, maxStep = 0.2) {
+  return lastOf(calculateParabolicSARSeries(highs, lows, closes, step, maxStep), null);
+}
+
+// Donchian Channels: highest high and lowest low of the period
+export function calculateDonchianChannelsSeries(highs, lows, period = 20) {
+  return highs.map((_, i) => {
+    const channel = priceChannel(highs, lows, i, period);
+    return channel ? { ...channel, middle: (channel.upper + channel.lower) / 2 } : null;
+  });
+}
+
+export function calculateDonchianChannels(highs, lows, period = 20) {
+  return lastOf(calculateDonchianChannelsSeries(highs, lows, period), null);
 }
 
 // Trend analysis
@@ -385,5 +812,56 @@ export function generateTradingSignals(indicators) {
     signals.score -= 1;
   }
 
+  // Extended indicators, present only when enabled
+  if (indicators.mfi !== undefined) {
+    if (indicators.mfi < 20) {
+      signals.buy.push('MFI_OVERSOLD');
+      signals.score += 1;
+    } else if (indicators.mfi > 80) {
+      signals.sell.push('MFI_OVERBOUGHT');
+      signals.score -= 1;
+    }
+  }
+
+  if (indicators.cci !== undefined) {
+    if (indicators.cci < -100) {
+      signals.buy.push('CCI_OVERSOLD');
+      signals.score += 1;
+    } else if (indicators.cci > 100) {
+      signals.sell.push('CCI_OVERBOUGHT');
+      signals.score -= 1;
+    }
+  }
+
+  if (indicators.adx && indicators.adx.adx > 25) {
+    if (indicators.adx.plusDI > indicators.adx.minusDI) {
+      signals.buy.push('ADX_STRONG_UPTREND');
+      signals.score += 1;
+    } else {
+      signals.sell.push('ADX_STRONG_DOWNTREND');
+      signals.score -= 1;
+    }
+  }
+
+  if (indicators.supertrend?.direction === 'UP') {
+    signals.buy.push('SUPERTREND_UP');
+    signals.score += 1;
+  } else if (indicators.supertrend?.direction === 'DOWN') {
+    signals.sell.push('SUPERTREND_DOWN');
+    signals.score -= 1;
+  }
+
+  // Candlestick patterns, strong ones count double
+  for (const pattern of indicators.patterns || []) {
+    const weight = pattern.strength >= 0.75 ? 2 : 1;
+    if (pattern.type === 'BULLISH') {
+      signals.buy.push(pattern.name);
+      signals.score += weight;
+    } else if (pattern.type === 'BEARISH') {
+      signals.sell.push(pattern.name);
+      signals.score -= weight;
+    }
+  }
+
   return signals;
 }
\ No newline at end of file
@@ -256,7 +256,7 @@ export class WebSocketManager {
   }
 
   async broadcastOrderUpdate(order) {    
-    await redis.setex(
+    await redis.setEx(
       `order_update:${order.orderId}`, 
       3600, // 1 hour TTL
       JSON.stringify(order)